@@ -18,7 +18,62 @@
 
 import React, { useState, useEffect } from 'react';
 import MobileSignatureModal from '../../../src/components/SignatureModal';
-import { generateReceiptPDF, formatDate, generateReceiptNumber } from '../../../utils/pdf';
+import ReceiptHistory from '../../../src/components/ReceiptHistory';
+import TenantDirectory from '../../../src/components/TenantDirectory';
+import IssuerProfiles from '../../../src/components/IssuerProfiles';
+import PropertyRegister from '../../../src/components/PropertyRegister';
+import NumberingSettings from '../../../src/components/NumberingSettings';
+import TenantNameInput from '../../../src/components/TenantNameInput';
+import LineItemsEditor from '../../../src/components/LineItemsEditor';
+import PaymentsEditor from '../../../src/components/PaymentsEditor';
+import PaymentDetailsFields from '../../../src/components/PaymentDetailsFields';
+import TenantLedger from '../../../src/components/TenantLedger';
+import ChequeClearance from '../../../src/components/ChequeClearance';
+import HraPack from '../../../src/components/HraPack';
+import BulkGenerator from '../../../src/components/BulkGenerator';
+import {
+  generateReceiptPDF,
+  generateHraPackPDF,
+  generateCombinedReceiptsPDF,
+  generateReceiptsZip,
+  getBulkFilename,
+  formatDate
+} from '../../../utils/pdf';
+import { saveReceipt, loadReceipts } from '../../../utils/receiptHistory';
+import { validateLineItems, applyRentToLineItems, getLineItemsTotal } from '../../../utils/lineItems';
+import { loadTenants, getTenantFormDefaults, findTenantByName } from '../../../utils/tenantDirectory';
+import { hasLedger, buildTenantLedger, getBalanceAfterPayment } from '../../../utils/tenantLedger';
+import { loadProfiles, getProfileFormDefaults, DEFAULT_RECEIPT_SERIES, DEFAULT_INVOICE_SERIES } from '../../../utils/issuerProfiles';
+import { DEFAULT_CURRENCY, getCurrencySymbol, formatAmount } from '../../../utils/currency';
+import { RECEIPT_LANGUAGES, DEFAULT_RECEIPT_LANGUAGE } from '../../../utils/receiptLanguages';
+import { RECEIPT_TYPES, DEFAULT_RECEIPT_TYPE, getReceiptType } from '../../../utils/receiptTypes';
+import { TDS_SECTIONS, getTdsSection, calculateTds, getNetAmount, validateTds } from '../../../utils/tds';
+import { GST_STATES, DEFAULT_SAC_CODE, DEFAULT_GST_RATE, calculateGst, getGstinStateCode, validateInvoice } from '../../../utils/gst';
+import { HRA_PAN_THRESHOLD, getHraPanStatus, validateLandlordPan, validateMissingReceipts } from '../../../utils/hra';
+import { loadRevenueStampSettings, saveRevenueStampSettings, needsRevenueStamp } from '../../../utils/revenueStamp';
+import { getMonthStart, getMonthEnd, getMonthSpan, getMultiMonthTotal, validateMultiMonth } from '../../../utils/multiMonth';
+import { RENT_TERMS, getDefaultPeriod, getLastPeriodEnd } from '../../../utils/rentTerms';
+import { PRORATION_METHODS, DEFAULT_PRORATION_METHOD, calculateProration, validateProration } from '../../../utils/proration';
+import { loadDatePolicy, saveDatePolicy, getDateConstraints, describeDateRange, checkReceiptDates } from '../../../utils/datePolicy';
+import { CHEQUE_STATUSES, hasChequePayment } from '../../../utils/chequeClearance';
+import {
+  PAYMENT_MODES,
+  getAmountReceived,
+  getIssuedPayments,
+  summarisePayments,
+  cleanPaymentDetails,
+  validatePaymentDetails,
+  validatePayments
+} from '../../../utils/payments';
+import { loadProperties, listUnits, getUnitFormDefaults } from '../../../utils/properties';
+import {
+  loadNumberingSettings,
+  getNextReceiptNumber,
+  getNextReceiptNumbers,
+  commitReceiptNumber,
+  resetReceiptCounters,
+  getNumberingContext
+} from '../../../utils/receiptNumbering';
 import { StatusBar } from '@capacitor/status-bar';
 import { SplashScreen } from '@capacitor/splash-screen';
 
@@ -29,26 +84,110 @@ import { SplashScreen } from '@capacitor/splash-screen';
 const MobileReceiptForm = () => {
   // Form state with mobile-optimized defaults
   const [formData, setFormData] = useState({
+    profileId: '',
     titleName: '',
     titleAddress: '',
+    titlePan: '',
+    titleLogo: '',
+    titleGstin: '',
+    receiptSeries: DEFAULT_RECEIPT_SERIES,
+    invoiceSeries: DEFAULT_INVOICE_SERIES,
+    currency: DEFAULT_CURRENCY,
+    numberSystem: 'indian',
+    documentType: 'receipt',
+    receiptType: DEFAULT_RECEIPT_TYPE,
     tenantName: '',
+    tenantGstin: '',
+    propertyId: '',
+    unitId: '',
+    unitType: '',
+    premisesAddress: '',
     durationFrom: '',
     durationTo: '',
+    multiMonth: false,
+    prorated: false,
+    prorationMethod: DEFAULT_PRORATION_METHOD,
+    monthlyRent: '',
     term: 'Monthly',
     amount: '',
+    lineItems: [],
+    payments: [],
     dateOfTransaction: new Date().toISOString().split('T')[0], // Today's date
     paymentMode: 'Cash',
     referenceNo: '',
+    paymentDetails: {},
+    chequeStatus: 'deposited',
+    subjectToRealisation: false,
+    tdsApplicable: false,
+    tdsSection: TDS_SECTIONS[0].value,
+    tdsRate: TDS_SECTIONS[0].defaultRate,
+    tdsAmount: '',
+    tdsReference: '',
+    placeOfSupply: '',
+    sacCode: DEFAULT_SAC_CODE,
+    gstRate: DEFAULT_GST_RATE,
     receiptNumber: '',
+    language: DEFAULT_RECEIPT_LANGUAGE,
+    showBalance: false,
     eSignatureRequired: false
   });
 
   // Component state
   const [signatureDataUrl, setSignatureDataUrl] = useState('');
   const [isSignatureModalOpen, setIsSignatureModalOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isTenantDirectoryOpen, setIsTenantDirectoryOpen] = useState(false);
+  const [tenants, setTenants] = useState(() => loadTenants());
+  const [isLedgerOpen, setIsLedgerOpen] = useState(false);
+  const [isChequesOpen, setIsChequesOpen] = useState(false);
+  const [tenantLedger, setTenantLedger] = useState(null);
+  const [isHraPackOpen, setIsHraPackOpen] = useState(false);
+  const [isBulkOpen, setIsBulkOpen] = useState(false);
+  const [hraStatus, setHraStatus] = useState(null);
+  const [isProfilesOpen, setIsProfilesOpen] = useState(false);
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [isPropertyRegisterOpen, setIsPropertyRegisterOpen] = useState(false);
+  const [properties, setProperties] = useState(() => loadProperties());
+  const [isNumberingOpen, setIsNumberingOpen] = useState(false);
+  const [numberingSettings, setNumberingSettings] = useState(() => loadNumberingSettings());
+  const [numberingRevision, setNumberingRevision] = useState(0);
+  const [stampSettings, setStampSettings] = useState(() => loadRevenueStampSettings());
+  const [datePolicy, setDatePolicy] = useState(() => loadDatePolicy());
   const [isGenerating, setIsGenerating] = useState(false);
   const [message, setMessage] = useState('');
 
+  // Fields asked for depend on the receipt type; a tax invoice bills rent without recording a payment
+  const isInvoice = formData.documentType === 'invoice';
+  const receiptType = isInvoice
+    ? { ...getReceiptType('rent'), isPayment: false, allowsTds: false }
+    : getReceiptType(formData.receiptType);
+  const invoiceGst = isInvoice
+    ? calculateGst(formData.amount, formData.gstRate, getGstinStateCode(formData.titleGstin), formData.placeOfSupply)
+    : null;
+  // A split payment lists each part paid (part cash, part UPI, ...) instead of one payment mode
+  const isSplitPayment = receiptType.isPayment && !isInvoice && formData.payments.length > 0;
+  const paysCash = isSplitPayment
+    ? formData.payments.some(payment => payment.mode === 'Cash')
+    : formData.paymentMode === 'Cash';
+  // A cheque (or a cheque part of a split payment) is tracked until it clears
+  const paysByCheque = receiptType.isPayment && !isInvoice && hasChequePayment(formData);
+  const revenueStamp = needsRevenueStamp(formData, stampSettings);
+
+  // Period and transaction dates against the date policy: errors block the receipt, warnings only flag it
+  const dateConstraints = getDateConstraints(datePolicy);
+  const dateCheck = checkReceiptDates(formData, datePolicy, receiptType.hasPeriod);
+
+  // A multi-month receipt bills whole months of rent at a fixed rent per month
+  const isMultiMonth = receiptType.hasPeriod && !isInvoice && formData.multiMonth;
+  const coveredMonths = isMultiMonth ? getMonthSpan(formData.durationFrom, formData.durationTo) : [];
+
+  // A pro-rated receipt charges the monthly rent for the days of a partial period
+  const isProrated = receiptType.hasPeriod && !isInvoice && !isMultiMonth && formData.prorated;
+  const proration = isProrated
+    ? calculateProration(formData.monthlyRent, formData.durationFrom, formData.durationTo, formData.prorationMethod)
+    : null;
+  const proratedTotal = proration ? proration.total : '';
+
   // Mobile-specific state
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [deviceInfo, setDeviceInfo] = useState(null);
@@ -99,35 +238,13 @@ const MobileReceiptForm = () => {
     return { startDate, endDate };
   };
 
-  // Helper function to get date constraints
-  const getDateConstraints = () => {
-    const now = new Date();
-    const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), 1);
-    const currentMonthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    
-    const minDate = oneYearAgo.getFullYear() + '-' + 
-                   String(oneYearAgo.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(oneYearAgo.getDate()).padStart(2, '0');
-    const maxDate = currentMonthEnd.getFullYear() + '-' + 
-                   String(currentMonthEnd.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(currentMonthEnd.getDate()).padStart(2, '0');
-    
-    return { minDate, maxDate };
-  };
-
-  // Initialize form with stored data and generate receipt number
+  // Initialize form with stored data
   useEffect(() => {
-    // Load last receipt number from localStorage
-    const lastSequence = parseInt(localStorage.getItem('rental_receipt_seq') || '0');
-    const nextSequence = lastSequence + 1;
-    const receiptNumber = generateReceiptNumber(nextSequence);
-
     // Get default dates for previous month
     const { startDate, endDate } = getPreviousMonthDates();
 
     setFormData(prev => ({
       ...prev,
-      receiptNumber,
       durationFrom: startDate,
       durationTo: endDate
     }));
@@ -137,53 +254,181 @@ const MobileReceiptForm = () => {
     if (savedFormData) {
       try {
         const parsed = JSON.parse(savedFormData);
+        const savedProfile = profiles.find(profile => profile.id === parsed.profileId);
         setFormData(prev => ({
           ...prev,
           ...parsed,
-          receiptNumber, // Always use new receipt number
+          titleLogo: savedProfile ? savedProfile.logoDataUrl : '',
           dateOfTransaction: new Date().toISOString().split('T')[0], // Always use today's date
           // Override with default dates if not set
           durationFrom: parsed.durationFrom || startDate,
           durationTo: parsed.durationTo || endDate
         }));
+        if (savedProfile && savedProfile.signatureDataUrl) {
+          setSignatureDataUrl(savedProfile.signatureDataUrl);
+        }
       } catch (error) {
         console.warn('Could not load saved form data:', error);
       }
     }
   }, []);
 
+  // Preview the next receipt number for the current series and property
+  useEffect(() => {
+    const { receiptNumber } = getNextReceiptNumber(
+      getNumberingContext(formData, properties),
+      numberingSettings
+    );
+    setFormData(prev => ({ ...prev, receiptNumber }));
+  }, [formData.documentType, formData.receiptSeries, formData.invoiceSeries, formData.propertyId, properties, numberingSettings, numberingRevision]);
+
   // Save form data to localStorage on changes (except receipt number and date)
   useEffect(() => {
     const dataToSave = {
+      profileId: formData.profileId,
       titleName: formData.titleName,
       titleAddress: formData.titleAddress,
+      titlePan: formData.titlePan,
+      titleGstin: formData.titleGstin,
+      receiptSeries: formData.receiptSeries,
+      invoiceSeries: formData.invoiceSeries,
+      currency: formData.currency,
+      numberSystem: formData.numberSystem,
+      documentType: formData.documentType,
+      receiptType: formData.receiptType,
       tenantName: formData.tenantName,
+      tenantGstin: formData.tenantGstin,
+      propertyId: formData.propertyId,
+      unitId: formData.unitId,
+      unitType: formData.unitType,
+      premisesAddress: formData.premisesAddress,
       durationFrom: formData.durationFrom,
       durationTo: formData.durationTo,
       term: formData.term,
+      multiMonth: formData.multiMonth,
+      prorated: formData.prorated,
+      prorationMethod: formData.prorationMethod,
+      monthlyRent: formData.monthlyRent,
       amount: formData.amount,
+      lineItems: formData.lineItems,
+      payments: formData.payments,
       paymentMode: formData.paymentMode,
       referenceNo: formData.referenceNo,
+      paymentDetails: formData.paymentDetails,
+      subjectToRealisation: formData.subjectToRealisation,
+      tdsApplicable: formData.tdsApplicable,
+      tdsSection: formData.tdsSection,
+      tdsRate: formData.tdsRate,
+      placeOfSupply: formData.placeOfSupply,
+      sacCode: formData.sacCode,
+      gstRate: formData.gstRate,
+      language: formData.language,
+      showBalance: formData.showBalance,
       eSignatureRequired: formData.eSignatureRequired
     };
     localStorage.setItem('rental_receipt_form_data', JSON.stringify(dataToSave));
   }, [formData]);
 
+  // Work out the TDS whenever the gross amount or the rate changes
+  useEffect(() => {
+    if (!formData.tdsApplicable) return;
+    setFormData(prev => ({ ...prev, tdsAmount: calculateTds(prev.amount, prev.tdsRate) }));
+  }, [formData.amount, formData.tdsRate, formData.tdsApplicable]);
+
+  // Work out the amount of a multi-month receipt from the rent per month
+  useEffect(() => {
+    if (!isMultiMonth) return;
+    setFormData(prev => ({ ...prev, amount: getMultiMonthTotal(prev.monthlyRent, coveredMonths.length) }));
+  }, [isMultiMonth, formData.monthlyRent, coveredMonths.length]);
+
+  // Work out the amount of a pro-rated receipt from the rent per month and the days covered
+  useEffect(() => {
+    if (!isProrated) return;
+    setFormData(prev => ({ ...prev, amount: proratedTotal }));
+  }, [isProrated, proratedTotal]);
+
+  // Look up the running balance of a tenant from the directory
+  useEffect(() => {
+    const tenant = findTenantByName(tenants, formData.tenantName);
+    setTenantLedger(hasLedger(tenant) ? buildTenantLedger(tenant, loadReceipts()) : null);
+  }, [formData.tenantName, tenants, numberingRevision]);
+
+  // Running financial-year rent of the tenant, for the HRA PAN threshold
+  useEffect(() => {
+    setHraStatus(getHraPanStatus(formData, loadReceipts()));
+  }, [formData.tenantName, formData.dateOfTransaction, formData.amount, formData.lineItems, formData.receiptType, formData.documentType, formData.currency, numberingRevision]);
+
+  // Default period for a term: following on from the tenant's last receipt,
+  // else counted from their rent start date (empty for a custom term)
+  const getPeriodDefaults = (term, tenantName) => {
+    const tenant = findTenantByName(tenants, tenantName);
+    return getDefaultPeriod(term, {
+      lastPeriodEnd: getLastPeriodEnd(loadReceipts(), tenantName),
+      rentStartDate: tenant ? tenant.rentStartDate : ''
+    }) || {};
+  };
+
   // Handle form input changes
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
-    // Handle term change - update duration dates
+    // Handle term change - work out the period for the new term
     if (name === 'term') {
-      const { startDate, endDate } = getPreviousMonthDates();
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        durationFrom: startDate,
-        durationTo: endDate
+        ...getPeriodDefaults(value, prev.tenantName)
+      }));
+      return;
+    }
+
+    // A multi-month receipt covers whole months of monthly rent
+    if (name === 'multiMonth') {
+      setFormData(prev => ({
+        ...prev,
+        multiMonth: checked,
+        ...(checked ? {
+          prorated: false,
+          term: 'Monthly',
+          monthlyRent: prev.monthlyRent || prev.amount,
+          durationFrom: getMonthStart(prev.durationFrom.slice(0, 7)),
+          durationTo: getMonthEnd(prev.durationTo.slice(0, 7))
+        } : {})
+      }));
+      return;
+    }
+
+    // Pro-rating starts from the rent per month (the amount typed so far, if any)
+    if (name === 'prorated') {
+      setFormData(prev => ({
+        ...prev,
+        prorated: checked,
+        ...(checked ? { term: 'Monthly', monthlyRent: prev.monthlyRent || prev.amount } : {})
       }));
       return;
     }
+
+    // The month pickers set the period to the first and last day of the months
+    if (name === 'monthFrom') {
+      setFormData(prev => ({ ...prev, durationFrom: getMonthStart(value) }));
+      return;
+    }
+    if (name === 'monthTo') {
+      setFormData(prev => ({ ...prev, durationTo: getMonthEnd(value) }));
+      return;
+    }
+
+    // Each TDS section has its own default rate
+    if (name === 'tdsSection') {
+      setFormData(prev => ({ ...prev, tdsSection: value, tdsRate: getTdsSection(value).defaultRate }));
+      return;
+    }
+
+    // Itemised charges only apply to receipt types that allow them
+    if (name === 'receiptType' && !getReceiptType(value).allowsCharges) {
+      setFormData(prev => ({ ...prev, receiptType: value, lineItems: [] }));
+      return;
+    }
     
     setFormData(prev => ({
       ...prev,
@@ -191,6 +436,110 @@ const MobileReceiptForm = () => {
     }));
   };
 
+  // Change and store the revenue stamp setting
+  const handleStampSettingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setStampSettings(prev => saveRevenueStampSettings({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Change and store the date policy
+  const handleDatePolicyChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setDatePolicy(prev => saveDatePolicy({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Apply the issuer profile picked at the top of the form
+  const handleProfileSelect = (e) => {
+    const profile = profiles.find(item => item.id === e.target.value);
+
+    if (!profile) {
+      setFormData(prev => ({
+        ...prev,
+        profileId: '',
+        titlePan: '',
+        titleLogo: '',
+        titleGstin: '',
+        receiptSeries: DEFAULT_RECEIPT_SERIES,
+        invoiceSeries: DEFAULT_INVOICE_SERIES,
+        currency: DEFAULT_CURRENCY,
+        numberSystem: 'indian'
+      }));
+      return;
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      ...getProfileFormDefaults(profile)
+    }));
+    setSignatureDataUrl(profile.signatureDataUrl || '');
+  };
+
+  // Prefill the form from a tenant picked in the autocomplete
+  const handleTenantSelect = (tenant) => {
+    setFormData(prev => {
+      const updated = {
+        ...prev,
+        ...getTenantFormDefaults(tenant),
+        ...(tenant.unitId ? getUnitFormDefaults(properties, tenant.unitId) : {})
+      };
+
+      // On an itemised receipt the agreed rent goes into the rent line
+      if (prev.lineItems.length > 0) {
+        updated.lineItems = tenant.agreedRent
+          ? applyRentToLineItems(prev.lineItems, String(tenant.agreedRent))
+          : prev.lineItems;
+        updated.amount = getLineItemsTotal(updated.lineItems);
+      }
+
+      // On a multi-month receipt the agreed rent is the rent per month
+      if (isMultiMonth && tenant.agreedRent) {
+        updated.monthlyRent = String(tenant.agreedRent);
+        updated.amount = getMultiMonthTotal(updated.monthlyRent, coveredMonths.length);
+      }
+
+      // Otherwise pick up the period where the tenant's receipts left off
+      if (!isMultiMonth) {
+        Object.assign(updated, getPeriodDefaults(updated.term, tenant.name));
+      }
+
+      // A pro-rated receipt charges the agreed rent for the days covered
+      if (isProrated) {
+        if (tenant.agreedRent) updated.monthlyRent = String(tenant.agreedRent);
+        const tenantProration = calculateProration(updated.monthlyRent, updated.durationFrom, updated.durationTo, updated.prorationMethod);
+        updated.amount = tenantProration ? tenantProration.total : '';
+      }
+      return updated;
+    });
+  };
+
+  // Change one detail (cheque date, bank, ...) of the payment
+  const handlePaymentDetailChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, paymentDetails: { ...prev.paymentDetails, [name]: value } }));
+  };
+
+  // Replace the payments of a split receipt
+  const handlePaymentsChange = (payments) => {
+    setFormData(prev => ({ ...prev, payments }));
+  };
+
+  // Keep the receipt amount equal to the total of the itemised charges
+  const handleLineItemsChange = (lineItems) => {
+    setFormData(prev => ({
+      ...prev,
+      lineItems,
+      amount: lineItems.length > 0 ? getLineItemsTotal(lineItems) : prev.amount
+    }));
+  };
+
+  // Set the rented premises from the property register
+  const handleUnitSelect = (e) => {
+    setFormData(prev => ({
+      ...prev,
+      ...getUnitFormDefaults(properties, e.target.value)
+    }));
+  };
+
   // Handle signature modal open
   const handleSignatureRequired = () => {
     setIsSignatureModalOpen(true);
@@ -219,39 +568,65 @@ const MobileReceiptForm = () => {
 
   // Validate form data
   const validateForm = () => {
-    const required = ['titleName', 'tenantName', 'durationFrom', 'durationTo', 'amount'];
+    const required = receiptType.hasPeriod
+      ? ['titleName', 'tenantName', 'durationFrom', 'durationTo', 'amount']
+      : ['titleName', 'tenantName', 'amount'];
     const missing = required.filter(field => !formData[field].trim());
     
     if (missing.length > 0) {
       return showErrorMessage(`Please fill in: ${missing.join(', ')}`);
     }
 
-    // Check reference number requirement for non-cash payments
-    if (formData.paymentMode !== 'Cash' && !formData.referenceNo.trim()) {
-      return showErrorMessage('Reference number is required for non-cash payments.');
+    const lineItemsError = validateLineItems(formData.lineItems);
+    if (lineItemsError) {
+      return showErrorMessage(lineItemsError);
     }
 
-    if (formData.eSignatureRequired && !signatureDataUrl) {
-      return showErrorMessage('E-signature is required but not provided. Please sign the document.');
+    const multiMonthError = isMultiMonth ? validateMultiMonth(formData) : '';
+    if (multiMonthError) {
+      return showErrorMessage(multiMonthError);
+    }
+
+    const prorationError = isProrated ? validateProration(formData) : '';
+    if (prorationError) {
+      return showErrorMessage(prorationError);
+    }
+
+    const tdsError = receiptType.allowsTds ? validateTds(formData, formData.amount) : '';
+    if (tdsError) {
+      return showErrorMessage(tdsError);
+    }
+
+    const invoiceError = isInvoice ? validateInvoice(formData) : '';
+    if (invoiceError) {
+      return showErrorMessage(invoiceError);
     }
 
-    // Validate date ranges
-    const { minDate, maxDate } = getDateConstraints();
-    const durationFrom = new Date(formData.durationFrom);
-    const durationTo = new Date(formData.durationTo);
-    const minDateObj = new Date(minDate);
-    const maxDateObj = new Date(maxDate);
+    const panError = validateLandlordPan(formData.titlePan.trim(), getHraPanStatus(formData, loadReceipts()));
+    if (panError) {
+      return showErrorMessage(panError);
+    }
+
+    const paymentsError = isSplitPayment ? validatePayments(formData) : '';
+    if (paymentsError) {
+      return showErrorMessage(paymentsError);
+    }
 
-    if (durationFrom < minDateObj || durationFrom > maxDateObj) {
-      return showErrorMessage('Duration From date must be within the allowed range (1 year ago to end of current month).');
+    // Reference and details of a non-cash payment, in the format its mode uses
+    const paymentError = receiptType.isPayment && !isSplitPayment
+      ? validatePaymentDetails({ mode: formData.paymentMode, referenceNo: formData.referenceNo, paymentDetails: formData.paymentDetails })
+      : '';
+    if (paymentError) {
+      return showErrorMessage(paymentError);
     }
 
-    if (durationTo < minDateObj || durationTo > maxDateObj) {
-      return showErrorMessage('Duration To date must be within the allowed range (1 year ago to end of current month).');
+    if (formData.eSignatureRequired && !signatureDataUrl) {
+      return showErrorMessage('E-signature is required but not provided. Please sign the document.');
     }
 
-    if (durationFrom > durationTo) {
-      return showErrorMessage('Duration From date cannot be after Duration To date.');
+    // Dates outside the date policy (warnings are shown on the form and do not block)
+    if (dateCheck.error) {
+      return showErrorMessage(dateCheck.error);
     }
 
     return true;
@@ -267,46 +642,81 @@ const MobileReceiptForm = () => {
     setMessage('');
 
     try {
+      // Take the next free number in the series (never a number already issued)
+      const issuedNumber = getNextReceiptNumber(getNumberingContext(formData, properties), numberingSettings);
+
       // Prepare form data for PDF generation
       const pdfData = {
         ...formData,
-        dateOfTransaction: formatDate(formData.dateOfTransaction)
+        receiptNumber: issuedNumber.receiptNumber,
+        dateOfTransaction: formatDate(formData.dateOfTransaction),
+        receiptDate: new Date().toISOString().split('T')[0],
+        tdsApplicable: receiptType.allowsTds && formData.tdsApplicable,
+        multiMonth: isMultiMonth,
+        prorated: isProrated,
+        monthlyRent: isMultiMonth || isProrated ? formData.monthlyRent : '',
+        paymentDetails: isSplitPayment ? {} : cleanPaymentDetails(formData.paymentMode, formData.paymentDetails),
+        payments: isSplitPayment ? getIssuedPayments(formData.payments) : [],
+        ...(isSplitPayment ? summarisePayments(getIssuedPayments(formData.payments)) : {}),
+        chequeStatus: paysByCheque ? formData.chequeStatus : '',
+        chequeStatusDate: paysByCheque ? formatDate(formData.dateOfTransaction) : '',
+        subjectToRealisation: paysByCheque && formData.subjectToRealisation,
+        revenueStamp
       };
 
+      // Keep the tax totals of an invoice for the history
+      if (invoiceGst) {
+        pdfData.gstTotal = String(invoiceGst.totalTax);
+        pdfData.invoiceTotal = String(invoiceGst.invoiceTotal);
+      }
+
+      // Print the tenant's balance after this payment if asked to
+      const ledgerTenant = findTenantByName(tenants, formData.tenantName);
+      if (formData.showBalance && !isInvoice && hasLedger(ledgerTenant)) {
+        pdfData.balanceAfter = String(getBalanceAfterPayment(ledgerTenant, loadReceipts(), formData));
+      }
+
       // Generate PDF using mobile utility function
       await generateReceiptPDF(pdfData, signatureDataUrl);
 
       // Save receipt to localStorage for history tracking
       const receipt = {
-        id: formData.receiptNumber,
+        id: issuedNumber.receiptNumber,
         ...pdfData,
         signatureDataUrl,
         createdAt: new Date().toISOString()
       };
 
-      // Update receipt history
-      const existingReceipts = JSON.parse(localStorage.getItem('rental_receipts') || '[]');
-      existingReceipts.push(receipt);
-      localStorage.setItem('rental_receipts', JSON.stringify(existingReceipts));
-
-      // Generate next receipt number for future use
-      const nextReceiptNumber = generateReceiptNumber(0);
+      // Update receipt history and advance the series counter
+      saveReceipt(receipt);
+      commitReceiptNumber(issuedNumber);
+      setNumberingRevision(prev => prev + 1);
 
       // Reset form for next receipt (preserve some fields for convenience)
       setFormData(prev => ({
         ...prev,
-        receiptNumber: nextReceiptNumber,
         dateOfTransaction: new Date().toISOString().split('T')[0],
         amount: '',
+        monthlyRent: '',
+        lineItems: [],
+        payments: [],
         tenantName: '',
+        propertyId: '',
+        unitId: '',
+        unitType: '',
+        premisesAddress: '',
         durationFrom: '',
         durationTo: '',
-        referenceNo: ''
+        referenceNo: '',
+        paymentDetails: {},
+        chequeStatus: 'deposited',
+        tdsReference: ''
       }));
 
-      // Clear signature and show success message
-      setSignatureDataUrl('');
-      setMessage('Receipt generated and saved successfully!');
+      // Restore the profile's saved signature (if any) and show success message
+      const activeProfile = profiles.find(profile => profile.id === formData.profileId);
+      setSignatureDataUrl(activeProfile ? activeProfile.signatureDataUrl : '');
+      setMessage(`${isInvoice ? 'Invoice' : 'Receipt'} generated and saved successfully!`);
       setTimeout(() => setMessage(''), 5000);
 
     } catch (error) {
@@ -318,25 +728,120 @@ const MobileReceiptForm = () => {
     }
   };
 
+  // A bounced cheque voids its receipt: refresh the balances worked out from stored receipts
+  const handleChequeStatusChange = () => {
+    setNumberingRevision(prev => prev + 1);
+  };
+
+  // Re-download a stored receipt from the history browser
+  const handleRedownloadReceipt = async (receipt) => {
+    try {
+      // Older records have no receiptDate, fall back to when they were created
+      await generateReceiptPDF({
+        ...receipt,
+        receiptDate: receipt.receiptDate || (receipt.createdAt || '').split('T')[0]
+      }, receipt.signatureDataUrl);
+    } catch (error) {
+      console.error('Error re-generating PDF:', error);
+      setMessage('Error generating PDF. Please try again.');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  // Issue and save receipts for the months missing from an HRA pack
+  // Nothing is saved unless every draft passes; the error is shown in the pack dialog
+  const handleGenerateMissingReceipts = (drafts) => {
+    const draftsError = validateMissingReceipts(drafts, datePolicy, loadReceipts());
+    if (draftsError) {
+      return draftsError;
+    }
+
+    drafts.forEach(draft => {
+      const issuedNumber = getNextReceiptNumber(getNumberingContext(draft, properties), numberingSettings);
+      saveReceipt({
+        id: issuedNumber.receiptNumber,
+        ...draft,
+        receiptNumber: issuedNumber.receiptNumber,
+        receiptDate: new Date().toISOString().split('T')[0],
+        revenueStamp: needsRevenueStamp(draft, stampSettings),
+        createdAt: new Date().toISOString()
+      });
+      commitReceiptNumber(issuedNumber);
+    });
+    setNumberingRevision(prev => prev + 1);
+    return '';
+  };
+
+  // Download a tenant's receipts for the year as one PDF
+  const handleDownloadHraPack = async (pack) => {
+    try {
+      await generateHraPackPDF(pack);
+    } catch (error) {
+      console.error('Error generating HRA pack:', error);
+      setMessage('Error generating PDF. Please try again.');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  // Issue, download and save a batch of receipts from the bulk generator
+  // Errors are left to the generator dialog, which shows them
+  const handleBulkGenerate = async (drafts, request) => {
+    const issuedNumbers = getNextReceiptNumbers(getNumberingContext(drafts[0], properties), drafts.length, numberingSettings);
+    const receiptDate = new Date().toISOString().split('T')[0];
+    const receipts = drafts.map((draft, index) => ({
+      id: issuedNumbers[index].receiptNumber,
+      ...draft,
+      receiptNumber: issuedNumbers[index].receiptNumber,
+      receiptDate,
+      revenueStamp: needsRevenueStamp(draft, stampSettings),
+      signatureDataUrl,
+      createdAt: new Date().toISOString()
+    }));
+
+    const filename = getBulkFilename(request.tenantName, request.from, request.to, request.output);
+    if (request.output === 'zip') {
+      await generateReceiptsZip(receipts, filename);
+    } else {
+      await generateCombinedReceiptsPDF(receipts, filename);
+    }
+
+    // Save and commit the numbers only once the download has been produced
+    receipts.forEach(receipt => saveReceipt(receipt));
+    issuedNumbers.forEach(issuedNumber => commitReceiptNumber(issuedNumber));
+    setNumberingRevision(prev => prev + 1);
+    setMessage(`${receipts.length} receipts generated and saved successfully!`);
+    setTimeout(() => setMessage(''), 5000);
+  };
+
   // Clear all stored data
   const handleClearStorage = () => {
     localStorage.removeItem('rental_receipt_form_data');
     localStorage.removeItem('rental_receipts');
     localStorage.removeItem('rental_receipt_seq');
+    resetReceiptCounters();
+    setNumberingRevision(prev => prev + 1);
     
     // Reset form to defaults
     const { startDate, endDate } = getPreviousMonthDates();
-    const receiptNumber = generateReceiptNumber(0);
     
     setFormData(prev => ({
       ...prev,
-      receiptNumber,
       dateOfTransaction: new Date().toISOString().split('T')[0],
       amount: '',
+      monthlyRent: '',
+      lineItems: [],
+      payments: [],
       tenantName: '',
+      propertyId: '',
+      unitId: '',
+      unitType: '',
+      premisesAddress: '',
       durationFrom: startDate,
       durationTo: endDate,
-      referenceNo: ''
+      referenceNo: '',
+      paymentDetails: {},
+      chequeStatus: 'deposited',
+      tdsReference: ''
     }));
     
     setSignatureDataUrl('');
@@ -380,6 +885,31 @@ const MobileReceiptForm = () => {
           <h2 className="text-lg font-semibold text-gray-900 mb-4">📋 Receipt Information</h2>
           
           <div className="space-y-4">
+            <div>
+              <label htmlFor="profileId" className="block text-sm font-medium text-gray-700 mb-2">
+                Issuer Profile
+              </label>
+              <select
+                id="profileId"
+                name="profileId"
+                value={formData.profileId}
+                onChange={handleProfileSelect}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+              >
+                <option value="">Custom (no profile)</option>
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.profileName}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setIsProfilesOpen(true)}
+                className="mt-3 text-blue-600 text-sm font-medium"
+              >
+                🏢 Manage Profiles
+              </button>
+            </div>
+
             <div>
               <label htmlFor="titleName" className="block text-sm font-medium text-gray-700 mb-2">
                 Title Name *
@@ -410,6 +940,28 @@ const MobileReceiptForm = () => {
                 placeholder="Enter address"
               />
             </div>
+
+            <div>
+              <label htmlFor="titlePan" className="block text-sm font-medium text-gray-700 mb-2">
+                Landlord PAN
+              </label>
+              <input
+                type="text"
+                id="titlePan"
+                name="titlePan"
+                value={formData.titlePan}
+                onChange={handleInputChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base uppercase"
+                placeholder="e.g. ABCDE1234F"
+                maxLength="10"
+              />
+              {hraStatus && hraStatus.exceedsThreshold && (
+                <p className={`text-sm mt-1 ${formData.titlePan.trim() ? 'text-gray-600' : 'text-red-700'}`}>
+                  {formData.tenantName}'s rent for FY {hraStatus.financialYear} comes to {formatAmount(hraStatus.yearTotal)} with this
+                  receipt, above {formatAmount(HRA_PAN_THRESHOLD)}: the landlord's PAN is required for their HRA claim.
+                </p>
+              )}
+            </div>
           </div>
         </div>
 
@@ -421,83 +973,458 @@ const MobileReceiptForm = () => {
             <label htmlFor="tenantName" className="block text-sm font-medium text-gray-700 mb-2">
               Tenant Name *
             </label>
-            <input
-              type="text"
+            <TenantNameInput
               id="tenantName"
               name="tenantName"
               value={formData.tenantName}
               onChange={handleInputChange}
+              onSelectTenant={handleTenantSelect}
+              tenants={tenants}
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
               placeholder="Enter tenant name"
-              required
             />
+            {tenantLedger && !isInvoice && (
+              <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">
+                  Balance before this receipt:{' '}
+                  {tenantLedger.balanceDue > 0
+                    ? <span className="text-red-700">{formatAmount(tenantLedger.balanceDue)} due</span>
+                    : tenantLedger.advanceCredit > 0
+                      ? <span className="text-green-700">{formatAmount(tenantLedger.advanceCredit)} advance</span>
+                      : 'settled'}
+                </p>
+                <label className="flex items-center space-x-3 mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="showBalance"
+                    checked={formData.showBalance}
+                    onChange={handleInputChange}
+                    className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span>Show balance due on receipt</span>
+                </label>
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => setIsTenantDirectoryOpen(true)}
+              className="mt-3 text-blue-600 text-sm font-medium"
+            >
+              👥 Manage Tenants
+            </button>
+          </div>
+
+          <div className="mt-4">
+            <label htmlFor="unitId" className="block text-sm font-medium text-gray-700 mb-2">
+              Rented Premises
+            </label>
+            <select
+              id="unitId"
+              name="unitId"
+              value={formData.unitId}
+              onChange={handleUnitSelect}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+            >
+              <option value="">Not specified</option>
+              {listUnits(properties).map(entry => (
+                <option key={entry.unit.id} value={entry.unit.id}>{entry.label}</option>
+              ))}
+            </select>
+            {formData.premisesAddress && (
+              <p className="text-xs text-gray-500 mt-1">{formData.premisesAddress}</p>
+            )}
+            <button
+              type="button"
+              onClick={() => setIsPropertyRegisterOpen(true)}
+              className="mt-3 text-blue-600 text-sm font-medium"
+            >
+              🏠 Manage Properties
+            </button>
           </div>
         </div>
 
-        {/* Duration */}
+        {/* Document and Receipt Type */}
         <div className="bg-white rounded-lg shadow-sm p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">📅 Duration & Terms</h2>
-          
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">🧾 Receipt Type</h2>
+
           <div className="space-y-4">
-            <div className="grid grid-cols-1 gap-4">
+            <div>
+              <label htmlFor="documentType" className="block text-sm font-medium text-gray-700 mb-2">
+                Document
+              </label>
+              <select
+                id="documentType"
+                name="documentType"
+                value={formData.documentType}
+                onChange={handleInputChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+              >
+                <option value="receipt">Rent Receipt</option>
+                <option value="invoice">GST Tax Invoice</option>
+              </select>
+            </div>
+
+            {!isInvoice && (
               <div>
-                <label htmlFor="durationFrom" className="block text-sm font-medium text-gray-700 mb-2">
-                  Duration From *
+                <label htmlFor="receiptType" className="block text-sm font-medium text-gray-700 mb-2">
+                  Receipt Type
                 </label>
-                <input
-                  type="date"
-                  id="durationFrom"
-                  name="durationFrom"
-                  value={formData.durationFrom}
+                <select
+                  id="receiptType"
+                  name="receiptType"
+                  value={formData.receiptType}
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
-                  min={getDateConstraints().minDate}
-                  max={getDateConstraints().maxDate}
-                  required
+                >
+                  {RECEIPT_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* GST Invoice Details */}
+        {isInvoice && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">🏛️ GST Details</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="titleGstin" className="block text-sm font-medium text-gray-700 mb-2">
+                  Landlord GSTIN *
+                </label>
+                <input
+                  type="text"
+                  id="titleGstin"
+                  name="titleGstin"
+                  value={formData.titleGstin}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base uppercase"
+                  placeholder="e.g. 27AAPFU0939F1ZV"
+                  maxLength="15"
                 />
-                <p className="text-xs text-gray-500 mt-1">
-                  Range: 1 year ago to end of current month
-                </p>
               </div>
 
               <div>
-                <label htmlFor="durationTo" className="block text-sm font-medium text-gray-700 mb-2">
-                  Duration To *
+                <label htmlFor="tenantGstin" className="block text-sm font-medium text-gray-700 mb-2">
+                  Tenant GSTIN
                 </label>
                 <input
-                  type="date"
-                  id="durationTo"
-                  name="durationTo"
-                  value={formData.durationTo}
+                  type="text"
+                  id="tenantGstin"
+                  name="tenantGstin"
+                  value={formData.tenantGstin}
                   onChange={handleInputChange}
-                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
-                  min={getDateConstraints().minDate}
-                  max={getDateConstraints().maxDate}
-                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base uppercase"
+                  placeholder="Leave blank if unregistered"
+                  maxLength="15"
                 />
-                <p className="text-xs text-gray-500 mt-1">
-                  Range: 1 year ago to end of current month
-                </p>
               </div>
 
               <div>
-                <label htmlFor="term" className="block text-sm font-medium text-gray-700 mb-2">
-                  Term
+                <label htmlFor="placeOfSupply" className="block text-sm font-medium text-gray-700 mb-2">
+                  Place of Supply
                 </label>
                 <select
-                  id="term"
-                  name="term"
-                  value={formData.term}
+                  id="placeOfSupply"
+                  name="placeOfSupply"
+                  value={formData.placeOfSupply}
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
                 >
-                  <option value="Monthly">Monthly</option>
-                  <option value="Yearly">Yearly</option>
+                  <option value="">Same as landlord's state</option>
+                  {GST_STATES.map(state => (
+                    <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+                  ))}
                 </select>
               </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="sacCode" className="block text-sm font-medium text-gray-700 mb-2">
+                    SAC Code *
+                  </label>
+                  <input
+                    type="text"
+                    id="sacCode"
+                    name="sacCode"
+                    value={formData.sacCode}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                    inputMode="numeric"
+                    maxLength="6"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="gstRate" className="block text-sm font-medium text-gray-700 mb-2">
+                    GST Rate (%) *
+                  </label>
+                  <input
+                    type="number"
+                    id="gstRate"
+                    name="gstRate"
+                    value={formData.gstRate}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                    min="0"
+                    max="28"
+                    step="0.01"
+                  />
+                </div>
+              </div>
             </div>
+
+            <p className="text-sm text-gray-600 mt-3">
+              Taxable {formatAmount(invoiceGst.taxableValue, formData.currency)}
+              {invoiceGst.taxes.map(tax => ` + ${tax.name} ${formatAmount(tax.amount, formData.currency)}`).join('')} ={' '}
+              <strong>{formatAmount(invoiceGst.invoiceTotal, formData.currency)} invoice total</strong>
+            </p>
           </div>
-        </div>
+        )}
+
+        {/* Duration */}
+        {receiptType.hasPeriod && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">📅 Duration & Terms</h2>
+          
+            <div className="space-y-4">
+              {!isInvoice && formData.lineItems.length === 0 && (
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    id="multiMonth"
+                    name="multiMonth"
+                    checked={formData.multiMonth}
+                    onChange={handleInputChange}
+                    className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="multiMonth" className="text-sm font-medium text-gray-700">
+                    One receipt for several months
+                  </label>
+                </div>
+              )}
+
+              {isMultiMonth ? (
+                <>
+                  <div className="grid grid-cols-1 gap-4">
+                    <div>
+                      <label htmlFor="monthFrom" className="block text-sm font-medium text-gray-700 mb-2">
+                        From Month *
+                      </label>
+                      <input
+                        type="month"
+                        id="monthFrom"
+                        name="monthFrom"
+                        value={formData.durationFrom.slice(0, 7)}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                        min={dateConstraints.minDate.slice(0, 7)}
+                        max={dateConstraints.maxDate.slice(0, 7)}
+                        required
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="monthTo" className="block text-sm font-medium text-gray-700 mb-2">
+                        To Month *
+                      </label>
+                      <input
+                        type="month"
+                        id="monthTo"
+                        name="monthTo"
+                        value={formData.durationTo.slice(0, 7)}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                        min={dateConstraints.minDate.slice(0, 7)}
+                        max={dateConstraints.maxDate.slice(0, 7)}
+                        required
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="monthlyRent" className="block text-sm font-medium text-gray-700 mb-2">
+                        Rent per Month ({getCurrencySymbol(formData.currency)}) *
+                      </label>
+                      <input
+                        type="number"
+                        id="monthlyRent"
+                        name="monthlyRent"
+                        value={formData.monthlyRent}
+                        onChange={handleInputChange}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                        placeholder="Enter rent per month"
+                        min="0"
+                        step="0.01"
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  {coveredMonths.length > 0 && (
+                    <table className="w-full text-sm mt-4">
+                      <thead>
+                        <tr className="border-b text-left text-gray-600">
+                          <th className="py-2 font-medium">Month</th>
+                          <th className="py-2 font-medium text-right">Rent</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {coveredMonths.map(month => (
+                          <tr key={month.key} className="border-b">
+                            <td className="py-2 text-gray-900">{month.label}</td>
+                            <td className="py-2 text-right">
+                              {formData.monthlyRent ? formatAmount(formData.monthlyRent, formData.currency) : '—'}
+                            </td>
+                          </tr>
+                        ))}
+                        <tr className="font-medium">
+                          <td className="py-2 text-gray-900">Total ({coveredMonths.length} months)</td>
+                          <td className="py-2 text-right">
+                            {formData.amount ? formatAmount(formData.amount, formData.currency) : '—'}
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              ) : (
+                <div className="grid grid-cols-1 gap-4">
+                  <div>
+                    <label htmlFor="durationFrom" className="block text-sm font-medium text-gray-700 mb-2">
+                      Duration From *
+                    </label>
+                    <input
+                      type="date"
+                      id="durationFrom"
+                      name="durationFrom"
+                      value={formData.durationFrom}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                      min={dateConstraints.minDate}
+                      max={dateConstraints.maxDate}
+                      required
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Range: {describeDateRange(datePolicy)}
+                    </p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="durationTo" className="block text-sm font-medium text-gray-700 mb-2">
+                      Duration To *
+                    </label>
+                    <input
+                      type="date"
+                      id="durationTo"
+                      name="durationTo"
+                      value={formData.durationTo}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                      min={dateConstraints.minDate}
+                      max={dateConstraints.maxDate}
+                      required
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Range: {describeDateRange(datePolicy)}
+                    </p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="term" className="block text-sm font-medium text-gray-700 mb-2">
+                      Term
+                    </label>
+                    <select
+                      id="term"
+                      name="term"
+                      value={formData.term}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                    >
+                      {RENT_TERMS.map(term => (
+                        <option key={term.value} value={term.value}>{term.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {!isInvoice && !isMultiMonth && formData.lineItems.length === 0 && (
+                <div className="p-4 border border-gray-200 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <input
+                      type="checkbox"
+                      id="prorated"
+                      name="prorated"
+                      checked={formData.prorated}
+                      onChange={handleInputChange}
+                      className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="prorated" className="text-sm font-medium text-gray-700">
+                      Pro-rate the rent for a partial period
+                    </label>
+                  </div>
+
+                  {isProrated && (
+                    <>
+                      <div className="grid grid-cols-1 gap-4 mt-4">
+                        <div>
+                          <label htmlFor="monthlyRent" className="block text-sm font-medium text-gray-700 mb-2">
+                            Rent per Month ({getCurrencySymbol(formData.currency)}) *
+                          </label>
+                          <input
+                            type="number"
+                            id="monthlyRent"
+                            name="monthlyRent"
+                            value={formData.monthlyRent}
+                            onChange={handleInputChange}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                            placeholder="Enter rent per month"
+                            min="0"
+                            step="0.01"
+                          />
+                        </div>
+
+                        <div>
+                          <label htmlFor="prorationMethod" className="block text-sm font-medium text-gray-700 mb-2">
+                            Count Days By
+                          </label>
+                          <select
+                            id="prorationMethod"
+                            name="prorationMethod"
+                            value={formData.prorationMethod}
+                            onChange={handleInputChange}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                          >
+                            {PRORATION_METHODS.map(method => (
+                              <option key={method.value} value={method.value}>{method.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      {proration && (
+                        <div className="text-sm text-gray-600 mt-3 space-y-1">
+                          {proration.months.map(month => (
+                            <p key={month.key}>
+                              {month.label}: {formatAmount(formData.monthlyRent, formData.currency)} × {month.days}/{month.basis} days ={' '}
+                              {formatAmount(month.amount, formData.currency)}
+                            </p>
+                          ))}
+                          <p className="font-medium text-gray-900">
+                            Pro-rated rent: {formatAmount(proration.total, formData.currency)}
+                          </p>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
 
         {/* Amount, Payment Mode, and Date */}
         <div className="bg-white rounded-lg shadow-sm p-6">
@@ -506,7 +1433,7 @@ const MobileReceiptForm = () => {
           <div className="space-y-4">
             <div>
               <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
-                Amount (₹) *
+                Amount ({getCurrencySymbol(formData.currency)}) *
               </label>
               <input
                 type="number"
@@ -514,48 +1441,251 @@ const MobileReceiptForm = () => {
                 name="amount"
                 value={formData.amount}
                 onChange={handleInputChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                className={`w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base ${formData.lineItems.length > 0 || isMultiMonth || isProrated ? 'bg-gray-50' : ''}`}
                 placeholder="Enter amount"
                 min="0"
                 step="0.01"
+                readOnly={formData.lineItems.length > 0 || isMultiMonth || isProrated}
                 required
               />
+              {formData.lineItems.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Total of the itemised charges below
+                </p>
+              )}
+              {isMultiMonth && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Rent per month × {coveredMonths.length} month(s)
+                </p>
+              )}
+              {isProrated && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Rent per month pro-rated for the days covered
+                </p>
+              )}
             </div>
 
-            <div>
-              <label htmlFor="paymentMode" className="block text-sm font-medium text-gray-700 mb-2">
-                Payment Mode
-              </label>
-              <select
-                id="paymentMode"
-                name="paymentMode"
-                value={formData.paymentMode}
-                onChange={handleInputChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
-              >
-                <option value="Cash">Cash</option>
-                <option value="Cheque">Cheque</option>
-                <option value="Bank Deposit">Bank Deposit</option>
-                <option value="UPI Payment">UPI Payment</option>
-                <option value="Net Banking">Net Banking</option>
-              </select>
-            </div>
+            {receiptType.allowsCharges && !isMultiMonth && !isProrated && (
+              <LineItemsEditor
+                items={formData.lineItems}
+                onChange={handleLineItemsChange}
+                amount={formData.amount}
+                currency={formData.currency}
+                inputClassName="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base min-w-0"
+              />
+            )}
 
-            {formData.paymentMode !== 'Cash' && (
+            {/* TDS */}
+            {receiptType.allowsTds && (
+              <div className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    id="tdsApplicable"
+                    name="tdsApplicable"
+                    checked={formData.tdsApplicable}
+                    onChange={handleInputChange}
+                    className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="tdsApplicable" className="text-sm font-medium text-gray-700">
+                    TDS deducted by tenant
+                  </label>
+                </div>
+
+                {formData.tdsApplicable && (
+                  <>
+                    <div className="space-y-4 mt-4">
+                      <div>
+                        <label htmlFor="tdsSection" className="block text-sm font-medium text-gray-700 mb-2">
+                          Section
+                        </label>
+                        <select
+                          id="tdsSection"
+                          name="tdsSection"
+                          value={formData.tdsSection}
+                          onChange={handleInputChange}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                        >
+                          {TDS_SECTIONS.map(section => (
+                            <option key={section.value} value={section.value}>{section.label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label htmlFor="tdsRate" className="block text-sm font-medium text-gray-700 mb-2">
+                          TDS Rate (%) *
+                        </label>
+                        <input
+                          type="number"
+                          id="tdsRate"
+                          name="tdsRate"
+                          value={formData.tdsRate}
+                          onChange={handleInputChange}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                        />
+                      </div>
+
+                      <div>
+                        <label htmlFor="tdsAmount" className="block text-sm font-medium text-gray-700 mb-2">
+                          TDS Amount ({getCurrencySymbol(formData.currency)}) *
+                        </label>
+                        <input
+                          type="number"
+                          id="tdsAmount"
+                          name="tdsAmount"
+                          value={formData.tdsAmount}
+                          onChange={handleInputChange}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                          min="0"
+                          step="0.01"
+                        />
+                      </div>
+
+                      <div>
+                        <label htmlFor="tdsReference" className="block text-sm font-medium text-gray-700 mb-2">
+                          Challan / Certificate No.
+                        </label>
+                        <input
+                          type="text"
+                          id="tdsReference"
+                          name="tdsReference"
+                          value={formData.tdsReference}
+                          onChange={handleInputChange}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                          placeholder={`e.g. ${getTdsSection(formData.tdsSection).certificate} certificate number`}
+                        />
+                      </div>
+                    </div>
+
+                    <p className="text-sm text-gray-600 mt-3">
+                      Gross {formatAmount(formData.amount || '0', formData.currency)} − TDS {formatAmount(formData.tdsAmount || '0', formData.currency)} ={' '}
+                      <strong>{formatAmount(getNetAmount(formData.amount, formData.tdsAmount), formData.currency)} received</strong>
+                    </p>
+                  </>
+                )}
+              </div>
+            )}
+
+            {receiptType.isPayment && !isSplitPayment && (
               <div>
-                <label htmlFor="referenceNo" className="block text-sm font-medium text-gray-700 mb-2">
-                  Reference No. *
+                <label htmlFor="paymentMode" className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment Mode
                 </label>
-                <input
-                  type="text"
-                  id="referenceNo"
-                  name="referenceNo"
-                  value={formData.referenceNo}
+                <select
+                  id="paymentMode"
+                  name="paymentMode"
+                  value={formData.paymentMode}
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
-                  placeholder="Enter reference number"
-                  required={formData.paymentMode !== 'Cash'}
+                >
+                  {PAYMENT_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Split Payment */}
+            {receiptType.isPayment && !isInvoice && (
+              <PaymentsEditor
+                payments={formData.payments}
+                onChange={handlePaymentsChange}
+                paymentMode={formData.paymentMode}
+                referenceNo={formData.referenceNo}
+                paymentDetails={formData.paymentDetails}
+                amountReceived={getAmountReceived(formData)}
+                currency={formData.currency}
+                inputClassName="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base min-w-0"
+              />
+            )}
+
+            {/* Revenue Stamp */}
+            {receiptType.isPayment && paysCash && (
+              <div className="p-3 bg-gray-50 rounded-lg text-sm">
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    id="stampEnabled"
+                    name="enabled"
+                    checked={stampSettings.enabled}
+                    onChange={handleStampSettingChange}
+                    className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="stampEnabled" className="font-medium text-gray-700">
+                    Revenue stamp box on cash receipts above {formatAmount(stampSettings.threshold || '0')}
+                  </label>
+                </div>
+                <input
+                  type="number"
+                  id="stampThreshold"
+                  name="threshold"
+                  value={stampSettings.threshold}
+                  onChange={handleStampSettingChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base mt-3"
+                  min="0"
+                  step="1"
+                  inputMode="numeric"
+                  disabled={!stampSettings.enabled}
+                  aria-label="Revenue stamp threshold"
                 />
+                {revenueStamp && (
+                  <p className="text-gray-600 mt-3">
+                    A revenue stamp box has been added next to the signature: a cash receipt above{' '}
+                    {formatAmount(stampSettings.threshold)} needs a ₹1 revenue stamp affixed and signed across.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {receiptType.isPayment && !isSplitPayment && (
+              <PaymentDetailsFields
+                mode={formData.paymentMode}
+                referenceNo={formData.referenceNo}
+                details={formData.paymentDetails}
+                onReferenceChange={handleInputChange}
+                onDetailChange={handlePaymentDetailChange}
+                inputClassName="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                labelClassName="block text-sm font-medium text-gray-700 mb-2"
+              />
+            )}
+
+            {/* Cheque Clearance */}
+            {paysByCheque && (
+              <div className="p-3 bg-gray-50 rounded-lg text-sm">
+                <label htmlFor="chequeStatus" className="block text-sm font-medium text-gray-700 mb-2">
+                  Cheque Status
+                </label>
+                <select
+                  id="chequeStatus"
+                  name="chequeStatus"
+                  value={formData.chequeStatus}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                >
+                  {CHEQUE_STATUSES.filter(status => status.value !== 'bounced').map(status => (
+                    <option key={status.value} value={status.value}>{status.label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center space-x-3 mt-3 text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="subjectToRealisation"
+                    checked={formData.subjectToRealisation}
+                    onChange={handleInputChange}
+                    disabled={formData.chequeStatus === 'cleared'}
+                    className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span>Print "subject to realisation" until the cheque clears</span>
+                </label>
+                {formData.chequeStatus === 'deposited' && (
+                  <p className="text-gray-600 mt-3">
+                    The receipt waits under Pending Cheques until the cheque is marked cleared or bounced.
+                  </p>
+                )}
               </div>
             )}
 
@@ -569,6 +1699,7 @@ const MobileReceiptForm = () => {
                 name="dateOfTransaction"
                 value={formData.dateOfTransaction}
                 onChange={handleInputChange}
+                max={dateConstraints.maxTransactionDate}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
                 required
               />
@@ -576,7 +1707,7 @@ const MobileReceiptForm = () => {
 
             <div>
               <label htmlFor="receiptNumber" className="block text-sm font-medium text-gray-700 mb-2">
-                Receipt Number
+                {isInvoice ? 'Invoice Number' : 'Receipt Number'} (next in series)
               </label>
               <input
                 type="text"
@@ -586,7 +1717,95 @@ const MobileReceiptForm = () => {
                 readOnly
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg bg-gray-50 text-base"
               />
+              <button
+                type="button"
+                onClick={() => setIsNumberingOpen(true)}
+                className="mt-3 text-blue-600 text-sm font-medium"
+              >
+                🔢 Change Number Format
+              </button>
+            </div>
+
+            {/* Date Policy */}
+            <div className="p-4 border border-gray-200 rounded-lg text-sm space-y-3">
+              <p className="font-medium text-gray-700">Date Policy</p>
+              <div>
+                <label htmlFor="maxLookbackMonths" className="block text-sm font-medium text-gray-700 mb-2">
+                  Backdate Up To (months)
+                </label>
+                <input
+                  type="number"
+                  id="maxLookbackMonths"
+                  name="maxLookbackMonths"
+                  value={datePolicy.maxLookbackMonths}
+                  onChange={handleDatePolicyChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                  min="0"
+                  step="1"
+                  inputMode="numeric"
+                  placeholder="No limit"
+                />
+              </div>
+              <div>
+                <label htmlFor="maxAdvanceMonths" className="block text-sm font-medium text-gray-700 mb-2">
+                  Advance Up To (months)
+                </label>
+                <input
+                  type="number"
+                  id="maxAdvanceMonths"
+                  name="maxAdvanceMonths"
+                  value={datePolicy.maxAdvanceMonths}
+                  onChange={handleDatePolicyChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                  min="0"
+                  step="1"
+                  inputMode="numeric"
+                  placeholder="No limit"
+                />
+              </div>
+              <div className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  id="allowFutureTransactionDates"
+                  name="allowFutureTransactionDates"
+                  checked={datePolicy.allowFutureTransactionDates}
+                  onChange={handleDatePolicyChange}
+                  className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="allowFutureTransactionDates" className="text-gray-700">
+                  Allow future transaction dates
+                </label>
+              </div>
+              <p className="text-gray-600">
+                Rent periods can run from {describeDateRange(datePolicy)}. Leave a limit empty to remove it.
+              </p>
+              {dateCheck.warnings.length > 0 && (
+                <ul className="p-3 bg-yellow-50 border border-yellow-200 rounded text-yellow-800 space-y-1">
+                  {dateCheck.warnings.map(warning => (
+                    <li key={warning}>⚠️ {warning}</li>
+                  ))}
+                </ul>
+              )}
             </div>
+
+            {!isInvoice && (
+              <div>
+                <label htmlFor="language" className="block text-sm font-medium text-gray-700 mb-2">
+                  Receipt Language
+                </label>
+                <select
+                  id="language"
+                  name="language"
+                  value={formData.language}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-base"
+                >
+                  {Object.values(RECEIPT_LANGUAGES).map(language => (
+                    <option key={language.code} value={language.code}>{language.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
         </div>
 
@@ -640,6 +1859,46 @@ const MobileReceiptForm = () => {
             {isGenerating ? '📱 Generating PDF...' : '📄 Generate Receipt PDF'}
           </button>
 
+          <button
+            type="button"
+            onClick={() => setIsHistoryOpen(true)}
+            className="w-full bg-gray-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-700 focus:ring-2 focus:ring-gray-500"
+          >
+            🗂️ View Receipt History
+          </button>
+
+          <button
+            type="button"
+            onClick={() => setIsLedgerOpen(true)}
+            className="w-full bg-gray-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-700 focus:ring-2 focus:ring-gray-500"
+          >
+            📒 Tenant Ledger
+          </button>
+
+          <button
+            type="button"
+            onClick={() => setIsChequesOpen(true)}
+            className="w-full bg-gray-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-700 focus:ring-2 focus:ring-gray-500"
+          >
+            🏦 Pending Cheques
+          </button>
+
+          <button
+            type="button"
+            onClick={() => setIsHraPackOpen(true)}
+            className="w-full bg-gray-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-700 focus:ring-2 focus:ring-gray-500"
+          >
+            🗂️ HRA Receipt Pack
+          </button>
+
+          <button
+            type="button"
+            onClick={() => setIsBulkOpen(true)}
+            className="w-full bg-gray-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-700 focus:ring-2 focus:ring-gray-500"
+          >
+            📚 Bulk Generate
+          </button>
+
           <button
             type="button"
             onClick={handleClearStorage}
@@ -656,6 +1915,74 @@ const MobileReceiptForm = () => {
         onConfirm={handleSignatureConfirm}
         onCancel={handleSignatureCancel}
       />
+
+      {/* Issuer Profiles */}
+      <IssuerProfiles
+        isOpen={isProfilesOpen}
+        onClose={() => setIsProfilesOpen(false)}
+        onProfilesChange={setProfiles}
+      />
+
+      {/* Receipt Number Format */}
+      <NumberingSettings
+        isOpen={isNumberingOpen}
+        onClose={() => setIsNumberingOpen(false)}
+        onSettingsChange={setNumberingSettings}
+        numberingContext={getNumberingContext(formData, properties)}
+      />
+
+      {/* Property Register */}
+      <PropertyRegister
+        isOpen={isPropertyRegisterOpen}
+        onClose={() => setIsPropertyRegisterOpen(false)}
+        onPropertiesChange={setProperties}
+      />
+
+      {/* Tenant Directory */}
+      <TenantDirectory
+        isOpen={isTenantDirectoryOpen}
+        onClose={() => setIsTenantDirectoryOpen(false)}
+        onTenantsChange={setTenants}
+      />
+
+      {/* Tenant Ledger */}
+      <TenantLedger
+        isOpen={isLedgerOpen}
+        onClose={() => setIsLedgerOpen(false)}
+      />
+
+      {/* Pending Cheques */}
+      <ChequeClearance
+        isOpen={isChequesOpen}
+        onClose={() => setIsChequesOpen(false)}
+        onStatusChange={handleChequeStatusChange}
+      />
+
+      {/* HRA Receipt Pack */}
+      <HraPack
+        isOpen={isHraPackOpen}
+        onClose={() => setIsHraPackOpen(false)}
+        onDownload={handleDownloadHraPack}
+        onGenerateMissing={handleGenerateMissingReceipts}
+      />
+
+      {/* Bulk Receipt Generator */}
+      <BulkGenerator
+        isOpen={isBulkOpen}
+        onClose={() => setIsBulkOpen(false)}
+        baseData={formData}
+        tenants={tenants}
+        properties={properties}
+        numberingSettings={numberingSettings}
+        onGenerate={handleBulkGenerate}
+      />
+
+      {/* Receipt History */}
+      <ReceiptHistory
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        onDownload={handleRedownloadReceipt}
+      />
     </div>
   );
 };
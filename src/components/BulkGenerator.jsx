@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import TenantNameInput from './TenantNameInput';
+import { getTenantFormDefaults } from '../../utils/tenantDirectory';
+import { getUnitFormDefaults } from '../../utils/properties';
+import { loadReceipts } from '../../utils/receiptHistory';
+import { loadDatePolicy, getDateConstraints } from '../../utils/datePolicy';
+import { getNextReceiptNumbers, getNumberingContext } from '../../utils/receiptNumbering';
+import { MAX_BULK_RECEIPTS, getBulkPeriods, validateBulkRequest, draftBulkReceipts } from '../../utils/bulkReceipts';
+import { getCurrencySymbol, formatAmount } from '../../utils/currency';
+import { FIXED_RENT_TERMS } from '../../utils/rentTerms';
+import { PAYMENT_MODES, getPaymentMode } from '../../utils/payments';
+import { formatDate } from '../utils/pdf';
+
+const EMPTY_REQUEST = {
+  tenantName: '',
+  propertyId: '',
+  unitId: '',
+  unitType: '',
+  premisesAddress: '',
+  amount: '',
+  term: 'Monthly',
+  paymentMode: 'Cash',
+  from: '',
+  to: '',
+  output: 'pdf'
+};
+
+/**
+ * BulkGenerator component - Issue rent receipts for a range of periods at once
+ * Picks a tenant, amount, term, payment mode and date range, previews the
+ * periods with the receipt numbers they will get (taking each period's
+ * reference and payment details for non-cash modes), then downloads them as
+ * one combined PDF or a ZIP of individual PDFs
+ */
+const BulkGenerator = ({ isOpen, onClose, baseData, tenants, properties, numberingSettings, onGenerate }) => {
+  const [request, setRequest] = useState(EMPTY_REQUEST);
+  const [references, setReferences] = useState([]);
+  const [paymentDetails, setPaymentDetails] = useState([]);
+  const [error, setError] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  // Start from the tenant on the receipt form every time the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setRequest({
+        ...EMPTY_REQUEST,
+        tenantName: baseData.tenantName,
+        propertyId: baseData.propertyId,
+        unitId: baseData.unitId,
+        unitType: baseData.unitType,
+        premisesAddress: baseData.premisesAddress,
+        amount: baseData.amount,
+        term: baseData.term || 'Monthly',
+        paymentMode: baseData.paymentMode || 'Cash'
+      });
+      setReferences([]);
+      setPaymentDetails([]);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setRequest(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  // Prefill the rent details and premises of a tenant picked from the directory
+  const handleSelectTenant = (tenant) => {
+    const { referenceNo, tenantGstin, ...defaults } = getTenantFormDefaults(tenant);
+    setRequest(prev => ({
+      ...prev,
+      ...defaults,
+      ...(tenant.unitId ? getUnitFormDefaults(properties, tenant.unitId) : {})
+    }));
+    setError('');
+  };
+
+  const handleReferenceChange = (index, value) => {
+    setReferences(prev => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+    setError('');
+  };
+
+  const handleDetailChange = (index, name, value) => {
+    setPaymentDetails(prev => {
+      const next = [...prev];
+      next[index] = { ...next[index], [name]: value };
+      return next;
+    });
+    setError('');
+  };
+
+  const { from, to, output, ...tenantDetails } = request;
+  const details = {
+    ...baseData,
+    ...tenantDetails,
+    showBalance: false
+  };
+  const datePolicy = loadDatePolicy();
+  const dateConstraints = getDateConstraints(datePolicy);
+  const periods = getBulkPeriods(from, to, request.term);
+  const previewPeriods = periods.slice(0, MAX_BULK_RECEIPTS);
+  const paymentMode = getPaymentMode(request.paymentMode);
+  const numbers = previewPeriods.length > 0
+    ? getNextReceiptNumbers(getNumberingContext(details, properties), previewPeriods.length, numberingSettings)
+    : [];
+
+  const handleGenerate = async () => {
+    const drafts = draftBulkReceipts(details, periods, references, paymentDetails);
+    const validationError = validateBulkRequest(request, periods, drafts, loadReceipts(), datePolicy);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      await onGenerate(drafts, request);
+      onClose();
+    } catch (generateError) {
+      console.error('Error generating receipts:', generateError);
+      setError('Error generating PDF. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Bulk Generate Receipts</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="overflow-y-auto">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="bulkTenantName" className="form-label">
+                Tenant Name *
+              </label>
+              <TenantNameInput
+                id="bulkTenantName"
+                name="tenantName"
+                value={request.tenantName}
+                onChange={handleChange}
+                onSelectTenant={handleSelectTenant}
+                tenants={tenants}
+                className="form-input"
+                placeholder="Enter tenant name"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="bulkAmount" className="form-label">
+                Amount per Receipt ({getCurrencySymbol(baseData.currency)}) *
+              </label>
+              <input
+                type="number"
+                id="bulkAmount"
+                name="amount"
+                value={request.amount}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Enter amount"
+                min="0"
+                step="0.01"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="bulkTerm" className="form-label">
+                Term
+              </label>
+              <select
+                id="bulkTerm"
+                name="term"
+                value={request.term}
+                onChange={handleChange}
+                className="form-input"
+              >
+                {FIXED_RENT_TERMS.map(term => (
+                  <option key={term.value} value={term.value}>{term.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="bulkPaymentMode" className="form-label">
+                Payment Mode
+              </label>
+              <select
+                id="bulkPaymentMode"
+                name="paymentMode"
+                value={request.paymentMode}
+                onChange={handleChange}
+                className="form-input"
+              >
+                {PAYMENT_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="bulkOutput" className="form-label">
+                Download As
+              </label>
+              <select
+                id="bulkOutput"
+                name="output"
+                value={request.output}
+                onChange={handleChange}
+                className="form-input"
+              >
+                <option value="pdf">One combined PDF</option>
+                <option value="zip">ZIP of separate PDFs</option>
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="bulkFrom" className="form-label">
+                From *
+              </label>
+              <input
+                type="date"
+                id="bulkFrom"
+                name="from"
+                value={request.from}
+                onChange={handleChange}
+                className="form-input"
+                min={dateConstraints.minDate}
+                max={dateConstraints.maxDate}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="bulkTo" className="form-label">
+                To *
+              </label>
+              <input
+                type="date"
+                id="bulkTo"
+                name="to"
+                value={request.to}
+                onChange={handleChange}
+                className="form-input"
+                min={dateConstraints.minDate}
+                max={dateConstraints.maxDate}
+              />
+            </div>
+          </div>
+
+          {previewPeriods.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">
+              Pick a date range to preview the receipts.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 font-medium">Period</th>
+                  <th className="py-2 font-medium">Receipt No.</th>
+                  {paymentMode.reference && (
+                    <th className="py-2 font-medium">
+                      {paymentMode.reference.label}{paymentMode.details.length > 0 ? ' and Details' : ''}
+                    </th>
+                  )}
+                  <th className="py-2 font-medium text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewPeriods.map((period, index) => (
+                  <tr key={period.durationFrom} className="border-b">
+                    <td className="py-2 text-gray-900">
+                      {formatDate(period.durationFrom)} – {formatDate(period.durationTo)}
+                    </td>
+                    <td className="py-2 text-gray-600">{numbers[index].receiptNumber}</td>
+                    {paymentMode.reference && (
+                      <td className="py-2 pr-2">
+                        <div className="flex flex-wrap gap-2">
+                          <input
+                            type="text"
+                            value={references[index] || ''}
+                            onChange={(e) => handleReferenceChange(index, e.target.value)}
+                            className="form-input py-1"
+                            placeholder={`${paymentMode.reference.label} *`}
+                            aria-label={`Reference number for ${formatDate(period.durationFrom)}`}
+                          />
+                          {paymentMode.details.map(field => (
+                            <input
+                              key={field.name}
+                              type={field.type || 'text'}
+                              value={(paymentDetails[index] || {})[field.name] || ''}
+                              onChange={(e) => handleDetailChange(index, field.name, e.target.value)}
+                              className="form-input py-1"
+                              placeholder={`${field.label}${field.required ? ' *' : ''}`}
+                              aria-label={`${field.label} for ${formatDate(period.durationFrom)}`}
+                            />
+                          ))}
+                        </div>
+                      </td>
+                    )}
+                    <td className="py-2 text-right">
+                      {request.amount ? formatAmount(request.amount, baseData.currency) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="mt-4 space-y-3">
+          {periods.length > MAX_BULK_RECEIPTS && (
+            <p className="text-sm text-gray-600">
+              Only the first {MAX_BULK_RECEIPTS} periods are shown. Pick a shorter range to generate them.
+            </p>
+          )}
+          {error && (
+            <p className="text-sm text-red-700">{error}</p>
+          )}
+          <button
+            type="button"
+            onClick={handleGenerate}
+            disabled={isGenerating || previewPeriods.length === 0}
+            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isGenerating ? 'Generating...' : `Generate ${previewPeriods.length} Receipt(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkGenerator;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { loadReceipts, updateReceipt } from '../../utils/receiptHistory';
+import { getPendingCheques, getChequePayments, setChequeStatus } from '../../utils/chequeClearance';
+import { formatAmount } from '../../utils/currency';
+
+/**
+ * ChequeClearance component - Cheque receipts waiting to clear
+ * Lists receipts whose cheque has been deposited but not yet cleared, oldest
+ * first, and marks each cheque as cleared or bounced; a bounced cheque voids
+ * its receipt so the rent is due again
+ */
+const ChequeClearance = ({ isOpen, onClose, onStatusChange }) => {
+  const [pending, setPending] = useState([]);
+  const [outcomes, setOutcomes] = useState({});
+
+  // Reload the pending cheques every time the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setPending(getPendingCheques(loadReceipts()));
+      setOutcomes({});
+    }
+  }, [isOpen]);
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+
+  // Date and bounce reason entered for a receipt's cheque
+  const getOutcome = (receipt) => ({ date: today, reason: '', ...outcomes[receipt.id] });
+
+  const handleOutcomeChange = (receipt, field, value) => {
+    setOutcomes(prev => ({ ...prev, [receipt.id]: { ...getOutcome(receipt), [field]: value } }));
+  };
+
+  // Store the outcome of a cheque and drop it from the pending list
+  const handleResolve = (receipt, status) => {
+    const outcome = getOutcome(receipt);
+    if (status === 'bounced' && !window.confirm(`Mark the cheque on receipt #${receipt.receiptNumber} as bounced? The receipt will be voided and ${receipt.tenantName}'s rent will be due again.`)) {
+      return;
+    }
+
+    updateReceipt(setChequeStatus(receipt, status, outcome.date || today, outcome.reason));
+    setPending(getPendingCheques(loadReceipts()));
+    onStatusChange();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Pending Cheques
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {pending.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">
+              No cheques are waiting to clear.
+            </p>
+          ) : (
+            <div className="border rounded-lg divide-y">
+              {pending.map(receipt => {
+                const outcome = getOutcome(receipt);
+                const numbers = getChequePayments(receipt).map(payment => payment.referenceNo).filter(Boolean);
+                return (
+                  <div key={receipt.id} className="p-3 space-y-2">
+                    <div className="text-sm">
+                      <div className="font-medium text-gray-900">
+                        {receipt.tenantName} — {formatAmount(receipt.amount, receipt.currency)}
+                      </div>
+                      <div className="text-gray-600">
+                        #{receipt.receiptNumber} · Cheque No. {numbers.join(', ') || '—'} · received {receipt.dateOfTransaction}
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="date"
+                        value={outcome.date}
+                        onChange={(e) => handleOutcomeChange(receipt, 'date', e.target.value)}
+                        className="form-input w-40"
+                        aria-label="Date cleared or returned"
+                      />
+                      <input
+                        type="text"
+                        value={outcome.reason}
+                        onChange={(e) => handleOutcomeChange(receipt, 'reason', e.target.value)}
+                        className="form-input flex-1"
+                        placeholder="Bounce reason (e.g. insufficient funds)"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleResolve(receipt, 'cleared')}
+                        className="btn-primary text-sm"
+                      >
+                        Cleared
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleResolve(receipt, 'bounced')}
+                        className="btn-danger text-sm"
+                      >
+                        Bounced
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChequeClearance;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { loadReceipts } from '../../utils/receiptHistory';
+import { loadTenants, findTenantByName } from '../../utils/tenantDirectory';
+import { getTenantFinancialYears, buildHraPack, getPackMonthlyRent, getPackRentDay, draftMissingReceipts } from '../../utils/hra';
+import { formatAmount } from '../../utils/currency';
+
+/**
+ * HraPack component - Year-end receipt pack for a tenant's HRA claim
+ * Picks a tenant and financial year, shows which months have receipts,
+ * can issue cash receipts for the missing months (on the day of the month
+ * the rent was paid) and downloads everything as one PDF with a cover summary
+ */
+const HraPack = ({ isOpen, onClose, onDownload, onGenerateMissing }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [tenantName, setTenantName] = useState('');
+  const [startYear, setStartYear] = useState('');
+  const [rentDay, setRentDay] = useState('');
+  const [error, setError] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  // Reload stored receipts every time the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setReceipts(loadReceipts());
+      setTenantName('');
+      setStartYear('');
+      setRentDay('');
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  // Tenants named on stored receipts, each listed once
+  const tenantNames = [...new Map(
+    receipts
+      .filter(receipt => (receipt.tenantName || '').trim())
+      .map(receipt => [receipt.tenantName.trim().toLowerCase(), receipt.tenantName.trim()])
+  ).values()].sort((a, b) => a.localeCompare(b));
+
+  const financialYears = tenantName ? getTenantFinancialYears(receipts, tenantName) : [];
+  const selectedYear = financialYears.find(year => String(year.startYear) === startYear) || financialYears[0];
+  const pack = selectedYear ? buildHraPack(receipts, tenantName, selectedYear.startYear) : null;
+  const monthlyRent = pack ? getPackMonthlyRent(pack, findTenantByName(loadTenants(), tenantName)) : '';
+  // Day of the month the rent was paid, defaulting to the day of the latest receipt
+  const paidOnDay = rentDay || (pack ? getPackRentDay(pack) : '');
+
+  // Issue the missing receipts; the form checks the drafts and returns an error if any fails
+  const handleGenerateMissing = () => {
+    const day = Number(paidOnDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      setError('Please fill in the day of the month the rent was paid (1 to 31).');
+      return;
+    }
+
+    const generateError = onGenerateMissing(draftMissingReceipts(pack, monthlyRent, day));
+    setError(generateError);
+    if (!generateError) {
+      setReceipts(loadReceipts());
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      await onDownload(pack);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">HRA Receipt Pack</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+          <div>
+            <label htmlFor="hraPackTenant" className="form-label">
+              Tenant
+            </label>
+            <select
+              id="hraPackTenant"
+              value={tenantName}
+              onChange={(e) => { setTenantName(e.target.value); setStartYear(''); setRentDay(''); setError(''); }}
+              className="form-input"
+            >
+              <option value="">Select a tenant</option>
+              {tenantNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="hraPackYear" className="form-label">
+              Financial Year
+            </label>
+            <select
+              id="hraPackYear"
+              value={selectedYear ? String(selectedYear.startYear) : ''}
+              onChange={(e) => { setStartYear(e.target.value); setError(''); }}
+              className="form-input"
+              disabled={financialYears.length === 0}
+            >
+              {financialYears.map(year => (
+                <option key={year.startYear} value={year.startYear}>FY {year.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {!pack ? (
+            <p className="text-sm text-gray-500 text-center py-8">
+              {tenantName ? 'This tenant has no rent receipts yet.' : 'Select a tenant to see their receipts for the year.'}
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 font-medium">Month</th>
+                  <th className="py-2 font-medium">Receipt No.</th>
+                  <th className="py-2 font-medium text-right">Rent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pack.months.map(month => (
+                  <tr key={month.key} className="border-b">
+                    <td className="py-2 text-gray-900">{month.label}</td>
+                    <td className={`py-2 ${month.receiptNumbers.length === 0 && month.due ? 'text-red-700' : 'text-gray-600'}`}>
+                      {month.receiptNumbers.length > 0
+                        ? month.receiptNumbers.join(', ')
+                        : month.due ? 'No receipt' : 'Not yet due'}
+                    </td>
+                    <td className="py-2 text-right">
+                      {month.receiptNumbers.length > 0 ? formatAmount(month.rent, pack.currency) : '—'}
+                    </td>
+                  </tr>
+                ))}
+                <tr className="font-medium">
+                  <td className="py-2 text-gray-900" colSpan="2">Total rent paid</td>
+                  <td className="py-2 text-right">{formatAmount(pack.total, pack.currency)}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {pack && (
+          <div className="mt-4 space-y-3">
+            {pack.missingMonths.length > 0 && (
+              <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <p className="text-gray-600">
+                  {monthlyRent
+                    ? `${pack.missingMonths.length} month(s) have no receipt. Cash receipts can be issued for them at ${formatAmount(monthlyRent, pack.currency)} a month.`
+                    : `${pack.missingMonths.length} month(s) have no receipt. Add the agreed monthly rent to the tenant to issue them.`}
+                </p>
+                {monthlyRent && (
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="hraPackRentDay" className="text-gray-700">
+                      Paid on day
+                    </label>
+                    <input
+                      type="number"
+                      id="hraPackRentDay"
+                      value={paidOnDay}
+                      onChange={(e) => { setRentDay(e.target.value); setError(''); }}
+                      className="form-input w-20"
+                      min="1"
+                      max="31"
+                      step="1"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleGenerateMissing}
+                      className="btn-secondary text-sm"
+                    >
+                      Issue Missing Receipts
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+            {error && (
+              <p className="text-sm text-red-700">{error}</p>
+            )}
+
+            <button
+              type="button"
+              onClick={handleDownload}
+              disabled={isDownloading || pack.receipts.length === 0}
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isDownloading ? 'Generating...' : `Download HRA Pack (${pack.receipts.length} receipts)`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HraPack;
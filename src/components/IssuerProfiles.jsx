@@ -0,0 +1,416 @@
+import React, { useState, useEffect } from 'react';
+import SignatureModal from './SignatureModal';
+import { loadProfiles, saveProfile, deleteProfile, emptyProfile, readImageAsDataUrl } from '../../utils/issuerProfiles';
+import { CURRENCIES, getCurrency } from '../../utils/currency';
+import { NUMBER_SYSTEMS } from '../../utils/numberToWords';
+import { isValidGstin } from '../../utils/gst';
+import { isValidPan } from '../../utils/hra';
+
+/**
+ * IssuerProfiles component - Manage landlord/issuer profiles
+ * Each profile stores the receipt header (name, address, PAN, GSTIN, logo),
+ * an optional saved signature, the receipt and invoice numbering series and the
+ * currency and number-words style used on its receipts
+ */
+const IssuerProfiles = ({ isOpen, onClose, onProfilesChange }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [editingProfile, setEditingProfile] = useState(null);
+  const [isSignatureModalOpen, setIsSignatureModalOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reload profiles every time the manager is opened
+  useEffect(() => {
+    if (isOpen) {
+      setProfiles(loadProfiles());
+      setEditingProfile(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Refresh the list and let the form pick up the changes
+  const refreshProfiles = () => {
+    const updated = loadProfiles();
+    setProfiles(updated);
+    onProfilesChange(updated);
+  };
+
+  // Handle editor input changes
+  const handleEditorChange = (e) => {
+    const { name, value } = e.target;
+    setEditingProfile(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Switch currency and pick up its usual numbering system for words
+  const handleCurrencyChange = (e) => {
+    const currency = getCurrency(e.target.value);
+    setEditingProfile(prev => ({ ...prev, currency: currency.code, numberSystem: currency.numberSystem }));
+  };
+
+  // Load the picked logo image into the profile
+  const handleLogoChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const logoDataUrl = await readImageAsDataUrl(file);
+      setEditingProfile(prev => ({ ...prev, logoDataUrl }));
+    } catch (readError) {
+      console.error('Error reading logo:', readError);
+      setError('Could not read the selected logo image.');
+    }
+  };
+
+  // Save the profile being edited
+  const handleSave = () => {
+    if (!editingProfile.profileName.trim() || !editingProfile.titleName.trim()) {
+      setError('Profile name and title name are required.');
+      return;
+    }
+
+    if (editingProfile.pan && !isValidPan(editingProfile.pan)) {
+      setError('PAN is not valid. It should be 10 characters like ABCDE1234F, or leave it blank.');
+      return;
+    }
+
+    if (editingProfile.gstin && !isValidGstin(editingProfile.gstin)) {
+      setError('GSTIN is not valid. Check the 15 characters or leave it blank.');
+      return;
+    }
+
+    saveProfile(editingProfile);
+    setEditingProfile(null);
+    setError('');
+    refreshProfiles();
+  };
+
+  // Delete a profile after confirmation
+  const handleDelete = (profile) => {
+    if (window.confirm(`Delete the issuer profile "${profile.profileName}"?`)) {
+      deleteProfile(profile.id);
+      refreshProfiles();
+    }
+  };
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Issuer Profiles
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-red-700 border border-red-200 text-sm">
+            {error}
+          </div>
+        )}
+
+        {editingProfile ? (
+          /* Profile Editor */
+          <div className="overflow-y-auto space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="profileEditorName" className="form-label">
+                  Profile Name *
+                </label>
+                <input
+                  type="text"
+                  id="profileEditorName"
+                  name="profileName"
+                  value={editingProfile.profileName}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="e.g. Father's flats"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="profileEditorSeries" className="form-label">
+                  Numbering Series
+                </label>
+                <input
+                  type="text"
+                  id="profileEditorSeries"
+                  name="receiptSeries"
+                  value={editingProfile.receiptSeries}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="RCT"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="profileEditorTitleName" className="form-label">
+                Title Name (Company/Person) *
+              </label>
+              <input
+                type="text"
+                id="profileEditorTitleName"
+                name="titleName"
+                value={editingProfile.titleName}
+                onChange={handleEditorChange}
+                className="form-input"
+                placeholder="Enter company or person name"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="profileEditorTitleAddress" className="form-label">
+                Title Address
+              </label>
+              <textarea
+                id="profileEditorTitleAddress"
+                name="titleAddress"
+                value={editingProfile.titleAddress}
+                onChange={handleEditorChange}
+                className="form-input"
+                rows="3"
+                placeholder="Enter address"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="profileEditorPan" className="form-label">
+                PAN
+              </label>
+              <input
+                type="text"
+                id="profileEditorPan"
+                name="pan"
+                value={editingProfile.pan}
+                onChange={handleEditorChange}
+                className="form-input uppercase"
+                placeholder="ABCDE1234F"
+                maxLength="10"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="profileEditorGstin" className="form-label">
+                  GSTIN (for tax invoices)
+                </label>
+                <input
+                  type="text"
+                  id="profileEditorGstin"
+                  name="gstin"
+                  value={editingProfile.gstin}
+                  onChange={handleEditorChange}
+                  className="form-input uppercase"
+                  placeholder="27ABCDE1234F1Z5"
+                  maxLength="15"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="profileEditorInvoiceSeries" className="form-label">
+                  Invoice Series
+                </label>
+                <input
+                  type="text"
+                  id="profileEditorInvoiceSeries"
+                  name="invoiceSeries"
+                  value={editingProfile.invoiceSeries}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="INV"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="profileEditorCurrency" className="form-label">
+                  Currency
+                </label>
+                <select
+                  id="profileEditorCurrency"
+                  value={editingProfile.currency}
+                  onChange={handleCurrencyChange}
+                  className="form-input"
+                >
+                  {Object.values(CURRENCIES).map(currency => (
+                    <option key={currency.code} value={currency.code}>
+                      {currency.code} - {currency.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="profileEditorNumberSystem" className="form-label">
+                  Amount in Words
+                </label>
+                <select
+                  id="profileEditorNumberSystem"
+                  name="numberSystem"
+                  value={editingProfile.numberSystem}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                >
+                  {NUMBER_SYSTEMS.map(system => (
+                    <option key={system.value} value={system.value}>{system.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="form-label">Logo</label>
+                {editingProfile.logoDataUrl && (
+                  <img
+                    src={editingProfile.logoDataUrl}
+                    alt="Logo"
+                    className="border border-gray-300 rounded max-h-16 mb-2"
+                  />
+                )}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleLogoChange}
+                  className="text-sm"
+                />
+                {editingProfile.logoDataUrl && (
+                  <button
+                    type="button"
+                    onClick={() => setEditingProfile(prev => ({ ...prev, logoDataUrl: '' }))}
+                    className="text-sm text-red-600 hover:underline mt-1 block"
+                  >
+                    Remove Logo
+                  </button>
+                )}
+              </div>
+
+              <div>
+                <label className="form-label">Saved Signature</label>
+                {editingProfile.signatureDataUrl && (
+                  <img
+                    src={editingProfile.signatureDataUrl}
+                    alt="Signature"
+                    className="border border-gray-300 rounded max-h-16 mb-2"
+                  />
+                )}
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setIsSignatureModalOpen(true)}
+                    className="btn-primary text-sm"
+                  >
+                    {editingProfile.signatureDataUrl ? 'Update Signature' : 'Add Signature'}
+                  </button>
+                  {editingProfile.signatureDataUrl && (
+                    <button
+                      type="button"
+                      onClick={() => setEditingProfile(prev => ({ ...prev, signatureDataUrl: '' }))}
+                      className="btn-danger text-sm"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingProfile(null);
+                  setError('');
+                }}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                className="btn-primary flex-1"
+              >
+                Save Profile
+              </button>
+            </div>
+          </div>
+        ) : (
+          /* Profile List */
+          <>
+            <div className="overflow-y-auto flex-1 border rounded-md divide-y">
+              {profiles.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500 text-center">
+                  No issuer profiles yet.
+                </p>
+              ) : (
+                profiles.map(profile => (
+                  <div key={profile.id} className="p-3 flex items-center gap-2">
+                    <div className="flex-1 text-sm">
+                      <div className="font-medium text-gray-900">{profile.profileName}</div>
+                      <div className="text-gray-500 text-xs">
+                        {[profile.titleName, profile.pan, `Series ${profile.receiptSeries}`, getCurrency(profile.currency).code].filter(Boolean).join(' · ')}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setEditingProfile({ ...emptyProfile, ...profile })}
+                      className="btn-secondary text-sm"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(profile)}
+                      className="btn-danger text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setEditingProfile({ ...emptyProfile })}
+              className="btn-primary mt-4"
+            >
+              Add Profile
+            </button>
+          </>
+        )}
+
+        {/* Signature capture for the profile */}
+        <SignatureModal
+          isOpen={isSignatureModalOpen}
+          onConfirm={(signatureDataUrl) => {
+            setEditingProfile(prev => ({ ...prev, signatureDataUrl }));
+            setIsSignatureModalOpen(false);
+          }}
+          onCancel={() => setIsSignatureModalOpen(false)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default IssuerProfiles;
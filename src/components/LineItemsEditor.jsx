@@ -0,0 +1,86 @@
+import React from 'react';
+import { CHARGE_SUGGESTIONS, createLineItem, getLineItemsTotal } from '../../utils/lineItems';
+import { formatAmount, getCurrencySymbol } from '../../utils/currency';
+
+/**
+ * LineItemsEditor component - Itemised charges for a receipt
+ * Edits rows of description and amount (rent, maintenance, utilities, ...)
+ * and shows their total, which the form uses as the receipt amount
+ */
+const LineItemsEditor = ({ items, onChange, amount, currency, inputClassName }) => {
+  // Update one field of a row
+  const handleItemChange = (id, field, value) => {
+    onChange(items.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+
+  // Start itemising, carrying over the amount already entered as rent
+  if (items.length === 0) {
+    return (
+      <button
+        type="button"
+        onClick={() => onChange([createLineItem('Rent', amount), createLineItem()])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Itemise charges (maintenance, electricity, water, ...)
+      </button>
+    );
+  }
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50">
+      <label className="form-label">Itemised Charges</label>
+
+      <datalist id="chargeSuggestions">
+        {CHARGE_SUGGESTIONS.map(suggestion => (
+          <option key={suggestion} value={suggestion} />
+        ))}
+      </datalist>
+
+      <div className="space-y-2">
+        {items.map(item => (
+          <div key={item.id} className="flex gap-2">
+            <input
+              type="text"
+              list="chargeSuggestions"
+              value={item.description}
+              onChange={(e) => handleItemChange(item.id, 'description', e.target.value)}
+              className={`${inputClassName} flex-1`}
+              placeholder="Description"
+            />
+            <input
+              type="number"
+              value={item.amount}
+              onChange={(e) => handleItemChange(item.id, 'amount', e.target.value)}
+              className={`${inputClassName} w-32`}
+              placeholder={`Amount (${getCurrencySymbol(currency)})`}
+              min="0"
+              step="0.01"
+            />
+            <button
+              type="button"
+              onClick={() => onChange(items.filter(row => row.id !== item.id))}
+              className="btn-danger text-sm"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-3">
+        <button
+          type="button"
+          onClick={() => onChange([...items, createLineItem()])}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          + Add Charge
+        </button>
+        <span className="text-sm font-medium text-gray-900">
+          Total: {formatAmount(getLineItemsTotal(items), currency)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadNumberingSettings,
+  saveNumberingSettings,
+  validateNumberingPattern,
+  getNextReceiptNumber
+} from '../../utils/receiptNumbering';
+
+/**
+ * NumberingSettings component - Configure the receipt number format
+ * Edits the numbering pattern and sequence padding, with a live preview
+ * of the next receipt number for the form's current series and property
+ */
+const NumberingSettings = ({ isOpen, onClose, onSettingsChange, numberingContext }) => {
+  const [settings, setSettings] = useState(loadNumberingSettings);
+  const [error, setError] = useState('');
+
+  // Reload settings every time the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setSettings(loadNumberingSettings());
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Handle settings input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Save the numbering format
+  const handleSave = () => {
+    const patternError = validateNumberingPattern(settings.pattern);
+    if (patternError) {
+      setError(patternError);
+      return;
+    }
+
+    onSettingsChange(saveNumberingSettings(settings));
+    onClose();
+  };
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const patternError = validateNumberingPattern(settings.pattern);
+  const preview = patternError
+    ? ''
+    : getNextReceiptNumber(numberingContext, {
+      pattern: settings.pattern,
+      sequencePadding: Math.max(parseInt(settings.sequencePadding) || 1, 1)
+    }).receiptNumber;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+            Receipt Number Format
+          </h3>
+          <p className="text-sm text-gray-600">
+            Numbers run in sequence per series and restart at 1 every April.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-red-700 border border-red-200 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <div>
+            <label htmlFor="numberingPattern" className="form-label">
+              Pattern
+            </label>
+            <input
+              type="text"
+              id="numberingPattern"
+              name="pattern"
+              value={settings.pattern}
+              onChange={handleChange}
+              className="form-input font-mono"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Tokens: {'{PREFIX}'} series prefix, {'{FY}'} 2025-26, {'{FYSHORT}'} 2526,
+              {' '}{'{PROP}'} property code, {'{SEQ}'} sequence number
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="numberingPadding" className="form-label">
+              Sequence Digits
+            </label>
+            <input
+              type="number"
+              id="numberingPadding"
+              name="sequencePadding"
+              value={settings.sequencePadding}
+              onChange={handleChange}
+              className="form-input"
+              min="1"
+              max="10"
+            />
+          </div>
+
+          <div className="border rounded-lg p-3 bg-gray-50">
+            <span className="text-sm text-gray-600">Next receipt number: </span>
+            <span className="font-mono font-medium text-gray-900">
+              {preview || patternError}
+            </span>
+          </div>
+        </div>
+
+        <div className="flex justify-between space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary flex-1"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            className="btn-primary flex-1"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NumberingSettings;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { getPaymentMode } from '../../utils/payments';
+
+/**
+ * PaymentDetailsFields component - Reference and details of a non-cash payment
+ * Asks for the reference the payment mode uses (cheque number, UTR, deposit
+ * slip number) and the mode's further details (cheque date, bank, payer UPI ID)
+ */
+const PaymentDetailsFields = ({ mode, referenceNo, details, onReferenceChange, onDetailChange, inputClassName, labelClassName }) => {
+  const paymentMode = getPaymentMode(mode);
+  if (!paymentMode.reference) return null;
+
+  return (
+    <>
+      <div>
+        <label htmlFor="referenceNo" className={labelClassName}>
+          {paymentMode.reference.label} *
+        </label>
+        <input
+          type="text"
+          id="referenceNo"
+          name="referenceNo"
+          value={referenceNo}
+          onChange={onReferenceChange}
+          className={inputClassName}
+          placeholder={paymentMode.reference.format}
+          required
+        />
+      </div>
+
+      {paymentMode.details.map(field => (
+        <div key={field.name}>
+          <label htmlFor={field.name} className={labelClassName}>
+            {field.label}{field.required ? ' *' : ''}
+          </label>
+          <input
+            type={field.type || 'text'}
+            id={field.name}
+            name={field.name}
+            value={details[field.name] || ''}
+            onChange={onDetailChange}
+            className={inputClassName}
+            placeholder={field.placeholder}
+            required={field.required}
+          />
+        </div>
+      ))}
+    </>
+  );
+};
+
+export default PaymentDetailsFields;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { PAYMENT_MODES, getPaymentMode, createPayment, getPaymentsTotal } from '../../utils/payments';
+import { formatAmount, getCurrencySymbol } from '../../utils/currency';
+
+/**
+ * PaymentsEditor component - Split a receipt across several payments
+ * Edits rows of payment mode, amount, reference, details and date (part
+ * cash, part UPI, ...) and shows their total against the amount received
+ */
+const PaymentsEditor = ({ payments, onChange, paymentMode, referenceNo, paymentDetails, amountReceived, currency, inputClassName }) => {
+  // Update one field of a row
+  const handlePaymentChange = (id, field, value) => {
+    onChange(payments.map(payment => (payment.id === id ? { ...payment, [field]: value } : payment)));
+  };
+
+  // Update one detail (cheque date, bank, ...) of a row
+  const handleDetailChange = (payment, name, value) => {
+    handlePaymentChange(payment.id, 'paymentDetails', { ...payment.paymentDetails, [name]: value });
+  };
+
+  // Start splitting, carrying over the payment already entered
+  if (payments.length === 0) {
+    return (
+      <button
+        type="button"
+        onClick={() => onChange([
+          createPayment(paymentMode, amountReceived, paymentMode === 'Cash' ? '' : referenceNo, '', paymentDetails),
+          createPayment(paymentMode === 'Cash' ? 'UPI Payment' : 'Cash')
+        ])}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Split payment (part cash, part UPI, ...)
+      </button>
+    );
+  }
+
+  const total = getPaymentsTotal(payments);
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50">
+      <label className="form-label">Payments</label>
+
+      <div className="space-y-2">
+        {payments.map(payment => (
+          <div key={payment.id} className="flex flex-wrap gap-2">
+            <select
+              value={payment.mode}
+              onChange={(e) => handlePaymentChange(payment.id, 'mode', e.target.value)}
+              className={`${inputClassName} w-40`}
+              aria-label="Payment mode"
+            >
+              {PAYMENT_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={payment.amount}
+              onChange={(e) => handlePaymentChange(payment.id, 'amount', e.target.value)}
+              className={`${inputClassName} w-32`}
+              placeholder={`Amount (${getCurrencySymbol(currency)})`}
+              min="0"
+              step="0.01"
+            />
+            {getPaymentMode(payment.mode).reference && (
+              <>
+                <input
+                  type="text"
+                  value={payment.referenceNo}
+                  onChange={(e) => handlePaymentChange(payment.id, 'referenceNo', e.target.value)}
+                  className={`${inputClassName} flex-1`}
+                  placeholder={`${getPaymentMode(payment.mode).reference.label} *`}
+                />
+                {getPaymentMode(payment.mode).details.map(field => (
+                  <input
+                    key={field.name}
+                    type={field.type || 'text'}
+                    value={(payment.paymentDetails || {})[field.name] || ''}
+                    onChange={(e) => handleDetailChange(payment, field.name, e.target.value)}
+                    className={`${inputClassName} ${field.type === 'date' ? 'w-40' : 'flex-1'}`}
+                    placeholder={`${field.label}${field.required ? ' *' : ''}`}
+                    aria-label={field.label}
+                  />
+                ))}
+                <input
+                  type="date"
+                  value={payment.date}
+                  onChange={(e) => handlePaymentChange(payment.id, 'date', e.target.value)}
+                  className={`${inputClassName} w-40`}
+                  aria-label="Date paid (defaults to the transaction date)"
+                />
+              </>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(payments.filter(row => row.id !== payment.id))}
+              className="btn-danger text-sm"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-3">
+        <button
+          type="button"
+          onClick={() => onChange([...payments, createPayment()])}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          + Add Payment
+        </button>
+        <span className={`text-sm font-medium ${Number(total) === Number(amountReceived || 0) ? 'text-gray-900' : 'text-red-700'}`}>
+          Total: {formatAmount(total, currency)} of {formatAmount(amountReceived || '0', currency)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentsEditor;
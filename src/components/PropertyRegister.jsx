@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { loadProperties, saveProperty, deleteProperty, emptyProperty, createUnit, UNIT_TYPES } from '../../utils/properties';
+
+/**
+ * PropertyRegister component - Manage properties and their rental units
+ * Each property has a name, short code and address, and a list of units
+ * (flat/shop number, residential or commercial) that tenants rent
+ */
+const PropertyRegister = ({ isOpen, onClose, onPropertiesChange }) => {
+  const [properties, setProperties] = useState([]);
+  const [editingProperty, setEditingProperty] = useState(null);
+  const [error, setError] = useState('');
+
+  // Reload properties every time the register is opened
+  useEffect(() => {
+    if (isOpen) {
+      setProperties(loadProperties());
+      setEditingProperty(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Refresh the list and let the form pick up the changes
+  const refreshProperties = () => {
+    const updated = loadProperties();
+    setProperties(updated);
+    onPropertiesChange(updated);
+  };
+
+  // Handle property field changes
+  const handleEditorChange = (e) => {
+    const { name, value } = e.target;
+    setEditingProperty(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Handle changes to a single unit row
+  const handleUnitChange = (unitId, field, value) => {
+    setEditingProperty(prev => ({
+      ...prev,
+      units: prev.units.map(unit => (unit.id === unitId ? { ...unit, [field]: value } : unit))
+    }));
+  };
+
+  // Save the property being edited
+  const handleSave = () => {
+    if (!editingProperty.name.trim()) {
+      setError('Property name is required.');
+      return;
+    }
+
+    saveProperty(editingProperty);
+    setEditingProperty(null);
+    setError('');
+    refreshProperties();
+  };
+
+  // Delete a property after confirmation
+  const handleDelete = (property) => {
+    if (window.confirm(`Delete ${property.name} and all of its units?`)) {
+      deleteProperty(property.id);
+      refreshProperties();
+    }
+  };
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Properties &amp; Units
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-red-700 border border-red-200 text-sm">
+            {error}
+          </div>
+        )}
+
+        {editingProperty ? (
+          /* Property Editor */
+          <div className="overflow-y-auto space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div className="md:col-span-2">
+                <label htmlFor="propertyEditorName" className="form-label">
+                  Property Name *
+                </label>
+                <input
+                  type="text"
+                  id="propertyEditorName"
+                  name="name"
+                  value={editingProperty.name}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="e.g. Green Park Apartments"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="propertyEditorCode" className="form-label">
+                  Code
+                </label>
+                <input
+                  type="text"
+                  id="propertyEditorCode"
+                  name="code"
+                  value={editingProperty.code}
+                  onChange={handleEditorChange}
+                  className="form-input uppercase"
+                  placeholder="e.g. GP"
+                  maxLength="6"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="propertyEditorAddress" className="form-label">
+                Address
+              </label>
+              <textarea
+                id="propertyEditorAddress"
+                name="address"
+                value={editingProperty.address}
+                onChange={handleEditorChange}
+                className="form-input"
+                rows="3"
+                placeholder="Enter property address"
+              />
+            </div>
+
+            <div>
+              <label className="form-label">Units</label>
+              <div className="space-y-2">
+                {editingProperty.units.map(unit => (
+                  <div key={unit.id} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={unit.unitNumber}
+                      onChange={(e) => handleUnitChange(unit.id, 'unitNumber', e.target.value)}
+                      className="form-input flex-1"
+                      placeholder="e.g. Flat 302"
+                    />
+                    <select
+                      value={unit.type}
+                      onChange={(e) => handleUnitChange(unit.id, 'type', e.target.value)}
+                      className="form-input w-40"
+                    >
+                      {UNIT_TYPES.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => setEditingProperty(prev => ({
+                        ...prev,
+                        units: prev.units.filter(item => item.id !== unit.id)
+                      }))}
+                      className="btn-danger text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setEditingProperty(prev => ({ ...prev, units: [...prev.units, createUnit()] }))}
+                className="text-sm text-blue-600 hover:underline mt-2"
+              >
+                + Add Unit
+              </button>
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingProperty(null);
+                  setError('');
+                }}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                className="btn-primary flex-1"
+              >
+                Save Property
+              </button>
+            </div>
+          </div>
+        ) : (
+          /* Property List */
+          <>
+            <div className="overflow-y-auto flex-1 border rounded-md divide-y">
+              {properties.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500 text-center">
+                  No properties registered yet.
+                </p>
+              ) : (
+                properties.map(property => (
+                  <div key={property.id} className="p-3 flex items-center gap-2">
+                    <div className="flex-1 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {property.name}{property.code ? ` (${property.code})` : ''}
+                      </div>
+                      <div className="text-gray-500 text-xs">
+                        {property.units.length} unit{property.units.length === 1 ? '' : 's'}
+                        {property.units.length > 0 ? `: ${property.units.map(unit => `${unit.unitNumber} (${unit.type})`).join(', ')}` : ''}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setEditingProperty({ ...emptyProperty, ...property })}
+                      className="btn-secondary text-sm"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(property)}
+                      className="btn-danger text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setEditingProperty({ ...emptyProperty, units: [createUnit()] })}
+              className="btn-primary mt-4"
+            >
+              Add Property
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PropertyRegister;
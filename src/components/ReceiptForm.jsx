@@ -1,6 +1,61 @@
 import React, { useState, useEffect } from 'react';
 import SignatureModal from './SignatureModal';
-import { generateReceiptPDF, formatDate, generateReceiptNumber } from '../utils/pdf';
+import ReceiptHistory from './ReceiptHistory';
+import TenantDirectory from './TenantDirectory';
+import IssuerProfiles from './IssuerProfiles';
+import PropertyRegister from './PropertyRegister';
+import NumberingSettings from './NumberingSettings';
+import TenantNameInput from './TenantNameInput';
+import LineItemsEditor from './LineItemsEditor';
+import PaymentsEditor from './PaymentsEditor';
+import PaymentDetailsFields from './PaymentDetailsFields';
+import TenantLedger from './TenantLedger';
+import ChequeClearance from './ChequeClearance';
+import HraPack from './HraPack';
+import BulkGenerator from './BulkGenerator';
+import {
+  generateReceiptPDF,
+  generateHraPackPDF,
+  generateCombinedReceiptsPDF,
+  generateReceiptsZip,
+  getBulkFilename,
+  formatDate
+} from '../utils/pdf';
+import { saveReceipt, loadReceipts } from '../../utils/receiptHistory';
+import { validateLineItems, applyRentToLineItems, getLineItemsTotal } from '../../utils/lineItems';
+import { loadTenants, getTenantFormDefaults, findTenantByName } from '../../utils/tenantDirectory';
+import { hasLedger, buildTenantLedger, getBalanceAfterPayment } from '../../utils/tenantLedger';
+import { loadProfiles, getProfileFormDefaults, DEFAULT_RECEIPT_SERIES, DEFAULT_INVOICE_SERIES } from '../../utils/issuerProfiles';
+import { DEFAULT_CURRENCY, getCurrencySymbol, formatAmount } from '../../utils/currency';
+import { RECEIPT_LANGUAGES, DEFAULT_RECEIPT_LANGUAGE } from '../../utils/receiptLanguages';
+import { RECEIPT_TYPES, DEFAULT_RECEIPT_TYPE, getReceiptType } from '../../utils/receiptTypes';
+import { TDS_SECTIONS, getTdsSection, calculateTds, getNetAmount, validateTds } from '../../utils/tds';
+import { GST_STATES, DEFAULT_SAC_CODE, DEFAULT_GST_RATE, calculateGst, getGstinStateCode, validateInvoice } from '../../utils/gst';
+import { HRA_PAN_THRESHOLD, getHraPanStatus, validateLandlordPan, validateMissingReceipts } from '../../utils/hra';
+import { loadRevenueStampSettings, saveRevenueStampSettings, needsRevenueStamp } from '../../utils/revenueStamp';
+import { getMonthStart, getMonthEnd, getMonthSpan, getMultiMonthTotal, validateMultiMonth } from '../../utils/multiMonth';
+import { RENT_TERMS, getDefaultPeriod, getLastPeriodEnd } from '../../utils/rentTerms';
+import { PRORATION_METHODS, DEFAULT_PRORATION_METHOD, calculateProration, validateProration } from '../../utils/proration';
+import { loadDatePolicy, saveDatePolicy, getDateConstraints, describeDateRange, checkReceiptDates } from '../../utils/datePolicy';
+import { CHEQUE_STATUSES, hasChequePayment } from '../../utils/chequeClearance';
+import {
+  PAYMENT_MODES,
+  getAmountReceived,
+  getIssuedPayments,
+  summarisePayments,
+  cleanPaymentDetails,
+  validatePaymentDetails,
+  validatePayments
+} from '../../utils/payments';
+import { loadProperties, listUnits, getUnitFormDefaults } from '../../utils/properties';
+import {
+  loadNumberingSettings,
+  getNextReceiptNumber,
+  getNextReceiptNumbers,
+  commitReceiptNumber,
+  resetReceiptCounters,
+  getNumberingContext
+} from '../../utils/receiptNumbering';
 
 /**
  * ReceiptForm component - Main form for creating rental receipts
@@ -9,26 +64,110 @@ import { generateReceiptPDF, formatDate, generateReceiptNumber } from '../utils/
 const ReceiptForm = () => {
   // Form state
   const [formData, setFormData] = useState({
+    profileId: '',
     titleName: '',
     titleAddress: '',
+    titlePan: '',
+    titleLogo: '',
+    titleGstin: '',
+    receiptSeries: DEFAULT_RECEIPT_SERIES,
+    invoiceSeries: DEFAULT_INVOICE_SERIES,
+    currency: DEFAULT_CURRENCY,
+    numberSystem: 'indian',
+    documentType: 'receipt',
+    receiptType: DEFAULT_RECEIPT_TYPE,
     tenantName: '',
+    tenantGstin: '',
+    propertyId: '',
+    unitId: '',
+    unitType: '',
+    premisesAddress: '',
     durationFrom: '',
     durationTo: '',
+    multiMonth: false,
+    prorated: false,
+    prorationMethod: DEFAULT_PRORATION_METHOD,
+    monthlyRent: '',
     term: 'Monthly',
     amount: '',
+    lineItems: [],
+    payments: [],
     dateOfTransaction: new Date().toISOString().split('T')[0], // Today's date
     paymentMode: 'Cash',
     referenceNo: '',
+    paymentDetails: {},
+    chequeStatus: 'deposited',
+    subjectToRealisation: false,
+    tdsApplicable: false,
+    tdsSection: TDS_SECTIONS[0].value,
+    tdsRate: TDS_SECTIONS[0].defaultRate,
+    tdsAmount: '',
+    tdsReference: '',
+    placeOfSupply: '',
+    sacCode: DEFAULT_SAC_CODE,
+    gstRate: DEFAULT_GST_RATE,
     receiptNumber: '',
+    language: DEFAULT_RECEIPT_LANGUAGE,
+    showBalance: false,
     eSignatureRequired: false
   });
 
   // Component state
   const [signatureDataUrl, setSignatureDataUrl] = useState('');
   const [isSignatureModalOpen, setIsSignatureModalOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isTenantDirectoryOpen, setIsTenantDirectoryOpen] = useState(false);
+  const [tenants, setTenants] = useState(() => loadTenants());
+  const [isLedgerOpen, setIsLedgerOpen] = useState(false);
+  const [isChequesOpen, setIsChequesOpen] = useState(false);
+  const [tenantLedger, setTenantLedger] = useState(null);
+  const [isHraPackOpen, setIsHraPackOpen] = useState(false);
+  const [isBulkOpen, setIsBulkOpen] = useState(false);
+  const [hraStatus, setHraStatus] = useState(null);
+  const [isProfilesOpen, setIsProfilesOpen] = useState(false);
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [isPropertyRegisterOpen, setIsPropertyRegisterOpen] = useState(false);
+  const [properties, setProperties] = useState(() => loadProperties());
+  const [isNumberingOpen, setIsNumberingOpen] = useState(false);
+  const [numberingSettings, setNumberingSettings] = useState(() => loadNumberingSettings());
+  const [numberingRevision, setNumberingRevision] = useState(0);
+  const [stampSettings, setStampSettings] = useState(() => loadRevenueStampSettings());
+  const [datePolicy, setDatePolicy] = useState(() => loadDatePolicy());
   const [isGenerating, setIsGenerating] = useState(false);
   const [message, setMessage] = useState('');
 
+  // Fields asked for depend on the receipt type; a tax invoice bills rent without recording a payment
+  const isInvoice = formData.documentType === 'invoice';
+  const receiptType = isInvoice
+    ? { ...getReceiptType('rent'), isPayment: false, allowsTds: false }
+    : getReceiptType(formData.receiptType);
+  const invoiceGst = isInvoice
+    ? calculateGst(formData.amount, formData.gstRate, getGstinStateCode(formData.titleGstin), formData.placeOfSupply)
+    : null;
+  // A split payment lists each part paid (part cash, part UPI, ...) instead of one payment mode
+  const isSplitPayment = receiptType.isPayment && !isInvoice && formData.payments.length > 0;
+  const paysCash = isSplitPayment
+    ? formData.payments.some(payment => payment.mode === 'Cash')
+    : formData.paymentMode === 'Cash';
+  // A cheque (or a cheque part of a split payment) is tracked until it clears
+  const paysByCheque = receiptType.isPayment && !isInvoice && hasChequePayment(formData);
+  const revenueStamp = needsRevenueStamp(formData, stampSettings);
+
+  // Period and transaction dates against the date policy: errors block the receipt, warnings only flag it
+  const dateConstraints = getDateConstraints(datePolicy);
+  const dateCheck = checkReceiptDates(formData, datePolicy, receiptType.hasPeriod);
+
+  // A multi-month receipt bills whole months of rent at a fixed rent per month
+  const isMultiMonth = receiptType.hasPeriod && !isInvoice && formData.multiMonth;
+  const coveredMonths = isMultiMonth ? getMonthSpan(formData.durationFrom, formData.durationTo) : [];
+
+  // A pro-rated receipt charges the monthly rent for the days of a partial period
+  const isProrated = receiptType.hasPeriod && !isInvoice && !isMultiMonth && formData.prorated;
+  const proration = isProrated
+    ? calculateProration(formData.monthlyRent, formData.durationFrom, formData.durationTo, formData.prorationMethod)
+    : null;
+  const proratedTotal = proration ? proration.total : '';
+
   // Helper function to get previous month's start and end dates
   const getPreviousMonthDates = () => {
     const now = new Date();
@@ -49,39 +188,13 @@ const ReceiptForm = () => {
     return { startDate, endDate };
   };
 
-  // Helper function to get date constraints
-  const getDateConstraints = () => {
-    const now = new Date();
-    // One year ago from the 1st of current month
-    const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), 1);
-    // End of current month (last day of current month)
-    const currentMonthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    
-    // Format dates as YYYY-MM-DD
-    const minDate = oneYearAgo.getFullYear() + '-' + 
-                   String(oneYearAgo.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(oneYearAgo.getDate()).padStart(2, '0');
-    const maxDate = currentMonthEnd.getFullYear() + '-' + 
-                   String(currentMonthEnd.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(currentMonthEnd.getDate()).padStart(2, '0');
-    
-    console.log('Date constraints:', { minDate, maxDate, now: now.toISOString() });
-    return { minDate, maxDate };
-  };
-
-  // Initialize form with stored data and generate receipt number
+  // Initialize form with stored data
   useEffect(() => {
-    // Load last receipt number from localStorage
-    const lastSequence = parseInt(localStorage.getItem('rental_receipt_seq') || '0');
-    const nextSequence = lastSequence + 1;
-    const receiptNumber = generateReceiptNumber(nextSequence);
-
     // Get default dates for previous month
     const { startDate, endDate } = getPreviousMonthDates();
 
     setFormData(prev => ({
       ...prev,
-      receiptNumber,
       durationFrom: startDate,
       durationTo: endDate
     }));
@@ -91,53 +204,181 @@ const ReceiptForm = () => {
     if (savedFormData) {
       try {
         const parsed = JSON.parse(savedFormData);
+        const savedProfile = profiles.find(profile => profile.id === parsed.profileId);
         setFormData(prev => ({
           ...prev,
           ...parsed,
-          receiptNumber, // Always use new receipt number
+          titleLogo: savedProfile ? savedProfile.logoDataUrl : '',
           dateOfTransaction: new Date().toISOString().split('T')[0], // Always use today's date
           // Override with default dates if not set
           durationFrom: parsed.durationFrom || startDate,
           durationTo: parsed.durationTo || endDate
         }));
+        if (savedProfile && savedProfile.signatureDataUrl) {
+          setSignatureDataUrl(savedProfile.signatureDataUrl);
+        }
       } catch (error) {
         console.warn('Could not load saved form data:', error);
       }
     }
   }, []);
 
+  // Preview the next receipt number for the current series and property
+  useEffect(() => {
+    const { receiptNumber } = getNextReceiptNumber(
+      getNumberingContext(formData, properties),
+      numberingSettings
+    );
+    setFormData(prev => ({ ...prev, receiptNumber }));
+  }, [formData.documentType, formData.receiptSeries, formData.invoiceSeries, formData.propertyId, properties, numberingSettings, numberingRevision]);
+
   // Save form data to localStorage on changes (except receipt number and date)
   useEffect(() => {
     const dataToSave = {
+      profileId: formData.profileId,
       titleName: formData.titleName,
       titleAddress: formData.titleAddress,
+      titlePan: formData.titlePan,
+      titleGstin: formData.titleGstin,
+      receiptSeries: formData.receiptSeries,
+      invoiceSeries: formData.invoiceSeries,
+      currency: formData.currency,
+      numberSystem: formData.numberSystem,
+      documentType: formData.documentType,
+      receiptType: formData.receiptType,
       tenantName: formData.tenantName,
+      tenantGstin: formData.tenantGstin,
+      propertyId: formData.propertyId,
+      unitId: formData.unitId,
+      unitType: formData.unitType,
+      premisesAddress: formData.premisesAddress,
       durationFrom: formData.durationFrom,
       durationTo: formData.durationTo,
       term: formData.term,
+      multiMonth: formData.multiMonth,
+      prorated: formData.prorated,
+      prorationMethod: formData.prorationMethod,
+      monthlyRent: formData.monthlyRent,
       amount: formData.amount,
+      lineItems: formData.lineItems,
+      payments: formData.payments,
       paymentMode: formData.paymentMode,
       referenceNo: formData.referenceNo,
+      paymentDetails: formData.paymentDetails,
+      subjectToRealisation: formData.subjectToRealisation,
+      tdsApplicable: formData.tdsApplicable,
+      tdsSection: formData.tdsSection,
+      tdsRate: formData.tdsRate,
+      placeOfSupply: formData.placeOfSupply,
+      sacCode: formData.sacCode,
+      gstRate: formData.gstRate,
+      language: formData.language,
+      showBalance: formData.showBalance,
       eSignatureRequired: formData.eSignatureRequired
     };
     localStorage.setItem('rental_receipt_form_data', JSON.stringify(dataToSave));
   }, [formData]);
 
+  // Work out the TDS whenever the gross amount or the rate changes
+  useEffect(() => {
+    if (!formData.tdsApplicable) return;
+    setFormData(prev => ({ ...prev, tdsAmount: calculateTds(prev.amount, prev.tdsRate) }));
+  }, [formData.amount, formData.tdsRate, formData.tdsApplicable]);
+
+  // Work out the amount of a multi-month receipt from the rent per month
+  useEffect(() => {
+    if (!isMultiMonth) return;
+    setFormData(prev => ({ ...prev, amount: getMultiMonthTotal(prev.monthlyRent, coveredMonths.length) }));
+  }, [isMultiMonth, formData.monthlyRent, coveredMonths.length]);
+
+  // Work out the amount of a pro-rated receipt from the rent per month and the days covered
+  useEffect(() => {
+    if (!isProrated) return;
+    setFormData(prev => ({ ...prev, amount: proratedTotal }));
+  }, [isProrated, proratedTotal]);
+
+  // Look up the running balance of a tenant from the directory
+  useEffect(() => {
+    const tenant = findTenantByName(tenants, formData.tenantName);
+    setTenantLedger(hasLedger(tenant) ? buildTenantLedger(tenant, loadReceipts()) : null);
+  }, [formData.tenantName, tenants, numberingRevision]);
+
+  // Running financial-year rent of the tenant, for the HRA PAN threshold
+  useEffect(() => {
+    setHraStatus(getHraPanStatus(formData, loadReceipts()));
+  }, [formData.tenantName, formData.dateOfTransaction, formData.amount, formData.lineItems, formData.receiptType, formData.documentType, formData.currency, numberingRevision]);
+
+  // Default period for a term: following on from the tenant's last receipt,
+  // else counted from their rent start date (empty for a custom term)
+  const getPeriodDefaults = (term, tenantName) => {
+    const tenant = findTenantByName(tenants, tenantName);
+    return getDefaultPeriod(term, {
+      lastPeriodEnd: getLastPeriodEnd(loadReceipts(), tenantName),
+      rentStartDate: tenant ? tenant.rentStartDate : ''
+    }) || {};
+  };
+
   // Handle form input changes
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
-    // Handle term change - update duration dates
+    // Handle term change - work out the period for the new term
     if (name === 'term') {
-      const { startDate, endDate } = getPreviousMonthDates();
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        durationFrom: startDate,
-        durationTo: endDate
+        ...getPeriodDefaults(value, prev.tenantName)
+      }));
+      return;
+    }
+
+    // A multi-month receipt covers whole months of monthly rent
+    if (name === 'multiMonth') {
+      setFormData(prev => ({
+        ...prev,
+        multiMonth: checked,
+        ...(checked ? {
+          prorated: false,
+          term: 'Monthly',
+          monthlyRent: prev.monthlyRent || prev.amount,
+          durationFrom: getMonthStart(prev.durationFrom.slice(0, 7)),
+          durationTo: getMonthEnd(prev.durationTo.slice(0, 7))
+        } : {})
       }));
       return;
     }
+
+    // Pro-rating starts from the rent per month (the amount typed so far, if any)
+    if (name === 'prorated') {
+      setFormData(prev => ({
+        ...prev,
+        prorated: checked,
+        ...(checked ? { term: 'Monthly', monthlyRent: prev.monthlyRent || prev.amount } : {})
+      }));
+      return;
+    }
+
+    // The month pickers set the period to the first and last day of the months
+    if (name === 'monthFrom') {
+      setFormData(prev => ({ ...prev, durationFrom: getMonthStart(value) }));
+      return;
+    }
+    if (name === 'monthTo') {
+      setFormData(prev => ({ ...prev, durationTo: getMonthEnd(value) }));
+      return;
+    }
+
+    // Each TDS section has its own default rate
+    if (name === 'tdsSection') {
+      setFormData(prev => ({ ...prev, tdsSection: value, tdsRate: getTdsSection(value).defaultRate }));
+      return;
+    }
+
+    // Itemised charges only apply to receipt types that allow them
+    if (name === 'receiptType' && !getReceiptType(value).allowsCharges) {
+      setFormData(prev => ({ ...prev, receiptType: value, lineItems: [] }));
+      return;
+    }
     
     setFormData(prev => ({
       ...prev,
@@ -145,6 +386,110 @@ const ReceiptForm = () => {
     }));
   };
 
+  // Change and store the revenue stamp setting
+  const handleStampSettingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setStampSettings(prev => saveRevenueStampSettings({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Change and store the date policy
+  const handleDatePolicyChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setDatePolicy(prev => saveDatePolicy({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Apply the issuer profile picked at the top of the form
+  const handleProfileSelect = (e) => {
+    const profile = profiles.find(item => item.id === e.target.value);
+
+    if (!profile) {
+      setFormData(prev => ({
+        ...prev,
+        profileId: '',
+        titlePan: '',
+        titleLogo: '',
+        titleGstin: '',
+        receiptSeries: DEFAULT_RECEIPT_SERIES,
+        invoiceSeries: DEFAULT_INVOICE_SERIES,
+        currency: DEFAULT_CURRENCY,
+        numberSystem: 'indian'
+      }));
+      return;
+    }
+
+    setFormData(prev => ({
+      ...prev,
+      ...getProfileFormDefaults(profile)
+    }));
+    setSignatureDataUrl(profile.signatureDataUrl || '');
+  };
+
+  // Prefill the form from a tenant picked in the autocomplete
+  const handleTenantSelect = (tenant) => {
+    setFormData(prev => {
+      const updated = {
+        ...prev,
+        ...getTenantFormDefaults(tenant),
+        ...(tenant.unitId ? getUnitFormDefaults(properties, tenant.unitId) : {})
+      };
+
+      // On an itemised receipt the agreed rent goes into the rent line
+      if (prev.lineItems.length > 0) {
+        updated.lineItems = tenant.agreedRent
+          ? applyRentToLineItems(prev.lineItems, String(tenant.agreedRent))
+          : prev.lineItems;
+        updated.amount = getLineItemsTotal(updated.lineItems);
+      }
+
+      // On a multi-month receipt the agreed rent is the rent per month
+      if (isMultiMonth && tenant.agreedRent) {
+        updated.monthlyRent = String(tenant.agreedRent);
+        updated.amount = getMultiMonthTotal(updated.monthlyRent, coveredMonths.length);
+      }
+
+      // Otherwise pick up the period where the tenant's receipts left off
+      if (!isMultiMonth) {
+        Object.assign(updated, getPeriodDefaults(updated.term, tenant.name));
+      }
+
+      // A pro-rated receipt charges the agreed rent for the days covered
+      if (isProrated) {
+        if (tenant.agreedRent) updated.monthlyRent = String(tenant.agreedRent);
+        const tenantProration = calculateProration(updated.monthlyRent, updated.durationFrom, updated.durationTo, updated.prorationMethod);
+        updated.amount = tenantProration ? tenantProration.total : '';
+      }
+      return updated;
+    });
+  };
+
+  // Change one detail (cheque date, bank, ...) of the payment
+  const handlePaymentDetailChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, paymentDetails: { ...prev.paymentDetails, [name]: value } }));
+  };
+
+  // Replace the payments of a split receipt
+  const handlePaymentsChange = (payments) => {
+    setFormData(prev => ({ ...prev, payments }));
+  };
+
+  // Keep the receipt amount equal to the total of the itemised charges
+  const handleLineItemsChange = (lineItems) => {
+    setFormData(prev => ({
+      ...prev,
+      lineItems,
+      amount: lineItems.length > 0 ? getLineItemsTotal(lineItems) : prev.amount
+    }));
+  };
+
+  // Set the rented premises from the property register
+  const handleUnitSelect = (e) => {
+    setFormData(prev => ({
+      ...prev,
+      ...getUnitFormDefaults(properties, e.target.value)
+    }));
+  };
+
   // Handle signature modal open
   const handleSignatureRequired = () => {
     setIsSignatureModalOpen(true);
@@ -165,7 +510,9 @@ const ReceiptForm = () => {
 
   // Validate form data
   const validateForm = () => {
-    const required = ['titleName', 'tenantName', 'durationFrom', 'durationTo', 'amount'];
+    const required = receiptType.hasPeriod
+      ? ['titleName', 'tenantName', 'durationFrom', 'durationTo', 'amount']
+      : ['titleName', 'tenantName', 'amount'];
     const missing = required.filter(field => !formData[field].trim());
     
     if (missing.length > 0) {
@@ -173,36 +520,65 @@ const ReceiptForm = () => {
       return false;
     }
 
-    // Check reference number requirement for non-cash payments
-    if (formData.paymentMode !== 'Cash' && !formData.referenceNo.trim()) {
-      setMessage('Reference number is required for non-cash payments.');
+    const lineItemsError = validateLineItems(formData.lineItems);
+    if (lineItemsError) {
+      setMessage(lineItemsError);
       return false;
     }
 
-    if (formData.eSignatureRequired && !signatureDataUrl) {
-      setMessage('E-signature is required but not provided. Please sign the document.');
+    const multiMonthError = isMultiMonth ? validateMultiMonth(formData) : '';
+    if (multiMonthError) {
+      setMessage(multiMonthError);
+      return false;
+    }
+
+    const prorationError = isProrated ? validateProration(formData) : '';
+    if (prorationError) {
+      setMessage(prorationError);
+      return false;
+    }
+
+    const tdsError = receiptType.allowsTds ? validateTds(formData, formData.amount) : '';
+    if (tdsError) {
+      setMessage(tdsError);
+      return false;
+    }
+
+    const invoiceError = isInvoice ? validateInvoice(formData) : '';
+    if (invoiceError) {
+      setMessage(invoiceError);
       return false;
     }
 
-    // Validate date ranges
-    const { minDate, maxDate } = getDateConstraints();
-    const durationFrom = new Date(formData.durationFrom);
-    const durationTo = new Date(formData.durationTo);
-    const minDateObj = new Date(minDate);
-    const maxDateObj = new Date(maxDate);
+    const panError = validateLandlordPan(formData.titlePan.trim(), getHraPanStatus(formData, loadReceipts()));
+    if (panError) {
+      setMessage(panError);
+      return false;
+    }
 
-    if (durationFrom < minDateObj || durationFrom > maxDateObj) {
-      setMessage('Duration From date must be within the allowed range (1 year ago to end of current month).');
+    const paymentsError = isSplitPayment ? validatePayments(formData) : '';
+    if (paymentsError) {
+      setMessage(paymentsError);
       return false;
     }
 
-    if (durationTo < minDateObj || durationTo > maxDateObj) {
-      setMessage('Duration To date must be within the allowed range (1 year ago to end of current month).');
+    // Reference and details of a non-cash payment, in the format its mode uses
+    const paymentError = receiptType.isPayment && !isSplitPayment
+      ? validatePaymentDetails({ mode: formData.paymentMode, referenceNo: formData.referenceNo, paymentDetails: formData.paymentDetails })
+      : '';
+    if (paymentError) {
+      setMessage(paymentError);
+      return false;
+    }
+
+    if (formData.eSignatureRequired && !signatureDataUrl) {
+      setMessage('E-signature is required but not provided. Please sign the document.');
       return false;
     }
 
-    if (durationFrom > durationTo) {
-      setMessage('Duration From date cannot be after Duration To date.');
+    // Dates outside the date policy (warnings are shown on the form and do not block)
+    if (dateCheck.error) {
+      setMessage(dateCheck.error);
       return false;
     }
 
@@ -219,50 +595,82 @@ const ReceiptForm = () => {
     setMessage('');
 
     try {
+      // Take the next free number in the series (never a number already issued)
+      const issuedNumber = getNextReceiptNumber(getNumberingContext(formData, properties), numberingSettings);
+
       // Prepare form data for PDF generation
       const pdfData = {
         ...formData,
-        dateOfTransaction: formatDate(formData.dateOfTransaction)
+        receiptNumber: issuedNumber.receiptNumber,
+        dateOfTransaction: formatDate(formData.dateOfTransaction),
+        receiptDate: new Date().toISOString().split('T')[0],
+        tdsApplicable: receiptType.allowsTds && formData.tdsApplicable,
+        multiMonth: isMultiMonth,
+        prorated: isProrated,
+        monthlyRent: isMultiMonth || isProrated ? formData.monthlyRent : '',
+        paymentDetails: isSplitPayment ? {} : cleanPaymentDetails(formData.paymentMode, formData.paymentDetails),
+        payments: isSplitPayment ? getIssuedPayments(formData.payments) : [],
+        ...(isSplitPayment ? summarisePayments(getIssuedPayments(formData.payments)) : {}),
+        chequeStatus: paysByCheque ? formData.chequeStatus : '',
+        chequeStatusDate: paysByCheque ? formatDate(formData.dateOfTransaction) : '',
+        subjectToRealisation: paysByCheque && formData.subjectToRealisation,
+        revenueStamp
       };
 
+      // Keep the tax totals of an invoice for the history
+      if (invoiceGst) {
+        pdfData.gstTotal = String(invoiceGst.totalTax);
+        pdfData.invoiceTotal = String(invoiceGst.invoiceTotal);
+      }
+
+      // Print the tenant's balance after this payment if asked to
+      const ledgerTenant = findTenantByName(tenants, formData.tenantName);
+      if (formData.showBalance && !isInvoice && hasLedger(ledgerTenant)) {
+        pdfData.balanceAfter = String(getBalanceAfterPayment(ledgerTenant, loadReceipts(), formData));
+      }
+
       // Generate PDF
       await generateReceiptPDF(pdfData, signatureDataUrl);
 
       // Save receipt to localStorage
       const receipt = {
-        id: formData.receiptNumber,
+        id: issuedNumber.receiptNumber,
         ...pdfData,
         signatureDataUrl,
         createdAt: new Date().toISOString()
       };
 
-      // Get existing receipts
-      const existingReceipts = JSON.parse(localStorage.getItem('rental_receipts') || '[]');
-      existingReceipts.push(receipt);
-      localStorage.setItem('rental_receipts', JSON.stringify(existingReceipts));
-
-      // Update sequence number
-      const currentSequence = parseInt(localStorage.getItem('rental_receipt_seq') || '0');
-      localStorage.setItem('rental_receipt_seq', (currentSequence + 1).toString());
+      saveReceipt(receipt);
 
-      // Generate next receipt number
-      const nextSequence = currentSequence + 2;
-      const nextReceiptNumber = generateReceiptNumber(nextSequence);
+      // Advance the series counter now that the number is used
+      commitReceiptNumber(issuedNumber);
+      setNumberingRevision(prev => prev + 1);
 
       // Reset form for next receipt
       setFormData(prev => ({
         ...prev,
-        receiptNumber: nextReceiptNumber,
         dateOfTransaction: new Date().toISOString().split('T')[0],
         amount: '',
+        monthlyRent: '',
+        lineItems: [],
+        payments: [],
         tenantName: '',
+        propertyId: '',
+        unitId: '',
+        unitType: '',
+        premisesAddress: '',
         durationFrom: '',
         durationTo: '',
-        referenceNo: ''
+        referenceNo: '',
+        paymentDetails: {},
+        chequeStatus: 'deposited',
+        tdsReference: ''
       }));
 
-      setSignatureDataUrl('');
-      setMessage('Receipt generated and saved successfully!');
+      // Keep the profile's saved signature (if any) for the next receipt
+      const activeProfile = profiles.find(profile => profile.id === formData.profileId);
+      setSignatureDataUrl(activeProfile ? activeProfile.signatureDataUrl : '');
+      setMessage(`${isInvoice ? 'Invoice' : 'Receipt'} generated and saved successfully!`);
       setTimeout(() => setMessage(''), 5000);
 
     } catch (error) {
@@ -273,26 +681,116 @@ const ReceiptForm = () => {
     }
   };
 
+  // A bounced cheque voids its receipt: refresh the balances worked out from stored receipts
+  const handleChequeStatusChange = () => {
+    setNumberingRevision(prev => prev + 1);
+  };
+
+  // Re-download a stored receipt from the history browser
+  const handleRedownloadReceipt = async (receipt) => {
+    try {
+      // Older records have no receiptDate, fall back to when they were created
+      await generateReceiptPDF({
+        ...receipt,
+        receiptDate: receipt.receiptDate || (receipt.createdAt || '').split('T')[0]
+      }, receipt.signatureDataUrl);
+    } catch (error) {
+      console.error('Error re-generating PDF:', error);
+      setMessage('Error generating PDF. Please try again.');
+    }
+  };
+
+  // Issue and save receipts for the months missing from an HRA pack
+  // Nothing is saved unless every draft passes; the error is shown in the pack dialog
+  const handleGenerateMissingReceipts = (drafts) => {
+    const draftsError = validateMissingReceipts(drafts, datePolicy, loadReceipts());
+    if (draftsError) {
+      return draftsError;
+    }
+
+    drafts.forEach(draft => {
+      const issuedNumber = getNextReceiptNumber(getNumberingContext(draft, properties), numberingSettings);
+      saveReceipt({
+        id: issuedNumber.receiptNumber,
+        ...draft,
+        receiptNumber: issuedNumber.receiptNumber,
+        receiptDate: new Date().toISOString().split('T')[0],
+        revenueStamp: needsRevenueStamp(draft, stampSettings),
+        createdAt: new Date().toISOString()
+      });
+      commitReceiptNumber(issuedNumber);
+    });
+    setNumberingRevision(prev => prev + 1);
+    return '';
+  };
+
+  // Download a tenant's receipts for the year as one PDF
+  const handleDownloadHraPack = async (pack) => {
+    try {
+      await generateHraPackPDF(pack);
+    } catch (error) {
+      console.error('Error generating HRA pack:', error);
+      setMessage('Error generating PDF. Please try again.');
+    }
+  };
+
+  // Issue, download and save a batch of receipts from the bulk generator
+  // Errors are left to the generator dialog, which shows them
+  const handleBulkGenerate = async (drafts, request) => {
+    const issuedNumbers = getNextReceiptNumbers(getNumberingContext(drafts[0], properties), drafts.length, numberingSettings);
+    const receiptDate = new Date().toISOString().split('T')[0];
+    const receipts = drafts.map((draft, index) => ({
+      id: issuedNumbers[index].receiptNumber,
+      ...draft,
+      receiptNumber: issuedNumbers[index].receiptNumber,
+      receiptDate,
+      revenueStamp: needsRevenueStamp(draft, stampSettings),
+      signatureDataUrl,
+      createdAt: new Date().toISOString()
+    }));
+
+    const filename = getBulkFilename(request.tenantName, request.from, request.to, request.output);
+    if (request.output === 'zip') {
+      await generateReceiptsZip(receipts, filename);
+    } else {
+      await generateCombinedReceiptsPDF(receipts, filename);
+    }
+
+    // Save and commit the numbers only once the download has been produced
+    receipts.forEach(receipt => saveReceipt(receipt));
+    issuedNumbers.forEach(issuedNumber => commitReceiptNumber(issuedNumber));
+    setNumberingRevision(prev => prev + 1);
+    setMessage(`${receipts.length} receipts generated and saved successfully!`);
+  };
+
   // Clear all stored data
   const handleClearStorage = () => {
     if (window.confirm('Are you sure you want to clear all stored receipts and reset the sequence? This action cannot be undone.')) {
       localStorage.removeItem('rental_receipts');
       localStorage.removeItem('rental_receipt_seq');
       localStorage.removeItem('rental_receipt_form_data');
+      resetReceiptCounters();
+      setNumberingRevision(prev => prev + 1);
       
       // Reset to initial state
-      const nextSequence = 1;
-      const receiptNumber = generateReceiptNumber(nextSequence);
-      
       setFormData(prev => ({
         ...prev,
-        receiptNumber,
         dateOfTransaction: new Date().toISOString().split('T')[0],
         amount: '',
+        monthlyRent: '',
+        lineItems: [],
+        payments: [],
         tenantName: '',
+        propertyId: '',
+        unitId: '',
+        unitType: '',
+        premisesAddress: '',
         durationFrom: '',
         durationTo: '',
-        referenceNo: ''
+        referenceNo: '',
+        paymentDetails: {},
+        chequeStatus: 'deposited',
+        tdsReference: ''
       }));
       
       setSignatureDataUrl('');
@@ -323,6 +821,34 @@ const ReceiptForm = () => {
         )}
 
         <form className="space-y-6">
+          {/* Issuer Profile */}
+          <div>
+            <div className="flex items-center justify-between">
+              <label htmlFor="profileId" className="form-label">
+                Issuer Profile
+              </label>
+              <button
+                type="button"
+                onClick={() => setIsProfilesOpen(true)}
+                className="text-sm text-blue-600 hover:underline mb-1"
+              >
+                Manage Profiles
+              </button>
+            </div>
+            <select
+              id="profileId"
+              name="profileId"
+              value={formData.profileId}
+              onChange={handleProfileSelect}
+              className="form-input"
+            >
+              <option value="">Custom (no profile)</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.profileName}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Header Information */}
           <div>
             <label htmlFor="titleName" className="form-label">
@@ -355,87 +881,485 @@ const ReceiptForm = () => {
             />
           </div>
 
-          {/* Tenant Information */}
           <div>
-            <label htmlFor="tenantName" className="form-label">
-              Tenant Name *
+            <label htmlFor="titlePan" className="form-label">
+              Landlord PAN
             </label>
             <input
               type="text"
+              id="titlePan"
+              name="titlePan"
+              value={formData.titlePan}
+              onChange={handleInputChange}
+              className="form-input uppercase"
+              placeholder="e.g. ABCDE1234F"
+              maxLength="10"
+            />
+            {hraStatus && hraStatus.exceedsThreshold && (
+              <p className={`text-sm mt-1 ${formData.titlePan.trim() ? 'text-gray-600' : 'text-red-700'}`}>
+                {formData.tenantName}'s rent for FY {hraStatus.financialYear} comes to {formatAmount(hraStatus.yearTotal)} with this
+                receipt, above {formatAmount(HRA_PAN_THRESHOLD)}: the landlord's PAN is required for their HRA claim.
+              </p>
+            )}
+          </div>
+
+          {/* Tenant Information */}
+          <div>
+            <div className="flex items-center justify-between">
+              <label htmlFor="tenantName" className="form-label">
+                Tenant Name *
+              </label>
+              <button
+                type="button"
+                onClick={() => setIsTenantDirectoryOpen(true)}
+                className="text-sm text-blue-600 hover:underline mb-1"
+              >
+                Manage Tenants
+              </button>
+            </div>
+            <TenantNameInput
               id="tenantName"
               name="tenantName"
               value={formData.tenantName}
               onChange={handleInputChange}
+              onSelectTenant={handleTenantSelect}
+              tenants={tenants}
               className="form-input"
               placeholder="Enter tenant name"
-              required
             />
+            {tenantLedger && !isInvoice && (
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+                <p className="text-sm text-gray-600">
+                  Balance before this receipt:{' '}
+                  {tenantLedger.balanceDue > 0
+                    ? <span className="text-red-700">{formatAmount(tenantLedger.balanceDue)} due</span>
+                    : tenantLedger.advanceCredit > 0
+                      ? <span className="text-green-700">{formatAmount(tenantLedger.advanceCredit)} advance</span>
+                      : 'settled'}
+                </p>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="showBalance"
+                    checked={formData.showBalance}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span>Show balance due on receipt</span>
+                </label>
+              </div>
+            )}
           </div>
 
-          {/* Duration */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Rented Premises */}
+          <div>
+            <div className="flex items-center justify-between">
+              <label htmlFor="unitId" className="form-label">
+                Rented Premises
+              </label>
+              <button
+                type="button"
+                onClick={() => setIsPropertyRegisterOpen(true)}
+                className="text-sm text-blue-600 hover:underline mb-1"
+              >
+                Manage Properties
+              </button>
+            </div>
+            <select
+              id="unitId"
+              name="unitId"
+              value={formData.unitId}
+              onChange={handleUnitSelect}
+              className="form-input"
+            >
+              <option value="">Not specified</option>
+              {listUnits(properties).map(entry => (
+                <option key={entry.unit.id} value={entry.unit.id}>{entry.label}</option>
+              ))}
+            </select>
+            {formData.premisesAddress && (
+              <p className="text-xs text-gray-500 mt-1">{formData.premisesAddress}</p>
+            )}
+          </div>
+
+          {/* Document and Receipt Type */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
-              <label htmlFor="durationFrom" className="form-label">
-                Duration From *
+              <label htmlFor="documentType" className="form-label">
+                Document
               </label>
-              <input
-                type="date"
-                id="durationFrom"
-                name="durationFrom"
-                value={formData.durationFrom}
+              <select
+                id="documentType"
+                name="documentType"
+                value={formData.documentType}
                 onChange={handleInputChange}
                 className="form-input"
-                min={getDateConstraints().minDate}
-                max={getDateConstraints().maxDate}
-                required
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Range: 1 year ago to end of current month
+              >
+                <option value="receipt">Rent Receipt</option>
+                <option value="invoice">GST Tax Invoice</option>
+              </select>
+            </div>
+
+            {!isInvoice && (
+              <div>
+                <label htmlFor="receiptType" className="form-label">
+                  Receipt Type
+                </label>
+                <select
+                  id="receiptType"
+                  name="receiptType"
+                  value={formData.receiptType}
+                  onChange={handleInputChange}
+                  className="form-input"
+                >
+                  {RECEIPT_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {/* GST Invoice Details */}
+          {isInvoice && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="titleGstin" className="form-label">
+                    Landlord GSTIN *
+                  </label>
+                  <input
+                    type="text"
+                    id="titleGstin"
+                    name="titleGstin"
+                    value={formData.titleGstin}
+                    onChange={handleInputChange}
+                    className="form-input uppercase"
+                    placeholder="e.g. 27AAPFU0939F1ZV"
+                    maxLength="15"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="tenantGstin" className="form-label">
+                    Tenant GSTIN
+                  </label>
+                  <input
+                    type="text"
+                    id="tenantGstin"
+                    name="tenantGstin"
+                    value={formData.tenantGstin}
+                    onChange={handleInputChange}
+                    className="form-input uppercase"
+                    placeholder="Leave blank if unregistered"
+                    maxLength="15"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="placeOfSupply" className="form-label">
+                    Place of Supply
+                  </label>
+                  <select
+                    id="placeOfSupply"
+                    name="placeOfSupply"
+                    value={formData.placeOfSupply}
+                    onChange={handleInputChange}
+                    className="form-input"
+                  >
+                    <option value="">Same as landlord's state</option>
+                    {GST_STATES.map(state => (
+                      <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="sacCode" className="form-label">
+                      SAC Code *
+                    </label>
+                    <input
+                      type="text"
+                      id="sacCode"
+                      name="sacCode"
+                      value={formData.sacCode}
+                      onChange={handleInputChange}
+                      className="form-input"
+                      maxLength="6"
+                    />
+                  </div>
+
+                  <div>
+                    <label htmlFor="gstRate" className="form-label">
+                      GST Rate (%) *
+                    </label>
+                    <input
+                      type="number"
+                      id="gstRate"
+                      name="gstRate"
+                      value={formData.gstRate}
+                      onChange={handleInputChange}
+                      className="form-input"
+                      min="0"
+                      max="28"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-600 mt-3">
+                Taxable {formatAmount(invoiceGst.taxableValue, formData.currency)}
+                {invoiceGst.taxes.map(tax => ` + ${tax.name} ${formatAmount(tax.amount, formData.currency)}`).join('')} ={' '}
+                <strong>{formatAmount(invoiceGst.invoiceTotal, formData.currency)} invoice total</strong>
               </p>
             </div>
+          )}
 
-            <div>
-              <label htmlFor="durationTo" className="form-label">
-                Duration To *
-              </label>
+          {/* Multi-Month Receipt */}
+          {receiptType.hasPeriod && !isInvoice && formData.lineItems.length === 0 && (
+            <div className="flex items-center space-x-3">
               <input
-                type="date"
-                id="durationTo"
-                name="durationTo"
-                value={formData.durationTo}
+                type="checkbox"
+                id="multiMonth"
+                name="multiMonth"
+                checked={formData.multiMonth}
                 onChange={handleInputChange}
-                className="form-input"
-                min={getDateConstraints().minDate}
-                max={getDateConstraints().maxDate}
-                required
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
               />
-              <p className="text-xs text-gray-500 mt-1">
-                Range: 1 year ago to end of current month
-              </p>
+              <label htmlFor="multiMonth" className="text-sm font-medium text-gray-700">
+                One receipt for several months
+              </label>
             </div>
+          )}
 
-            <div>
-              <label htmlFor="term" className="form-label">
-                Term
-              </label>
-              <select
-                id="term"
-                name="term"
-                value={formData.term}
-                onChange={handleInputChange}
-                className="form-input"
-              >
-                <option value="Monthly">Monthly</option>
-                <option value="Yearly">Yearly</option>
-              </select>
+          {/* Duration */}
+          {receiptType.hasPeriod && !isMultiMonth && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div>
+                <label htmlFor="durationFrom" className="form-label">
+                  Duration From *
+                </label>
+                <input
+                  type="date"
+                  id="durationFrom"
+                  name="durationFrom"
+                  value={formData.durationFrom}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  min={dateConstraints.minDate}
+                  max={dateConstraints.maxDate}
+                  required
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Range: {describeDateRange(datePolicy)}
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="durationTo" className="form-label">
+                  Duration To *
+                </label>
+                <input
+                  type="date"
+                  id="durationTo"
+                  name="durationTo"
+                  value={formData.durationTo}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  min={dateConstraints.minDate}
+                  max={dateConstraints.maxDate}
+                  required
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Range: {describeDateRange(datePolicy)}
+                </p>
+              </div>
+
+              <div>
+                <label htmlFor="term" className="form-label">
+                  Term
+                </label>
+                <select
+                  id="term"
+                  name="term"
+                  value={formData.term}
+                  onChange={handleInputChange}
+                  className="form-input"
+                >
+                  {RENT_TERMS.map(term => (
+                    <option key={term.value} value={term.value}>{term.label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
-          </div>
+          )}
+
+          {/* Pro-rated Rent */}
+          {receiptType.hasPeriod && !isInvoice && !isMultiMonth && formData.lineItems.length === 0 && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <div className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  id="prorated"
+                  name="prorated"
+                  checked={formData.prorated}
+                  onChange={handleInputChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="prorated" className="text-sm font-medium text-gray-700">
+                  Pro-rate the rent for a partial period
+                </label>
+              </div>
+
+              {isProrated && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div>
+                      <label htmlFor="monthlyRent" className="form-label">
+                        Rent per Month ({getCurrencySymbol(formData.currency)}) *
+                      </label>
+                      <input
+                        type="number"
+                        id="monthlyRent"
+                        name="monthlyRent"
+                        value={formData.monthlyRent}
+                        onChange={handleInputChange}
+                        className="form-input"
+                        placeholder="Enter rent per month"
+                        min="0"
+                        step="0.01"
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="prorationMethod" className="form-label">
+                        Count Days By
+                      </label>
+                      <select
+                        id="prorationMethod"
+                        name="prorationMethod"
+                        value={formData.prorationMethod}
+                        onChange={handleInputChange}
+                        className="form-input"
+                      >
+                        {PRORATION_METHODS.map(method => (
+                          <option key={method.value} value={method.value}>{method.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {proration && (
+                    <div className="text-sm text-gray-600 mt-3 space-y-1">
+                      {proration.months.map(month => (
+                        <p key={month.key}>
+                          {month.label}: {formatAmount(formData.monthlyRent, formData.currency)} × {month.days}/{month.basis} days ={' '}
+                          {formatAmount(month.amount, formData.currency)}
+                        </p>
+                      ))}
+                      <p className="font-medium text-gray-900">
+                        Pro-rated rent: {formatAmount(proration.total, formData.currency)}
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Months Covered */}
+          {isMultiMonth && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="monthFrom" className="form-label">
+                    From Month *
+                  </label>
+                  <input
+                    type="month"
+                    id="monthFrom"
+                    name="monthFrom"
+                    value={formData.durationFrom.slice(0, 7)}
+                    onChange={handleInputChange}
+                    className="form-input"
+                    min={dateConstraints.minDate.slice(0, 7)}
+                    max={dateConstraints.maxDate.slice(0, 7)}
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="monthTo" className="form-label">
+                    To Month *
+                  </label>
+                  <input
+                    type="month"
+                    id="monthTo"
+                    name="monthTo"
+                    value={formData.durationTo.slice(0, 7)}
+                    onChange={handleInputChange}
+                    className="form-input"
+                    min={dateConstraints.minDate.slice(0, 7)}
+                    max={dateConstraints.maxDate.slice(0, 7)}
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="monthlyRent" className="form-label">
+                    Rent per Month ({getCurrencySymbol(formData.currency)}) *
+                  </label>
+                  <input
+                    type="number"
+                    id="monthlyRent"
+                    name="monthlyRent"
+                    value={formData.monthlyRent}
+                    onChange={handleInputChange}
+                    className="form-input"
+                    placeholder="Enter rent per month"
+                    min="0"
+                    step="0.01"
+                    required
+                  />
+                </div>
+              </div>
+
+              {coveredMonths.length > 0 && (
+                <table className="w-full text-sm mt-4">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-2 font-medium">Month</th>
+                      <th className="py-2 font-medium text-right">Rent</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {coveredMonths.map(month => (
+                      <tr key={month.key} className="border-b">
+                        <td className="py-2 text-gray-900">{month.label}</td>
+                        <td className="py-2 text-right">
+                          {formData.monthlyRent ? formatAmount(formData.monthlyRent, formData.currency) : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                    <tr className="font-medium">
+                      <td className="py-2 text-gray-900">Total ({coveredMonths.length} months)</td>
+                      <td className="py-2 text-right">
+                        {formData.amount ? formatAmount(formData.amount, formData.currency) : '—'}
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
 
           {/* Amount, Payment Mode, and Date */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label htmlFor="amount" className="form-label">
-                Amount (₹) *
+                Amount ({getCurrencySymbol(formData.currency)}) *
               </label>
               <input
                 type="number"
@@ -443,52 +1367,219 @@ const ReceiptForm = () => {
                 name="amount"
                 value={formData.amount}
                 onChange={handleInputChange}
-                className="form-input"
+                className={`form-input ${formData.lineItems.length > 0 || isMultiMonth || isProrated ? 'bg-gray-50' : ''}`}
                 placeholder="Enter amount"
                 min="0"
                 step="0.01"
+                readOnly={formData.lineItems.length > 0 || isMultiMonth || isProrated}
                 required
               />
+              {formData.lineItems.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Total of the itemised charges below
+                </p>
+              )}
+              {isMultiMonth && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Rent per month × {coveredMonths.length} month(s)
+                </p>
+              )}
+              {isProrated && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Rent per month pro-rated for the days covered
+                </p>
+              )}
             </div>
 
-            <div>
-              <label htmlFor="paymentMode" className="form-label">
-                Payment Mode
-              </label>
-              <select
-                id="paymentMode"
-                name="paymentMode"
-                value={formData.paymentMode}
-                onChange={handleInputChange}
-                className="form-input"
-              >
-                <option value="Cash">Cash</option>
-                <option value="Cheque">Cheque</option>
-                <option value="Bank Deposit">Bank Deposit</option>
-                <option value="UPI Payment">UPI Payment</option>
-                <option value="Net Banking">Net Banking</option>
-              </select>
-            </div>
+            {receiptType.isPayment && !isSplitPayment && (
+              <div>
+                <label htmlFor="paymentMode" className="form-label">
+                  Payment Mode
+                </label>
+                <select
+                  id="paymentMode"
+                  name="paymentMode"
+                  value={formData.paymentMode}
+                  onChange={handleInputChange}
+                  className="form-input"
+                >
+                  {PAYMENT_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
-          {/* Reference Number and Date */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            {formData.paymentMode !== 'Cash' && (
-              <div>
-                <label htmlFor="referenceNo" className="form-label">
-                  Reference No. *
+          {/* Revenue Stamp */}
+          {receiptType.isPayment && paysCash && (
+            <div className="border rounded-lg p-4 bg-gray-50 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="stampEnabled"
+                  name="enabled"
+                  checked={stampSettings.enabled}
+                  onChange={handleStampSettingChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="stampEnabled" className="font-medium text-gray-700">
+                  Revenue stamp box on cash receipts above {formatAmount(stampSettings.threshold || '0')}
                 </label>
                 <input
-                  type="text"
-                  id="referenceNo"
-                  name="referenceNo"
-                  value={formData.referenceNo}
+                  type="number"
+                  id="stampThreshold"
+                  name="threshold"
+                  value={stampSettings.threshold}
+                  onChange={handleStampSettingChange}
+                  className="form-input w-32"
+                  min="0"
+                  step="1"
+                  disabled={!stampSettings.enabled}
+                  aria-label="Revenue stamp threshold"
+                />
+              </div>
+              {revenueStamp && (
+                <p className="text-gray-600 mt-2">
+                  A revenue stamp box has been added next to the signature: a cash receipt above{' '}
+                  {formatAmount(stampSettings.threshold)} needs a ₹1 revenue stamp affixed and signed across.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Itemised Charges */}
+          {receiptType.allowsCharges && !isMultiMonth && !isProrated && (
+            <LineItemsEditor
+              items={formData.lineItems}
+              onChange={handleLineItemsChange}
+              amount={formData.amount}
+              currency={formData.currency}
+              inputClassName="form-input"
+            />
+          )}
+
+          {/* TDS */}
+          {receiptType.allowsTds && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <div className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  id="tdsApplicable"
+                  name="tdsApplicable"
+                  checked={formData.tdsApplicable}
                   onChange={handleInputChange}
-                  className="form-input"
-                  placeholder="Enter reference number"
-                  required={formData.paymentMode !== 'Cash'}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                 />
+                <label htmlFor="tdsApplicable" className="text-sm font-medium text-gray-700">
+                  TDS deducted by tenant
+                </label>
               </div>
+
+              {formData.tdsApplicable && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div>
+                      <label htmlFor="tdsSection" className="form-label">
+                        Section
+                      </label>
+                      <select
+                        id="tdsSection"
+                        name="tdsSection"
+                        value={formData.tdsSection}
+                        onChange={handleInputChange}
+                        className="form-input"
+                      >
+                        {TDS_SECTIONS.map(section => (
+                          <option key={section.value} value={section.value}>{section.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label htmlFor="tdsRate" className="form-label">
+                        TDS Rate (%) *
+                      </label>
+                      <input
+                        type="number"
+                        id="tdsRate"
+                        name="tdsRate"
+                        value={formData.tdsRate}
+                        onChange={handleInputChange}
+                        className="form-input"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="tdsAmount" className="form-label">
+                        TDS Amount ({getCurrencySymbol(formData.currency)}) *
+                      </label>
+                      <input
+                        type="number"
+                        id="tdsAmount"
+                        name="tdsAmount"
+                        value={formData.tdsAmount}
+                        onChange={handleInputChange}
+                        className="form-input"
+                        min="0"
+                        step="0.01"
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="tdsReference" className="form-label">
+                        Challan / Certificate No.
+                      </label>
+                      <input
+                        type="text"
+                        id="tdsReference"
+                        name="tdsReference"
+                        value={formData.tdsReference}
+                        onChange={handleInputChange}
+                        className="form-input"
+                        placeholder={`e.g. ${getTdsSection(formData.tdsSection).certificate} certificate number`}
+                      />
+                    </div>
+                  </div>
+
+                  <p className="text-sm text-gray-600 mt-3">
+                    Gross {formatAmount(formData.amount || '0', formData.currency)} − TDS {formatAmount(formData.tdsAmount || '0', formData.currency)} ={' '}
+                    <strong>{formatAmount(getNetAmount(formData.amount, formData.tdsAmount), formData.currency)} received</strong>
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Split Payment */}
+          {receiptType.isPayment && !isInvoice && (
+            <PaymentsEditor
+              payments={formData.payments}
+              onChange={handlePaymentsChange}
+              paymentMode={formData.paymentMode}
+              referenceNo={formData.referenceNo}
+              paymentDetails={formData.paymentDetails}
+              amountReceived={getAmountReceived(formData)}
+              currency={formData.currency}
+              inputClassName="form-input"
+            />
+          )}
+
+          {/* Reference Number and Date */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {receiptType.isPayment && !isSplitPayment && (
+              <PaymentDetailsFields
+                mode={formData.paymentMode}
+                referenceNo={formData.referenceNo}
+                details={formData.paymentDetails}
+                onReferenceChange={handleInputChange}
+                onDetailChange={handlePaymentDetailChange}
+                inputClassName="form-input"
+                labelClassName="form-label"
+              />
             )}
 
             <div>
@@ -501,15 +1592,25 @@ const ReceiptForm = () => {
                 name="dateOfTransaction"
                 value={formData.dateOfTransaction}
                 onChange={handleInputChange}
+                max={dateConstraints.maxTransactionDate}
                 className="form-input"
                 required
               />
             </div>
 
             <div>
-              <label htmlFor="receiptNumber" className="form-label">
-                Receipt Number
-              </label>
+              <div className="flex items-center justify-between">
+                <label htmlFor="receiptNumber" className="form-label">
+                  {isInvoice ? 'Invoice Number' : 'Receipt Number'}
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setIsNumberingOpen(true)}
+                  className="text-sm text-blue-600 hover:underline mb-1"
+                >
+                  Format
+                </button>
+              </div>
               <input
                 type="text"
                 id="receiptNumber"
@@ -518,9 +1619,136 @@ const ReceiptForm = () => {
                 className="form-input bg-gray-50"
                 readOnly
               />
+              <p className="text-xs text-gray-500 mt-1">
+                Next number in this series
+              </p>
+            </div>
+          </div>
+
+          {/* Cheque Clearance */}
+          {paysByCheque && (
+            <div className="border rounded-lg p-4 bg-gray-50 text-sm">
+              <div className="flex flex-wrap items-end gap-4">
+                <div>
+                  <label htmlFor="chequeStatus" className="form-label">
+                    Cheque Status
+                  </label>
+                  <select
+                    id="chequeStatus"
+                    name="chequeStatus"
+                    value={formData.chequeStatus}
+                    onChange={handleInputChange}
+                    className="form-input"
+                  >
+                    {CHEQUE_STATUSES.filter(status => status.value !== 'bounced').map(status => (
+                      <option key={status.value} value={status.value}>{status.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center space-x-2 text-gray-700 pb-2">
+                  <input
+                    type="checkbox"
+                    name="subjectToRealisation"
+                    checked={formData.subjectToRealisation}
+                    onChange={handleInputChange}
+                    disabled={formData.chequeStatus === 'cleared'}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span>Print "subject to realisation" until the cheque clears</span>
+                </label>
+              </div>
+              {formData.chequeStatus === 'deposited' && (
+                <p className="text-gray-600 mt-2">
+                  The receipt waits under Pending Cheques until the cheque is marked cleared or bounced.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Date Policy */}
+          <div className="border rounded-lg p-4 bg-gray-50 text-sm">
+            <p className="font-medium text-gray-700 mb-3">Date Policy</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <div>
+                <label htmlFor="maxLookbackMonths" className="form-label">
+                  Backdate Up To (months)
+                </label>
+                <input
+                  type="number"
+                  id="maxLookbackMonths"
+                  name="maxLookbackMonths"
+                  value={datePolicy.maxLookbackMonths}
+                  onChange={handleDatePolicyChange}
+                  className="form-input"
+                  min="0"
+                  step="1"
+                  placeholder="No limit"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="maxAdvanceMonths" className="form-label">
+                  Advance Up To (months)
+                </label>
+                <input
+                  type="number"
+                  id="maxAdvanceMonths"
+                  name="maxAdvanceMonths"
+                  value={datePolicy.maxAdvanceMonths}
+                  onChange={handleDatePolicyChange}
+                  className="form-input"
+                  min="0"
+                  step="1"
+                  placeholder="No limit"
+                />
+              </div>
+
+              <div className="flex items-center space-x-2 pb-3">
+                <input
+                  type="checkbox"
+                  id="allowFutureTransactionDates"
+                  name="allowFutureTransactionDates"
+                  checked={datePolicy.allowFutureTransactionDates}
+                  onChange={handleDatePolicyChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="allowFutureTransactionDates" className="text-gray-700">
+                  Allow future transaction dates
+                </label>
+              </div>
             </div>
+            <p className="text-gray-600 mt-2">
+              Rent periods can run from {describeDateRange(datePolicy)}. Leave a limit empty to remove it.
+            </p>
+            {dateCheck.warnings.length > 0 && (
+              <ul className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-yellow-800 space-y-1">
+                {dateCheck.warnings.map(warning => (
+                  <li key={warning}>⚠️ {warning}</li>
+                ))}
+              </ul>
+            )}
           </div>
 
+          {/* Receipt Language (tax invoices are in English) */}
+          {!isInvoice && (
+            <div>
+              <label htmlFor="language" className="form-label">
+                Receipt Language
+              </label>
+              <select
+                id="language"
+                name="language"
+                value={formData.language}
+                onChange={handleInputChange}
+                className="form-input"
+              >
+                {Object.values(RECEIPT_LANGUAGES).map(language => (
+                  <option key={language.code} value={language.code}>{language.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* E-Signature Option */}
           <div className="flex items-center space-x-3">
             <input
@@ -577,6 +1805,46 @@ const ReceiptForm = () => {
               {isGenerating ? 'Generating PDF...' : 'Generate Receipt PDF'}
             </button>
 
+            <button
+              type="button"
+              onClick={() => setIsHistoryOpen(true)}
+              className="btn-secondary flex-1"
+            >
+              View History
+            </button>
+
+            <button
+              type="button"
+              onClick={() => setIsLedgerOpen(true)}
+              className="btn-secondary flex-1"
+            >
+              Tenant Ledger
+            </button>
+
+            <button
+              type="button"
+              onClick={() => setIsChequesOpen(true)}
+              className="btn-secondary flex-1"
+            >
+              Pending Cheques
+            </button>
+
+            <button
+              type="button"
+              onClick={() => setIsHraPackOpen(true)}
+              className="btn-secondary flex-1"
+            >
+              HRA Pack
+            </button>
+
+            <button
+              type="button"
+              onClick={() => setIsBulkOpen(true)}
+              className="btn-secondary flex-1"
+            >
+              Bulk Generate
+            </button>
+
             <button
               type="button"
               onClick={handleClearStorage}
@@ -594,6 +1862,74 @@ const ReceiptForm = () => {
           onConfirm={handleSignatureConfirm}
           onCancel={handleSignatureCancel}
         />
+
+        {/* Issuer Profiles */}
+        <IssuerProfiles
+          isOpen={isProfilesOpen}
+          onClose={() => setIsProfilesOpen(false)}
+          onProfilesChange={setProfiles}
+        />
+
+        {/* Receipt Number Format */}
+        <NumberingSettings
+          isOpen={isNumberingOpen}
+          onClose={() => setIsNumberingOpen(false)}
+          onSettingsChange={setNumberingSettings}
+          numberingContext={getNumberingContext(formData, properties)}
+        />
+
+        {/* Property Register */}
+        <PropertyRegister
+          isOpen={isPropertyRegisterOpen}
+          onClose={() => setIsPropertyRegisterOpen(false)}
+          onPropertiesChange={setProperties}
+        />
+
+        {/* Tenant Directory */}
+        <TenantDirectory
+          isOpen={isTenantDirectoryOpen}
+          onClose={() => setIsTenantDirectoryOpen(false)}
+          onTenantsChange={setTenants}
+        />
+
+        {/* Tenant Ledger */}
+        <TenantLedger
+          isOpen={isLedgerOpen}
+          onClose={() => setIsLedgerOpen(false)}
+        />
+
+        {/* Pending Cheques */}
+        <ChequeClearance
+          isOpen={isChequesOpen}
+          onClose={() => setIsChequesOpen(false)}
+          onStatusChange={handleChequeStatusChange}
+        />
+
+        {/* HRA Receipt Pack */}
+        <HraPack
+          isOpen={isHraPackOpen}
+          onClose={() => setIsHraPackOpen(false)}
+          onDownload={handleDownloadHraPack}
+          onGenerateMissing={handleGenerateMissingReceipts}
+        />
+
+        {/* Bulk Receipt Generator */}
+        <BulkGenerator
+          isOpen={isBulkOpen}
+          onClose={() => setIsBulkOpen(false)}
+          baseData={formData}
+          tenants={tenants}
+          properties={properties}
+          numberingSettings={numberingSettings}
+          onGenerate={handleBulkGenerate}
+        />
+
+        {/* Receipt History */}
+        <ReceiptHistory
+          isOpen={isHistoryOpen}
+          onClose={() => setIsHistoryOpen(false)}
+          onDownload={handleRedownloadReceipt}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import { loadReceipts, filterReceipts, groupReceiptsByProperty, isVoidReceipt } from '../../utils/receiptHistory';
+import { loadProperties } from '../../utils/properties';
+import { formatAmount } from '../../utils/currency';
+import { RECEIPT_TYPES, INVOICE_TYPE, getStoredReceiptType, getReceiptTypeTotals } from '../../utils/receiptTypes';
+import { getTdsByFinancialYear, getNetAmount } from '../../utils/tds';
+import { RENT_TERMS } from '../../utils/rentTerms';
+import { PAYMENT_MODES } from '../../utils/payments';
+import { CHEQUE_STATUSES, getChequeStatus } from '../../utils/chequeClearance';
+
+const emptyFilters = {
+  search: '',
+  dateFrom: '',
+  dateTo: '',
+  paymentMode: '',
+  term: '',
+  propertyId: '',
+  receiptType: ''
+};
+
+/**
+ * ReceiptHistory component - Browse previously generated receipts
+ * Lists receipts stored in localStorage with search and filters,
+ * optionally grouped by property, with totals per receipt type and TDS
+ * per financial year, and re-downloads the PDF for any stored receipt.
+ * Receipts voided by a bounced cheque are listed but left out of the totals
+ */
+const ReceiptHistory = ({ isOpen, onClose, onDownload }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [properties, setProperties] = useState([]);
+  const [groupByProperty, setGroupByProperty] = useState(false);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [downloadingKey, setDownloadingKey] = useState('');
+
+  // Reload stored receipts every time the browser is opened
+  useEffect(() => {
+    if (isOpen) {
+      setReceipts(loadReceipts());
+      setProperties(loadProperties());
+    }
+  }, [isOpen]);
+
+  // Handle filter input changes
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Re-render the PDF for a stored receipt
+  const handleDownload = async (receipt, key) => {
+    setDownloadingKey(key);
+    try {
+      await onDownload(receipt);
+    } finally {
+      setDownloadingKey('');
+    }
+  };
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const visibleReceipts = filterReceipts(receipts, filters);
+  const countedReceipts = visibleReceipts.filter(receipt => !isVoidReceipt(receipt));
+
+  // Render a single stored receipt row
+  const renderReceipt = (receipt) => {
+    const key = `${receipt.receiptNumber}-${receipt.createdAt}`;
+    const type = getStoredReceiptType(receipt);
+    const chequeStatus = CHEQUE_STATUSES.find(status => status.value === getChequeStatus(receipt));
+    return (
+      <div key={key} className="p-3 flex flex-col sm:flex-row sm:items-center gap-2">
+        <div className="flex-1 text-sm">
+          <div className="font-medium text-gray-900">
+            {receipt.tenantName} — <span className={isVoidReceipt(receipt) ? 'line-through' : ''}>{formatAmount(receipt.amount, receipt.currency)}</span>
+            {isVoidReceipt(receipt) && <span className="ml-2 text-xs font-semibold text-red-700">VOID</span>}
+          </div>
+          <div className="text-gray-600">
+            #{receipt.receiptNumber} · {type.label}
+            {type.hasPeriod
+              ? ` · ${receipt.term} · ${receipt.durationFrom} to ${receipt.durationTo}`
+              : ''}
+          </div>
+          {type === INVOICE_TYPE ? (
+            <div className="text-gray-500 text-xs">
+              GST {formatAmount(receipt.gstTotal || '0', receipt.currency)} · Invoice total {formatAmount(receipt.invoiceTotal || receipt.amount, receipt.currency)}
+            </div>
+          ) : (
+            <div className="text-gray-500 text-xs">
+              {type.isPayment
+                ? `Paid via ${receipt.paymentMode}${receipt.referenceNo ? ` (${receipt.referenceNo})` : ''}`
+                : 'Adjusted from deposit'} on {receipt.dateOfTransaction}
+              {chequeStatus && ` · Cheque ${chequeStatus.label.toLowerCase()}${receipt.chequeStatusDate ? ` on ${receipt.chequeStatusDate}` : ''}`}
+              {receipt.voidReason && ` (${receipt.voidReason})`}
+            </div>
+          )}
+          {receipt.tdsApplicable && (
+            <div className="text-gray-500 text-xs">
+              TDS {formatAmount(receipt.tdsAmount, receipt.currency)} u/s {receipt.tdsSection}
+              {receipt.tdsReference ? ` (${receipt.tdsReference})` : ''} · Net {formatAmount(getNetAmount(receipt.amount, receipt.tdsAmount), receipt.currency)}
+            </div>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => handleDownload(receipt, key)}
+          disabled={downloadingKey === key}
+          className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {downloadingKey === key ? 'Generating...' : 'Download PDF'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Receipt History
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        {/* Search and Filters */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+          <div className="md:col-span-2">
+            <input
+              type="text"
+              name="search"
+              value={filters.search}
+              onChange={handleFilterChange}
+              className="form-input"
+              placeholder="Search by tenant, receipt number or reference"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="historyDateFrom" className="form-label">
+              Transaction Date From
+            </label>
+            <input
+              type="date"
+              id="historyDateFrom"
+              name="dateFrom"
+              value={filters.dateFrom}
+              onChange={handleFilterChange}
+              className="form-input"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="historyDateTo" className="form-label">
+              Transaction Date To
+            </label>
+            <input
+              type="date"
+              id="historyDateTo"
+              name="dateTo"
+              value={filters.dateTo}
+              onChange={handleFilterChange}
+              className="form-input"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="historyPaymentMode" className="form-label">
+              Payment Mode
+            </label>
+            <select
+              id="historyPaymentMode"
+              name="paymentMode"
+              value={filters.paymentMode}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All</option>
+              {PAYMENT_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="historyProperty" className="form-label">
+              Property
+            </label>
+            <select
+              id="historyProperty"
+              name="propertyId"
+              value={filters.propertyId}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All</option>
+              {properties.map(property => (
+                <option key={property.id} value={property.id}>{property.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="historyTerm" className="form-label">
+              Term
+            </label>
+            <select
+              id="historyTerm"
+              name="term"
+              value={filters.term}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All</option>
+              {RENT_TERMS.map(term => (
+                <option key={term.value} value={term.value}>{term.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="historyReceiptType" className="form-label">
+              Receipt Type
+            </label>
+            <select
+              id="historyReceiptType"
+              name="receiptType"
+              value={filters.receiptType}
+              onChange={handleFilterChange}
+              className="form-input"
+            >
+              <option value="">All</option>
+              {[...RECEIPT_TYPES, INVOICE_TYPE].map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Totals per Receipt Type */}
+        {countedReceipts.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {getReceiptTypeTotals(countedReceipts).map(entry => (
+              <span
+                key={`${entry.type.value}-${entry.currency}`}
+                className="px-2 py-1 rounded-md bg-gray-100 text-xs text-gray-700"
+              >
+                {entry.type.label}: <strong>{formatAmount(entry.total, entry.currency)}</strong> ({entry.count})
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* TDS per Financial Year (for reconciling with Form 16C / 16A) */}
+        {getTdsByFinancialYear(countedReceipts).map(year => (
+          <div key={year.financialYear} className="mb-3 text-xs text-gray-700">
+            TDS FY {year.financialYear}: gross <strong>{formatAmount(year.gross)}</strong>
+            {' '}· TDS <strong>{formatAmount(year.tds)}</strong>
+            {' '}· net received <strong>{formatAmount(year.net)}</strong> ({year.receipts.length} receipts)
+          </div>
+        ))}
+
+        <div className="flex items-center justify-between mb-2 text-sm text-gray-600">
+          <span>
+            Showing {visibleReceipts.length} of {receipts.length} receipts
+          </span>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={groupByProperty}
+              onChange={(e) => setGroupByProperty(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            <span>Group by property</span>
+          </label>
+          <button
+            type="button"
+            onClick={() => setFilters(emptyFilters)}
+            className="text-blue-600 hover:underline"
+          >
+            Reset filters
+          </button>
+        </div>
+
+        {/* Receipt List */}
+        <div className="overflow-y-auto flex-1 border rounded-md divide-y">
+          {visibleReceipts.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500 text-center">
+              {receipts.length === 0 ? 'No receipts have been generated yet.' : 'No receipts match the current filters.'}
+            </p>
+          ) : (
+            groupByProperty ? (
+              groupReceiptsByProperty(visibleReceipts, properties).map(group => (
+                <div key={group.propertyId || 'unassigned'}>
+                  <div className="px-3 py-2 bg-gray-50 text-sm font-semibold text-gray-700 flex justify-between">
+                    <span>{group.name}</span>
+                    <span>
+                      {group.receipts.length} receipt{group.receipts.length === 1 ? '' : 's'} · {formatAmount(group.total, group.receipts[0].currency)}
+                    </span>
+                  </div>
+                  <div className="divide-y">
+                    {group.receipts.map(renderReceipt)}
+                  </div>
+                </div>
+              ))
+            ) : (
+              visibleReceipts.map(renderReceipt)
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptHistory;
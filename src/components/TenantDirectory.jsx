@@ -0,0 +1,394 @@
+import React, { useState, useEffect } from 'react';
+import { loadTenants, saveTenant, deleteTenant, emptyTenant } from '../../utils/tenantDirectory';
+import { loadProperties, listUnits } from '../../utils/properties';
+import { RECEIPT_LANGUAGES, getReceiptLanguage } from '../../utils/receiptLanguages';
+import { isValidGstin } from '../../utils/gst';
+import { FIXED_RENT_TERMS } from '../../utils/rentTerms';
+import { PAYMENT_MODES } from '../../utils/payments';
+
+/**
+ * TenantDirectory component - Manage the persistent tenant directory
+ * Adds, edits and deletes tenants along with their receipt defaults
+ * (agreed rent, term, usual payment mode, reference prefix and language)
+ * and the rent start date and opening arrears used by the tenant ledger,
+ * plus the GSTIN printed on tax invoices for commercial tenants
+ */
+const TenantDirectory = ({ isOpen, onClose, onTenantsChange }) => {
+  const [tenants, setTenants] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [editingTenant, setEditingTenant] = useState(null);
+  const [error, setError] = useState('');
+
+  // Reload tenants every time the directory is opened
+  useEffect(() => {
+    if (isOpen) {
+      setTenants(loadTenants());
+      setUnits(listUnits(loadProperties()));
+      setEditingTenant(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // Refresh the list and let the form pick up the changes
+  const refreshTenants = () => {
+    const updated = loadTenants();
+    setTenants(updated);
+    onTenantsChange(updated);
+  };
+
+  // Handle editor input changes
+  const handleEditorChange = (e) => {
+    const { name, value } = e.target;
+    setEditingTenant(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Assign the tenant to a registered unit
+  const handleUnitSelect = (e) => {
+    const entry = units.find(item => item.unit.id === e.target.value);
+    setEditingTenant(prev => ({
+      ...prev,
+      unitId: entry ? entry.unit.id : '',
+      unit: entry ? entry.label : ''
+    }));
+  };
+
+  // Save the tenant being edited
+  const handleSave = () => {
+    const name = editingTenant.name.trim();
+    if (!name) {
+      setError('Tenant name is required.');
+      return;
+    }
+
+    const duplicate = tenants.find(tenant =>
+      tenant.id !== editingTenant.id && tenant.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      setError(`A tenant named "${duplicate.name}" already exists.`);
+      return;
+    }
+
+    if (editingTenant.gstin && !isValidGstin(editingTenant.gstin)) {
+      setError('GSTIN is not valid. Check the 15 characters or leave it blank.');
+      return;
+    }
+
+    saveTenant(editingTenant);
+    setEditingTenant(null);
+    setError('');
+    refreshTenants();
+  };
+
+  // Delete a tenant after confirmation
+  const handleDelete = (tenant) => {
+    if (window.confirm(`Delete ${tenant.name} from the tenant directory?`)) {
+      deleteTenant(tenant.id);
+      refreshTenants();
+    }
+  };
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Tenant Directory
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary text-sm"
+          >
+            Close
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-red-700 border border-red-200 text-sm">
+            {error}
+          </div>
+        )}
+
+        {editingTenant ? (
+          /* Tenant Editor */
+          <div className="overflow-y-auto space-y-3">
+            <div>
+              <label htmlFor="tenantEditorName" className="form-label">
+                Tenant Name *
+              </label>
+              <input
+                type="text"
+                id="tenantEditorName"
+                name="name"
+                value={editingTenant.name}
+                onChange={handleEditorChange}
+                className="form-input"
+                placeholder="Enter tenant name"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="tenantEditorContact" className="form-label">
+                  Contact
+                </label>
+                <input
+                  type="text"
+                  id="tenantEditorContact"
+                  name="contact"
+                  value={editingTenant.contact}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="Phone or email"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorUnit" className="form-label">
+                  Rented Unit
+                </label>
+                {units.length > 0 ? (
+                  <select
+                    id="tenantEditorUnit"
+                    value={editingTenant.unitId}
+                    onChange={handleUnitSelect}
+                    className="form-input"
+                  >
+                    <option value="">Not assigned</option>
+                    {units.map(entry => (
+                      <option key={entry.unit.id} value={entry.unit.id}>{entry.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    id="tenantEditorUnit"
+                    name="unit"
+                    value={editingTenant.unit}
+                    onChange={handleEditorChange}
+                    className="form-input"
+                    placeholder="e.g. Flat 302"
+                  />
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorRent" className="form-label">
+                  Agreed Rent (₹)
+                </label>
+                <input
+                  type="number"
+                  id="tenantEditorRent"
+                  name="agreedRent"
+                  value={editingTenant.agreedRent}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  min="0"
+                  step="0.01"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorTerm" className="form-label">
+                  Term
+                </label>
+                <select
+                  id="tenantEditorTerm"
+                  name="term"
+                  value={editingTenant.term}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                >
+                  {FIXED_RENT_TERMS.map(term => (
+                    <option key={term.value} value={term.value}>{term.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorRentStartDate" className="form-label">
+                  Rent Start Date
+                </label>
+                <input
+                  type="date"
+                  id="tenantEditorRentStartDate"
+                  name="rentStartDate"
+                  value={editingTenant.rentStartDate}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorOpeningBalance" className="form-label">
+                  Opening Arrears (₹)
+                </label>
+                <input
+                  type="number"
+                  id="tenantEditorOpeningBalance"
+                  name="openingBalance"
+                  value={editingTenant.openingBalance}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  min="0"
+                  step="0.01"
+                  placeholder="Owed before the start date"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorPaymentMode" className="form-label">
+                  Usual Payment Mode
+                </label>
+                <select
+                  id="tenantEditorPaymentMode"
+                  name="paymentMode"
+                  value={editingTenant.paymentMode}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                >
+                  {PAYMENT_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorReferencePrefix" className="form-label">
+                  Usual Reference Prefix
+                </label>
+                <input
+                  type="text"
+                  id="tenantEditorReferencePrefix"
+                  name="referencePrefix"
+                  value={editingTenant.referencePrefix}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                  placeholder="e.g. HDFC-CHQ-"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorGstin" className="form-label">
+                  GSTIN (commercial tenants)
+                </label>
+                <input
+                  type="text"
+                  id="tenantEditorGstin"
+                  name="gstin"
+                  value={editingTenant.gstin}
+                  onChange={handleEditorChange}
+                  className="form-input uppercase"
+                  placeholder="29ABCDE1234F1Z5"
+                  maxLength="15"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="tenantEditorLanguage" className="form-label">
+                  Receipt Language
+                </label>
+                <select
+                  id="tenantEditorLanguage"
+                  name="language"
+                  value={editingTenant.language}
+                  onChange={handleEditorChange}
+                  className="form-input"
+                >
+                  <option value="">Same as form</option>
+                  {Object.values(RECEIPT_LANGUAGES).map(language => (
+                    <option key={language.code} value={language.code}>{language.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingTenant(null);
+                  setError('');
+                }}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                className="btn-primary flex-1"
+              >
+                Save Tenant
+              </button>
+            </div>
+          </div>
+        ) : (
+          /* Tenant List */
+          <>
+            <div className="overflow-y-auto flex-1 border rounded-md divide-y">
+              {tenants.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500 text-center">
+                  No tenants in the directory yet.
+                </p>
+              ) : (
+                tenants.map(tenant => (
+                  <div key={tenant.id} className="p-3 flex items-center gap-2">
+                    <div className="flex-1 text-sm">
+                      <div className="font-medium text-gray-900">{tenant.name}</div>
+                      <div className="text-gray-500 text-xs">
+                        {[
+                          tenant.unit,
+                          tenant.contact,
+                          tenant.agreedRent ? `₹${tenant.agreedRent} ${tenant.term}` : '',
+                          tenant.paymentMode,
+                          tenant.language ? getReceiptLanguage(tenant.language).name : ''
+                        ].filter(Boolean).join(' · ')}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setEditingTenant({ ...emptyTenant, ...tenant })}
+                      className="btn-secondary text-sm"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(tenant)}
+                      className="btn-danger text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setEditingTenant({ ...emptyTenant })}
+              className="btn-primary mt-4"
+            >
+              Add Tenant
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TenantDirectory;
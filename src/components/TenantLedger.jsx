@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { loadTenants } from '../../utils/tenantDirectory';
+import { loadReceipts } from '../../utils/receiptHistory';
+import { summariseTenantBalances } from '../../utils/tenantLedger';
+import { formatAmount } from '../../utils/currency';
+
+const statusClassNames = {
+  Paid: 'text-green-700',
+  Partial: 'text-yellow-700',
+  Due: 'text-red-700'
+};
+
+/**
+ * TenantLedger component - Outstanding balances per tenant
+ * Lists every tenant with an agreed rent and rent start date, furthest
+ * behind first, and shows the period-by-period ledger of the selected tenant
+ */
+const TenantLedger = ({ isOpen, onClose }) => {
+  const [balances, setBalances] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+
+  // Rebuild the ledgers every time the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setBalances(summariseTenantBalances(loadTenants(), loadReceipts()));
+      setSelectedId('');
+    }
+  }, [isOpen]);
+
+  // Close modal when clicking outside
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const selected = balances.find(entry => entry.tenant.id === selectedId);
+
+  // Describe a tenant's running balance
+  const renderBalance = (ledger) => {
+    if (ledger.balanceDue > 0) {
+      return <span className="text-red-700">{formatAmount(ledger.balanceDue)} due</span>;
+    }
+    if (ledger.advanceCredit > 0) {
+      return <span className="text-green-700">{formatAmount(ledger.advanceCredit)} advance</span>;
+    }
+    return <span className="text-gray-600">Settled</span>;
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center modal-backdrop"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {selected ? `Ledger — ${selected.tenant.name}` : 'Tenant Ledger'}
+          </h3>
+          <div className="flex gap-2">
+            {selected && (
+              <button
+                type="button"
+                onClick={() => setSelectedId('')}
+                className="btn-secondary text-sm"
+              >
+                All Tenants
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn-secondary text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {!selected && (
+            balances.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-8">
+                Add an agreed rent and a rent start date to a tenant in the tenant directory to track their balance.
+              </p>
+            ) : (
+              <div className="border rounded-lg divide-y">
+                {balances.map(({ tenant, ledger }) => (
+                  <div key={tenant.id} className="p-3 flex items-center gap-2">
+                    <div className="flex-1 text-sm">
+                      <div className="font-medium text-gray-900">{tenant.name}</div>
+                      <div className="text-gray-600">
+                        Received {formatAmount(ledger.totalPaid)} of {formatAmount(ledger.totalExpected)}
+                      </div>
+                    </div>
+                    <div className="text-sm font-medium">{renderBalance(ledger)}</div>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(tenant.id)}
+                      className="btn-primary text-sm"
+                    >
+                      View
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )
+          )}
+
+          {selected && (
+            <>
+              <div className="grid grid-cols-3 gap-3 mb-4 text-sm">
+                <div className="border rounded-lg p-3 bg-gray-50">
+                  <div className="text-gray-600">Expected</div>
+                  <div className="font-medium text-gray-900">{formatAmount(selected.ledger.totalExpected)}</div>
+                </div>
+                <div className="border rounded-lg p-3 bg-gray-50">
+                  <div className="text-gray-600">Received</div>
+                  <div className="font-medium text-gray-900">{formatAmount(selected.ledger.totalPaid)}</div>
+                </div>
+                <div className="border rounded-lg p-3 bg-gray-50">
+                  <div className="text-gray-600">Balance</div>
+                  <div className="font-medium">{renderBalance(selected.ledger)}</div>
+                </div>
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 font-medium">Period</th>
+                    <th className="py-2 font-medium text-right">Expected</th>
+                    <th className="py-2 font-medium text-right">Paid</th>
+                    <th className="py-2 font-medium text-right">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.ledger.periods.map((period, index) => (
+                    <tr key={index} className="border-b">
+                      <td className="py-2 text-gray-900">{period.label}</td>
+                      <td className="py-2 text-right">{formatAmount(period.expected)}</td>
+                      <td className="py-2 text-right">{formatAmount(period.paid)}</td>
+                      <td className={`py-2 text-right ${statusClassNames[period.status]}`}>
+                        {period.status === 'Partial' ? `${formatAmount(period.due)} due` : period.status}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TenantLedger;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { searchTenants } from '../../utils/tenantDirectory';
+
+/**
+ * TenantNameInput component - Tenant name field with directory autocomplete
+ * Suggests tenants from the tenant directory while typing and reports the
+ * selected tenant so the form can prefill its defaults
+ */
+const TenantNameInput = ({ id, name, value, onChange, onSelectTenant, tenants, className, placeholder }) => {
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const suggestions = searchTenants(tenants, value).slice(0, 8);
+
+  // Pick a suggestion (mouse down fires before the input loses focus)
+  const handleSelect = (e, tenant) => {
+    e.preventDefault();
+    setShowSuggestions(false);
+    onSelectTenant(tenant);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={(e) => {
+          onChange(e);
+          setShowSuggestions(true);
+        }}
+        onFocus={() => setShowSuggestions(true)}
+        onBlur={() => setShowSuggestions(false)}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+        required
+      />
+
+      {showSuggestions && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-300 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {suggestions.map(tenant => (
+            <li
+              key={tenant.id}
+              onMouseDown={(e) => handleSelect(e, tenant)}
+              className="px-3 py-2 cursor-pointer hover:bg-blue-50"
+            >
+              <div className="text-sm font-medium text-gray-900">{tenant.name}</div>
+              <div className="text-xs text-gray-500">
+                {[tenant.unit, tenant.agreedRent ? `₹${tenant.agreedRent}` : '', tenant.paymentMode]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TenantNameInput;
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBulkPeriods, validateBulkRequest, draftBulkReceipts } from '../utils/bulkReceipts.js';
+
+const request = (extra = {}) => ({ tenantName: 'John Doe', amount: '25000', term: 'Monthly', paymentMode: 'Cash', from: '2025-04-01', to: '2025-06-30', ...extra });
+const details = (extra = {}) => ({ tenantName: 'John Doe', amount: '25000', term: 'Monthly', paymentMode: 'Cash', titlePan: 'ABCDE1234F', currency: 'INR', ...extra });
+const anyDates = { maxLookbackMonths: '', maxAdvanceMonths: '', allowFutureTransactionDates: true };
+
+const validate = (bulkRequest, policy = anyDates, references = [], paymentDetails = []) => {
+  const periods = getBulkPeriods(bulkRequest.from, bulkRequest.to, bulkRequest.term);
+  const drafts = draftBulkReceipts(details({ paymentMode: bulkRequest.paymentMode }), periods, references, paymentDetails);
+  return validateBulkRequest(bulkRequest, periods, drafts, [], policy);
+};
+
+describe('getBulkPeriods', () => {
+  test('splits the range into whole terms, cutting the last one short', () => {
+    assert.deepEqual(getBulkPeriods('2025-04-15', '2025-06-30', 'Monthly'), [
+      { durationFrom: '2025-04-15', durationTo: '2025-05-14' },
+      { durationFrom: '2025-05-15', durationTo: '2025-06-14' },
+      { durationFrom: '2025-06-15', durationTo: '2025-06-30' }
+    ]);
+  });
+
+  test('is empty for a reversed range', () => {
+    assert.deepEqual(getBulkPeriods('2025-06-30', '2025-04-01', 'Monthly'), []);
+  });
+});
+
+describe('validateBulkRequest', () => {
+  test('accepts a range within the date policy', () => {
+    assert.equal(validate(request()), '');
+  });
+
+  test('checks every period against the date policy', () => {
+    const noPostDating = { maxLookbackMonths: '', maxAdvanceMonths: '', allowFutureTransactionDates: false };
+    assert.equal(
+      validate(request({ from: '2099-01-01', to: '2099-02-28' }), noPostDating),
+      'Period starting 01/01/2099: Date of Transaction cannot be in the future. Allow future transaction dates in the date policy to post-date a receipt.'
+    );
+
+    const thisMonthOnly = { maxLookbackMonths: '0', maxAdvanceMonths: '', allowFutureTransactionDates: true };
+    assert.match(validate(request(), thisMonthOnly), /^Period starting 01\/04\/2025: Duration From date must be within the allowed range/);
+  });
+
+  test('needs a valid reference for every non-cash period', () => {
+    const upi = request({ paymentMode: 'UPI Payment', to: '2025-05-31' });
+    assert.equal(validate(upi, anyDates, ['412345678901', '412345678902']), '');
+    assert.equal(validate(upi, anyDates, ['412345678901']), 'Please fill in the UPI Transaction ID (UTR).');
+  });
+
+  test('needs the cheque date and bank of every cheque', () => {
+    const cheques = request({ paymentMode: 'Cheque', to: '2025-05-31' });
+    const april = { chequeDate: '2025-04-01', bankName: 'HDFC Bank' };
+    assert.equal(validate(cheques, anyDates, ['123456', '123457'], [april, { chequeDate: '2025-05-01', bankName: 'HDFC Bank' }]), '');
+    assert.equal(validate(cheques, anyDates, ['123456', '123457'], [april, { bankName: 'HDFC Bank' }]), 'Please fill in the Cheque Date of the cheque.');
+    assert.equal(validate(cheques, anyDates, ['123456', '123457'], [april, { chequeDate: '2025-05-01' }]), 'Please fill in the Bank of the cheque.');
+  });
+});
+
+describe('draftBulkReceipts', () => {
+  const periods = getBulkPeriods('2025-04-01', '2025-05-31', 'Monthly');
+
+  test('stores the reference and payment details of each period', () => {
+    const drafts = draftBulkReceipts(details({ paymentMode: 'Cheque' }), periods, [' 123456 ', '123457'], [
+      { chequeDate: '2025-04-01', bankName: ' HDFC Bank ', payerVpa: 'name@okhdfcbank' },
+      { chequeDate: '2025-05-01', bankName: 'ICICI Bank', bankBranch: 'Andheri West' }
+    ]);
+    assert.deepEqual(drafts.map(draft => [draft.referenceNo, draft.paymentDetails]), [
+      ['123456', { chequeDate: '2025-04-01', bankName: 'HDFC Bank' }],
+      ['123457', { chequeDate: '2025-05-01', bankName: 'ICICI Bank', bankBranch: 'Andheri West' }]
+    ]);
+  });
+
+  test('drops references and details from cash receipts', () => {
+    const drafts = draftBulkReceipts(details(), periods, ['123456'], [{ chequeDate: '2025-04-01', bankName: 'HDFC Bank' }]);
+    assert.deepEqual(drafts.map(draft => [draft.referenceNo, draft.paymentDetails]), [['', {}], ['', {}]]);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChequeStatus, getPendingCheques, setChequeStatus, isSubjectToRealisation } from '../utils/chequeClearance.js';
+import { getBulkPeriods, draftBulkReceipts } from '../utils/bulkReceipts.js';
+
+const chequeReceipt = (extra = {}) => ({
+  id: 'RCT-1',
+  receiptType: 'rent',
+  amount: '25000',
+  paymentMode: 'Cheque',
+  referenceNo: '123456',
+  paymentDetails: { chequeDate: '2026-10-05', bankName: 'HDFC Bank' },
+  ...extra
+});
+
+describe('getChequeStatus', () => {
+  test('counts a receipt with no status as cleared', () => {
+    assert.equal(getChequeStatus(chequeReceipt()), 'cleared');
+  });
+
+  test('returns the stored status', () => {
+    assert.equal(getChequeStatus(chequeReceipt({ chequeStatus: 'deposited' })), 'deposited');
+    assert.equal(getChequeStatus(chequeReceipt({ chequeStatus: 'bounced' })), 'bounced');
+  });
+
+  test('tracks the cheque part of a split receipt', () => {
+    const split = chequeReceipt({
+      paymentMode: 'Cash + Cheque',
+      chequeStatus: 'deposited',
+      payments: [{ mode: 'Cash', amount: '5000' }, { mode: 'Cheque', amount: '20000', referenceNo: '654321' }]
+    });
+    assert.equal(getChequeStatus(split), 'deposited');
+  });
+
+  test('is empty for receipts without a cheque', () => {
+    assert.equal(getChequeStatus(chequeReceipt({ paymentMode: 'Cash', chequeStatus: 'deposited' })), '');
+    assert.equal(getChequeStatus(chequeReceipt({ receiptType: 'adjustment' })), '');
+  });
+});
+
+describe('setChequeStatus', () => {
+  test('voids the receipt when the cheque bounces', () => {
+    const bounced = setChequeStatus(chequeReceipt({ chequeStatus: 'deposited' }), 'bounced', '2026-10-12', ' Insufficient funds ');
+    assert.equal(bounced.chequeStatus, 'bounced');
+    assert.equal(bounced.chequeStatusDate, '12/10/2026');
+    assert.equal(bounced.voided, true);
+    assert.equal(bounced.voidReason, 'Insufficient funds');
+    assert.equal(bounced.amount, '25000');
+  });
+
+  test('leaves a cleared receipt standing', () => {
+    const cleared = setChequeStatus(chequeReceipt({ chequeStatus: 'deposited' }), 'cleared', '2026-10-08', 'ignored');
+    assert.equal(cleared.chequeStatus, 'cleared');
+    assert.equal(cleared.voided, false);
+    assert.equal(cleared.voidReason, '');
+  });
+});
+
+describe('getPendingCheques', () => {
+  test('lists deposited cheques only, oldest first', () => {
+    const receipts = [
+      chequeReceipt({ id: 'b', chequeStatus: 'deposited', createdAt: '2026-10-09' }),
+      chequeReceipt({ id: 'legacy' }),
+      chequeReceipt({ id: 'bounced', chequeStatus: 'bounced', voided: true }),
+      chequeReceipt({ id: 'a', chequeStatus: 'deposited', createdAt: '2026-10-02' })
+    ];
+    assert.deepEqual(getPendingCheques(receipts).map(receipt => receipt.id), ['a', 'b']);
+  });
+
+  test('leaves out bulk receipts drafted from a form with a deposited cheque', () => {
+    const form = chequeReceipt({ chequeStatus: 'deposited', chequeStatusDate: '05/10/2026', subjectToRealisation: true });
+    const drafts = draftBulkReceipts(form, getBulkPeriods('2026-04-01', '2026-05-31', 'Monthly'), ['123456', '123457']);
+    assert.deepEqual(getPendingCheques(drafts), []);
+    assert.deepEqual(drafts.map(draft => [getChequeStatus(draft), draft.chequeStatusDate, isSubjectToRealisation(draft)]), [
+      ['cleared', '', false],
+      ['cleared', '', false]
+    ]);
+  });
+});
+
+describe('isSubjectToRealisation', () => {
+  test('holds only while the cheque is deposited', () => {
+    assert.equal(isSubjectToRealisation(chequeReceipt({ chequeStatus: 'deposited', subjectToRealisation: true })), true);
+    assert.equal(isSubjectToRealisation(chequeReceipt({ chequeStatus: 'cleared', subjectToRealisation: true })), false);
+    assert.equal(isSubjectToRealisation(chequeReceipt({ chequeStatus: 'deposited', subjectToRealisation: false })), false);
+    assert.equal(isSubjectToRealisation(chequeReceipt({ subjectToRealisation: true })), false);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_DATE_POLICY,
+  loadDatePolicy,
+  saveDatePolicy,
+  getDateConstraints,
+  describeDateRange,
+  checkReceiptDates
+} from '../utils/datePolicy.js';
+
+// The policy is stored in localStorage
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+const today = new Date(2026, 9, 19);
+const noLimits = { maxLookbackMonths: '', maxAdvanceMonths: '', allowFutureTransactionDates: true };
+const receipt = (durationFrom, durationTo, dateOfTransaction = '2026-10-19') => ({ durationFrom, durationTo, dateOfTransaction });
+
+beforeEach(() => store.clear());
+
+describe('loadDatePolicy and saveDatePolicy', () => {
+  test('default to 12 months back, the current month ahead and no post-dating', () => {
+    assert.deepEqual(loadDatePolicy(), DEFAULT_DATE_POLICY);
+    assert.deepEqual(DEFAULT_DATE_POLICY, { maxLookbackMonths: '12', maxAdvanceMonths: '0', allowFutureTransactionDates: false });
+  });
+
+  test('store the trimmed policy', () => {
+    saveDatePolicy({ maxLookbackMonths: ' 24 ', maxAdvanceMonths: 3, allowFutureTransactionDates: 1 });
+    assert.deepEqual(loadDatePolicy(), { maxLookbackMonths: '24', maxAdvanceMonths: '3', allowFutureTransactionDates: true });
+  });
+});
+
+describe('getDateConstraints', () => {
+  test('runs from the start of the lookback month to the end of the advance month', () => {
+    assert.deepEqual(getDateConstraints(DEFAULT_DATE_POLICY, today), { minDate: '2025-10-01', maxDate: '2026-10-31', maxTransactionDate: '2026-10-19' });
+    assert.deepEqual(getDateConstraints({ maxLookbackMonths: '0', maxAdvanceMonths: '3', allowFutureTransactionDates: false }, today), {
+      minDate: '2026-10-01',
+      maxDate: '2027-01-31',
+      maxTransactionDate: '2026-10-19'
+    });
+  });
+
+  test('leaves blank limits open', () => {
+    assert.deepEqual(getDateConstraints(noLimits, today), { minDate: '', maxDate: '', maxTransactionDate: '' });
+  });
+});
+
+describe('describeDateRange', () => {
+  test('describes the policy range', () => {
+    assert.equal(describeDateRange(DEFAULT_DATE_POLICY), '12 months ago to end of current month');
+    assert.equal(describeDateRange({ maxLookbackMonths: '0', maxAdvanceMonths: '1' }), 'start of current month to end of 1 month ahead');
+    assert.equal(describeDateRange(noLimits), 'any past date to any future date');
+  });
+});
+
+describe('checkReceiptDates', () => {
+  test('accepts a period within the range without warnings', () => {
+    assert.deepEqual(checkReceiptDates(receipt('2026-09-01', '2026-09-30'), DEFAULT_DATE_POLICY, true, today), { error: '', warnings: [] });
+  });
+
+  test('rejects periods outside the range at either end', () => {
+    assert.equal(
+      checkReceiptDates(receipt('2025-09-01', '2025-09-30'), DEFAULT_DATE_POLICY, true, today).error,
+      'Duration From date must be within the allowed range (12 months ago to end of current month).'
+    );
+    assert.equal(
+      checkReceiptDates(receipt('2026-10-15', '2026-11-14'), DEFAULT_DATE_POLICY, true, today).error,
+      'Duration To date must be within the allowed range (12 months ago to end of current month).'
+    );
+    assert.equal(checkReceiptDates(receipt('2025-10-01', '2026-10-31'), DEFAULT_DATE_POLICY, true, today).error, '');
+  });
+
+  test('rejects a reversed period', () => {
+    assert.equal(checkReceiptDates(receipt('2026-09-30', '2026-09-01'), DEFAULT_DATE_POLICY, true, today).error, 'Duration From date cannot be after Duration To date.');
+  });
+
+  test('warns about backdated receipts', () => {
+    assert.deepEqual(checkReceiptDates(receipt('2026-04-01', '2026-04-30'), DEFAULT_DATE_POLICY, true, today).warnings, [
+      'The period ended more than 3 months ago. Check this backdated receipt is intended.'
+    ]);
+    assert.deepEqual(checkReceiptDates(receipt('2026-07-01', '2026-07-31'), DEFAULT_DATE_POLICY, true, today).warnings, []);
+  });
+
+  test('warns about rent paid in advance', () => {
+    assert.deepEqual(checkReceiptDates(receipt('2026-11-01', '2026-11-30'), noLimits, true, today).warnings, [
+      'The period has not started yet. Check this receipt for rent paid in advance is intended.'
+    ]);
+  });
+
+  test('rejects post-dated transactions unless the policy allows them', () => {
+    const postDated = receipt('2026-10-01', '2026-10-31', '20/10/2026');
+    assert.deepEqual(checkReceiptDates(postDated, DEFAULT_DATE_POLICY, true, today), {
+      error: 'Date of Transaction cannot be in the future. Allow future transaction dates in the date policy to post-date a receipt.',
+      warnings: []
+    });
+    assert.deepEqual(checkReceiptDates(postDated, noLimits, true, today), {
+      error: '',
+      warnings: ['The Date of Transaction is in the future (post-dated receipt).']
+    });
+  });
+
+  test('skips the period of receipts without one', () => {
+    assert.deepEqual(checkReceiptDates(receipt('2020-01-01', '2020-01-31'), DEFAULT_DATE_POLICY, false, today), { error: '', warnings: [] });
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidGstin, getGstinStateCode, calculateGst, validateInvoice } from '../utils/gst.js';
+
+describe('isValidGstin', () => {
+  test('accepts a GSTIN with the right check character', () => {
+    assert.equal(isValidGstin('27AAPFU0939F1ZV'), true);
+    assert.equal(isValidGstin(' 27aapfu0939f1zv '), true);
+  });
+
+  test('rejects a wrong check character', () => {
+    assert.equal(isValidGstin('27AAPFU0939F1ZX'), false);
+  });
+
+  test('rejects a malformed GSTIN or an unknown state code', () => {
+    assert.equal(isValidGstin(''), false);
+    assert.equal(isValidGstin('27AAPFU0939F1Z'), false);
+    assert.equal(isValidGstin('99AAPFU0939F1ZV'), false);
+  });
+});
+
+describe('getGstinStateCode', () => {
+  test('returns the state code of a GSTIN', () => {
+    assert.equal(getGstinStateCode('27AAPFU0939F1ZV'), '27');
+    assert.equal(getGstinStateCode('99AAPFU0939F1ZV'), '');
+    assert.equal(getGstinStateCode(''), '');
+  });
+});
+
+describe('calculateGst', () => {
+  const taxes = (result) => result.taxes.map(({ name, rate, amount }) => [name, rate, amount]);
+
+  test('splits intra-state supplies into CGST and SGST', () => {
+    const result = calculateGst('100000', '18', '27', '27');
+    assert.equal(result.isInterState, false);
+    assert.deepEqual(taxes(result), [['CGST', 9, 9000], ['SGST', 9, 9000]]);
+    assert.equal(result.totalTax, 18000);
+    assert.equal(result.invoiceTotal, 118000);
+  });
+
+  test('treats a missing place of supply as the landlord state', () => {
+    assert.deepEqual(taxes(calculateGst('100000', '18', '27', '')), [['CGST', 9, 9000], ['SGST', 9, 9000]]);
+  });
+
+  test('charges IGST on inter-state supplies', () => {
+    const result = calculateGst('100000', '18', '27', '07');
+    assert.equal(result.isInterState, true);
+    assert.deepEqual(taxes(result), [['IGST', 18, 18000]]);
+    assert.equal(result.invoiceTotal, 118000);
+  });
+
+  test('charges UTGST instead of SGST in union territories', () => {
+    assert.deepEqual(taxes(calculateGst('100000', '18', '04', '04')), [['CGST', 9, 9000], ['UTGST', 9, 9000]]);
+  });
+
+  test('rounds each tax to the paisa', () => {
+    assert.deepEqual(taxes(calculateGst('33333.33', '18', '27', '27')), [['CGST', 9, 3000], ['SGST', 9, 3000]]);
+  });
+});
+
+describe('validateInvoice', () => {
+  const invoice = (extra = {}) => ({ titleGstin: '27AAPFU0939F1ZV', tenantGstin: '', placeOfSupply: '27', sacCode: '997212', gstRate: '18', ...extra });
+
+  test('accepts a complete invoice', () => {
+    assert.equal(validateInvoice(invoice()), '');
+  });
+
+  test('checks the GSTINs, SAC code and rate', () => {
+    assert.equal(validateInvoice(invoice({ titleGstin: '27AAPFU0939F1ZX' })), 'Please fill in a valid landlord GSTIN (15 characters, e.g. 27AAPFU0939F1ZV).');
+    assert.equal(validateInvoice(invoice({ tenantGstin: '27AAPFU0939F1ZX' })), 'Please fill in a valid tenant GSTIN, or leave it blank for an unregistered tenant.');
+    assert.equal(validateInvoice(invoice({ sacCode: '9972' })), 'Please fill in a 6-digit SAC code.');
+    assert.equal(validateInvoice(invoice({ gstRate: '30' })), 'Please fill in a GST rate between 0 and 28%.');
+  });
+});
@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBatchLandlordPan, validateMissingReceipts } from '../utils/hra.js';
+
+const rentReceipt = (month, extra = {}) => ({
+  tenantName: 'John Doe',
+  receiptType: 'rent',
+  amount: '25000',
+  titlePan: '',
+  paymentMode: 'Cash',
+  referenceNo: '',
+  paymentDetails: {},
+  durationFrom: `2025-${month}-01`,
+  durationTo: `2025-${month}-28`,
+  dateOfTransaction: `05/${month}/2025`,
+  ...extra
+});
+
+const anyDates = { maxLookbackMonths: '', maxAdvanceMonths: '', allowFutureTransactionDates: true };
+const panError = "Please fill in the landlord's PAN: rent for FY 2025-26 exceeds ₹1,00,000, so the tenant needs it to claim HRA.";
+
+describe('validateBatchLandlordPan', () => {
+  test('counts the rest of the batch towards the year total', () => {
+    const drafts = ['04', '05', '06', '07', '08'].map(month => rentReceipt(month));
+    assert.equal(validateBatchLandlordPan(drafts.slice(0, 4), []), '');
+    assert.equal(validateBatchLandlordPan(drafts, []), panError);
+  });
+
+  test('counts stored receipts of the same financial year', () => {
+    const stored = [rentReceipt('04'), rentReceipt('05'), rentReceipt('06')];
+    assert.equal(validateBatchLandlordPan([rentReceipt('07'), rentReceipt('08')], stored), panError);
+    assert.equal(validateBatchLandlordPan([rentReceipt('07'), rentReceipt('08')], [rentReceipt('03', { dateOfTransaction: '05/03/2025' })]), '');
+  });
+
+  test('accepts the batch once a valid PAN is given', () => {
+    const drafts = ['04', '05', '06', '07', '08'].map(month => rentReceipt(month, { titlePan: 'ABCDE1234F' }));
+    assert.equal(validateBatchLandlordPan(drafts, []), '');
+    assert.equal(validateBatchLandlordPan([rentReceipt('04', { titlePan: 'ABCD1234F' })], []), 'Please fill in a valid landlord PAN (10 characters, e.g. ABCDE1234F).');
+  });
+});
+
+describe('validateMissingReceipts', () => {
+  test('names the month whose dates fall outside the policy', () => {
+    const drafts = [rentReceipt('04'), rentReceipt('05')];
+    const policy = { maxLookbackMonths: '0', maxAdvanceMonths: '', allowFutureTransactionDates: true };
+    assert.match(validateMissingReceipts(drafts, policy, []), /^April 2025: Duration From date must be within the allowed range/);
+  });
+
+  test('checks the landlord PAN against the year total including the drafts', () => {
+    const stored = [rentReceipt('04'), rentReceipt('05'), rentReceipt('06')];
+    assert.equal(validateMissingReceipts([rentReceipt('07')], anyDates, stored), '');
+    assert.equal(validateMissingReceipts([rentReceipt('07'), rentReceipt('08')], anyDates, stored), panError);
+  });
+});
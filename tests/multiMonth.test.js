@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMonthStart, getMonthEnd, getMonthSpan, getMultiMonthTotal, validateMultiMonth } from '../utils/multiMonth.js';
+
+describe('getMonthStart and getMonthEnd', () => {
+  test('give the first and last day of a month', () => {
+    assert.equal(getMonthStart('2026-02'), '2026-02-01');
+    assert.equal(getMonthEnd('2026-02'), '2026-02-28');
+    assert.equal(getMonthEnd('2028-02'), '2028-02-29');
+    assert.equal(getMonthEnd('2026-12'), '2026-12-31');
+  });
+
+  test('are empty without a month', () => {
+    assert.equal(getMonthStart(''), '');
+    assert.equal(getMonthEnd(''), '');
+  });
+});
+
+describe('getMonthSpan', () => {
+  test('lists every month the period touches', () => {
+    assert.deepEqual(getMonthSpan('2026-01-01', '2026-03-31'), [
+      { key: '2026-01', label: 'Jan-2026' },
+      { key: '2026-02', label: 'Feb-2026' },
+      { key: '2026-03', label: 'Mar-2026' }
+    ]);
+  });
+
+  test('crosses the year end and counts part months', () => {
+    assert.deepEqual(getMonthSpan('2025-11-15', '2026-01-10').map(month => month.key), ['2025-11', '2025-12', '2026-01']);
+  });
+
+  test('is empty for a reversed or missing period', () => {
+    assert.deepEqual(getMonthSpan('2026-03-01', '2026-01-31'), []);
+    assert.deepEqual(getMonthSpan('', '2026-01-31'), []);
+  });
+
+  test('stops one month past the limit so long periods can be rejected', () => {
+    assert.equal(getMonthSpan('2025-01-01', '2027-12-31').length, 13);
+  });
+});
+
+describe('getMultiMonthTotal', () => {
+  test('multiplies the monthly rent to the paisa', () => {
+    assert.equal(getMultiMonthTotal('12500.50', 3), '37501.5');
+    assert.equal(getMultiMonthTotal('0.10', 3), '0.3');
+  });
+
+  test('is empty without a rent or months', () => {
+    assert.equal(getMultiMonthTotal('', 3), '');
+    assert.equal(getMultiMonthTotal('12500', 0), '');
+  });
+});
+
+describe('validateMultiMonth', () => {
+  test('needs a rent and two to twelve months', () => {
+    assert.equal(validateMultiMonth({ monthlyRent: '12500', durationFrom: '2026-01-01', durationTo: '2026-03-31' }), '');
+    assert.equal(validateMultiMonth({ monthlyRent: '', durationFrom: '2026-01-01', durationTo: '2026-03-31' }), 'Please fill in the rent per month.');
+    assert.equal(validateMultiMonth({ monthlyRent: '12500', durationFrom: '2026-01-01', durationTo: '2026-01-31' }), 'A multi-month receipt must cover at least two months.');
+    assert.equal(validateMultiMonth({ monthlyRent: '12500', durationFrom: '2025-01-01', durationTo: '2026-01-31' }), 'A multi-month receipt can cover at most 12 months.');
+  });
+});
@@ -0,0 +1,222 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertNumberToWords, convertAmountToWords, splitAmount } from '../utils/numberToWords.js';
+
+describe('convertNumberToWords', () => {
+  test('returns Zero for zero and invalid input', () => {
+    assert.equal(convertNumberToWords(0), 'Zero');
+    assert.equal(convertNumberToWords('0'), 'Zero');
+    assert.equal(convertNumberToWords(''), 'Zero');
+    assert.equal(convertNumberToWords(undefined), 'Zero');
+    assert.equal(convertNumberToWords(null), 'Zero');
+    assert.equal(convertNumberToWords('abc'), 'Zero');
+    assert.equal(convertNumberToWords(-5), 'Zero');
+  });
+
+  test('converts units, teens and tens', () => {
+    const expected = {
+      1: 'One', 7: 'Seven', 9: 'Nine',
+      10: 'Ten', 11: 'Eleven', 13: 'Thirteen', 15: 'Fifteen', 19: 'Nineteen',
+      20: 'Twenty', 21: 'Twenty One', 40: 'Forty', 58: 'Fifty Eight', 90: 'Ninety', 99: 'Ninety Nine'
+    };
+    for (const [number, words] of Object.entries(expected)) {
+      assert.equal(convertNumberToWords(Number(number)), words, `for ${number}`);
+    }
+  });
+
+  test('converts hundreds', () => {
+    assert.equal(convertNumberToWords(100), 'One Hundred');
+    assert.equal(convertNumberToWords(101), 'One Hundred One');
+    assert.equal(convertNumberToWords(110), 'One Hundred Ten');
+    assert.equal(convertNumberToWords(115), 'One Hundred Fifteen');
+    assert.equal(convertNumberToWords(250), 'Two Hundred Fifty');
+    assert.equal(convertNumberToWords(999), 'Nine Hundred Ninety Nine');
+  });
+
+  test('converts thousands', () => {
+    assert.equal(convertNumberToWords(1000), 'One Thousand');
+    assert.equal(convertNumberToWords(1001), 'One Thousand One');
+    assert.equal(convertNumberToWords(1500), 'One Thousand Five Hundred');
+    assert.equal(convertNumberToWords(10000), 'Ten Thousand');
+    assert.equal(convertNumberToWords(50000), 'Fifty Thousand');
+    assert.equal(convertNumberToWords(99999), 'Ninety Nine Thousand Nine Hundred Ninety Nine');
+  });
+
+  test('uses lakh for the 2-digit group above thousands', () => {
+    assert.equal(convertNumberToWords(100000), 'One Lakh');
+    assert.equal(convertNumberToWords(150000), 'One Lakh Fifty Thousand');
+    assert.equal(convertNumberToWords(1500000), 'Fifteen Lakh');
+    assert.equal(convertNumberToWords(1000001), 'Ten Lakh One');
+    assert.equal(convertNumberToWords(2500750), 'Twenty Five Lakh Seven Hundred Fifty');
+    assert.equal(convertNumberToWords(9999999), 'Ninety Nine Lakh Ninety Nine Thousand Nine Hundred Ninety Nine');
+  });
+
+  test('uses crore for the group above lakhs', () => {
+    assert.equal(convertNumberToWords(10000000), 'One Crore');
+    assert.equal(convertNumberToWords(10000001), 'One Crore One');
+    assert.equal(convertNumberToWords(12500000), 'One Crore Twenty Five Lakh');
+    assert.equal(
+      convertNumberToWords(123456789),
+      'Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine'
+    );
+    assert.equal(convertNumberToWords(990000000), 'Ninety Nine Crore');
+  });
+
+  test('writes values beyond 99 crore as a count of crores', () => {
+    assert.equal(convertNumberToWords(1000000000), 'One Hundred Crore');
+    assert.equal(convertNumberToWords(10000000000), 'One Thousand Crore');
+    assert.equal(convertNumberToWords(1000000000000), 'One Lakh Crore');
+    assert.equal(convertNumberToWords(10000000000000), 'Ten Lakh Crore');
+    assert.equal(
+      convertNumberToWords(12345678901234),
+      'Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven Crore Eighty Nine Lakh One Thousand Two Hundred Thirty Four'
+    );
+  });
+
+  test('accepts strings with digit-grouping commas', () => {
+    assert.equal(convertNumberToWords('1,50,000'), 'One Lakh Fifty Thousand');
+    assert.equal(convertNumberToWords('150,000'), 'One Lakh Fifty Thousand');
+    assert.equal(convertNumberToWords(' 25000 '), 'Twenty Five Thousand');
+  });
+
+  test('converts only the whole-rupee part', () => {
+    assert.equal(convertNumberToWords('1500.50'), 'One Thousand Five Hundred');
+    assert.equal(convertNumberToWords(0.75), 'Zero');
+  });
+});
+
+describe('splitAmount', () => {
+  test('splits rupees and paise', () => {
+    assert.deepEqual(splitAmount('1500.50'), { rupees: 1500, paise: 50 });
+    assert.deepEqual(splitAmount('1500.5'), { rupees: 1500, paise: 50 });
+    assert.deepEqual(splitAmount('1500.05'), { rupees: 1500, paise: 5 });
+    assert.deepEqual(splitAmount(25000), { rupees: 25000, paise: 0 });
+    assert.deepEqual(splitAmount('0.99'), { rupees: 0, paise: 99 });
+  });
+
+  test('rounds to two decimal places', () => {
+    assert.deepEqual(splitAmount('10.994'), { rupees: 10, paise: 99 });
+    assert.deepEqual(splitAmount('10.996'), { rupees: 11, paise: 0 });
+    assert.deepEqual(splitAmount('0.1'), { rupees: 0, paise: 10 });
+    assert.deepEqual(splitAmount('0.29'), { rupees: 0, paise: 29 });
+  });
+
+  test('rejects empty, invalid and negative amounts', () => {
+    assert.equal(splitAmount(''), null);
+    assert.equal(splitAmount('   '), null);
+    assert.equal(splitAmount(null), null);
+    assert.equal(splitAmount(undefined), null);
+    assert.equal(splitAmount('12abc'), null);
+    assert.equal(splitAmount('-100'), null);
+    assert.equal(splitAmount(Infinity), null);
+    assert.equal(splitAmount(1e20), null);
+  });
+});
+
+describe('convertAmountToWords', () => {
+  test('writes whole rupee amounts', () => {
+    assert.equal(convertAmountToWords(50000), 'Rupees Fifty Thousand Only');
+    assert.equal(convertAmountToWords('1500000'), 'Rupees Fifteen Lakh Only');
+    assert.equal(convertAmountToWords('1'), 'Rupees One Only');
+    assert.equal(convertAmountToWords('25000.00'), 'Rupees Twenty Five Thousand Only');
+  });
+
+  test('adds paise after the rupees', () => {
+    assert.equal(convertAmountToWords('50000.50'), 'Rupees Fifty Thousand and Fifty Paise Only');
+    assert.equal(convertAmountToWords('1500.05'), 'Rupees One Thousand Five Hundred and Five Paise Only');
+    assert.equal(convertAmountToWords('100000.99'), 'Rupees One Lakh and Ninety Nine Paise Only');
+    assert.equal(convertAmountToWords('12.1'), 'Rupees Twelve and Ten Paise Only');
+  });
+
+  test('writes paise-only amounts without rupees', () => {
+    assert.equal(convertAmountToWords('0.75'), 'Seventy Five Paise Only');
+    assert.equal(convertAmountToWords('0.01'), 'One Paise Only');
+  });
+
+  test('falls back to zero for empty or invalid amounts', () => {
+    assert.equal(convertAmountToWords(''), 'Rupees Zero Only');
+    assert.equal(convertAmountToWords('0'), 'Rupees Zero Only');
+    assert.equal(convertAmountToWords('0.001'), 'Rupees Zero Only');
+    assert.equal(convertAmountToWords('not a number'), 'Rupees Zero Only');
+  });
+
+  test('handles large values beyond a crore', () => {
+    assert.equal(
+      convertAmountToWords('123456789.25'),
+      'Rupees Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine and Twenty Five Paise Only'
+    );
+    assert.equal(convertAmountToWords('5000000000'), 'Rupees Five Hundred Crore Only');
+  });
+});
+
+describe('international numbering system', () => {
+  test('groups digits in threes with million, billion and trillion', () => {
+    assert.equal(convertNumberToWords(100000, 'international'), 'One Hundred Thousand');
+    assert.equal(convertNumberToWords(1500000, 'international'), 'One Million Five Hundred Thousand');
+    assert.equal(convertNumberToWords(10000000, 'international'), 'Ten Million');
+    assert.equal(
+      convertNumberToWords(123456789, 'international'),
+      'One Hundred Twenty Three Million Four Hundred Fifty Six Thousand Seven Hundred Eighty Nine'
+    );
+    assert.equal(convertNumberToWords(1000000000, 'international'), 'One Billion');
+    assert.equal(convertNumberToWords(2000000000001, 'international'), 'Two Trillion One');
+    assert.equal(convertNumberToWords(10000000000000, 'international'), 'Ten Trillion');
+  });
+
+  test('matches the Indian system below one lakh', () => {
+    for (const number of [0, 7, 42, 999, 1000, 45678, 99999]) {
+      assert.equal(convertNumberToWords(number, 'international'), convertNumberToWords(number), `for ${number}`);
+    }
+  });
+
+  test('uses the given unit names for amounts', () => {
+    const dollars = { system: 'international', majorUnit: 'US Dollars', minorUnit: 'Cents' };
+    assert.equal(
+      convertAmountToWords('150000.25', dollars),
+      'US Dollars One Hundred Fifty Thousand and Twenty Five Cents Only'
+    );
+    assert.equal(convertAmountToWords('0.05', dollars), 'Five Cents Only');
+    assert.equal(convertAmountToWords('', dollars), 'US Dollars Zero Only');
+  });
+});
+
+describe('Hindi words', () => {
+  const rupees = { language: 'hi', majorUnit: 'रुपये', minorUnit: 'पैसे' };
+
+  test('has a distinct word for every number below 100', () => {
+    const words = new Set();
+    for (let number = 1; number < 100; number++) {
+      const word = convertNumberToWords(number, 'indian', 'hi');
+      assert.ok(word && !word.includes(' '), `for ${number}`);
+      words.add(word);
+    }
+    assert.equal(words.size, 99);
+    assert.equal(convertNumberToWords(0, 'indian', 'hi'), 'शून्य');
+    assert.equal(convertNumberToWords(21, 'indian', 'hi'), 'इक्कीस');
+    assert.equal(convertNumberToWords(45, 'indian', 'hi'), 'पैंतालीस');
+    assert.equal(convertNumberToWords(99, 'indian', 'hi'), 'निन्यानबे');
+  });
+
+  test('uses sau, hazaar, lakh and crore', () => {
+    assert.equal(convertNumberToWords(100, 'indian', 'hi'), 'एक सौ');
+    assert.equal(convertNumberToWords(250, 'indian', 'hi'), 'दो सौ पचास');
+    assert.equal(convertNumberToWords(50000, 'indian', 'hi'), 'पचास हज़ार');
+    assert.equal(convertNumberToWords(1500000, 'indian', 'hi'), 'पंद्रह लाख');
+    assert.equal(
+      convertNumberToWords(123456789, 'indian', 'hi'),
+      'बारह करोड़ चौंतीस लाख छप्पन हज़ार सात सौ नवासी'
+    );
+    assert.equal(convertNumberToWords(1000000000000, 'indian', 'hi'), 'एक लाख करोड़');
+  });
+
+  test('writes amounts with the unit after the number', () => {
+    assert.equal(convertAmountToWords('25000', rupees), 'पच्चीस हज़ार रुपये मात्र');
+    assert.equal(convertAmountToWords('1500.50', rupees), 'एक हज़ार पाँच सौ रुपये और पचास पैसे मात्र');
+    assert.equal(convertAmountToWords('0.75', rupees), 'पचहत्तर पैसे मात्र');
+    assert.equal(convertAmountToWords('', rupees), 'शून्य रुपये मात्र');
+  });
+
+  test('falls back to English for unknown languages', () => {
+    assert.equal(convertNumberToWords(1500000, 'indian', 'xx'), 'Fifteen Lakh');
+  });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPaymentsTotal, getAmountReceived, summarisePayments, validatePayments } from '../utils/payments.js';
+
+const cash = (amount) => ({ mode: 'Cash', amount, referenceNo: '', paymentDetails: {} });
+const upi = (amount, referenceNo = '412345678901') => ({ mode: 'UPI Payment', amount, referenceNo, paymentDetails: {} });
+
+describe('getPaymentsTotal', () => {
+  test('adds up amounts to the paisa', () => {
+    assert.equal(getPaymentsTotal([cash('0.1'), upi('0.2')]), '0.3');
+    assert.equal(getPaymentsTotal([cash('10000'), upi('15000.50')]), '25000.5');
+  });
+
+  test('counts blank and invalid amounts as zero', () => {
+    assert.equal(getPaymentsTotal([cash(''), upi('abc'), cash('500')]), '500');
+    assert.equal(getPaymentsTotal([]), '0');
+  });
+});
+
+describe('getAmountReceived', () => {
+  test('is the receipt amount when no TDS was deducted', () => {
+    assert.equal(getAmountReceived({ amount: '50000', receiptType: 'rent' }), '50000');
+  });
+
+  test('is the receipt amount less TDS', () => {
+    assert.equal(getAmountReceived({ amount: '60000', receiptType: 'rent', tdsApplicable: true, tdsAmount: '1200' }), '58800');
+  });
+
+  test('ignores TDS on receipt types that do not allow it', () => {
+    assert.equal(getAmountReceived({ amount: '60000', receiptType: 'deposit', tdsApplicable: true, tdsAmount: '1200' }), '60000');
+  });
+});
+
+describe('summarisePayments', () => {
+  test('joins the modes once each and the references', () => {
+    assert.deepEqual(
+      summarisePayments([cash('10000'), upi('10000', '412345678901'), upi('5000', '412345678902')]),
+      { paymentMode: 'Cash + UPI Payment', referenceNo: '412345678901, 412345678902' }
+    );
+  });
+});
+
+describe('validatePayments', () => {
+  const receipt = (payments, extra = {}) => ({ amount: '25000', receiptType: 'rent', currency: 'INR', payments, ...extra });
+
+  test('accepts payments that add up to the amount received', () => {
+    assert.equal(validatePayments(receipt([cash('10000'), upi('15000')])), '');
+    assert.equal(validatePayments(receipt([cash('10000.25'), upi('14999.75')])), '');
+  });
+
+  test('rejects a split that is off by one paisa', () => {
+    assert.match(validatePayments(receipt([cash('10000'), upi('14999.99')])), /add up to the ₹25,000\.00 received \(they add up to ₹24,999\.99\)/);
+    assert.match(validatePayments(receipt([cash('10000'), upi('15000.01')])), /they add up to ₹25,000\.01/);
+  });
+
+  test('checks the payments against the amount less TDS', () => {
+    const withTds = { amount: '60000', tdsApplicable: true, tdsAmount: '1200' };
+    assert.equal(validatePayments(receipt([cash('20000'), upi('38800')], withTds)), '');
+    assert.match(validatePayments(receipt([cash('20000'), upi('40000')], withTds)), /₹58,800\.00 received/);
+  });
+
+  test('skips blank rows and needs at least one payment', () => {
+    assert.equal(validatePayments(receipt([cash('25000'), cash('')])), '');
+    assert.equal(validatePayments(receipt([cash('')])), 'Please fill in at least one payment.');
+  });
+
+  test('needs an amount for every payment and a valid reference for non-cash ones', () => {
+    assert.equal(validatePayments(receipt([cash('25000'), upi('0')])), 'Please fill in an amount for every payment.');
+    assert.equal(validatePayments(receipt([cash('10000'), upi('15000', 'UTR1')])), 'Please fill in a valid UPI Transaction ID (UTR): 12 digits.');
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateProration } from '../utils/proration.js';
+
+// Days and amount of each month of a pro-rated period
+const prorate = (from, to, method, rent = '30000') => {
+  const proration = calculateProration(rent, from, to, method);
+  return {
+    months: proration.months.map(month => [month.days, month.basis, month.amount]),
+    total: proration.total
+  };
+};
+
+describe('calculateProration with actual days', () => {
+  test('counts the days of the month', () => {
+    assert.deepEqual(prorate('2026-01-12', '2026-01-31', 'actual', '31000'), { months: [[20, 31, '20000']], total: '20000' });
+    assert.deepEqual(prorate('2026-02-12', '2026-02-28', 'actual', '28000'), { months: [[17, 28, '17000']], total: '17000' });
+  });
+
+  test('splits a period crossing a month end', () => {
+    assert.deepEqual(prorate('2026-01-22', '2026-02-14', 'actual', '31000'), {
+      months: [[10, 31, '10000'], [14, 28, '15500']],
+      total: '25500'
+    });
+  });
+});
+
+describe('calculateProration with 30-day months', () => {
+  test('charges a whole month as 30 days', () => {
+    assert.deepEqual(prorate('2026-01-01', '2026-01-31', '30day'), { months: [[30, 30, '30000']], total: '30000' });
+    assert.deepEqual(prorate('2026-02-01', '2026-02-28', '30day'), { months: [[30, 30, '30000']], total: '30000' });
+    assert.deepEqual(prorate('2028-02-01', '2028-02-29', '30day'), { months: [[30, 30, '30000']], total: '30000' });
+  });
+
+  test('does not charge a month missing its first day as a whole month', () => {
+    assert.deepEqual(prorate('2026-01-02', '2026-01-31', '30day'), { months: [[29, 30, '29000']], total: '29000' });
+  });
+
+  test('counts the 31st as day 30', () => {
+    assert.deepEqual(prorate('2026-01-12', '2026-01-31', '30day'), { months: [[19, 30, '19000']], total: '19000' });
+    assert.deepEqual(prorate('2026-01-31', '2026-01-31', '30day'), { months: [[1, 30, '1000']], total: '1000' });
+  });
+
+  test('counts the last day of February as day 30', () => {
+    assert.deepEqual(prorate('2026-02-12', '2026-02-28', '30day'), { months: [[19, 30, '19000']], total: '19000' });
+    assert.deepEqual(prorate('2028-02-12', '2028-02-29', '30day'), { months: [[19, 30, '19000']], total: '19000' });
+  });
+
+  test('splits a period crossing a month end', () => {
+    assert.deepEqual(prorate('2026-01-22', '2026-02-14', '30day'), {
+      months: [[9, 30, '9000'], [14, 30, '14000']],
+      total: '23000'
+    });
+  });
+});
+
+describe('calculateProration input', () => {
+  test('returns null for a missing rent or a reversed period', () => {
+    assert.equal(calculateProration('', '2026-01-01', '2026-01-31'), null);
+    assert.equal(calculateProration('30000', '2026-01-31', '2026-01-01'), null);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getFinancialYear,
+  formatReceiptNumber,
+  getNextReceiptNumber,
+  getNextReceiptNumbers,
+  commitReceiptNumber
+} from '../utils/receiptNumbering.js';
+import { RECEIPTS_STORAGE_KEY } from '../utils/receiptHistory.js';
+
+// Numbering reads counters and stored receipts from localStorage
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+const saveReceiptNumbers = (...numbers) => {
+  localStorage.setItem(RECEIPTS_STORAGE_KEY, JSON.stringify(numbers.map(receiptNumber => ({ id: receiptNumber, receiptNumber }))));
+};
+
+const settings = (pattern) => ({ pattern, sequencePadding: 4 });
+const september = new Date(2025, 8, 1);
+
+beforeEach(() => store.clear());
+
+describe('getFinancialYear', () => {
+  test('rolls over on 1 April', () => {
+    assert.deepEqual(getFinancialYear(new Date(2026, 2, 31)), { startYear: 2025, label: '2025-26', short: '2526' });
+    assert.deepEqual(getFinancialYear(new Date(2026, 3, 1)), { startYear: 2026, label: '2026-27', short: '2627' });
+  });
+});
+
+describe('formatReceiptNumber', () => {
+  test('fills in every pattern token', () => {
+    const context = { series: 'RCT', propertyCode: 'GP', date: september };
+    assert.equal(formatReceiptNumber(settings('{PREFIX}/{FY}/{PROP}/{SEQ}'), context, 7), 'RCT/2025-26/GP/0007');
+    assert.equal(formatReceiptNumber(settings('{PREFIX}-{FYSHORT}-{SEQ}'), context, 12), 'RCT-2526-0012');
+  });
+
+  test('drops the separators of empty tokens', () => {
+    const context = { series: 'RCT', propertyCode: '', date: september };
+    assert.equal(formatReceiptNumber(settings('{PREFIX}/{FY}/{PROP}/{SEQ}'), context, 7), 'RCT/2025-26/0007');
+    assert.equal(formatReceiptNumber(settings('{PROP}-{SEQ}'), context, 7), '0007');
+  });
+});
+
+describe('getNextReceiptNumber', () => {
+  test('starts every series at 1 and restarts each financial year', () => {
+    const pattern = settings('{PREFIX}/{FY}/{SEQ}');
+    commitReceiptNumber(getNextReceiptNumber({ series: 'RCT', date: new Date(2026, 2, 31) }, pattern));
+
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: new Date(2026, 2, 31) }, pattern).receiptNumber, 'RCT/2025-26/0002');
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: new Date(2026, 3, 1) }, pattern).receiptNumber, 'RCT/2026-27/0001');
+  });
+
+  test('keeps a counter per series prefix', () => {
+    const pattern = settings('{PREFIX}/{FY}/{SEQ}');
+    commitReceiptNumber(getNextReceiptNumber({ series: 'RCT', date: september }, pattern));
+
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: september }, pattern).sequence, 2);
+    assert.equal(getNextReceiptNumber({ series: 'INV', date: september }, pattern).sequence, 1);
+  });
+
+  test('keeps a counter per property only when the pattern uses {PROP}', () => {
+    const withProperty = settings('{PREFIX}/{PROP}/{SEQ}');
+    commitReceiptNumber(getNextReceiptNumber({ series: 'RCT', propertyCode: 'GP', date: september }, withProperty));
+    assert.equal(getNextReceiptNumber({ series: 'RCT', propertyCode: 'GP', date: september }, withProperty).sequence, 2);
+    assert.equal(getNextReceiptNumber({ series: 'RCT', propertyCode: 'MH', date: september }, withProperty).sequence, 1);
+
+    const withoutProperty = settings('{PREFIX}/{SEQ}');
+    commitReceiptNumber(getNextReceiptNumber({ series: 'RCT', propertyCode: 'GP', date: september }, withoutProperty));
+    assert.equal(getNextReceiptNumber({ series: 'RCT', propertyCode: 'MH', date: september }, withoutProperty).sequence, 2);
+  });
+
+  test('skips numbers already used by stored receipts', () => {
+    saveReceiptNumbers('RCT/2025-26/0001', 'RCT/2025-26/0002');
+    const next = getNextReceiptNumber({ series: 'RCT', date: september }, settings('{PREFIX}/{FY}/{SEQ}'));
+    assert.equal(next.receiptNumber, 'RCT/2025-26/0003');
+    assert.equal(next.sequence, 3);
+  });
+
+  test('does not consume the number until it is committed', () => {
+    const pattern = settings('{PREFIX}/{FY}/{SEQ}');
+    const first = getNextReceiptNumber({ series: 'RCT', date: september }, pattern);
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: september }, pattern).receiptNumber, first.receiptNumber);
+
+    commitReceiptNumber(first);
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: september }, pattern).receiptNumber, 'RCT/2025-26/0002');
+  });
+
+  test('never moves a counter backwards', () => {
+    const pattern = settings('{PREFIX}/{FY}/{SEQ}');
+    const [first, second] = getNextReceiptNumbers({ series: 'RCT', date: september }, 2, pattern);
+    commitReceiptNumber(second);
+    commitReceiptNumber(first);
+    assert.equal(getNextReceiptNumber({ series: 'RCT', date: september }, pattern).sequence, 3);
+  });
+});
+
+describe('getNextReceiptNumbers', () => {
+  test('previews a batch of numbers, skipping taken ones', () => {
+    saveReceiptNumbers('RCT/2025-26/0002');
+    const numbers = getNextReceiptNumbers({ series: 'RCT', date: september }, 3, settings('{PREFIX}/{FY}/{SEQ}'));
+    assert.deepEqual(numbers.map(issued => issued.receiptNumber), ['RCT/2025-26/0001', 'RCT/2025-26/0003', 'RCT/2025-26/0004']);
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMonths, addTermPeriods, getLastPeriodEnd, getDefaultPeriod } from '../utils/rentTerms.js';
+
+const today = new Date(2026, 9, 19);
+
+describe('addTermPeriods', () => {
+  test('clamps month-end dates to shorter months', () => {
+    assert.deepEqual(addMonths(new Date(2025, 0, 31), 1), new Date(2025, 1, 28));
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 31), 'Monthly', 1), new Date(2025, 1, 28));
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 31), 'Quarterly', 1), new Date(2025, 3, 30));
+    assert.deepEqual(addTermPeriods(new Date(2025, 7, 31), 'Half-yearly', 1), new Date(2026, 1, 28));
+    assert.deepEqual(addTermPeriods(new Date(2024, 1, 29), 'Yearly', 1), new Date(2025, 1, 28));
+  });
+
+  test('counts from the anchor so month-end dates do not drift', () => {
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 31), 'Monthly', 2), new Date(2025, 2, 31));
+    assert.deepEqual(addTermPeriods(new Date(2024, 1, 29), 'Yearly', 4), new Date(2028, 1, 29));
+  });
+
+  test('adds days for weekly rent', () => {
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 31), 'Weekly', 2), new Date(2025, 1, 14));
+  });
+
+  test('counts custom and unknown terms as monthly', () => {
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 15), 'Custom', 1), new Date(2025, 1, 15));
+    assert.deepEqual(addTermPeriods(new Date(2025, 0, 15), '', 1), new Date(2025, 1, 15));
+  });
+});
+
+describe('getLastPeriodEnd', () => {
+  const receipt = (durationTo, extra = {}) => ({ tenantName: 'John Doe', receiptType: 'rent', durationTo, ...extra });
+
+  test('finds the latest period end of the tenant', () => {
+    const receipts = [receipt('2026-08-31'), receipt('2026-09-30'), receipt('2026-07-31')];
+    assert.deepEqual(getLastPeriodEnd(receipts, ' john doe '), new Date(2026, 8, 30));
+  });
+
+  test('skips voided receipts, receipts without a period and other tenants', () => {
+    const receipts = [
+      receipt('2026-08-31'),
+      receipt('2026-09-30', { voided: true }),
+      receipt('2026-12-31', { receiptType: 'deposit' }),
+      receipt('2026-11-30', { tenantName: 'Jane Roe' })
+    ];
+    assert.deepEqual(getLastPeriodEnd(receipts, 'John Doe'), new Date(2026, 7, 31));
+    assert.equal(getLastPeriodEnd(receipts, 'Someone Else'), null);
+    assert.equal(getLastPeriodEnd(receipts, ''), null);
+  });
+});
+
+describe('getDefaultPeriod', () => {
+  test('follows on from the last receipted period', () => {
+    assert.deepEqual(getDefaultPeriod('Monthly', { lastPeriodEnd: new Date(2026, 0, 31) }, today), { durationFrom: '2026-02-01', durationTo: '2026-02-28' });
+    assert.deepEqual(getDefaultPeriod('Quarterly', { lastPeriodEnd: new Date(2026, 8, 30) }, today), { durationFrom: '2026-10-01', durationTo: '2026-12-31' });
+  });
+
+  test('counts whole terms from the rent start date', () => {
+    assert.deepEqual(getDefaultPeriod('Yearly', { rentStartDate: '2024-06-15' }, today), { durationFrom: '2025-06-15', durationTo: '2026-06-14' });
+    assert.deepEqual(getDefaultPeriod('Monthly', { rentStartDate: '2025-01-31' }, today), { durationFrom: '2026-08-31', durationTo: '2026-09-29' });
+  });
+
+  test('offers the first period of a lease that has not completed one', () => {
+    assert.deepEqual(getDefaultPeriod('Yearly', { rentStartDate: '2026-06-15' }, today), { durationFrom: '2026-06-15', durationTo: '2027-06-14' });
+  });
+
+  test('falls back to the last complete period before this month', () => {
+    assert.deepEqual(getDefaultPeriod('Monthly', {}, today), { durationFrom: '2026-09-01', durationTo: '2026-09-30' });
+    assert.deepEqual(getDefaultPeriod('Quarterly', {}, today), { durationFrom: '2026-07-01', durationTo: '2026-09-30' });
+    assert.deepEqual(getDefaultPeriod('Half-yearly', {}, today), { durationFrom: '2026-04-01', durationTo: '2026-09-30' });
+  });
+
+  test('falls back to the previous Monday-to-Sunday week for weekly rent', () => {
+    assert.deepEqual(getDefaultPeriod('Weekly', {}, today), { durationFrom: '2026-10-12', durationTo: '2026-10-18' });
+    assert.deepEqual(getDefaultPeriod('Weekly', {}, new Date(2026, 9, 25)), { durationFrom: '2026-10-12', durationTo: '2026-10-18' });
+  });
+
+  test('has no default for a custom term', () => {
+    assert.equal(getDefaultPeriod('Custom', { lastPeriodEnd: new Date(2026, 8, 30) }, today), null);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Test setup: the app imports its modules without file extensions (Vite
+ * resolves them when bundling). This resolve hook adds `.js` to relative
+ * imports Node cannot find, so node --test can load the utils modules.
+ */
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.\.?\//.test(specifier) || /\.[cm]?js$/.test(specifier)) {
+      throw error;
+    }
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
+
+// Hooks run on their own thread; register them from the main thread only
+if (isMainThread) {
+  register(import.meta.url);
+}
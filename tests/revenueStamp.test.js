@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsRevenueStamp } from '../utils/revenueStamp.js';
+
+const settings = { enabled: true, threshold: '5000' };
+const cashRent = (amount, extra = {}) => ({ receiptType: 'rent', amount, paymentMode: 'Cash', payments: [], ...extra });
+
+describe('needsRevenueStamp', () => {
+  test('is needed for cash receipts above the threshold', () => {
+    assert.equal(needsRevenueStamp(cashRent('5000.01'), settings), true);
+    assert.equal(needsRevenueStamp(cashRent('5000'), settings), false);
+    assert.equal(needsRevenueStamp(cashRent('12000', { paymentMode: 'UPI Payment' }), settings), false);
+  });
+
+  test('tests the amount received after TDS', () => {
+    const withTds = (tdsAmount) => cashRent('5100', { tdsApplicable: true, tdsRate: '2', tdsAmount });
+    assert.equal(needsRevenueStamp(withTds('102'), settings), false);
+    assert.equal(needsRevenueStamp(withTds('50'), settings), true);
+  });
+
+  test('counts only the cash part of a split payment', () => {
+    const split = cashRent('12000', {
+      payments: [
+        { mode: 'Cash', amount: '4000', referenceNo: '' },
+        { mode: 'UPI Payment', amount: '8000', referenceNo: '412345678901' }
+      ]
+    });
+    assert.equal(needsRevenueStamp(split, settings), false);
+  });
+
+  test('is never needed when turned off or for foreign-currency receipts', () => {
+    assert.equal(needsRevenueStamp(cashRent('12000'), { ...settings, enabled: false }), false);
+    assert.equal(needsRevenueStamp(cashRent('12000', { currency: 'USD' }), settings), false);
+  });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTdsSection, calculateTds, getNetAmount, validateTds, getTdsByFinancialYear } from '../utils/tds.js';
+
+describe('getTdsSection', () => {
+  test('defaults to 2% under 194-IB and 10% under 194-I', () => {
+    assert.equal(getTdsSection('194-IB').defaultRate, '2');
+    assert.equal(getTdsSection('194-IB').certificate, 'Form 16C');
+    assert.equal(getTdsSection('194-I').defaultRate, '10');
+    assert.equal(getTdsSection('194-I').certificate, 'Form 16A');
+  });
+
+  test('falls back to 194-IB for an unknown section', () => {
+    assert.equal(getTdsSection('').value, '194-IB');
+    assert.equal(getTdsSection('194-J').value, '194-IB');
+  });
+});
+
+describe('calculateTds', () => {
+  test('rounds to the nearest rupee', () => {
+    assert.equal(calculateTds('60000', '2'), '1200');
+    assert.equal(calculateTds('55555', '2'), '1111');
+    assert.equal(calculateTds('55575', '2'), '1112');
+  });
+
+  test('is empty without an amount or a rate', () => {
+    assert.equal(calculateTds('', '2'), '');
+    assert.equal(calculateTds('60000', ''), '');
+    assert.equal(calculateTds('60000', '0'), '');
+  });
+});
+
+describe('getNetAmount', () => {
+  test('is the gross amount less TDS, to the paisa', () => {
+    assert.equal(getNetAmount('60000', '1200'), '58800');
+    assert.equal(getNetAmount('60000.50', '1200.25'), '58800.25');
+    assert.equal(getNetAmount('60000', ''), '60000');
+  });
+});
+
+describe('validateTds', () => {
+  const tds = (tdsRate, tdsAmount) => ({ tdsApplicable: true, tdsRate, tdsAmount });
+
+  test('skips receipts without TDS', () => {
+    assert.equal(validateTds({ tdsApplicable: false, tdsRate: '' }, '60000'), '');
+  });
+
+  test('needs a rate, an amount and an amount below the gross rent', () => {
+    assert.equal(validateTds(tds('2', '1200'), '60000'), '');
+    assert.equal(validateTds(tds('0', '1200'), '60000'), 'Please fill in a TDS rate between 0 and 100%.');
+    assert.equal(validateTds(tds('2', ''), '60000'), 'Please fill in the TDS amount deducted.');
+    assert.equal(validateTds(tds('2', '60000'), '60000'), 'Please fill in a TDS amount less than the gross rent.');
+  });
+});
+
+describe('getTdsByFinancialYear', () => {
+  test('adds up gross, TDS and net per financial year, latest first', () => {
+    const receipt = (dateOfTransaction, amount, tdsAmount) => ({ dateOfTransaction, amount, tdsApplicable: true, tdsAmount });
+    const years = getTdsByFinancialYear([
+      receipt('31/03/2026', '60000', '1200'),
+      receipt('01/04/2026', '60000', '1200'),
+      receipt('15/04/2026', '60000.50', '1200.25'),
+      { dateOfTransaction: '01/05/2026', amount: '60000', tdsApplicable: false, tdsAmount: '' }
+    ]);
+
+    assert.deepEqual(years.map(({ financialYear, gross, tds, net, receipts }) => ({ financialYear, gross, tds, net, count: receipts.length })), [
+      { financialYear: '2026-27', gross: 120000.5, tds: 2400.25, net: 117600.25, count: 2 },
+      { financialYear: '2025-26', gross: 60000, tds: 1200, net: 58800, count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTenantLedger, getBalanceAfterPayment } from '../utils/tenantLedger.js';
+
+const tenant = (extra = {}) => ({ name: 'John Doe', agreedRent: '10000', term: 'Monthly', rentStartDate: '2025-04-01', openingBalance: '', ...extra });
+const rent = (amount, extra = {}) => ({ tenantName: 'John Doe', receiptType: 'rent', amount, ...extra });
+
+describe('buildTenantLedger', () => {
+  test('applies payments to the oldest periods first', () => {
+    const ledger = buildTenantLedger(tenant(), [rent('15000'), rent('10000')], new Date(2025, 5, 15));
+    assert.deepEqual(ledger.periods.map(period => [period.paid, period.due, period.status]), [
+      [10000, 0, 'Paid'],
+      [10000, 0, 'Paid'],
+      [5000, 5000, 'Partial']
+    ]);
+    assert.equal(ledger.totalExpected, 30000);
+    assert.equal(ledger.totalPaid, 25000);
+    assert.equal(ledger.balanceDue, 5000);
+    assert.equal(ledger.advanceCredit, 0);
+  });
+
+  test('starts with the opening arrears', () => {
+    const ledger = buildTenantLedger(tenant({ openingBalance: '5000' }), [rent('10000')], new Date(2025, 3, 15));
+    assert.deepEqual(ledger.periods.map(period => [period.label, period.status]), [
+      ['Opening arrears', 'Paid'],
+      ['1 Apr 2025 – 30 Apr 2025', 'Partial']
+    ]);
+    assert.equal(ledger.balanceDue, 5000);
+  });
+
+  test('lays out periods by the tenant term, clamping month-end starts', () => {
+    const ledger = buildTenantLedger(tenant({ term: 'Quarterly', rentStartDate: '2025-01-31' }), [], new Date(2025, 7, 1));
+    assert.deepEqual(ledger.periods.map(period => period.label), [
+      '31 Jan 2025 – 29 Apr 2025',
+      '30 Apr 2025 – 30 Jul 2025',
+      '31 Jul 2025 – 30 Oct 2025'
+    ]);
+    assert.equal(ledger.balanceDue, 30000);
+  });
+
+  test('turns overpayments into advance credit', () => {
+    const ledger = buildTenantLedger(tenant(), [rent('25000')], new Date(2025, 4, 1));
+    assert.equal(ledger.balanceDue, 0);
+    assert.equal(ledger.advanceCredit, 5000);
+  });
+
+  test('ignores voided receipts, non-rent receipts and other tenants', () => {
+    const receipts = [
+      rent('10000', { tenantName: ' JOHN DOE ' }),
+      rent('10000', { voided: true }),
+      rent('50000', { receiptType: 'deposit' }),
+      rent('10000', { tenantName: 'Jane Roe' })
+    ];
+    const ledger = buildTenantLedger(tenant(), receipts, new Date(2025, 4, 15));
+    assert.equal(ledger.totalPaid, 10000);
+    assert.equal(ledger.balanceDue, 10000);
+  });
+});
+
+describe('getBalanceAfterPayment', () => {
+  test('is negative once the payment leaves advance credit', () => {
+    const futureLease = tenant({ rentStartDate: '2099-01-01' });
+    assert.equal(getBalanceAfterPayment(futureLease, [], rent('10000')), -10000);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Bulk Receipt Utilities for ReceiptlyPlus
+ *
+ * Backfilling receipts for a stretch of months one at a time is tedious.
+ * The bulk generator splits a date range into rent periods (one per term,
+ * starting on the range's start day), drafts one rent receipt per period
+ * from the same tenant, amount and payment mode, and the caller issues
+ * consecutive numbers and saves them all to history. Non-cash receipts get
+ * their own reference and details (cheque date, bank, ...) per period.
+ *
+ * Each receipt is dated (transaction date) at the start of its period, and
+ * every period and date must fall within the date policy.
+ * Backfilled cheque receipts are not tracked for clearance.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { parseStoredDate } from './receiptHistory';
+import { addTermPeriods } from './rentTerms';
+import { cleanPaymentDetails, validatePaymentDetails } from './payments';
+import { validateBatchLandlordPan } from './hra';
+import { checkReceiptDates } from './datePolicy';
+
+// Guard against generating hundreds of receipts from a mistyped range
+export const MAX_BULK_RECEIPTS = 60;
+
+/**
+ * Format a date as YYYY-MM-DD (the form's date input format)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toInputDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Split a date range into rent periods of one term each
+ * The last period ends on the range's end date even if it is shorter
+ *
+ * @param {string} from - Range start (YYYY-MM-DD)
+ * @param {string} to - Range end (YYYY-MM-DD)
+ * @param {string} term - Rent term (Weekly, Monthly, Quarterly, Half-yearly, Yearly)
+ * @returns {Array<Object>} Periods { durationFrom, durationTo } (at most MAX_BULK_RECEIPTS + 1, so callers can tell the range is too long)
+ *
+ * @example
+ * getBulkPeriods('2025-04-01', '2025-06-30', 'Monthly')
+ * // Returns [{ durationFrom: '2025-04-01', durationTo: '2025-04-30' }, { durationFrom: '2025-05-01', ... }, ...]
+ */
+export const getBulkPeriods = (from, to, term) => {
+  const start = parseStoredDate(from);
+  const end = parseStoredDate(to);
+  if (!start || !end || start > end) return [];
+
+  const periods = [];
+  for (let index = 0; periods.length <= MAX_BULK_RECEIPTS; index++) {
+    const periodStart = addTermPeriods(start, term, index);
+    if (periodStart > end) break;
+
+    const nextStart = addTermPeriods(start, term, index + 1);
+    const periodEnd = new Date(nextStart.getFullYear(), nextStart.getMonth(), nextStart.getDate() - 1);
+    periods.push({
+      durationFrom: toInputDate(periodStart),
+      durationTo: toInputDate(periodEnd < end ? periodEnd : end)
+    });
+  }
+  return periods;
+};
+
+/**
+ * Check a bulk generation request
+ *
+ * @param {Object} request - { tenantName, amount, paymentMode, from, to }
+ * @param {Array<Object>} periods - Result of getBulkPeriods
+ * @param {Array<Object>} drafts - Result of draftBulkReceipts for the periods
+ * @param {Array<Object>} receipts - Stored receipts, for the landlord PAN threshold
+ * @param {Object} datePolicy - Date policy the periods and transaction dates must fall within
+ * @returns {string} Error message, or empty string if the request is valid
+ */
+export const validateBulkRequest = (request, periods, drafts, receipts, datePolicy) => {
+  const missing = ['tenantName', 'amount', 'from', 'to'].filter(field => !String(request[field] || '').trim());
+  if (missing.length > 0) {
+    return `Please fill in: ${missing.join(', ')}`;
+  }
+
+  const amount = splitAmount(request.amount);
+  if (!amount || amount.rupees + amount.paise === 0) {
+    return 'Please fill in an amount greater than zero.';
+  }
+  if (periods.length === 0) {
+    return 'The From date cannot be after the To date.';
+  }
+  if (periods.length > MAX_BULK_RECEIPTS) {
+    return `Please pick a shorter range: at most ${MAX_BULK_RECEIPTS} receipts can be generated at once.`;
+  }
+  for (const draft of drafts) {
+    const { error } = checkReceiptDates(draft, datePolicy, true);
+    if (error) {
+      return `Period starting ${parseStoredDate(draft.durationFrom).toLocaleDateString('en-GB')}: ${error}`;
+    }
+  }
+  // Non-cash payments need a reference in the format of the mode and the mode's details
+  const paymentError = drafts
+    .map(draft => validatePaymentDetails({ mode: draft.paymentMode, referenceNo: draft.referenceNo, paymentDetails: draft.paymentDetails }))
+    .find(Boolean);
+  if (paymentError) {
+    return paymentError;
+  }
+  return validateBatchLandlordPan(drafts, receipts);
+};
+
+/**
+ * Draft one rent receipt per period
+ *
+ * @param {Object} details - Receipt details shared by every receipt (issuer, tenant, premises, amount, term, paymentMode, ...)
+ * @param {Array<Object>} periods - Result of getBulkPeriods
+ * @param {Array<string>} references - Reference number for each period (ignored for cash)
+ * @param {Array<Object>} paymentDetails - Payment details for each period (cheque date, bank, ...; ignored for cash)
+ * @returns {Array<Object>} Receipt drafts without receipt numbers
+ */
+export const draftBulkReceipts = (details, periods, references, paymentDetails = []) => {
+  return periods.map((period, index) => ({
+    ...details,
+    documentType: 'receipt',
+    receiptType: 'rent',
+    lineItems: [],
+    durationFrom: period.durationFrom,
+    durationTo: period.durationTo,
+    multiMonth: false,
+    prorated: false,
+    monthlyRent: '',
+    dateOfTransaction: parseStoredDate(period.durationFrom).toLocaleDateString('en-GB'),
+    referenceNo: details.paymentMode === 'Cash' ? '' : (references[index] || '').trim(),
+    paymentDetails: cleanPaymentDetails(details.paymentMode, paymentDetails[index]),
+    payments: [],
+    subjectToRealisation: false,
+    chequeStatus: '',
+    chequeStatusDate: '',
+    tdsApplicable: false,
+    tdsAmount: '',
+    tdsReference: ''
+  }));
+};
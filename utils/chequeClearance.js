@@ -0,0 +1,114 @@
+/**
+ * Cheque Clearance Utilities for ReceiptlyPlus
+ *
+ * A receipt paid by cheque (in full or as part of a split receipt) is not
+ * final until the cheque clears. Such receipts are issued as `deposited`
+ * and wait in the pending-clearance list until they are marked `cleared`
+ * or `bounced`. Receipts without a cheque status (issued before clearance
+ * was tracked, or backfilled in bulk) count as cleared.
+ *
+ * A bounced cheque voids its receipt: the receipt stays in the history
+ * under its number, but no longer counts towards the tenant ledger, so the
+ * rent it covered is due again. For a split receipt the whole receipt is
+ * voided; a new receipt is issued for the payments that did go through.
+ *
+ * Until the cheque clears a receipt can carry "subject to realisation"
+ * wording; once it clears, re-downloading the receipt drops the wording.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { getStoredReceiptType } from './receiptTypes';
+import { getIssuedPayments } from './payments';
+import { parseStoredDate } from './receiptHistory';
+
+export const CHEQUE_STATUSES = [
+  { value: 'deposited', label: 'Deposited' },
+  { value: 'cleared', label: 'Cleared' },
+  { value: 'bounced', label: 'Bounced' }
+];
+
+/**
+ * Get the cheque payments of a receipt
+ *
+ * @param {Object} receipt - Receipt record or form data
+ * @returns {Array<Object>} Cheque payments { referenceNo, paymentDetails } (empty if none)
+ */
+export const getChequePayments = (receipt) => {
+  if (!getStoredReceiptType(receipt).isPayment) return [];
+
+  const payments = getIssuedPayments(receipt.payments);
+  if (payments.length > 0) {
+    return payments.filter(payment => payment.mode === 'Cheque');
+  }
+  return receipt.paymentMode === 'Cheque'
+    ? [{ referenceNo: receipt.referenceNo || '', paymentDetails: receipt.paymentDetails || {} }]
+    : [];
+};
+
+/**
+ * Check whether a receipt was paid (wholly or partly) by cheque
+ *
+ * @param {Object} receipt - Receipt record or form data
+ * @returns {boolean} True if any payment of the receipt is a cheque
+ */
+export const hasChequePayment = (receipt) => getChequePayments(receipt).length > 0;
+
+/**
+ * Get the clearance status of a receipt's cheque
+ *
+ * @param {Object} receipt - Receipt record
+ * @returns {string} 'deposited', 'cleared' or 'bounced' ('' if the receipt has no cheque)
+ */
+export const getChequeStatus = (receipt) => {
+  if (!hasChequePayment(receipt)) return '';
+  return receipt.chequeStatus || 'cleared';
+};
+
+/**
+ * List the cheque receipts still waiting to clear, oldest first
+ *
+ * @param {Array<Object>} receipts - Stored receipts
+ * @returns {Array<Object>} Receipts whose cheque is deposited but not yet cleared or bounced
+ */
+export const getPendingCheques = (receipts) => {
+  return receipts
+    .filter(receipt => getChequeStatus(receipt) === 'deposited')
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+};
+
+/**
+ * Record the outcome of a receipt's cheque
+ *
+ * @param {Object} receipt - Receipt record
+ * @param {string} status - 'cleared' or 'bounced'
+ * @param {string} date - Date the bank cleared or returned the cheque (YYYY-MM-DD)
+ * @param {string} reason - Why the cheque bounced (e.g. "Insufficient funds", optional)
+ * @returns {Object} Updated receipt, dated DD/MM/YYYY like transaction dates; a bounced cheque voids the receipt
+ *
+ * @example
+ * setChequeStatus(receipt, 'bounced', '2026-10-19', 'Insufficient funds')
+ * // Returns { ...receipt, chequeStatus: 'bounced', chequeStatusDate: '19/10/2026', voided: true, voidReason: 'Insufficient funds' }
+ */
+export const setChequeStatus = (receipt, status, date, reason = '') => {
+  const bounced = status === 'bounced';
+  const statusDate = parseStoredDate(date);
+  return {
+    ...receipt,
+    chequeStatus: status,
+    chequeStatusDate: statusDate ? statusDate.toLocaleDateString('en-GB') : '',
+    voided: bounced,
+    voidReason: bounced ? reason.trim() : ''
+  };
+};
+
+/**
+ * Check whether a receipt should print "subject to realisation" wording
+ *
+ * @param {Object} receipt - Receipt record or form data
+ * @returns {boolean} True if asked for and the cheque has not cleared (or bounced) yet
+ */
+export const isSubjectToRealisation = (receipt) => {
+  return Boolean(receipt.subjectToRealisation) && getChequeStatus(receipt) === 'deposited';
+};
@@ -0,0 +1,97 @@
+/**
+ * Currency Utilities for ReceiptlyPlus
+ *
+ * Issuer profiles choose the currency their receipts are issued in. Each
+ * currency carries the locale used to format amounts (digit grouping and
+ * symbol placement), the unit names used when writing the amount in words
+ * (optionally per words language) and its usual numbering system for words.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { convertAmountToWords, splitAmount } from './numberToWords';
+
+export const DEFAULT_CURRENCY = 'INR';
+
+export const CURRENCIES = {
+  INR: {
+    code: 'INR', name: 'Indian Rupee', locale: 'en-IN', majorUnit: 'Rupees', minorUnit: 'Paise', numberSystem: 'indian',
+    localUnits: { hi: { majorUnit: 'रुपये', minorUnit: 'पैसे' } }
+  },
+  USD: { code: 'USD', name: 'US Dollar', locale: 'en-US', majorUnit: 'US Dollars', minorUnit: 'Cents', numberSystem: 'international' },
+  EUR: { code: 'EUR', name: 'Euro', locale: 'en-IE', majorUnit: 'Euros', minorUnit: 'Cents', numberSystem: 'international' },
+  GBP: { code: 'GBP', name: 'British Pound', locale: 'en-GB', majorUnit: 'Pounds', minorUnit: 'Pence', numberSystem: 'international' },
+  AED: { code: 'AED', name: 'UAE Dirham', locale: 'en-AE', majorUnit: 'UAE Dirhams', minorUnit: 'Fils', numberSystem: 'international' },
+  SGD: { code: 'SGD', name: 'Singapore Dollar', locale: 'en-SG', majorUnit: 'Singapore Dollars', minorUnit: 'Cents', numberSystem: 'international' },
+  AUD: { code: 'AUD', name: 'Australian Dollar', locale: 'en-AU', majorUnit: 'Australian Dollars', minorUnit: 'Cents', numberSystem: 'international' },
+  CAD: { code: 'CAD', name: 'Canadian Dollar', locale: 'en-CA', majorUnit: 'Canadian Dollars', minorUnit: 'Cents', numberSystem: 'international' }
+};
+
+/**
+ * Look up a currency, falling back to the Indian Rupee
+ *
+ * @param {string} code - ISO 4217 currency code (e.g. "USD")
+ * @returns {Object} Currency definition
+ */
+export const getCurrency = (code) => CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+
+/**
+ * Format an amount in a currency using that currency's locale
+ * Amounts that cannot be parsed are returned unchanged
+ *
+ * @param {string|number} amount - Amount (e.g. "150000" or "150000.5")
+ * @param {string} code - Currency code (defaults to INR)
+ * @returns {string} Formatted amount
+ *
+ * @example
+ * formatAmount('150000', 'INR') // Returns "₹1,50,000.00"
+ * formatAmount('150000', 'USD') // Returns "$150,000.00"
+ */
+export const formatAmount = (amount, code = DEFAULT_CURRENCY) => {
+  const parts = splitAmount(amount);
+  if (!parts) return String(amount ?? '');
+
+  const currency = getCurrency(code);
+  return new Intl.NumberFormat(currency.locale, {
+    style: 'currency',
+    currency: currency.code,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(parts.rupees + parts.paise / 100);
+};
+
+/**
+ * Get the symbol a currency is shown with in its locale
+ *
+ * @param {string} code - Currency code
+ * @returns {string} Currency symbol (e.g. "₹", "$" or "AED")
+ */
+export const getCurrencySymbol = (code = DEFAULT_CURRENCY) => {
+  const currency = getCurrency(code);
+  const symbolPart = new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currency.code })
+    .formatToParts(0)
+    .find(part => part.type === 'currency');
+  return symbolPart ? symbolPart.value : currency.code;
+};
+
+/**
+ * Write an amount in words in a currency
+ *
+ * @param {string|number} amount - Amount, optionally with two decimal places
+ * @param {string} code - Currency code (defaults to INR)
+ * @param {string} numberSystem - 'indian' or 'international' (defaults to the currency's usual system)
+ * @param {string} language - Words language, 'en' (default) or 'hi'
+ * @returns {string} Amount in words (e.g., "US Dollars One Hundred Fifty Thousand Only")
+ */
+export const formatAmountInWords = (amount, code = DEFAULT_CURRENCY, numberSystem, language = 'en') => {
+  const currency = getCurrency(code);
+  // Unit names fall back to English when the currency has none for the language
+  const units = (currency.localUnits && currency.localUnits[language]) || currency;
+  return convertAmountToWords(amount, {
+    system: numberSystem || currency.numberSystem,
+    majorUnit: units.majorUnit,
+    minorUnit: units.minorUnit,
+    language
+  });
+};
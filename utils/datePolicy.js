@@ -0,0 +1,184 @@
+/**
+ * Receipt Date Policy Utilities for ReceiptlyPlus
+ *
+ * The date policy sets how far back and how far ahead a receipt's rent
+ * period may fall, and whether the transaction date may be in the future.
+ * Dates outside the policy block the receipt; the policy itself can be
+ * widened (e.g. to issue an older backlog during an audit, or to receipt
+ * rent paid in advance). Leaving a limit empty removes it.
+ *
+ * Dates inside the policy that are still unusual (a long backdated period,
+ * a period that has not started yet, a post-dated transaction) only raise
+ * a warning on the form.
+ *
+ * The policy is stored in localStorage.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { parseStoredDate } from './receiptHistory';
+
+export const DATE_POLICY_SETTINGS_KEY = 'rental_receipt_date_policy';
+
+export const DEFAULT_DATE_POLICY = {
+  maxLookbackMonths: '12',
+  maxAdvanceMonths: '0',
+  allowFutureTransactionDates: false
+};
+
+// A period that ended longer ago than this is flagged as backdated
+export const BACKDATE_WARNING_MONTHS = 3;
+
+/**
+ * Load the date policy
+ *
+ * @returns {Object} Policy { maxLookbackMonths, maxAdvanceMonths, allowFutureTransactionDates } merged over the defaults
+ */
+export const loadDatePolicy = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DATE_POLICY_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_DATE_POLICY, ...saved };
+  } catch (error) {
+    console.warn('Could not load date policy:', error);
+    return { ...DEFAULT_DATE_POLICY };
+  }
+};
+
+/**
+ * Save the date policy
+ *
+ * @param {Object} policy - Policy { maxLookbackMonths, maxAdvanceMonths, allowFutureTransactionDates }
+ * @returns {Object} The saved policy
+ */
+export const saveDatePolicy = (policy) => {
+  const saved = {
+    maxLookbackMonths: String(policy.maxLookbackMonths ?? '').trim(),
+    maxAdvanceMonths: String(policy.maxAdvanceMonths ?? '').trim(),
+    allowFutureTransactionDates: Boolean(policy.allowFutureTransactionDates)
+  };
+  localStorage.setItem(DATE_POLICY_SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (the form's date input format)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toInputDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Read a month limit of the policy
+ *
+ * @param {string} value - Number of months
+ * @returns {number|null} Whole months, or null if there is no limit
+ */
+const parseMonths = (value) => {
+  const months = parseInt(value, 10);
+  return Number.isNaN(months) || months < 0 ? null : months;
+};
+
+/**
+ * Work out the earliest and latest dates a receipt's period may cover
+ * The range runs from the 1st of the month `maxLookbackMonths` before the
+ * current month to the last day of the month `maxAdvanceMonths` after it
+ *
+ * @param {Object} policy - Date policy
+ * @param {Date} today - Today's date (defaults to now)
+ * @returns {Object} { minDate, maxDate, maxTransactionDate } as YYYY-MM-DD strings (empty where there is no limit)
+ *
+ * @example
+ * // Today 19-Oct-2026
+ * getDateConstraints({ maxLookbackMonths: '12', maxAdvanceMonths: '0', allowFutureTransactionDates: false })
+ * // Returns { minDate: '2025-10-01', maxDate: '2026-10-31', maxTransactionDate: '2026-10-19' }
+ */
+export const getDateConstraints = (policy, today = new Date()) => {
+  const lookback = parseMonths(policy.maxLookbackMonths);
+  const advance = parseMonths(policy.maxAdvanceMonths);
+  return {
+    minDate: lookback === null ? '' : toInputDate(new Date(today.getFullYear(), today.getMonth() - lookback, 1)),
+    maxDate: advance === null ? '' : toInputDate(new Date(today.getFullYear(), today.getMonth() + advance + 1, 0)),
+    maxTransactionDate: policy.allowFutureTransactionDates ? '' : toInputDate(today)
+  };
+};
+
+/**
+ * Describe the period range of the policy, for hints and messages
+ *
+ * @param {Object} policy - Date policy
+ * @returns {string} Description (e.g. "12 months ago to end of current month")
+ */
+export const describeDateRange = (policy) => {
+  const lookback = parseMonths(policy.maxLookbackMonths);
+  const advance = parseMonths(policy.maxAdvanceMonths);
+  const months = (count) => `${count} ${count === 1 ? 'month' : 'months'}`;
+  const from = lookback === null ? 'any past date' : lookback === 0 ? 'start of current month' : `${months(lookback)} ago`;
+  const to = advance === null ? 'any future date' : advance === 0 ? 'end of current month' : `end of ${months(advance)} ahead`;
+  return `${from} to ${to}`;
+};
+
+/**
+ * Check a receipt's period and transaction date against the date policy
+ *
+ * @param {Object} formData - Receipt form data (durationFrom, durationTo, dateOfTransaction)
+ * @param {Object} policy - Date policy
+ * @param {boolean} hasPeriod - Whether the receipt covers a rent period
+ * @param {Date} today - Today's date (defaults to now)
+ * @returns {Object} { error, warnings }: an error message that blocks the receipt (empty string if none)
+ *   and the unusual dates that are allowed but worth a second look
+ *
+ * @example
+ * // Today 19-Oct-2026, default policy
+ * checkReceiptDates({ durationFrom: '2026-04-01', durationTo: '2026-04-30', dateOfTransaction: '2026-10-19' }, policy, true)
+ * // Returns { error: '', warnings: ['The period ended more than 3 months ago. Check this backdated receipt is intended.'] }
+ */
+export const checkReceiptDates = (formData, policy, hasPeriod, today = new Date()) => {
+  const { minDate, maxDate, maxTransactionDate } = getDateConstraints(policy, today);
+  const range = describeDateRange(policy);
+  const warnings = [];
+  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+  const transactionDate = parseStoredDate(formData.dateOfTransaction);
+  if (transactionDate && transactionDate > todayStart) {
+    if (maxTransactionDate) {
+      return {
+        error: 'Date of Transaction cannot be in the future. Allow future transaction dates in the date policy to post-date a receipt.',
+        warnings
+      };
+    }
+    warnings.push('The Date of Transaction is in the future (post-dated receipt).');
+  }
+
+  const durationFrom = parseStoredDate(formData.durationFrom);
+  const durationTo = parseStoredDate(formData.durationTo);
+  if (!hasPeriod || !durationFrom || !durationTo) {
+    return { error: '', warnings };
+  }
+
+  const outOfRange = (date) => (minDate && date < parseStoredDate(minDate)) || (maxDate && date > parseStoredDate(maxDate));
+  if (outOfRange(durationFrom)) {
+    return { error: `Duration From date must be within the allowed range (${range}).`, warnings };
+  }
+  if (outOfRange(durationTo)) {
+    return { error: `Duration To date must be within the allowed range (${range}).`, warnings };
+  }
+  if (durationFrom > durationTo) {
+    return { error: 'Duration From date cannot be after Duration To date.', warnings };
+  }
+
+  if (durationFrom > todayStart) {
+    warnings.push('The period has not started yet. Check this receipt for rent paid in advance is intended.');
+  }
+  const backdateLimit = new Date(todayStart.getFullYear(), todayStart.getMonth() - BACKDATE_WARNING_MONTHS, todayStart.getDate());
+  if (durationTo < backdateLimit) {
+    warnings.push(`The period ended more than ${BACKDATE_WARNING_MONTHS} months ago. Check this backdated receipt is intended.`);
+  }
+
+  return { error: '', warnings };
+};
@@ -0,0 +1,199 @@
+/**
+ * GST Invoice Utilities for ReceiptlyPlus
+ *
+ * Renting commercial premises is a taxable supply under GST (SAC 997212),
+ * so commercial tenants need a tax invoice rather than a rent receipt. An
+ * invoice carries the landlord's and tenant's GSTIN, the place of supply,
+ * the SAC code and the tax on the taxable value (the rent, or the total of
+ * the itemised charges).
+ *
+ * Tax split: when the place of supply is in the landlord's state (the state
+ * code in the landlord's GSTIN) the tax is split equally into CGST and SGST
+ * (UTGST for union territories without a legislature); otherwise the whole
+ * rate is charged as IGST. For renting immovable property the place of
+ * supply is where the property is, which is usually the landlord's state.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+
+export const DEFAULT_SAC_CODE = '997212';
+export const DEFAULT_GST_RATE = '18';
+
+// GST state codes (the first two digits of a GSTIN); ut marks union territories that levy UTGST
+export const GST_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh', ut: true },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', ut: true },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep', ut: true },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands', ut: true },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh', ut: true },
+  { code: '97', name: 'Other Territory' }
+];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Look up a GST state by its code
+ *
+ * @param {string} code - Two-digit state code (e.g. "27")
+ * @returns {Object|undefined} State { code, name, ut }
+ */
+export const getGstState = (code) => GST_STATES.find(state => state.code === code);
+
+/**
+ * Work out the check character of a GSTIN from its first 14 characters
+ *
+ * @param {string} gstin - GSTIN (at least 14 characters)
+ * @returns {string} Expected 15th character
+ */
+const getGstinCheckCharacter = (gstin) => {
+  let sum = 0;
+  for (let index = 0; index < 14; index++) {
+    const product = GSTIN_CHARACTERS.indexOf(gstin[index]) * (index % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Check that a GSTIN is well formed: pattern, state code and check character
+ *
+ * @param {string} gstin - GSTIN to check
+ * @returns {boolean} True if the GSTIN is valid
+ *
+ * @example
+ * isValidGstin('27AAPFU0939F1ZV') // Returns true
+ * isValidGstin('27AAPFU0939F1ZX') // Returns false (wrong check character)
+ */
+export const isValidGstin = (gstin) => {
+  const value = (gstin || '').trim().toUpperCase();
+  return GSTIN_PATTERN.test(value)
+    && Boolean(getGstState(value.slice(0, 2)))
+    && getGstinCheckCharacter(value) === value[14];
+};
+
+/**
+ * Get the state code a GSTIN is registered in
+ *
+ * @param {string} gstin - GSTIN
+ * @returns {string} Two-digit state code, or empty string if the GSTIN is too short
+ */
+export const getGstinStateCode = (gstin) => {
+  const code = (gstin || '').trim().slice(0, 2);
+  return getGstState(code) ? code : '';
+};
+
+/**
+ * Convert an amount to whole paise so tax stays exact
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 if not a valid amount)
+ */
+const toPaise = (amount) => {
+  const parts = splitAmount(amount);
+  return parts ? parts.rupees * 100 + parts.paise : 0;
+};
+
+/**
+ * Work out the GST on a taxable value
+ *
+ * @param {string} taxableValue - Taxable value (rent before tax)
+ * @param {string} rate - GST rate in percent
+ * @param {string} supplierState - Landlord's state code
+ * @param {string} placeOfSupply - Place of supply state code (defaults to the landlord's state)
+ * @returns {Object} { taxableValue, rate, isInterState, taxes: [{ name, rate, amount }], totalTax, invoiceTotal }
+ *   with amounts in rupees
+ *
+ * @example
+ * calculateGst('100000', '18', '27', '27')
+ * // Returns { ..., isInterState: false, taxes: [{ name: 'CGST', rate: 9, amount: 9000 }, { name: 'SGST', rate: 9, amount: 9000 }],
+ * //           totalTax: 18000, invoiceTotal: 118000 }
+ */
+export const calculateGst = (taxableValue, rate, supplierState, placeOfSupply) => {
+  const taxable = toPaise(taxableValue);
+  const percent = parseFloat(rate) || 0;
+  const destination = placeOfSupply || supplierState;
+  const isInterState = Boolean(supplierState && destination && supplierState !== destination);
+  const taxOn = (taxRate) => Math.round((taxable * taxRate) / 100);
+
+  let taxes;
+  if (isInterState) {
+    taxes = [{ name: 'IGST', rate: percent, amount: taxOn(percent) }];
+  } else {
+    const state = getGstState(destination);
+    taxes = [
+      { name: 'CGST', rate: percent / 2, amount: taxOn(percent / 2) },
+      { name: state && state.ut ? 'UTGST' : 'SGST', rate: percent / 2, amount: taxOn(percent / 2) }
+    ];
+  }
+
+  const totalTax = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  return {
+    taxableValue: taxable / 100,
+    rate: percent,
+    isInterState,
+    taxes: taxes.map(tax => ({ ...tax, amount: tax.amount / 100 })),
+    totalTax: totalTax / 100,
+    invoiceTotal: (taxable + totalTax) / 100
+  };
+};
+
+/**
+ * Check the GST details of an invoice
+ *
+ * @param {Object} formData - Form data (titleGstin, tenantGstin, placeOfSupply, sacCode, gstRate)
+ * @returns {string} Error message, or empty string if the details are valid
+ */
+export const validateInvoice = (formData) => {
+  if (!isValidGstin(formData.titleGstin)) {
+    return 'Please fill in a valid landlord GSTIN (15 characters, e.g. 27AAPFU0939F1ZV).';
+  }
+  if (formData.tenantGstin && !isValidGstin(formData.tenantGstin)) {
+    return 'Please fill in a valid tenant GSTIN, or leave it blank for an unregistered tenant.';
+  }
+  if (formData.placeOfSupply && !getGstState(formData.placeOfSupply)) {
+    return 'Please fill in the place of supply.';
+  }
+  if (!/^\d{6}$/.test((formData.sacCode || '').trim())) {
+    return 'Please fill in a 6-digit SAC code.';
+  }
+  const rate = parseFloat(formData.gstRate);
+  if (!(rate > 0 && rate <= 28)) {
+    return 'Please fill in a GST rate between 0 and 28%.';
+  }
+  return '';
+};
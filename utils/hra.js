@@ -0,0 +1,369 @@
+/**
+ * HRA Utilities for ReceiptlyPlus
+ *
+ * Salaried tenants claim House Rent Allowance (HRA) exemption with their
+ * rent receipts. Once the rent paid to a landlord in a financial year
+ * exceeds ₹1,00,000, the employer also needs the landlord's PAN, so the
+ * form keeps a running financial-year total per tenant and asks for the
+ * PAN once the threshold is crossed.
+ *
+ * Rent is counted the way the tenant ledger counts it (see getRentPaid):
+ * rent, advance rent and deposit adjustments, and only the Rent lines of
+ * itemised receipts. A receipt belongs to the financial year of its
+ * transaction date. Only rupee receipts count towards the threshold.
+ *
+ * At year end tenants also want all their receipts for the year in one
+ * file: the HRA pack lists each month of the financial year (April to
+ * March) with the receipts covering it, so missing months can be spotted
+ * and issued before the pack is downloaded. Receipts for missing months are
+ * issued as cash, dated on the day of the month the landlord says the rent
+ * was paid, and checked against the date policy and the landlord PAN
+ * threshold like any other receipt.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { parseStoredDate, isVoidReceipt } from './receiptHistory';
+import { getFinancialYear } from './receiptNumbering';
+import { getRentPaid } from './tenantLedger';
+import { getStoredReceiptType } from './receiptTypes';
+import { DEFAULT_CURRENCY } from './currency';
+import { validatePaymentDetails } from './payments';
+import { checkReceiptDates } from './datePolicy';
+
+export const HRA_PAN_THRESHOLD = 100000;
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+/**
+ * Check that a PAN is well formed (five letters, four digits, one letter)
+ *
+ * @param {string} pan - PAN to check
+ * @returns {boolean} True if the PAN is valid
+ *
+ * @example
+ * isValidPan('ABCDE1234F') // Returns true
+ * isValidPan('ABCD1234F')  // Returns false
+ */
+export const isValidPan = (pan) => PAN_PATTERN.test((pan || '').trim().toUpperCase());
+
+/**
+ * Convert an amount to whole paise so sums stay exact
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 if not a valid amount)
+ */
+const toPaise = (amount) => {
+  const parts = splitAmount(amount);
+  return parts ? parts.rupees * 100 + parts.paise : 0;
+};
+
+/**
+ * Check whether a receipt is in rupees
+ *
+ * @param {Object} receipt - Receipt record or form data
+ * @returns {boolean} True for INR receipts (receipts without a currency are INR)
+ */
+const isRupeeReceipt = (receipt) => (receipt.currency || DEFAULT_CURRENCY) === 'INR';
+
+/**
+ * Add up the rent a tenant paid in the financial year containing a date
+ *
+ * @param {Array<Object>} receipts - Stored receipts
+ * @param {string} tenantName - Tenant name (matched ignoring case)
+ * @param {Date} date - Any date in the financial year (defaults to today)
+ * @returns {number} Rent paid in rupees
+ */
+export const getTenantYearRent = (receipts, tenantName, date = new Date()) => {
+  const name = (tenantName || '').trim().toLowerCase();
+  const { label } = getFinancialYear(date);
+
+  const total = receipts
+    .filter(receipt => (receipt.tenantName || '').trim().toLowerCase() === name && isRupeeReceipt(receipt) && !isVoidReceipt(receipt))
+    .filter(receipt => {
+      const transactionDate = parseStoredDate(receipt.dateOfTransaction) || parseStoredDate(receipt.receiptDate);
+      return transactionDate && getFinancialYear(transactionDate).label === label;
+    })
+    .reduce((sum, receipt) => sum + toPaise(getRentPaid(receipt)), 0);
+
+  return total / 100;
+};
+
+/**
+ * Work out the tenant's financial-year rent including the receipt being made,
+ * and whether it crosses the HRA PAN threshold
+ *
+ * @param {Object} formData - Receipt form data (tenantName, dateOfTransaction, amount, currency, ...)
+ * @param {Array<Object>} receipts - Stored receipts
+ * @returns {Object} { financialYear, yearTotal, exceedsThreshold } with yearTotal in rupees
+ *
+ * @example
+ * getHraPanStatus({ tenantName: 'John Doe', amount: '25000', dateOfTransaction: '2025-08-05' }, loadReceipts())
+ * // Returns { financialYear: '2025-26', yearTotal: 125000, exceedsThreshold: true }
+ */
+export const getHraPanStatus = (formData, receipts) => {
+  const date = parseStoredDate(formData.dateOfTransaction) || new Date();
+  const financialYear = getFinancialYear(date).label;
+
+  // Deposits, invoices and foreign-currency receipts are not HRA rent receipts
+  const rentPaid = isRupeeReceipt(formData) ? toPaise(getRentPaid(formData)) : 0;
+  if (!formData.tenantName || !rentPaid) {
+    return { financialYear, yearTotal: 0, exceedsThreshold: false };
+  }
+
+  const yearTotal = (toPaise(getTenantYearRent(receipts, formData.tenantName, date)) + rentPaid) / 100;
+  return { financialYear, yearTotal, exceedsThreshold: yearTotal > HRA_PAN_THRESHOLD };
+};
+
+/**
+ * Check the landlord's PAN on a receipt
+ *
+ * @param {string} pan - Landlord PAN entered on the form
+ * @param {Object} status - Result of getHraPanStatus
+ * @returns {string} Error message, or empty string if the PAN is fine
+ */
+export const validateLandlordPan = (pan, status) => {
+  if (pan && !isValidPan(pan)) {
+    return 'Please fill in a valid landlord PAN (10 characters, e.g. ABCDE1234F).';
+  }
+  if (!pan && status.exceedsThreshold) {
+    return `Please fill in the landlord's PAN: rent for FY ${status.financialYear} exceeds ₹1,00,000, so the tenant needs it to claim HRA.`;
+  }
+  return '';
+};
+
+/**
+ * Check the landlord's PAN on a batch of receipts about to be issued
+ * Each receipt's financial-year total counts the rest of the batch as well
+ * as the stored receipts, as none of the batch is saved yet
+ *
+ * @param {Array<Object>} drafts - Receipt drafts (titlePan, tenantName, amount, dateOfTransaction, ...)
+ * @param {Array<Object>} receipts - Stored receipts
+ * @returns {string} Error message, or empty string if the PAN is fine for every receipt
+ */
+export const validateBatchLandlordPan = (drafts, receipts) => {
+  for (const draft of drafts) {
+    const others = drafts.filter(other => other !== draft);
+    const error = validateLandlordPan((draft.titlePan || '').trim(), getHraPanStatus(draft, [...receipts, ...others]));
+    if (error) return error;
+  }
+  return '';
+};
+
+/**
+ * Check whether a receipt belongs to a tenant and still stands
+ *
+ * @param {Object} receipt - Receipt record
+ * @param {string} tenantName - Tenant name (matched ignoring case)
+ * @returns {boolean} True if the receipt was issued to the tenant and has not been voided
+ */
+const isTenantReceipt = (receipt, tenantName) => {
+  return !isVoidReceipt(receipt) && (receipt.tenantName || '').trim().toLowerCase() === (tenantName || '').trim().toLowerCase();
+};
+
+/**
+ * Key a date by its month
+ *
+ * @param {Date} date - Any date in the month
+ * @returns {string} Month key like "2025-04"
+ */
+const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * List the months a receipt's rent period touches
+ *
+ * @param {Object} receipt - Receipt record (durationFrom, durationTo)
+ * @returns {Array<string>} Month keys, empty if the receipt has no period
+ */
+const getCoveredMonths = (receipt) => {
+  const from = parseStoredDate(receipt.durationFrom);
+  const to = parseStoredDate(receipt.durationTo);
+  if (!from || !to || to < from) return [];
+
+  const months = [];
+  for (let month = new Date(from.getFullYear(), from.getMonth(), 1); month <= to; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+    months.push(getMonthKey(month));
+  }
+  return months;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (the form's date input format)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toInputDate = (date) => `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * List the financial years a tenant has rent receipts for
+ *
+ * @param {Array<Object>} receipts - Stored receipts
+ * @param {string} tenantName - Tenant name
+ * @returns {Array<Object>} Financial years { startYear, label, short }, latest first
+ */
+export const getTenantFinancialYears = (receipts, tenantName) => {
+  const startYears = new Set();
+
+  receipts
+    .filter(receipt => isTenantReceipt(receipt, tenantName) && getStoredReceiptType(receipt).countsAsRent)
+    .forEach(receipt => getCoveredMonths(receipt).forEach(key => {
+      const [year, month] = key.split('-').map(Number);
+      startYears.add(month >= 4 ? year : year - 1);
+    }));
+
+  return [...startYears]
+    .sort((a, b) => b - a)
+    .map(startYear => getFinancialYear(new Date(startYear, 3, 1)));
+};
+
+/**
+ * Collect a tenant's rent receipts for one financial year
+ * A receipt covering several months has its rent spread evenly over them
+ *
+ * @param {Array<Object>} receipts - Stored receipts
+ * @param {string} tenantName - Tenant name
+ * @param {number} startYear - Year the financial year starts in (2025 for FY 2025-26)
+ * @param {Date} today - Months starting after this date are not yet due (defaults to today)
+ * @returns {Object} { tenantName, financialYear, landlord: { titleName, titlePan, titleAddress }, premisesAddress,
+ *   currency, months, missingMonths, receipts, total }; each month is { key, label, start, receiptNumbers, rent, due }
+ *
+ * @example
+ * buildHraPack(loadReceipts(), 'John Doe', 2025)
+ * // Returns { financialYear: '2025-26', months: [{ label: 'April 2025', receiptNumbers: ['RCT/2025-26/0001'], rent: 25000, ... }, ...],
+ * //           missingMonths: [...], receipts: [...], total: 300000, ... }
+ */
+export const buildHraPack = (receipts, tenantName, startYear, today = new Date()) => {
+  const monthStarts = Array.from({ length: 12 }, (_, index) => new Date(startYear, 3 + index, 1));
+  const monthKeys = monthStarts.map(getMonthKey);
+
+  const packReceipts = receipts
+    .filter(receipt => isTenantReceipt(receipt, tenantName) && getStoredReceiptType(receipt).countsAsRent)
+    .filter(receipt => getCoveredMonths(receipt).some(key => monthKeys.includes(key)))
+    .sort((a, b) => parseStoredDate(a.durationFrom) - parseStoredDate(b.durationFrom));
+
+  const months = monthStarts.map((start, index) => {
+    const covering = packReceipts.filter(receipt => getCoveredMonths(receipt).includes(monthKeys[index]));
+    const rent = covering.reduce((sum, receipt) => {
+      return sum + Math.round(toPaise(getRentPaid(receipt)) / getCoveredMonths(receipt).length);
+    }, 0);
+
+    return {
+      key: monthKeys[index],
+      label: start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' }),
+      start,
+      receiptNumbers: covering.map(receipt => receipt.receiptNumber),
+      rent: rent / 100,
+      due: start <= today
+    };
+  });
+
+  const latest = packReceipts[packReceipts.length - 1] || {};
+  return {
+    tenantName: latest.tenantName || tenantName,
+    financialYear: getFinancialYear(monthStarts[0]).label,
+    landlord: {
+      titleName: latest.titleName || '',
+      titlePan: latest.titlePan || '',
+      titleAddress: latest.titleAddress || ''
+    },
+    premisesAddress: latest.premisesAddress || '',
+    currency: latest.currency || DEFAULT_CURRENCY,
+    months,
+    missingMonths: months.filter(month => month.due && month.receiptNumbers.length === 0),
+    receipts: packReceipts,
+    total: months.reduce((sum, month) => sum + toPaise(month.rent), 0) / 100
+  };
+};
+
+/**
+ * Work out the monthly rent to use for receipts of missing months
+ *
+ * @param {Object} pack - Result of buildHraPack
+ * @param {Object} tenant - Tenant record from the directory (optional)
+ * @returns {string} Monthly rent, or empty string if it cannot be worked out
+ */
+export const getPackMonthlyRent = (pack, tenant) => {
+  if (tenant && toPaise(tenant.agreedRent) > 0 && (tenant.term || 'Monthly') === 'Monthly') {
+    return String(tenant.agreedRent);
+  }
+
+  const monthly = [...pack.receipts].reverse().find(receipt => getCoveredMonths(receipt).length === 1);
+  return monthly ? getRentPaid(monthly) : '';
+};
+
+/**
+ * Work out the day of the month the tenant usually pays rent on
+ *
+ * @param {Object} pack - Result of buildHraPack
+ * @returns {string} Day of the month of the latest receipt's transaction date, or empty string if unknown
+ */
+export const getPackRentDay = (pack) => {
+  const latest = pack.receipts[pack.receipts.length - 1];
+  const date = latest ? parseStoredDate(latest.dateOfTransaction) : null;
+  return date ? String(date.getDate()) : '';
+};
+
+/**
+ * Draft rent receipts for the missing months of an HRA pack
+ * Each draft copies the landlord, premises and tenant details of the latest
+ * receipt in the pack; the caller issues numbers and saves them. The drafts
+ * are cash receipts, as a backfilled month has no cheque or transfer
+ * reference to quote
+ *
+ * @param {Object} pack - Result of buildHraPack (with at least one receipt)
+ * @param {string} monthlyRent - Rent for each month
+ * @param {string|number} rentDay - Day of the month the rent was paid (a later day than the month has is its last day)
+ * @returns {Array<Object>} Receipt drafts without receipt numbers
+ */
+export const draftMissingReceipts = (pack, monthlyRent, rentDay) => {
+  const template = pack.receipts[pack.receipts.length - 1];
+  const { id, receiptNumber, receiptDate, createdAt, balanceAfter, chequeStatus, chequeStatusDate, voided, voidReason, ...details } = template;
+
+  return pack.missingMonths.map(month => {
+    const end = new Date(month.start.getFullYear(), month.start.getMonth() + 1, 0);
+    const paidOn = new Date(end.getFullYear(), end.getMonth(), Math.min(Number(rentDay), end.getDate()));
+    return {
+      ...details,
+      documentType: 'receipt',
+      receiptType: 'rent',
+      term: 'Monthly',
+      durationFrom: toInputDate(month.start),
+      durationTo: toInputDate(end),
+      amount: String(monthlyRent),
+      lineItems: [],
+      multiMonth: false,
+      prorated: false,
+      dateOfTransaction: paidOn.toLocaleDateString('en-GB'),
+      paymentMode: 'Cash',
+      payments: [],
+      referenceNo: '',
+      paymentDetails: {},
+      subjectToRealisation: false,
+      tdsApplicable: false,
+      tdsAmount: '',
+      tdsReference: ''
+    };
+  });
+};
+
+/**
+ * Check the receipts drafted for missing months before they are issued
+ *
+ * @param {Array<Object>} drafts - Result of draftMissingReceipts
+ * @param {Object} datePolicy - Date policy the periods and transaction dates must fall within
+ * @param {Array<Object>} receipts - Stored receipts, for the landlord PAN threshold
+ * @returns {string} Error message naming the first month that fails, or empty string if all are valid
+ */
+export const validateMissingReceipts = (drafts, datePolicy, receipts) => {
+  for (const draft of drafts) {
+    const error = validatePaymentDetails({ mode: draft.paymentMode, referenceNo: draft.referenceNo, paymentDetails: draft.paymentDetails })
+      || checkReceiptDates(draft, datePolicy, true).error;
+    if (error) {
+      return `${parseStoredDate(draft.durationFrom).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}: ${error}`;
+    }
+  }
+  return validateBatchLandlordPan(drafts, receipts);
+};
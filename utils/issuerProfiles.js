@@ -0,0 +1,124 @@
+/**
+ * Issuer Profile Utilities for ReceiptlyPlus
+ *
+ * An issuer profile holds the landlord details printed in the receipt
+ * header (name, address, PAN, GSTIN, logo), an optional saved signature, the
+ * receipt and invoice numbering series and the currency receipts are issued in, so receipts for several owners can be issued
+ * without retyping the header. Profiles are stored in the
+ * `rental_issuer_profiles` localStorage array.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { loadCollection, upsertRecord, removeRecord, createId } from './storage';
+import { DEFAULT_CURRENCY, getCurrency } from './currency';
+
+export const PROFILES_STORAGE_KEY = 'rental_issuer_profiles';
+
+export const DEFAULT_RECEIPT_SERIES = 'RCT';
+
+// GST tax invoices are numbered in their own series
+export const DEFAULT_INVOICE_SERIES = 'INV';
+
+/**
+ * Blank profile record used by the profile editor
+ */
+export const emptyProfile = {
+  id: '',
+  profileName: '',
+  titleName: '',
+  titleAddress: '',
+  pan: '',
+  gstin: '',
+  logoDataUrl: '',
+  signatureDataUrl: '',
+  receiptSeries: DEFAULT_RECEIPT_SERIES,
+  invoiceSeries: DEFAULT_INVOICE_SERIES,
+  currency: DEFAULT_CURRENCY,
+  numberSystem: 'indian'
+};
+
+// ===== STORAGE =====
+
+/**
+ * Load all issuer profiles, sorted by profile name
+ *
+ * @returns {Array<Object>} Stored profile records
+ */
+export const loadProfiles = () => {
+  return loadCollection(PROFILES_STORAGE_KEY).sort((a, b) => a.profileName.localeCompare(b.profileName));
+};
+
+/**
+ * Add a new profile or update an existing one
+ *
+ * @param {Object} profile - Profile record (a new id is assigned if missing)
+ * @returns {Object} The saved profile record
+ */
+export const saveProfile = (profile) => {
+  const saved = {
+    ...emptyProfile,
+    ...profile,
+    id: profile.id || createId(),
+    profileName: profile.profileName.trim(),
+    pan: (profile.pan || '').trim().toUpperCase(),
+    gstin: (profile.gstin || '').trim().toUpperCase(),
+    receiptSeries: (profile.receiptSeries || '').trim().toUpperCase() || DEFAULT_RECEIPT_SERIES,
+    invoiceSeries: (profile.invoiceSeries || '').trim().toUpperCase() || DEFAULT_INVOICE_SERIES
+  };
+  upsertRecord(PROFILES_STORAGE_KEY, saved);
+  return saved;
+};
+
+/**
+ * Delete an issuer profile
+ *
+ * @param {string} id - Id of the profile to delete
+ */
+export const deleteProfile = (id) => {
+  removeRecord(PROFILES_STORAGE_KEY, id);
+};
+
+// ===== FORM INTEGRATION =====
+
+/**
+ * Build the receipt form header fields from an issuer profile
+ *
+ * @param {Object} profile - Profile record
+ * @returns {Object} Partial form data (profileId, titleName, titleAddress, titlePan, titleGstin, titleLogo,
+ *   receiptSeries, invoiceSeries, currency, numberSystem)
+ *
+ * @example
+ * getProfileFormDefaults({ id: 'a1', titleName: 'ABC Properties', pan: 'ABCDE1234F', receiptSeries: 'ABC' })
+ * // Returns { profileId: 'a1', titleName: 'ABC Properties', titleAddress: '', titlePan: 'ABCDE1234F', titleGstin: '', titleLogo: '',
+ * //           receiptSeries: 'ABC', invoiceSeries: 'INV', currency: 'INR', numberSystem: 'indian' }
+ */
+export const getProfileFormDefaults = (profile) => ({
+  profileId: profile.id,
+  titleName: profile.titleName || '',
+  titleAddress: profile.titleAddress || '',
+  titlePan: profile.pan || '',
+  titleGstin: profile.gstin || '',
+  titleLogo: profile.logoDataUrl || '',
+  receiptSeries: profile.receiptSeries || DEFAULT_RECEIPT_SERIES,
+  invoiceSeries: profile.invoiceSeries || DEFAULT_INVOICE_SERIES,
+  // Profiles saved before currencies existed issue in rupees
+  currency: getCurrency(profile.currency).code,
+  numberSystem: profile.numberSystem || getCurrency(profile.currency).numberSystem
+});
+
+/**
+ * Read an image file (logo) as a base64 data URL
+ *
+ * @param {File} file - Image file picked by the user
+ * @returns {Promise<string>} Data URL of the image
+ */
+export const readImageAsDataUrl = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+};
@@ -0,0 +1,101 @@
+/**
+ * Itemised Charge Utilities for ReceiptlyPlus
+ *
+ * A receipt can carry line items (rent, maintenance, electricity, ...)
+ * instead of a single amount. When line items are present the receipt
+ * amount is their total, and the breakdown is printed as a table and kept
+ * in the stored receipt record (`lineItems`).
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { createId } from './storage';
+import { splitAmount } from './numberToWords';
+
+// Suggested descriptions offered in the line item editor
+export const CHARGE_SUGGESTIONS = [
+  'Rent',
+  'Society Maintenance',
+  'Electricity',
+  'Water',
+  'Parking',
+  'Internet'
+];
+
+/**
+ * Create a new line item
+ *
+ * @param {string} description - Charge description (e.g. "Rent")
+ * @param {string} amount - Charge amount
+ * @returns {Object} Line item { id, description, amount }
+ */
+export const createLineItem = (description = '', amount = '') => ({
+  id: createId(),
+  description,
+  amount
+});
+
+/**
+ * Drop rows that were added but left completely blank
+ *
+ * @param {Array<Object>} items - Line items
+ * @returns {Array<Object>} Line items with a description or an amount
+ */
+export const getBilledLineItems = (items = []) => {
+  return items.filter(item => (item.description || '').trim() || String(item.amount || '').trim());
+};
+
+/**
+ * Add up line item amounts, working in paise to avoid rounding errors
+ *
+ * @param {Array<Object>} items - Line items
+ * @returns {string} Total amount (e.g. "27500.5")
+ */
+export const getLineItemsTotal = (items = []) => {
+  const totalPaise = items.reduce((sum, item) => {
+    const parts = splitAmount(item.amount);
+    return sum + (parts ? parts.rupees * 100 + parts.paise : 0);
+  }, 0);
+  return String(totalPaise / 100);
+};
+
+/**
+ * Check that every billed line item has a description and a positive amount
+ *
+ * @param {Array<Object>} items - Line items
+ * @returns {string} Error message, or empty string if the items are valid
+ */
+export const validateLineItems = (items = []) => {
+  const incomplete = getBilledLineItems(items).some(item => {
+    const parts = splitAmount(item.amount);
+    return !(item.description || '').trim() || !parts || (parts.rupees === 0 && parts.paise === 0);
+  });
+  return incomplete ? 'Please fill in a description and an amount for every charge.' : '';
+};
+
+/**
+ * Get the amount a receipt is for
+ * The total of the line items when the receipt is itemised, otherwise its amount
+ *
+ * @param {Object} formData - Receipt form data (amount, lineItems)
+ * @returns {string} Receipt amount
+ */
+export const getReceiptAmount = (formData) => {
+  const items = getBilledLineItems(formData.lineItems);
+  return items.length > 0 ? getLineItemsTotal(items) : (formData.amount || '');
+};
+
+/**
+ * Put a tenant's agreed rent into the "Rent" line of an itemised receipt
+ * Adds a rent line at the top if there is none
+ *
+ * @param {Array<Object>} items - Line items
+ * @param {string} rent - Agreed rent
+ * @returns {Array<Object>} Updated line items
+ */
+export const applyRentToLineItems = (items, rent) => {
+  const rentItem = items.find(item => item.description.trim().toLowerCase() === 'rent');
+  if (!rentItem) return [createLineItem('Rent', rent), ...items];
+  return items.map(item => (item === rentItem ? { ...item, amount: rent } : item));
+};
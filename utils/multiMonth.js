@@ -0,0 +1,116 @@
+/**
+ * Multi-Month Receipt Utilities for ReceiptlyPlus
+ *
+ * When a tenant pays several months' rent in one transaction, one receipt
+ * covers the whole span instead of one receipt per month. The form takes
+ * the first and last month and the rent per month: the receipt amount is
+ * the monthly rent times the number of months, and the period runs from
+ * the first day of the first month to the last day of the last month.
+ *
+ * The receipt text names each month ("for the months of Jan-2026, Feb-2026
+ * and Mar-2026"). `multiMonth` and `monthlyRent` are kept on the stored
+ * receipt so re-downloads print the same wording.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { parseStoredDate } from './receiptHistory';
+
+// A receipt for more than a year of rent is almost certainly a typo
+export const MAX_RECEIPT_MONTHS = 12;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the first day of a month
+ *
+ * @param {string} month - Month (YYYY-MM, as given by a month input)
+ * @returns {string} Date (YYYY-MM-DD), or empty string if no month is given
+ *
+ * @example
+ * getMonthStart('2026-02') // Returns '2026-02-01'
+ */
+export const getMonthStart = (month) => (month ? `${month}-01` : '');
+
+/**
+ * Get the last day of a month
+ *
+ * @param {string} month - Month (YYYY-MM, as given by a month input)
+ * @returns {string} Date (YYYY-MM-DD), or empty string if no month is given
+ *
+ * @example
+ * getMonthEnd('2026-02') // Returns '2026-02-28'
+ */
+export const getMonthEnd = (month) => {
+  if (!month) return '';
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${month}-${String(new Date(year, monthNumber, 0).getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * List the calendar months a period touches
+ *
+ * @param {string} durationFrom - Period start (YYYY-MM-DD or DD/MM/YYYY)
+ * @param {string} durationTo - Period end (YYYY-MM-DD or DD/MM/YYYY)
+ * @returns {Array<Object>} Months { key, label } in order (at most MAX_RECEIPT_MONTHS + 1, so callers can tell the span is too long)
+ *
+ * @example
+ * getMonthSpan('2026-01-01', '2026-03-31')
+ * // Returns [{ key: '2026-01', label: 'Jan-2026' }, { key: '2026-02', label: 'Feb-2026' }, { key: '2026-03', label: 'Mar-2026' }]
+ */
+export const getMonthSpan = (durationFrom, durationTo) => {
+  const start = parseStoredDate(durationFrom);
+  const end = parseStoredDate(durationTo);
+  if (!start || !end || start > end) return [];
+
+  const months = [];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+  while (cursor <= end && months.length <= MAX_RECEIPT_MONTHS) {
+    months.push({
+      key: `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`,
+      label: `${MONTH_NAMES[cursor.getMonth()]}-${cursor.getFullYear()}`
+    });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Work out the amount of a multi-month receipt
+ *
+ * @param {string|number} monthlyRent - Rent per month
+ * @param {number} monthCount - Number of months covered
+ * @returns {string} Total amount, or empty string if the rent or months are missing
+ *
+ * @example
+ * getMultiMonthTotal('12500.50', 3) // Returns '37501.5'
+ */
+export const getMultiMonthTotal = (monthlyRent, monthCount) => {
+  const rent = splitAmount(monthlyRent);
+  if (!rent || monthCount === 0) return '';
+  return String(((rent.rupees * 100 + rent.paise) * monthCount) / 100);
+};
+
+/**
+ * Check the months and rent of a multi-month receipt
+ *
+ * @param {Object} formData - Receipt form data (monthlyRent, durationFrom, durationTo)
+ * @returns {string} Error message, or empty string if the receipt is valid
+ */
+export const validateMultiMonth = (formData) => {
+  const rent = splitAmount(formData.monthlyRent);
+  if (!rent || rent.rupees + rent.paise === 0) {
+    return 'Please fill in the rent per month.';
+  }
+
+  const months = getMonthSpan(formData.durationFrom, formData.durationTo);
+  if (months.length < 2) {
+    return 'A multi-month receipt must cover at least two months.';
+  }
+  if (months.length > MAX_RECEIPT_MONTHS) {
+    return `A multi-month receipt can cover at most ${MAX_RECEIPT_MONTHS} months.`;
+  }
+  return '';
+};
@@ -0,0 +1,204 @@
+/**
+ * Amount to Words Conversion for ReceiptlyPlus
+ *
+ * Writes amounts in words using either numbering system:
+ * - Indian: digits are grouped 2-2-3 from the right (e.g. 12,34,56,789),
+ *   so the scales are Thousand, Lakh and Crore, and anything above 99 Crore
+ *   is expressed as a count of crores (e.g. "One Lakh Crore")
+ * - International: digits are grouped in threes, with the scales Thousand,
+ *   Million, Billion and Trillion
+ *
+ * Words are available in English and Hindi. Hindi has a distinct word for
+ * every number below 100, so it uses a lookup table rather than tens + units.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const HINDI_BELOW_HUNDRED = ['',
+  'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ', 'दस',
+  'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस', 'बीस',
+  'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस', 'तीस',
+  'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस', 'चालीस',
+  'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास', 'पचास',
+  'इक्यावन', 'बावन', 'तिरेपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ', 'साठ',
+  'इकसठ', 'बासठ', 'तिरेसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर', 'सत्तर',
+  'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी', 'अस्सी',
+  'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी', 'नब्बे',
+  'इक्यानबे', 'बानबे', 'तिरानबे', 'चौरानबे', 'पचानबे', 'छियानबे', 'सत्तानबे', 'अट्ठानबे', 'निन्यानबे'
+];
+
+// Scale values from largest to smallest; the count of the largest scale may itself need scales
+const SCALE_VALUES = {
+  indian: [10000000, 100000, 1000],
+  international: [1000000000000, 1000000000, 1000000, 1000]
+};
+
+/**
+ * Word vocabularies per language
+ * belowHundred writes 1-99, scales name each scale value, and amount
+ * joins the whole and fractional parts with the unit names
+ */
+const VOCABULARIES = {
+  en: {
+    zero: 'Zero',
+    belowHundred: (number) => (number < 20 ? ONES[number] : TENS[Math.floor(number / 10)] + (number % 10 ? ` ${ONES[number % 10]}` : '')),
+    hundred: 'Hundred',
+    scales: {
+      10000000: 'Crore', 100000: 'Lakh', 1000: 'Thousand',
+      1000000000000: 'Trillion', 1000000000: 'Billion', 1000000: 'Million'
+    },
+    amount: (whole, fraction, majorUnit, minorUnit) => `${[
+      whole ? `${majorUnit} ${whole}` : '',
+      fraction ? `${fraction} ${minorUnit}` : ''
+    ].filter(Boolean).join(' and ')} Only`
+  },
+  hi: {
+    zero: 'शून्य',
+    belowHundred: (number) => HINDI_BELOW_HUNDRED[number],
+    hundred: 'सौ',
+    scales: {
+      10000000: 'करोड़', 100000: 'लाख', 1000: 'हज़ार',
+      1000000000000: 'ट्रिलियन', 1000000000: 'बिलियन', 1000000: 'मिलियन'
+    },
+    amount: (whole, fraction, majorUnit, minorUnit) => `${[
+      whole ? `${whole} ${majorUnit}` : '',
+      fraction ? `${fraction} ${minorUnit}` : ''
+    ].filter(Boolean).join(' और ')} मात्र`
+  }
+};
+
+export const WORD_LANGUAGES = Object.keys(VOCABULARIES);
+
+export const NUMBER_SYSTEMS = [
+  { value: 'indian', label: 'Indian (Lakh, Crore)' },
+  { value: 'international', label: 'International (Million, Billion)' }
+];
+
+/**
+ * Convert a number below 1000 to words
+ *
+ * @param {number} number - Whole number from 0 to 999
+ * @param {Object} vocabulary - Word vocabulary
+ * @returns {string} Words, or empty string for 0
+ */
+const convertHundreds = (number, vocabulary) => {
+  const words = [];
+  if (number >= 100) {
+    words.push(`${vocabulary.belowHundred(Math.floor(number / 100))} ${vocabulary.hundred}`);
+    number %= 100;
+  }
+  if (number > 0) words.push(vocabulary.belowHundred(number));
+  return words.join(' ');
+};
+
+/**
+ * Convert a whole number to words using the given numbering system
+ *
+ * @param {number} number - Non-negative whole number
+ * @param {string} system - 'indian' or 'international'
+ * @param {Object} vocabulary - Word vocabulary
+ * @returns {string} Words, or empty string for 0
+ */
+const convertWhole = (number, system, vocabulary) => {
+  const scaleValues = SCALE_VALUES[system] || SCALE_VALUES.indian;
+  const words = [];
+  let remaining = number;
+
+  scaleValues.forEach((value, index) => {
+    if (remaining >= value) {
+      const count = Math.floor(remaining / value);
+      // Only the largest scale's count can exceed the group size; it is itself written in words
+      const countWords = index === 0 ? convertWhole(count, system, vocabulary) : convertHundreds(count, vocabulary);
+      words.push(`${countWords} ${vocabulary.scales[value]}`);
+      remaining %= value;
+    }
+  });
+  if (remaining > 0) words.push(convertHundreds(remaining, vocabulary));
+
+  return words.join(' ');
+};
+
+/**
+ * Split an amount into whole rupees and paise
+ * Accepts numbers or strings, ignoring digit-grouping commas; paise are rounded
+ * to two decimal places
+ *
+ * @param {string|number} amount - Amount (e.g. "150000.5" or "1,50,000.50")
+ * @returns {Object|null} { rupees, paise }, or null if the amount is not a valid non-negative
+ *   number or is too large to convert exactly
+ */
+export const splitAmount = (amount) => {
+  const value = Number(String(amount ?? '').replace(/,/g, '').trim());
+  if (String(amount ?? '').trim() === '' || !Number.isFinite(value) || value < 0) return null;
+
+  const totalPaise = Math.round(value * 100);
+  if (!Number.isSafeInteger(totalPaise)) return null;
+
+  return {
+    rupees: Math.floor(totalPaise / 100),
+    paise: totalPaise % 100
+  };
+};
+
+/**
+ * Convert a whole number to words
+ * Only the whole-rupee part is converted; use convertAmountToWords to include paise
+ *
+ * @param {string|number} num - The number to convert to words
+ * @param {string} system - 'indian' (default) or 'international'
+ * @param {string} language - Word language, 'en' (default) or 'hi'
+ * @returns {string} Number written in words (e.g., "Fifty Thousand")
+ *
+ * @example
+ * convertNumberToWords(50000)                      // Returns "Fifty Thousand"
+ * convertNumberToWords(1500000)                    // Returns "Fifteen Lakh"
+ * convertNumberToWords(1500000, 'international')   // Returns "One Million Five Hundred Thousand"
+ * convertNumberToWords(123456789)                  // Returns "Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine"
+ * convertNumberToWords(1500000, 'indian', 'hi')    // Returns "पंद्रह लाख"
+ */
+export const convertNumberToWords = (num, system = 'indian', language = 'en') => {
+  const vocabulary = VOCABULARIES[language] || VOCABULARIES.en;
+  const parts = splitAmount(num);
+  if (!parts || parts.rupees === 0) return vocabulary.zero;
+  return convertWhole(parts.rupees, system, vocabulary);
+};
+
+/**
+ * Convert an amount to words for a receipt, including the fractional part
+ * Defaults to rupees and paise in the Indian numbering system
+ *
+ * @param {string|number} amount - Amount, optionally with two decimal places
+ * @param {Object} options - Wording options
+ * @param {string} options.system - 'indian' (default) or 'international'
+ * @param {string} options.majorUnit - Main unit name (default "Rupees")
+ * @param {string} options.minorUnit - Fractional unit name (default "Paise")
+ * @param {string} options.language - Word language, 'en' (default) or 'hi'
+ * @returns {string} Amount in words (e.g., "Rupees Fifty Thousand and Fifty Paise Only")
+ *
+ * @example
+ * convertAmountToWords(50000)     // Returns "Rupees Fifty Thousand Only"
+ * convertAmountToWords('1500.50') // Returns "Rupees One Thousand Five Hundred and Fifty Paise Only"
+ * convertAmountToWords('0.75')    // Returns "Seventy Five Paise Only"
+ * convertAmountToWords('150000.25', { system: 'international', majorUnit: 'US Dollars', minorUnit: 'Cents' })
+ * // Returns "US Dollars One Hundred Fifty Thousand and Twenty Five Cents Only"
+ * convertAmountToWords('1500.50', { language: 'hi', majorUnit: 'रुपये', minorUnit: 'पैसे' })
+ * // Returns "एक हज़ार पाँच सौ रुपये और पचास पैसे मात्र"
+ */
+export const convertAmountToWords = (amount, options = {}) => {
+  const { system = 'indian', majorUnit = 'Rupees', minorUnit = 'Paise', language = 'en' } = options;
+  const vocabulary = VOCABULARIES[language] || VOCABULARIES.en;
+  const parts = splitAmount(amount);
+  if (!parts || (parts.rupees === 0 && parts.paise === 0)) {
+    return vocabulary.amount(vocabulary.zero, '', majorUnit, minorUnit);
+  }
+
+  const rupeeWords = parts.rupees > 0 ? convertWhole(parts.rupees, system, vocabulary) : '';
+  const paiseWords = parts.paise > 0 ? convertHundreds(parts.paise, vocabulary) : '';
+
+  return vocabulary.amount(rupeeWords, paiseWords, majorUnit, minorUnit);
+};
@@ -0,0 +1,260 @@
+/**
+ * Payment Utilities for ReceiptlyPlus
+ *
+ * Each non-cash payment mode has its own reference (cheque number, UTR,
+ * deposit slip number) in `referenceNo`, checked against the format that
+ * mode uses, and its own further details in `paymentDetails`:
+ * - Cheque: cheque date, bank and branch
+ * - UPI Payment: the payer's UPI ID (VPA)
+ * - Net Banking: NEFT/IMPS/RTGS UTR only
+ * - Bank Deposit: bank and branch
+ * Receipts issued before `paymentDetails` existed keep their free-text
+ * reference as it was.
+ *
+ * A tenant can settle one receipt with several payments, e.g. part in cash
+ * and part over UPI. A split receipt lists each payment (mode, amount,
+ * reference, date) in `payments`, and the payments must add up to the
+ * amount received: the receipt amount, less any TDS deducted by the tenant.
+ *
+ * A receipt without `payments` was paid in one go with `paymentMode` and
+ * `referenceNo`. A split receipt also keeps those two fields, as a summary
+ * of its payments ("Cash + UPI Payment"), for the history list and search.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { createId } from './storage';
+import { splitAmount } from './numberToWords';
+import { getReceiptAmount } from './lineItems';
+import { getNetAmount } from './tds';
+import { getStoredReceiptType } from './receiptTypes';
+import { formatAmount } from './currency';
+
+// The reference each mode needs (format and what to call it) and its further details
+export const PAYMENT_MODES = [
+  { value: 'Cash', label: 'Cash', details: [] },
+  {
+    value: 'Cheque',
+    label: 'Cheque',
+    reference: { label: 'Cheque No.', pattern: /^\d{6}$/, format: '6 digits' },
+    details: [
+      { name: 'chequeDate', label: 'Cheque Date', type: 'date', required: true },
+      { name: 'bankName', label: 'Bank', required: true, placeholder: 'e.g. HDFC Bank' },
+      { name: 'bankBranch', label: 'Branch', placeholder: 'e.g. Andheri West' }
+    ]
+  },
+  {
+    value: 'Bank Deposit',
+    label: 'Bank Deposit',
+    reference: { label: 'Deposit Slip No.', pattern: /^[A-Za-z0-9/-]{3,20}$/, format: '3 to 20 letters, digits, - or /' },
+    details: [
+      { name: 'bankName', label: 'Bank', placeholder: 'e.g. HDFC Bank' },
+      { name: 'bankBranch', label: 'Branch', placeholder: 'e.g. Andheri West' }
+    ]
+  },
+  {
+    value: 'UPI Payment',
+    label: 'UPI Payment',
+    reference: { label: 'UPI Transaction ID (UTR)', pattern: /^\d{12}$/, format: '12 digits' },
+    details: [
+      { name: 'payerVpa', label: 'Payer UPI ID', placeholder: 'e.g. name@okhdfcbank', pattern: /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/, format: 'like name@bank' }
+    ]
+  },
+  {
+    value: 'Net Banking',
+    label: 'Net Banking',
+    reference: { label: 'NEFT / IMPS / RTGS UTR', pattern: /^[A-Za-z0-9]{12,22}$/, format: '12 to 22 letters and digits' },
+    details: []
+  }
+];
+
+/**
+ * Convert an amount to whole paise so sums compare exactly
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 if not a valid amount)
+ */
+const toPaise = (amount) => {
+  const parts = splitAmount(amount);
+  return parts ? parts.rupees * 100 + parts.paise : 0;
+};
+
+/**
+ * Look up a payment mode
+ *
+ * @param {string} value - Payment mode (e.g. "Cheque")
+ * @returns {Object} Payment mode definition (Cash for unknown values)
+ */
+export const getPaymentMode = (value) => {
+  return PAYMENT_MODES.find(mode => mode.value === value) || PAYMENT_MODES[0];
+};
+
+/**
+ * Keep only the details a payment mode asks for, trimmed, dropping empty ones
+ *
+ * @param {string} mode - Payment mode
+ * @param {Object} details - Payment details entered (may hold details of other modes)
+ * @returns {Object} Details of the mode (e.g. { chequeDate, bankName })
+ */
+export const cleanPaymentDetails = (mode, details = {}) => {
+  return getPaymentMode(mode).details.reduce((cleaned, field) => {
+    const value = String(details[field.name] || '').trim();
+    return value ? { ...cleaned, [field.name]: value } : cleaned;
+  }, {});
+};
+
+/**
+ * Check the reference of a payment against the format of its mode
+ *
+ * @param {string} mode - Payment mode
+ * @param {string} referenceNo - Cheque number, UTR, deposit slip number, ...
+ * @returns {string} Error message, or empty string if the reference is valid
+ *
+ * @example
+ * validatePaymentReference('UPI Payment', '412345678901') // Returns ''
+ * validatePaymentReference('Cheque', 'abc') // Returns 'Please fill in a valid Cheque No.: 6 digits.'
+ */
+export const validatePaymentReference = (mode, referenceNo) => {
+  const { reference } = getPaymentMode(mode);
+  if (!reference) return '';
+
+  const value = (referenceNo || '').trim();
+  if (!value) return `Please fill in the ${reference.label}.`;
+  if (!reference.pattern.test(value)) return `Please fill in a valid ${reference.label}: ${reference.format}.`;
+  return '';
+};
+
+/**
+ * Check the reference and details of a payment
+ *
+ * @param {Object} payment - { mode, referenceNo, paymentDetails }
+ * @returns {string} Error message, or empty string if the payment is valid
+ */
+export const validatePaymentDetails = ({ mode, referenceNo, paymentDetails }) => {
+  const referenceError = validatePaymentReference(mode, referenceNo);
+  if (referenceError) return referenceError;
+
+  const details = cleanPaymentDetails(mode, paymentDetails);
+  for (const field of getPaymentMode(mode).details) {
+    if (field.required && !details[field.name]) {
+      return `Please fill in the ${field.label} of the ${mode.toLowerCase()}.`;
+    }
+    if (field.pattern && details[field.name] && !field.pattern.test(details[field.name])) {
+      return `Please fill in a valid ${field.label}: ${field.format}.`;
+    }
+  }
+  return '';
+};
+
+/**
+ * Create a new payment entry
+ *
+ * @param {string} mode - Payment mode (e.g. "UPI Payment")
+ * @param {string} amount - Amount paid this way
+ * @param {string} referenceNo - Cheque number, UTR, ... (non-cash payments)
+ * @param {string} date - Date paid (YYYY-MM-DD, empty for the receipt's transaction date)
+ * @param {Object} paymentDetails - Further details of the mode (cheque date, bank, ...)
+ * @returns {Object} Payment { id, mode, amount, referenceNo, date, paymentDetails }
+ */
+export const createPayment = (mode = 'Cash', amount = '', referenceNo = '', date = '', paymentDetails = {}) => ({
+  id: createId(),
+  mode,
+  amount,
+  referenceNo,
+  date,
+  paymentDetails
+});
+
+/**
+ * Drop payment rows that were added but left blank
+ *
+ * @param {Array<Object>} payments - Payment entries
+ * @returns {Array<Object>} Payments with an amount or a reference
+ */
+export const getBilledPayments = (payments = []) => {
+  return payments.filter(payment => String(payment.amount || '').trim() || (payment.referenceNo || '').trim());
+};
+
+/**
+ * Get split payments the way they are stored on a receipt: blank rows
+ * dropped, and only the reference and details their mode asks for kept
+ *
+ * @param {Array<Object>} payments - Payment entries
+ * @returns {Array<Object>} Payments to store
+ */
+export const getIssuedPayments = (payments = []) => {
+  return getBilledPayments(payments).map(payment => ({
+    ...payment,
+    referenceNo: getPaymentMode(payment.mode).reference ? (payment.referenceNo || '').trim() : '',
+    paymentDetails: cleanPaymentDetails(payment.mode, payment.paymentDetails)
+  }));
+};
+
+/**
+ * Add up payment amounts, working in paise to avoid rounding errors
+ *
+ * @param {Array<Object>} payments - Payment entries
+ * @returns {string} Total amount (e.g. "25000.5")
+ */
+export const getPaymentsTotal = (payments = []) => {
+  return String(payments.reduce((sum, payment) => sum + toPaise(payment.amount), 0) / 100);
+};
+
+/**
+ * Get the amount the tenant actually paid: the receipt amount less any TDS
+ *
+ * @param {Object} formData - Receipt form data (amount, lineItems, receiptType, tdsApplicable, tdsAmount)
+ * @returns {string} Amount received
+ */
+export const getAmountReceived = (formData) => {
+  const amount = getReceiptAmount(formData);
+  const tdsDeducted = getStoredReceiptType(formData).allowsTds && formData.tdsApplicable && formData.tdsAmount;
+  return tdsDeducted ? getNetAmount(amount, formData.tdsAmount) : amount;
+};
+
+/**
+ * Summarise split payments as a single payment mode and reference
+ *
+ * @param {Array<Object>} payments - Payment entries
+ * @returns {Object} { paymentMode, referenceNo }
+ *
+ * @example
+ * summarisePayments([{ mode: 'Cash', amount: '10000' }, { mode: 'UPI Payment', amount: '15000', referenceNo: 'UTR123' }])
+ * // Returns { paymentMode: 'Cash + UPI Payment', referenceNo: 'UTR123' }
+ */
+export const summarisePayments = (payments) => {
+  const modes = [...new Set(payments.map(payment => payment.mode))];
+  return {
+    paymentMode: modes.join(' + '),
+    referenceNo: payments.map(payment => (payment.referenceNo || '').trim()).filter(Boolean).join(', ')
+  };
+};
+
+/**
+ * Check the payments of a split receipt
+ *
+ * @param {Object} formData - Receipt form data (payments, amount, currency, ...)
+ * @returns {string} Error message, or empty string if the payments are valid
+ */
+export const validatePayments = (formData) => {
+  const payments = getBilledPayments(formData.payments);
+  if (payments.length === 0) {
+    return 'Please fill in at least one payment.';
+  }
+
+  if (payments.some(payment => toPaise(payment.amount) === 0)) {
+    return 'Please fill in an amount for every payment.';
+  }
+  const detailsError = payments.map(validatePaymentDetails).find(Boolean);
+  if (detailsError) {
+    return detailsError;
+  }
+
+  const total = getPaymentsTotal(payments);
+  const received = getAmountReceived(formData);
+  if (toPaise(total) !== toPaise(received)) {
+    return `Please fill in payments that add up to the ${formatAmount(received, formData.currency)} received (they add up to ${formatAmount(total, formData.currency)}).`;
+  }
+  return '';
+};
@@ -1,5 +1,23 @@
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import { formatReceiptNumber, loadNumberingSettings } from './receiptNumbering';
+import { formatAmount, formatAmountInWords } from './currency';
+import { getReceiptLanguage, supportsVectorRendering, translateValue, formatList } from './receiptLanguages';
+import { getBilledLineItems, getReceiptAmount } from './lineItems';
+import { getReceiptType } from './receiptTypes';
+import { getNetAmount } from './tds';
+import { DEFAULT_SAC_CODE, calculateGst, getGstState, getGstinStateCode } from './gst';
+import { createZip } from './zip';
+import { getMonthSpan } from './multiMonth';
+import { CUSTOM_TERM } from './rentTerms';
+import { calculateProration } from './proration';
+import { getBilledPayments } from './payments';
+import { getChequePayments, isSubjectToRealisation } from './chequeClearance';
+// Web fonts for regional-language receipts, which are rendered through the browser
+import '@fontsource/noto-sans-devanagari/400.css';
+import '@fontsource/noto-sans-devanagari/700.css';
+import '@fontsource/noto-sans-tamil/400.css';
+import '@fontsource/noto-sans-tamil/700.css';
 
 /**
  * PDF Generation Utilities for ReceiptlyPlus
@@ -8,61 +26,21 @@ import html2canvas from 'html2canvas';
  * with professional formatting, proper date handling, and signature integration.
  * 
  * Key Features:
- * - Number to words conversion (Indian numbering system)
+ * - Currency formatting and amount in words (Indian or international numbering)
  * - Date formatting for display
- * - Receipt text generation with payment mode logic
- * - PDF generation with landscape/portrait layout
+ * - Receipt text generation with payment mode logic, in the receipt's language
+ * - Itemised charges table with a total
+ * - GST tax invoices with the CGST/SGST or IGST split
+ * - Revenue stamp box for cash receipts above the stamp threshold
+ * - Annual HRA pack: a cover summary followed by the year's receipts
+ * - Bulk output of many receipts as one PDF or a ZIP of PDFs
+ * - Vector PDF generation (selectable text) with html2canvas fallback
  * - Signature integration with clean backgrounds
  * 
  * @author ReceiptlyPlus Development Team
  * @version 1.0.0
  */
 
-// ===== NUMBER CONVERSION UTILITIES =====
-
-/**
- * Convert number to words using Indian numbering system
- * Supports numbers up to crores with proper Indian terminology
- * 
- * @param {string|number} num - The number to convert to words
- * @returns {string} Number written in words (e.g., "Fifty Thousand")
- * 
- * @example
- * convertNumberToWords(50000) // Returns "Fifty Thousand"
- * convertNumberToWords(1500000) // Returns "Fifteen Lakh" 
- */
-const convertNumberToWords = (num) => {
-  const number = parseInt(num);
-  if (isNaN(number) || number === 0) return 'Zero';
-  
-  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
-  const teens = ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
-  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
-  const scales = ['', 'Thousand', 'Lakh', 'Crore'];
-  
-  if (number < 10) return ones[number];
-  if (number < 20) return teens[number - 10];
-  if (number < 100) return tens[Math.floor(number / 10)] + (number % 10 ? ' ' + ones[number % 10] : '');
-  if (number < 1000) return ones[Math.floor(number / 100)] + ' Hundred' + (number % 100 ? ' ' + convertNumberToWords(number % 100) : '');
-  
-  // Handle thousands, lakhs, crores
-  let result = '';
-  let scaleIndex = 0;
-  let remaining = number;
-  
-  while (remaining > 0) {
-    const chunk = remaining % 1000;
-    if (chunk !== 0) {
-      const chunkWords = convertNumberToWords(chunk);
-      result = chunkWords + (scales[scaleIndex] ? ' ' + scales[scaleIndex] : '') + (result ? ' ' + result : '');
-    }
-    remaining = Math.floor(remaining / 1000);
-    scaleIndex++;
-  }
-  
-  return result;
-};
-
 // ===== DATE FORMATTING UTILITIES =====
 
 /**
@@ -85,6 +63,10 @@ const formatDateForDisplay = (dateString) => {
     if (dateString.includes('-')) {
       // Handle YYYY-MM-DD format
       date = new Date(dateString + 'T00:00:00');
+    } else if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateString)) {
+      // Handle DD/MM/YYYY format (as stored in receipt history)
+      const [day, month, year] = dateString.split('/').map(Number);
+      date = new Date(year, month - 1, day);
     } else {
       // Handle other formats
       date = new Date(dateString);
@@ -110,149 +92,853 @@ const formatDateForDisplay = (dateString) => {
 
 // ===== RECEIPT TEXT GENERATION =====
 
+/**
+ * Write out the reference of a non-cash payment with the details of its mode
+ * (e.g. "No. 123456 dated 15-Oct-2026, HDFC Bank, Andheri West branch")
+ * Receipts stored without `paymentDetails` print their reference as entered
+ *
+ * @param {Object} language - Receipt language
+ * @param {string} mode - Payment mode
+ * @param {string} referenceNo - Cheque number, UTR, deposit slip number, ...
+ * @param {Object} details - Payment details (chequeDate, bankName, bankBranch, payerVpa)
+ * @returns {string} Reference text
+ */
+const formatPaymentReference = (language, mode, referenceNo, details) => {
+  const reference = language.referenceText[mode];
+  if (!details || !reference || !referenceNo) return referenceNo || '';
+  return reference({
+    number: referenceNo,
+    date: formatDateForDisplay(details.chequeDate),
+    bank: details.bankName || '',
+    branch: details.bankBranch || '',
+    payer: details.payerVpa || ''
+  });
+};
+
 /**
  * Generate receipt text based on payment mode and form data
  * Creates different text formats for cash vs non-cash payments
  * 
  * @param {Object} formData - The form data containing all receipt information
- * @param {string} formData.amount - Rental amount
+ * @param {string} formData.amount - Rental amount (the line item total is used when itemised)
+ * @param {Array<Object>} formData.lineItems - Itemised charges (optional)
  * @param {string} formData.tenantName - Tenant name
- * @param {string} formData.term - Payment term (Monthly/Yearly)
+ * @param {string} formData.receiptType - Receipt type (rent, deposit, refund, ...; defaults to rent)
+ * @param {string} formData.term - Payment term (Weekly/Monthly/Quarterly/Half-yearly/Yearly/Custom)
  * @param {string} formData.durationFrom - Rental period start date
  * @param {string} formData.durationTo - Rental period end date
+ * @param {boolean} formData.multiMonth - Whether the receipt covers several whole months (named one by one)
+ * @param {boolean} formData.prorated - Whether the rent is pro-rated for a partial period (monthlyRent, prorationMethod)
+ * @param {string} formData.premisesAddress - Rented premises address (optional)
  * @param {string} formData.paymentMode - Payment method (Cash/Cheque/etc.)
  * @param {string} formData.referenceNo - Reference number for non-cash payments
+ * @param {Object} formData.paymentDetails - Cheque, UPI or bank details of the payment mode (optional)
+ * @param {Array<Object>} formData.payments - Split payments { mode, amount, referenceNo, date } (optional, named one by one)
  * @param {string} formData.dateOfTransaction - Transaction date
+ * @param {string} formData.language - Receipt language code (defaults to English)
+ * @param {boolean} formData.tdsApplicable - Whether the tenant deducted TDS (tdsSection, tdsRate, tdsAmount, tdsReference)
+ * @param {string} formData.balanceAfter - Tenant's balance after this payment (optional)
+ * @param {boolean} formData.subjectToRealisation - Whether to note the cheque is subject to realisation until it clears
+ * @param {boolean} formData.voided - Whether the receipt was voided by a bounced cheque (chequeStatusDate, voidReason)
  * @returns {string} Formatted receipt text with proper payment mode handling
  * 
  * @example
  * // Cash payment
  * generateReceiptText({paymentMode: 'Cash', amount: '50000', ...})
- * // Returns: "This is to acknowledge the receipt of ₹50000 (Fifty Thousand Only) from John Doe towards Monthly rent for the period 1-Aug-2025 to 31-Aug-2025, paid via Cash."
+ * // Returns: "This is to acknowledge the receipt of ₹50,000.00 (Rupees Fifty Thousand Only) from John Doe towards Monthly rent for the period 1-Aug-2025 to 31-Aug-2025, paid via Cash."
  * 
  * // Non-cash payment
  * generateReceiptText({paymentMode: 'Cheque', referenceNo: '12345', ...})
- * // Returns: "This is to acknowledge the receipt of ₹50000 (Fifty Thousand Only) from John Doe towards Monthly rent for the period 1-Aug-2025 to 31-Aug-2025, paid via Cheque (12345) on 9-Feb-2025."
+ * // Returns: "This is to acknowledge the receipt of ₹50,000.00 (Rupees Fifty Thousand Only) from John Doe towards Monthly rent for the period 1-Aug-2025 to 31-Aug-2025, paid via Cheque (12345) on 9-Feb-2025."
  */
 const generateReceiptText = (formData) => {
-  // Add fallback values to prevent undefined errors
-  const amount = formData.amount || '0';
-  const amountInWords = convertNumberToWords(amount);
-  const tenantName = formData.tenantName || 'Unknown';
-  const term = formData.term || 'Monthly';
-  const durationFrom = formatDateForDisplay(formData.durationFrom) || 'N/A';
-  const durationTo = formatDateForDisplay(formData.durationTo) || 'N/A';
+  const language = getReceiptLanguage(formData.language);
+  const receiptType = getReceiptType(formData.receiptType);
   const paymentMode = formData.paymentMode || 'Cash';
-  const referenceNo = formData.referenceNo || '';
+  const amount = getReceiptAmount(formData) || '0';
+
+  // A receipt covering several months names each month instead of the date range
+  const months = formData.multiMonth && receiptType.hasPeriod
+    ? getMonthSpan(formData.durationFrom, formData.durationTo).map(month => `<strong>${month.label}</strong>`)
+    : [];
+
+  // A receipt paid in several parts names each payment instead of one payment mode
   const transactionDate = formatDateForDisplay(formData.dateOfTransaction) || formatDateForDisplay(new Date().toISOString().split('T')[0]);
+  const tenders = getBilledPayments(formData.payments).map(payment => language.tenderText({
+    amount: formatAmount(payment.amount, formData.currency),
+    isCash: payment.mode === 'Cash',
+    paymentMode: translateValue(language, 'paymentModes', payment.mode),
+    referenceNo: formatPaymentReference(language, payment.mode, payment.referenceNo, payment.paymentDetails),
+    transactionDate: formatDateForDisplay(payment.date) || transactionDate
+  }));
+
+  // Add fallback values to prevent undefined errors
+  const sentences = [language.receiptText({
+    amount: formatAmount(amount, formData.currency),
+    amountInWords: formatAmountInWords(amount, formData.currency, formData.numberSystem, language.wordsLanguage),
+    receiptType: receiptType.value,
+    hasPeriod: receiptType.hasPeriod,
+    hasCharges: getBilledLineItems(formData.lineItems).length > 0,
+    tenantName: formData.tenantName || 'Unknown',
+    term: formData.term === CUSTOM_TERM ? '' : translateValue(language, 'terms', formData.term || 'Monthly'),
+    premisesAddress: formData.premisesAddress || '',
+    durationFrom: formatDateForDisplay(formData.durationFrom) || 'N/A',
+    durationTo: formatDateForDisplay(formData.durationTo) || 'N/A',
+    monthList: months.length > 1 ? formatList(language, months) : '',
+    isCash: paymentMode === 'Cash',
+    paymentMode: translateValue(language, 'paymentModes', paymentMode),
+    referenceNo: formatPaymentReference(language, paymentMode, formData.referenceNo, formData.paymentDetails),
+    tenders: tenders.length > 0 ? formatList(language, tenders) : '',
+    transactionDate
+  })];
+
+  // Working of pro-rated rent, so the tenant can see how the amount was reached
+  const proration = formData.prorated && receiptType.hasPeriod
+    ? calculateProration(formData.monthlyRent, formData.durationFrom, formData.durationTo, formData.prorationMethod)
+    : null;
+  if (proration) {
+    sentences.push(language.prorationText.sentence({
+      monthlyRent: formatAmount(formData.monthlyRent, formData.currency),
+      shares: formatList(language, proration.months.map(month => language.prorationText.share({
+        days: month.days,
+        basis: month.basis,
+        month: month.label
+      }))),
+      isThirtyDay: formData.prorationMethod === '30day'
+    }));
+  }
+
+  // TDS deducted by the tenant; the receipt still acknowledges the gross amount
+  if (formData.tdsApplicable && formData.tdsAmount) {
+    sentences.push(language.tdsText({
+      tdsAmount: formatAmount(formData.tdsAmount, formData.currency),
+      tdsSection: formData.tdsSection || '194-IB',
+      tdsRate: formData.tdsRate || '',
+      tdsReference: formData.tdsReference || '',
+      netAmount: formatAmount(getNetAmount(amount, formData.tdsAmount), formData.currency)
+    }));
+  }
+
+  // Tenant's balance after this payment, only present when asked to print it
+  if (formData.balanceAfter !== undefined && formData.balanceAfter !== '') {
+    const balance = Number(formData.balanceAfter);
+    sentences.push(balance > 0
+      ? language.balanceText.due(formatAmount(balance, formData.currency))
+      : balance < 0
+        ? language.balanceText.credit(formatAmount(-balance, formData.currency))
+        : language.balanceText.settled());
+  }
 
-  // Add payment mode specific text
-  if (paymentMode === 'Cash') {
-    return `This is to acknowledge the receipt of <strong>₹${amount}</strong> (<strong>${amountInWords} Only</strong>) from <strong>${tenantName}</strong> towards ${term} rent for the period <strong>${durationFrom}</strong> to <strong>${durationTo}</strong>, paid via Cash.`;
-  } else {
-    return `This is to acknowledge the receipt of <strong>₹${amount}</strong> (<strong>${amountInWords} Only</strong>) from <strong>${tenantName}</strong> towards ${term} rent for the period <strong>${durationFrom}</strong> to <strong>${durationTo}</strong>, paid via ${paymentMode} (${referenceNo}) on ${transactionDate}.`;
+  // Cheques not yet cleared, or the bounced cheque that voided the receipt
+  const chequeNumbers = getChequePayments(formData).map(payment => payment.referenceNo).filter(Boolean);
+  if (formData.voided) {
+    sentences.push(language.chequeText.bounced({
+      numbers: formatList(language, chequeNumbers),
+      date: formatDateForDisplay(formData.chequeStatusDate),
+      reason: formData.voidReason || ''
+    }));
+  } else if (isSubjectToRealisation(formData)) {
+    sentences.push(language.chequeText.realisation({ numbers: formatList(language, chequeNumbers) }));
   }
+
+  return sentences.join(' ');
 };
 
 // ===== PDF GENERATION =====
 
+// Vector layout constants (A4 portrait, in millimetres)
+const PAGE_MARGIN = 12;
+const BOX_PADDING = 8;
+const MIN_BOX_HEIGHT = 140;
+const PT_TO_MM = 0.3528;
+const REVENUE_STAMP_WIDTH = 24;
+const REVENUE_STAMP_HEIGHT = 28;
+
 /**
- * Generate and download PDF receipt from form data and signature
- * Creates a professional PDF with proper layout, borders, and signature integration
+ * Collect the values shown on a receipt, with fallbacks for missing fields
+ * Shared by the vector and raster renderers so both print the same content
  * 
- * @param {Object} formData - The receipt form data containing all necessary information
+ * @param {Object} formData - The receipt form data
+ * @returns {Object} Header fields, receipt date, receipt text (HTML with <strong> spans),
+ *   itemised charges with their total, translated labels and the font family for the receipt language
+ */
+const getReceiptContent = (formData) => ({
+  titleName: formData.titleName || 'Rental Receipt',
+  titleAddress: formData.titleAddress || '',
+  titlePan: (formData.titlePan || '').trim().toUpperCase(),
+  titleLogo: formData.titleLogo || '',
+  revenueStamp: Boolean(formData.revenueStamp),
+  receiptNumber: formData.receiptNumber || 'RCT-0000-0000',
+  // Use the stored receipt date when re-rendering from history, otherwise today
+  receiptDate: formatDateForDisplay(formData.receiptDate || new Date().toISOString().split('T')[0]),
+  receiptText: generateReceiptText(formData),
+  lineItems: getBilledLineItems(formData.lineItems).map(item => ({
+    description: translateValue(getReceiptLanguage(formData.language), 'charges', item.description.trim()),
+    amount: formatAmount(item.amount, formData.currency)
+  })),
+  total: formatAmount(getReceiptAmount(formData) || '0', formData.currency),
+  labels: getReceiptLanguage(formData.language).labels,
+  fontFamily: getReceiptLanguage(formData.language).fontFamily
+});
+
+/**
+ * Build the download filename for a receipt or invoice
+ * Receipt number patterns may contain slashes, which are not valid in filenames
+ * 
+ * @param {string} receiptNumber - The receipt number
+ * @param {string} documentType - 'receipt' or 'invoice' (defaults to receipt)
+ * @returns {string} Filename (e.g., "receipt-RCT-2025-26-0001.pdf")
+ */
+export const getReceiptFilename = (receiptNumber, documentType = 'receipt') => {
+  const prefix = documentType === 'invoice' ? 'invoice' : 'receipt';
+  return `${prefix}-${String(receiptNumber).replace(/[\\/:*?"<>|]/g, '-')}.pdf`;
+};
+
+/**
+ * Collect the values shown on a GST tax invoice
+ * The taxable value is the rent (or the total of the itemised charges)
+ * 
+ * @param {Object} formData - The invoice form data
+ * @returns {Object} Header fields, invoice number and date, recipient details, lines, tax rows and totals
+ */
+const getInvoiceContent = (formData) => {
+  const supplierState = getGstinStateCode(formData.titleGstin);
+  const placeOfSupply = getGstState(formData.placeOfSupply || supplierState);
+  const gst = calculateGst(getReceiptAmount(formData) || '0', formData.gstRate, supplierState, formData.placeOfSupply);
+  const items = getBilledLineItems(formData.lineItems);
+  const lines = items.length > 0
+    ? items.map(item => ({ description: item.description.trim(), amount: item.amount }))
+    : [{ description: formData.term === CUSTOM_TERM ? 'Rent' : `${formData.term || 'Monthly'} rent`, amount: formData.amount || '0' }];
+
+  return {
+    titleName: formData.titleName || 'Tax Invoice',
+    titleAddress: formData.titleAddress || '',
+    titlePan: (formData.titlePan || '').trim().toUpperCase(),
+    titleGstin: (formData.titleGstin || '').toUpperCase(),
+    titleLogo: formData.titleLogo || '',
+    invoiceNumber: formData.receiptNumber || 'INV-0000-0000',
+    invoiceDate: formatDateForDisplay(formData.receiptDate || new Date().toISOString().split('T')[0]),
+    placeOfSupply: placeOfSupply ? `${placeOfSupply.name} (${placeOfSupply.code})` : '',
+    period: formData.durationFrom
+      ? `${formatDateForDisplay(formData.durationFrom)} to ${formatDateForDisplay(formData.durationTo)}`
+      : '',
+    tenantName: formData.tenantName || 'Unknown',
+    tenantAddress: formData.premisesAddress || '',
+    tenantGstin: (formData.tenantGstin || '').toUpperCase() || 'Unregistered',
+    sacCode: formData.sacCode || DEFAULT_SAC_CODE,
+    lines: lines.map(line => ({ description: line.description, amount: formatAmount(line.amount, formData.currency) })),
+    taxableValue: formatAmount(gst.taxableValue, formData.currency),
+    taxes: gst.taxes.map(tax => ({ label: `${tax.name} @ ${tax.rate}%`, amount: formatAmount(tax.amount, formData.currency) })),
+    invoiceTotal: formatAmount(gst.invoiceTotal, formData.currency),
+    totalInWords: formatAmountInWords(gst.invoiceTotal, formData.currency, formData.numberSystem)
+  };
+};
+
+/**
+ * Make text safe for the built-in PDF fonts
+ * Helvetica has no rupee glyph, so ₹ is written as "Rs."
+ * 
+ * @param {string} text - Text to draw
+ * @returns {string} Text with unsupported symbols replaced
+ */
+const toPdfText = (text) => String(text).replace(/₹\s*/g, 'Rs. ');
+
+/**
+ * Split receipt text into plain and bold runs
+ * Only <strong> spans carry meaning; any other markup is dropped
+ * 
+ * @param {string} html - Receipt text with <strong> spans
+ * @returns {Array<Object>} Runs of { text, bold }
+ */
+const parseRichText = (html) => {
+  const runs = [];
+  const pushRun = (text, bold) => {
+    const plain = toPdfText(
+      text.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+    );
+    if (plain) runs.push({ text: plain, bold });
+  };
+
+  const strongPattern = /<strong>([\s\S]*?)<\/strong>/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = strongPattern.exec(html)) !== null) {
+    pushRun(html.slice(lastIndex, match.index), false);
+    pushRun(match[1], true);
+    lastIndex = strongPattern.lastIndex;
+  }
+  pushRun(html.slice(lastIndex), false);
+
+  return runs;
+};
+
+/**
+ * Draw a justified paragraph with bold spans, wrapping at maxWidth
+ * 
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string} html - Paragraph text with <strong> spans
+ * @param {number} x - Left edge (mm)
+ * @param {number} y - Top of the first line (mm)
+ * @param {number} maxWidth - Available width (mm)
+ * @param {number} fontSize - Font size (pt)
+ * @param {number} lineHeight - Line height as a multiple of the font size
+ * @returns {number} The y position below the paragraph
+ */
+const drawRichParagraph = (pdf, html, x, y, maxWidth, fontSize, lineHeight) => {
+  pdf.setFontSize(fontSize);
+  const setStyle = (bold) => pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+
+  // Words can mix styles, e.g. "(" followed by a bold amount in words
+  const words = [];
+  let pieces = [];
+  parseRichText(html).forEach(run => {
+    run.text.split(/(\s+)/).forEach(part => {
+      if (!part) return;
+      if (/^\s+$/.test(part)) {
+        if (pieces.length) words.push(pieces);
+        pieces = [];
+        return;
+      }
+      pieces.push({ text: part, bold: run.bold });
+    });
+  });
+  if (pieces.length) words.push(pieces);
+
+  const measured = words.map(wordPieces => ({
+    pieces: wordPieces,
+    width: wordPieces.reduce((sum, piece) => {
+      setStyle(piece.bold);
+      return sum + pdf.getTextWidth(piece.text);
+    }, 0)
+  }));
+
+  setStyle(false);
+  const spaceWidth = pdf.getTextWidth(' ');
+
+  // Greedy line breaking
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  measured.forEach(word => {
+    const addedWidth = line.length ? spaceWidth + word.width : word.width;
+    if (line.length && lineWidth + addedWidth > maxWidth) {
+      lines.push({ words: line, width: lineWidth });
+      line = [word];
+      lineWidth = word.width;
+    } else {
+      line.push(word);
+      lineWidth += addedWidth;
+    }
+  });
+  if (line.length) lines.push({ words: line, width: lineWidth });
+
+  // Draw each line, stretching the gaps on all but the last line
+  const lineStep = fontSize * PT_TO_MM * lineHeight;
+  lines.forEach((current, index) => {
+    const isLastLine = index === lines.length - 1;
+    const gap = !isLastLine && current.words.length > 1
+      ? spaceWidth + (maxWidth - current.width) / (current.words.length - 1)
+      : spaceWidth;
+
+    let cursorX = x;
+    current.words.forEach(word => {
+      word.pieces.forEach(piece => {
+        setStyle(piece.bold);
+        pdf.text(piece.text, cursorX, y, { baseline: 'top' });
+        cursorX += pdf.getTextWidth(piece.text);
+      });
+      cursorX += gap;
+    });
+    y += lineStep;
+  });
+
+  return y;
+};
+
+/**
+ * Draw a "Label: value" pair with a bold label
+ * 
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string} label - Bold label (e.g., "Date:")
+ * @param {string} value - Plain value
+ * @param {number} x - Anchor position (mm), interpreted according to align
+ * @param {number} y - Top of the text (mm)
+ * @param {string} align - 'left', 'center' or 'right'
+ */
+const drawLabelValue = (pdf, label, value, x, y, align = 'left') => {
+  const valueText = value ? ` ${toPdfText(value)}` : '';
+  pdf.setFont('helvetica', 'bold');
+  const labelWidth = pdf.getTextWidth(label);
+  pdf.setFont('helvetica', 'normal');
+  const valueWidth = pdf.getTextWidth(valueText);
+
+  const totalWidth = labelWidth + valueWidth;
+  const startX = align === 'right' ? x - totalWidth : align === 'center' ? x - totalWidth / 2 : x;
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(label, startX, y, { baseline: 'top' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.text(valueText, startX + labelWidth, y, { baseline: 'top' });
+};
+
+/**
+ * Draw the itemised charges table with a total row
+ * 
+ * @param {jsPDF} pdf - The PDF document
+ * @param {Object} content - Receipt content from getReceiptContent
+ * @param {number} x - Left edge (mm)
+ * @param {number} y - Top of the table (mm)
+ * @param {number} width - Table width (mm)
+ * @returns {number} The y position below the table
+ */
+const drawLineItemsTable = (pdf, content, x, y, width) => {
+  const right = x + width;
+  const cellPadding = 2;
+  const lineStep = 11 * PT_TO_MM * 1.3;
+  const descriptionWidth = width * 0.65 - cellPadding * 2;
+
+  const drawRow = (description, amount, bold) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    const lines = pdf.splitTextToSize(toPdfText(description), descriptionWidth);
+    pdf.text(lines, x + cellPadding, y + cellPadding, { baseline: 'top', lineHeightFactor: 1.3 });
+    pdf.text(toPdfText(amount), right - cellPadding, y + cellPadding, { align: 'right', baseline: 'top' });
+    y += lines.length * lineStep + cellPadding * 2;
+  };
+
+  pdf.setFontSize(11);
+  pdf.setDrawColor(0, 0, 0);
+  pdf.setLineWidth(0.3);
+
+  pdf.line(x, y, right, y);
+  drawRow(content.labels.description, content.labels.amount, true);
+  pdf.line(x, y, right, y);
+  content.lineItems.forEach(item => drawRow(item.description, item.amount, false));
+  pdf.line(x, y, right, y);
+  drawRow(content.labels.total, content.total, true);
+  pdf.line(x, y, right, y);
+
+  return y;
+};
+
+/**
+ * Scale an image to fit inside a box while keeping its aspect ratio
+ * 
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string} dataUrl - Image data URL
+ * @param {number} maxWidth - Maximum width (mm)
+ * @param {number} maxHeight - Maximum height (mm)
+ * @returns {Object} { width, height, format } in mm
+ */
+const fitImage = (pdf, dataUrl, maxWidth, maxHeight) => {
+  const properties = pdf.getImageProperties(dataUrl);
+  const ratio = Math.min(maxWidth / properties.width, maxHeight / properties.height);
+  return {
+    width: properties.width * ratio,
+    height: properties.height * ratio,
+    format: properties.fileType
+  };
+};
+
+/**
+ * Draw the issuer header: logo, title, address and registration details
+ * 
+ * @param {jsPDF} pdf - The PDF document
+ * @param {Object} content - Receipt or invoice content (titleLogo, titleName, titleAddress)
+ * @param {Array<Object>} details - { label, value } pairs shown under the address (empty values are skipped)
+ * @param {number} centerX - Horizontal centre of the page (mm)
+ * @param {number} contentWidth - Available width (mm)
+ * @param {number} y - Top of the header (mm)
+ * @returns {number} The y position below the header
+ */
+const drawIssuerHeader = (pdf, content, details, centerX, contentWidth, y) => {
+  if (content.titleLogo) {
+    const logo = fitImage(pdf, content.titleLogo, 42, 17);
+    pdf.addImage(content.titleLogo, logo.format, centerX - logo.width / 2, y, logo.width, logo.height);
+    y += logo.height + 3;
+  }
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(20);
+  const titleLines = pdf.splitTextToSize(toPdfText(content.titleName), contentWidth);
+  pdf.text(titleLines, centerX, y, { align: 'center', baseline: 'top', lineHeightFactor: 1.2 });
+  y += titleLines.length * 20 * PT_TO_MM * 1.2 + 2;
+
+  if (content.titleAddress) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(11);
+    pdf.setTextColor(102, 102, 102);
+    const addressLines = pdf.splitTextToSize(toPdfText(content.titleAddress), contentWidth);
+    pdf.text(addressLines, centerX, y, { align: 'center', baseline: 'top', lineHeightFactor: 1.3 });
+    y += addressLines.length * 11 * PT_TO_MM * 1.3 + 1;
+  }
+
+  details.filter(detail => detail.value).forEach(detail => {
+    pdf.setFontSize(10);
+    pdf.setTextColor(102, 102, 102);
+    drawLabelValue(pdf, detail.label, detail.value, centerX, y, 'center');
+    y += 10 * PT_TO_MM * 1.3 + 1;
+  });
+
+  pdf.setTextColor(0, 0, 0);
+  return y;
+};
+
+/**
+ * Draw the right-aligned signature block
+ * 
+ * @param {jsPDF} pdf - The PDF document
  * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
- * @returns {Promise<boolean>} True if PDF generation is successful
+ * @param {string} label - Caption under the signature line
+ * @param {number} right - Right edge (mm)
+ * @param {number} y - Top of the block (mm)
+ * @returns {number} The y position below the block
+ */
+const drawSignatureBlock = (pdf, signatureDataUrl, label, right, y) => {
+  const signatureWidth = 50;
+  const signatureX = right - signatureWidth;
+  if (signatureDataUrl) {
+    const signature = fitImage(pdf, signatureDataUrl, signatureWidth, 25);
+    pdf.addImage(signatureDataUrl, signature.format, right - signature.width, y, signature.width, signature.height);
+    y += signature.height + 3;
+  }
+  pdf.setDrawColor(156, 163, 175);
+  pdf.setLineWidth(0.5);
+  pdf.line(signatureX, y, right, y);
+  y += 2;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.text(label, signatureX, y, { baseline: 'top' });
+  return y + 6;
+};
+
+/**
+ * Draw an empty, dashed box for the revenue stamp to be affixed in
  * 
- * @throws {Error} If PDF generation fails
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string} label - Caption printed inside the box
+ * @param {number} right - Right edge of the box (mm)
+ * @param {number} y - Top of the box (mm)
+ * @returns {number} The y position below the box
+ */
+const drawRevenueStampBox = (pdf, label, right, y) => {
+  const x = right - REVENUE_STAMP_WIDTH;
+  pdf.setDrawColor(107, 114, 128);
+  pdf.setLineWidth(0.3);
+  pdf.setLineDashPattern([1.5, 1], 0);
+  pdf.rect(x, y, REVENUE_STAMP_WIDTH, REVENUE_STAMP_HEIGHT);
+  pdf.setLineDashPattern([], 0);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(107, 114, 128);
+  const lines = pdf.splitTextToSize(toPdfText(label), REVENUE_STAMP_WIDTH - 4);
+  const textHeight = lines.length * 8 * PT_TO_MM * 1.2;
+  pdf.text(lines, x + REVENUE_STAMP_WIDTH / 2, y + (REVENUE_STAMP_HEIGHT - textHeight) / 2, { align: 'center', baseline: 'top', lineHeightFactor: 1.2 });
+  pdf.setTextColor(0, 0, 0);
+  return y + REVENUE_STAMP_HEIGHT;
+};
+
+/**
+ * Draw the double border around a receipt or invoice
  * 
- * @example
- * const formData = {
- *   titleName: "ABC Properties",
- *   tenantName: "John Doe",
- *   amount: "50000",
- *   paymentMode: "Cash",
- *   // ... other form fields
- * };
- * await generateReceiptPDF(formData, signatureDataUrl);
+ * @param {jsPDF} pdf - The PDF document
+ * @param {number} boxY - Top of the border (mm)
+ * @param {number} contentBottom - Bottom of the content (mm)
  */
-export const generateReceiptPDF = async (formData, signatureDataUrl) => {
-  try {
-    // Debug logging
-    console.log('Form data received:', formData);
-    console.log('Signature data URL:', signatureDataUrl);
-    
-    // Create a temporary div element to render the receipt content
-    const receiptElement = document.createElement('div');
-    receiptElement.id = 'receipt-content';
-    receiptElement.className = 'p-8 bg-white text-black';
-    receiptElement.style.width = '210mm'; // A4 width
-    receiptElement.style.minHeight = '297mm'; // A4 height
-    receiptElement.style.fontFamily = 'Arial, sans-serif';
-    receiptElement.style.fontSize = '14px';
-    receiptElement.style.lineHeight = '1.6';
-
-    // Build the receipt HTML content with new layout
-    const receiptText = generateReceiptText(formData);
-    const receiptDate = formatDateForDisplay(new Date().toISOString().split('T')[0]); // Current date for receipt
-    
-    console.log('Generated receipt text:', receiptText);    
-    
-    // Ensure all form data has fallback values
-    const titleName = formData.titleName || 'Rental Receipt';
-    const titleAddress = formData.titleAddress || '';
-    const receiptNumber = formData.receiptNumber || 'RCT-0000-0000';
-
-    receiptElement.innerHTML = `
-      <div style="border: 4px double #000; padding: 20px; min-height: 140mm; background: white;">
-        <div class="text-center mb-4" style="margin-bottom: 16px;">
-          <h1 class="text-3xl font-bold mb-1" style="font-size: 28px; font-weight: bold; margin-bottom: 8px;">
-            ${titleName}
-          </h1>
-          <p class="text-lg" style="font-size: 16px; color: #666; margin-bottom: 8px;">
-            ${titleAddress}
+const drawPageBorder = (pdf, boxY, contentBottom) => {
+  const boxX = PAGE_MARGIN;
+  const boxWidth = pdf.internal.pageSize.getWidth() - PAGE_MARGIN * 2;
+  const boxHeight = Math.max(contentBottom + BOX_PADDING - boxY, MIN_BOX_HEIGHT);
+  pdf.setDrawColor(0, 0, 0);
+  pdf.setLineWidth(0.35);
+  pdf.rect(boxX, boxY, boxWidth, boxHeight);
+  pdf.rect(boxX + 1.2, boxY + 1.2, boxWidth - 2.4, boxHeight - 2.4);
+};
+
+/**
+ * Draw a receipt on the current page of a PDF using native (vector) jsPDF drawing
+ * Produces selectable, searchable text and small files
+ * 
+ * @param {jsPDF} pdf - The PDF document (A4 portrait, mm units)
+ * @param {Object} formData - The receipt form data
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ */
+export const drawReceiptPage = (pdf, formData, signatureDataUrl) => {
+  const content = getReceiptContent(formData);
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const boxX = PAGE_MARGIN;
+  const boxY = PAGE_MARGIN;
+  const boxWidth = pageWidth - PAGE_MARGIN * 2;
+  const contentX = boxX + BOX_PADDING;
+  const contentWidth = boxWidth - BOX_PADDING * 2;
+  const contentRight = contentX + contentWidth;
+  const centerX = pageWidth / 2;
+  let y = boxY + BOX_PADDING;
+
+  pdf.setTextColor(0, 0, 0);
+  pdf.setDrawColor(0, 0, 0);
+
+  // Header: logo, title, address and PAN
+  y = drawIssuerHeader(pdf, content, [{ label: content.labels.pan, value: content.titlePan }], centerX, contentWidth, y);
+  y += 2;
+  pdf.setLineWidth(0.4);
+  pdf.line(contentX, y, contentRight, y);
+  y += 6;
+
+  // Receipt number, heading and date row
+  pdf.setFontSize(11);
+  drawLabelValue(pdf, content.labels.receiptNumber, content.receiptNumber, contentX, y, 'left');
+  drawLabelValue(pdf, content.labels.heading, '', centerX, y, 'center');
+  drawLabelValue(pdf, content.labels.date, content.receiptDate, contentRight, y, 'right');
+  y += 14;
+
+  // Receipt paragraph
+  y = drawRichParagraph(pdf, content.receiptText, contentX, y, contentWidth, 13, 1.6);
+
+  // Itemised charges
+  if (content.lineItems.length > 0) {
+    y = drawLineItemsTable(pdf, content, contentX, y + 4, contentWidth);
+  }
+  y += 16;
+
+  // Signature block, right aligned, with the revenue stamp box to its left
+  const stampBottom = content.revenueStamp
+    ? drawRevenueStampBox(pdf, content.labels.revenueStamp, contentRight - 58, y)
+    : y;
+  y = Math.max(drawSignatureBlock(pdf, signatureDataUrl, content.labels.signature, contentRight, y), stampBottom + 4);
+
+  // Double border around the receipt
+  drawPageBorder(pdf, boxY, y);
+};
+
+/**
+ * Draw a GST tax invoice on the current page of a PDF
+ * Invoices are always drawn as vector text in English
+ * 
+ * @param {jsPDF} pdf - The PDF document (A4 portrait, mm units)
+ * @param {Object} formData - The invoice form data (documentType 'invoice')
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ */
+export const drawInvoicePage = (pdf, formData, signatureDataUrl) => {
+  const content = getInvoiceContent(formData);
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const boxY = PAGE_MARGIN;
+  const contentX = PAGE_MARGIN + BOX_PADDING;
+  const contentWidth = pageWidth - PAGE_MARGIN * 2 - BOX_PADDING * 2;
+  const contentRight = contentX + contentWidth;
+  const centerX = pageWidth / 2;
+  const lineStep = 10 * PT_TO_MM * 1.4;
+  let y = boxY + BOX_PADDING;
+
+  pdf.setTextColor(0, 0, 0);
+  pdf.setDrawColor(0, 0, 0);
+
+  // Header with the landlord's GSTIN and PAN
+  y = drawIssuerHeader(pdf, content, [
+    { label: 'GSTIN:', value: content.titleGstin },
+    { label: 'PAN:', value: content.titlePan }
+  ], centerX, contentWidth, y);
+  y += 2;
+  pdf.setLineWidth(0.4);
+  pdf.line(contentX, y, contentRight, y);
+  y += 5;
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(15);
+  pdf.text('TAX INVOICE', centerX, y, { align: 'center', baseline: 'top' });
+  y += 10;
+
+  // Invoice details on the left, recipient on the right
+  pdf.setFontSize(10);
+  let leftY = y;
+  [
+    ['Invoice No.:', content.invoiceNumber],
+    ['Invoice Date:', content.invoiceDate],
+    ['Place of Supply:', content.placeOfSupply],
+    ['Period:', content.period],
+    ['Reverse Charge:', 'No']
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    drawLabelValue(pdf, label, value, contentX, leftY, 'left');
+    leftY += lineStep;
+  });
+
+  const billToX = centerX + 4;
+  const billToWidth = contentRight - billToX;
+  let rightY = y;
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('Bill To:', billToX, rightY, { baseline: 'top' });
+  rightY += lineStep;
+  const nameLines = pdf.splitTextToSize(toPdfText(content.tenantName), billToWidth);
+  pdf.text(nameLines, billToX, rightY, { baseline: 'top', lineHeightFactor: 1.4 });
+  rightY += nameLines.length * lineStep;
+  if (content.tenantAddress) {
+    pdf.setFont('helvetica', 'normal');
+    const addressLines = pdf.splitTextToSize(toPdfText(content.tenantAddress), billToWidth);
+    pdf.text(addressLines, billToX, rightY, { baseline: 'top', lineHeightFactor: 1.4 });
+    rightY += addressLines.length * lineStep;
+  }
+  drawLabelValue(pdf, 'GSTIN:', content.tenantGstin, billToX, rightY, 'left');
+  rightY += lineStep;
+
+  y = Math.max(leftY, rightY) + 6;
+
+  // Lines with SAC code and taxable value, then the tax rows and total
+  const cellPadding = 2;
+  const sacX = contentRight - 70;
+  const amountX = contentRight - cellPadding;
+  const rowStep = 11 * PT_TO_MM * 1.3;
+  const drawRow = (description, sac, amount, bold) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    const descriptionLines = pdf.splitTextToSize(toPdfText(description), sacX - contentX - cellPadding * 2);
+    pdf.text(descriptionLines, contentX + cellPadding, y + cellPadding, { baseline: 'top', lineHeightFactor: 1.3 });
+    if (sac) pdf.text(sac, sacX, y + cellPadding, { baseline: 'top' });
+    pdf.text(toPdfText(amount), amountX, y + cellPadding, { align: 'right', baseline: 'top' });
+    y += descriptionLines.length * rowStep + cellPadding * 2;
+  };
+
+  pdf.setFontSize(11);
+  pdf.setLineWidth(0.3);
+  pdf.line(contentX, y, contentRight, y);
+  drawRow('Description', 'SAC', 'Taxable Value', true);
+  pdf.line(contentX, y, contentRight, y);
+  content.lines.forEach(line => drawRow(line.description, content.sacCode, line.amount, false));
+  pdf.line(contentX, y, contentRight, y);
+  drawRow('Taxable Value', '', content.taxableValue, false);
+  content.taxes.forEach(tax => drawRow(tax.label, '', tax.amount, false));
+  pdf.line(contentX, y, contentRight, y);
+  drawRow('Invoice Total', '', content.invoiceTotal, true);
+  pdf.line(contentX, y, contentRight, y);
+  y += 4;
+
+  y = drawRichParagraph(pdf, `Amount in words: <strong>${content.totalInWords}</strong>`, contentX, y, contentWidth, 11, 1.4);
+  y += 14;
+
+  // Signature for the landlord
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text(toPdfText(`For ${content.titleName}`), contentRight, y, { align: 'right', baseline: 'top' });
+  y += 8;
+  y = drawSignatureBlock(pdf, signatureDataUrl, 'Authorised Signatory', contentRight, y);
+
+  drawPageBorder(pdf, boxY, y);
+};
+
+/**
+ * Render a receipt onto the current page of a PDF by rasterising HTML with html2canvas
+ * Used for scripts jsPDF cannot shape (Devanagari, Tamil), where the browser
+ * lays out the text with the bundled Noto fonts, and as a fallback if the
+ * vector renderer fails, e.g. for an unreadable image
+ * 
+ * @param {jsPDF} pdf - The PDF document (A4 portrait, mm units)
+ * @param {Object} formData - The receipt form data
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ * @returns {Promise<void>}
+ */
+const renderRasterReceiptPage = async (pdf, formData, signatureDataUrl) => {
+  const content = getReceiptContent(formData);
+
+  // Create a temporary div element to render the receipt content
+  const receiptElement = document.createElement('div');
+  receiptElement.id = 'receipt-content';
+  receiptElement.className = 'p-8 bg-white text-black';
+  receiptElement.style.width = '210mm'; // A4 width
+  receiptElement.style.minHeight = '297mm'; // A4 height
+  receiptElement.style.fontFamily = content.fontFamily || 'Arial, sans-serif';
+  receiptElement.style.fontSize = '14px';
+  receiptElement.style.lineHeight = '1.6';
+
+  receiptElement.innerHTML = `
+    <div style="border: 4px double #000; padding: 20px; min-height: 140mm; background: white;">
+      <div class="text-center mb-4" style="margin-bottom: 16px;">
+        ${content.titleLogo ? `
+          <img src="${content.titleLogo}" alt="Logo" style="max-width: 160px; max-height: 64px; display: block; margin: 0 auto 8px;" />
+        ` : ''}
+        <h1 class="text-3xl font-bold mb-1" style="font-size: 28px; font-weight: bold; margin-bottom: 8px;">
+          ${content.titleName}
+        </h1>
+        <p class="text-lg" style="font-size: 16px; color: #666; margin-bottom: 8px;">
+          ${content.titleAddress}
+        </p>
+        ${content.titlePan ? `
+          <p style="font-size: 14px; color: #666; margin-bottom: 8px;">
+            <strong>${content.labels.pan}</strong> ${content.titlePan}
           </p>
-          <hr style="border: 1px solid #000; margin: 8px 0;">
-        </div>
-        
-        <!-- Invisible table for proper alignment -->
-        <table style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
-          <tr>
-            <td style="text-align: left; width: 33.33%;">
-              <strong>Receipt #:</strong> ${receiptNumber}
-            </td>
-            <td style="text-align: center; width: 33.33%;">
-              <strong>Payment Receipt</strong>
-            </td>
-            <td style="text-align: right; width: 33.33%;">
-              <strong>Date:</strong> ${receiptDate}
-            </td>
+        ` : ''}
+        <hr style="border: 1px solid #000; margin: 8px 0;">
+      </div>
+      
+      <!-- Invisible table for proper alignment -->
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+        <tr>
+          <td style="text-align: left; width: 33.33%;">
+            <strong>${content.labels.receiptNumber}</strong> ${content.receiptNumber}
+          </td>
+          <td style="text-align: center; width: 33.33%;">
+            <strong>${content.labels.heading}</strong>
+          </td>
+          <td style="text-align: right; width: 33.33%;">
+            <strong>${content.labels.date}</strong> ${content.receiptDate}
+          </td>
+        </tr>
+      </table>
+      
+      <div class="mb-8" style="margin-bottom: 32px;">
+        <p class="text-lg leading-relaxed" style="font-size: 18px; line-height: 1.8; text-align: justify;">
+          ${content.receiptText}
+        </p>
+      </div>
+
+      ${content.lineItems.length > 0 ? `
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 32px; font-size: 16px;">
+          <tr style="border-top: 1px solid #000; border-bottom: 1px solid #000;">
+            <th style="text-align: left; padding: 6px;">${content.labels.description}</th>
+            <th style="text-align: right; padding: 6px;">${content.labels.amount}</th>
+          </tr>
+          ${content.lineItems.map(item => `
+            <tr>
+              <td style="text-align: left; padding: 6px;">${item.description}</td>
+              <td style="text-align: right; padding: 6px;">${item.amount}</td>
+            </tr>
+          `).join('')}
+          <tr style="border-top: 1px solid #000; border-bottom: 1px solid #000;">
+            <td style="text-align: left; padding: 6px;"><strong>${content.labels.total}</strong></td>
+            <td style="text-align: right; padding: 6px;"><strong>${content.total}</strong></td>
           </tr>
         </table>
-        
-        <div class="mb-8" style="margin-bottom: 32px;">
-          <p class="text-lg leading-relaxed" style="font-size: 18px; line-height: 1.8; text-align: justify;">
-            ${receiptText}
-          </p>
-        </div>
-        
-        <div class="mt-16" style="margin-top: 64px;">
-          <div style="text-align: right;">
-            ${signatureDataUrl ? `
-              <div class="mb-4" style="margin-bottom: 16px;">
-                <img src="${signatureDataUrl}" alt="Signature" style="max-width: 200px; max-height: 100px; background: white; display: block; margin-left: auto;" />
-              </div>
-            ` : ''}
-            <div class="border-t-2 border-gray-400 pt-2" style="border-top: 2px solid #9ca3af; padding-top: 8px; width: 200px; margin-left: auto;">
-              <span class="text-sm font-medium" style="font-size: 12px; font-weight: 500;">Signature</span>
+      ` : ''}
+      
+      <div class="mt-16" style="margin-top: 64px; display: flex; justify-content: flex-end; align-items: flex-start; gap: 32px;">
+        ${content.revenueStamp ? `
+          <div style="width: 90px; height: 105px; border: 1px dashed #6b7280; display: flex; align-items: center; justify-content: center; text-align: center; font-size: 11px; color: #6b7280;">
+            ${content.labels.revenueStamp}
+          </div>
+        ` : ''}
+        <div style="text-align: right;">
+          ${signatureDataUrl ? `
+            <div class="mb-4" style="margin-bottom: 16px;">
+              <img src="${signatureDataUrl}" alt="Signature" style="max-width: 200px; max-height: 100px; background: white; display: block; margin-left: auto;" />
             </div>
+          ` : ''}
+          <div class="border-t-2 border-gray-400 pt-2" style="border-top: 2px solid #9ca3af; padding-top: 8px; width: 200px; margin-left: auto;">
+            <span class="text-sm font-medium" style="font-size: 12px; font-weight: 500;">${content.labels.signature}</span>
           </div>
         </div>
       </div>
-    `;
+    </div>
+  `;
 
-    // Append to body temporarily
-    document.body.appendChild(receiptElement);
+  // Append to body temporarily
+  document.body.appendChild(receiptElement);
+
+  try {
+    // Make sure the receipt's web font has loaded before taking the screenshot
+    if (content.fontFamily && document.fonts) {
+      const sampleText = receiptElement.textContent;
+      await Promise.all([
+        document.fonts.load(`400 16px ${content.fontFamily}`, sampleText),
+        document.fonts.load(`700 16px ${content.fontFamily}`, sampleText)
+      ]);
+    }
 
     // Generate canvas from HTML element
     const canvas = await html2canvas(receiptElement, {
@@ -264,13 +950,8 @@ export const generateReceiptPDF = async (formData, signatureDataUrl) => {
       height: receiptElement.offsetHeight
     });
 
-    // Create PDF
+    // Add the screenshot to the page
     const imgData = canvas.toDataURL('image/png');
-    const pdf = new jsPDF({
-      orientation: 'portrait',
-      unit: 'mm',
-      format: 'a4'
-    });
 
     // Calculate dimensions to fit the content
     const pdfWidth = pdf.internal.pageSize.getWidth();
@@ -283,16 +964,92 @@ export const generateReceiptPDF = async (formData, signatureDataUrl) => {
 
     // Add image to PDF
     pdf.addImage(imgData, 'PNG', imgX, imgY, imgWidth * ratio, imgHeight * ratio);
+  } finally {
+    // Clean up
+    document.body.removeChild(receiptElement);
+  }
+};
 
-    // Generate filename
-    const filename = `receipt-${formData.receiptNumber}.pdf`;
+/**
+ * Render a receipt as a raster PDF
+ * 
+ * @param {Object} formData - The receipt form data
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ * @returns {Promise<jsPDF>} PDF containing the receipt as an image
+ */
+const renderRasterReceiptPDF = async (formData, signatureDataUrl) => {
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4'
+  });
+  await renderRasterReceiptPage(pdf, formData, signatureDataUrl);
+  return pdf;
+};
 
-    // Save the PDF
-    pdf.save(filename);
+/**
+ * Create a receipt PDF document without saving it
+ * Draws the receipt as vector text, falling back to the html2canvas
+ * raster renderer if vector drawing fails or the receipt language uses
+ * a script jsPDF cannot shape. Tax invoices are always vector.
+ * 
+ * @param {Object} formData - The receipt form data
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ * @returns {Promise<jsPDF>} The receipt PDF document
+ */
+export const createReceiptPDF = async (formData, signatureDataUrl) => {
+  if (formData.documentType === 'invoice') {
+    const pdf = new jsPDF({
+      orientation: 'portrait',
+      unit: 'mm',
+      format: 'a4'
+    });
+    drawInvoicePage(pdf, formData, signatureDataUrl);
+    return pdf;
+  }
 
-    // Clean up
-    document.body.removeChild(receiptElement);
+  if (!supportsVectorRendering(formData.language)) {
+    return renderRasterReceiptPDF(formData, signatureDataUrl);
+  }
 
+  try {
+    const pdf = new jsPDF({
+      orientation: 'portrait',
+      unit: 'mm',
+      format: 'a4'
+    });
+    drawReceiptPage(pdf, formData, signatureDataUrl);
+    return pdf;
+  } catch (error) {
+    console.warn('Vector PDF rendering failed, falling back to raster rendering:', error);
+    return renderRasterReceiptPDF(formData, signatureDataUrl);
+  }
+};
+
+/**
+ * Generate and download PDF receipt from form data and signature
+ * Creates a professional PDF with proper layout, borders, and signature integration
+ * 
+ * @param {Object} formData - The receipt form data containing all necessary information
+ * @param {string} signatureDataUrl - Base64 signature image data URL (optional)
+ * @returns {Promise<boolean>} True if PDF generation is successful
+ * 
+ * @throws {Error} If PDF generation fails
+ * 
+ * @example
+ * const formData = {
+ *   titleName: "ABC Properties",
+ *   tenantName: "John Doe",
+ *   amount: "50000",
+ *   paymentMode: "Cash",
+ *   // ... other form fields
+ * };
+ * await generateReceiptPDF(formData, signatureDataUrl);
+ */
+export const generateReceiptPDF = async (formData, signatureDataUrl) => {
+  try {
+    const pdf = await createReceiptPDF(formData, signatureDataUrl);
+    pdf.save(getReceiptFilename(formData.receiptNumber || 'RCT-0000-0000', formData.documentType));
     return true;
   } catch (error) {
     console.error('Error generating PDF:', error);
@@ -300,6 +1057,237 @@ export const generateReceiptPDF = async (formData, signatureDataUrl) => {
   }
 };
 
+/**
+ * Draw the cover page of an HRA pack: landlord and tenant details and the
+ * rent for each month of the financial year
+ * 
+ * @param {jsPDF} pdf - The PDF document (A4 portrait, mm units)
+ * @param {Object} pack - HRA pack (see buildHraPack in utils/hra.js)
+ */
+const drawHraPackCover = (pdf, pack) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const boxY = PAGE_MARGIN;
+  const contentX = PAGE_MARGIN + BOX_PADDING;
+  const contentWidth = pageWidth - PAGE_MARGIN * 2 - BOX_PADDING * 2;
+  const contentRight = contentX + contentWidth;
+  const centerX = pageWidth / 2;
+  const lineStep = 11 * PT_TO_MM * 1.5;
+  let y = boxY + BOX_PADDING;
+
+  pdf.setTextColor(0, 0, 0);
+  pdf.setDrawColor(0, 0, 0);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.text('Rent Receipts for HRA', centerX, y, { align: 'center', baseline: 'top' });
+  y += 9;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(12);
+  pdf.text(`Financial Year ${pack.financialYear}`, centerX, y, { align: 'center', baseline: 'top' });
+  y += 10;
+  pdf.setLineWidth(0.4);
+  pdf.line(contentX, y, contentRight, y);
+  y += 6;
+
+  // Landlord and tenant details
+  pdf.setFontSize(11);
+  const labelWidth = 32;
+  [
+    ['Landlord:', pack.landlord.titleName],
+    ['Landlord PAN:', pack.landlord.titlePan.toUpperCase() || 'Not provided'],
+    ['Address:', pack.landlord.titleAddress],
+    ['Tenant:', pack.tenantName],
+    ['Premises:', pack.premisesAddress]
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(label, contentX, y, { baseline: 'top' });
+    pdf.setFont('helvetica', 'normal');
+    const valueLines = pdf.splitTextToSize(toPdfText(value), contentWidth - labelWidth);
+    pdf.text(valueLines, contentX + labelWidth, y, { baseline: 'top', lineHeightFactor: 1.5 });
+    y += valueLines.length * lineStep;
+  });
+  y += 6;
+
+  // Month-by-month rent
+  const cellPadding = 2;
+  const receiptX = contentX + 55;
+  const amountX = contentRight - cellPadding;
+  const rowHeight = 11 * PT_TO_MM * 1.3 + cellPadding * 2;
+  const drawRow = (month, receipts, amount, bold) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.text(month, contentX + cellPadding, y + cellPadding, { baseline: 'top' });
+    const receiptText = pdf.splitTextToSize(receipts, amountX - receiptX - 30)[0] || '';
+    pdf.text(receiptText, receiptX, y + cellPadding, { baseline: 'top' });
+    pdf.text(toPdfText(amount), amountX, y + cellPadding, { align: 'right', baseline: 'top' });
+    y += rowHeight;
+  };
+
+  pdf.setLineWidth(0.3);
+  pdf.line(contentX, y, contentRight, y);
+  drawRow('Month', 'Receipt No.', 'Rent', true);
+  pdf.line(contentX, y, contentRight, y);
+  pack.months.forEach(month => {
+    drawRow(
+      month.label,
+      month.receiptNumbers.length > 0 ? month.receiptNumbers.join(', ') : (month.due ? 'No receipt' : 'Not yet due'),
+      month.receiptNumbers.length > 0 ? formatAmount(month.rent, pack.currency) : '-',
+      false
+    );
+  });
+  pdf.line(contentX, y, contentRight, y);
+  drawRow('Total rent paid', '', formatAmount(pack.total, pack.currency), true);
+  pdf.line(contentX, y, contentRight, y);
+  y += 4;
+
+  y = drawRichParagraph(pdf, `Amount in words: <strong>${formatAmountInWords(pack.total, pack.currency)}</strong>`, contentX, y, contentWidth, 11, 1.4);
+  y += 4;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(102, 102, 102);
+  pdf.text(`${pack.receipts.length} receipt(s) follow on the next pages.`, contentX, y, { baseline: 'top' });
+  pdf.setTextColor(0, 0, 0);
+  y += 6;
+
+  drawPageBorder(pdf, boxY, y);
+};
+
+/**
+ * Draw a stored receipt on the current (last) page of a multi-receipt PDF
+ * Like createReceiptPDF, falls back to the raster renderer if vector
+ * drawing fails, on a fresh page in place of the half-drawn one
+ * 
+ * @param {jsPDF} pdf - The PDF document (A4 portrait, mm units)
+ * @param {Object} receipt - Receipt record (with signatureDataUrl)
+ * @returns {Promise<void>}
+ */
+const drawStoredReceiptPage = async (pdf, receipt) => {
+  // Older records have no receiptDate, fall back to when they were created
+  const formData = {
+    ...receipt,
+    receiptDate: receipt.receiptDate || (receipt.createdAt || '').split('T')[0]
+  };
+
+  if (!supportsVectorRendering(formData.language)) {
+    await renderRasterReceiptPage(pdf, formData, receipt.signatureDataUrl);
+    return;
+  }
+
+  try {
+    drawReceiptPage(pdf, formData, receipt.signatureDataUrl);
+  } catch (error) {
+    console.warn(`Vector PDF rendering failed for receipt ${receipt.receiptNumber}, falling back to raster rendering:`, error);
+    const pageNumber = pdf.getNumberOfPages();
+    pdf.addPage();
+    pdf.deletePage(pageNumber);
+    await renderRasterReceiptPage(pdf, formData, receipt.signatureDataUrl);
+  }
+};
+
+/**
+ * Download a file built in the browser
+ * 
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Build the download filename for an HRA pack
+ * 
+ * @param {Object} pack - HRA pack
+ * @returns {string} Filename (e.g., "hra-receipts-John-Doe-FY-2025-26.pdf")
+ */
+export const getHraPackFilename = (pack) => {
+  const tenant = String(pack.tenantName).trim().replace(/[\\/:*?"<>|\s]+/g, '-');
+  return `hra-receipts-${tenant}-FY-${pack.financialYear}.pdf`;
+};
+
+/**
+ * Generate and download an HRA pack: a cover summary followed by one page per receipt
+ * 
+ * @param {Object} pack - HRA pack (see buildHraPack in utils/hra.js)
+ * @returns {Promise<void>}
+ */
+export const generateHraPackPDF = async (pack) => {
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4'
+  });
+  drawHraPackCover(pdf, pack);
+
+  for (const receipt of pack.receipts) {
+    pdf.addPage();
+    await drawStoredReceiptPage(pdf, receipt);
+  }
+
+  pdf.save(getHraPackFilename(pack));
+};
+
+/**
+ * Build the download filename for a batch of bulk-generated receipts
+ * 
+ * @param {string} tenantName - Tenant the receipts are for
+ * @param {string} from - Start of the range (YYYY-MM-DD)
+ * @param {string} to - End of the range (YYYY-MM-DD)
+ * @param {string} extension - File extension (pdf or zip)
+ * @returns {string} Filename (e.g., "receipts-John-Doe-2025-04-01-to-2026-03-31.zip")
+ */
+export const getBulkFilename = (tenantName, from, to, extension) => {
+  const tenant = String(tenantName).trim().replace(/[\\/:*?"<>|\s]+/g, '-');
+  return `receipts-${tenant}-${from}-to-${to}.${extension}`;
+};
+
+/**
+ * Generate and download many receipts as one PDF, one receipt per page
+ * 
+ * @param {Array<Object>} receipts - Receipt records (with receiptNumber and signatureDataUrl)
+ * @param {string} filename - Download filename
+ * @returns {Promise<void>}
+ */
+export const generateCombinedReceiptsPDF = async (receipts, filename) => {
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4'
+  });
+
+  for (const [index, receipt] of receipts.entries()) {
+    if (index > 0) pdf.addPage();
+    await drawStoredReceiptPage(pdf, receipt);
+  }
+
+  pdf.save(filename);
+};
+
+/**
+ * Generate and download many receipts as a ZIP of individual PDFs
+ * 
+ * @param {Array<Object>} receipts - Receipt records (with receiptNumber and signatureDataUrl)
+ * @param {string} filename - Download filename
+ * @returns {Promise<void>}
+ */
+export const generateReceiptsZip = async (receipts, filename) => {
+  const files = [];
+  for (const receipt of receipts) {
+    const pdf = await createReceiptPDF(receipt, receipt.signatureDataUrl);
+    files.push({
+      name: getReceiptFilename(receipt.receiptNumber, receipt.documentType),
+      data: new Uint8Array(pdf.output('arraybuffer'))
+    });
+  }
+
+  downloadBlob(createZip(files), filename);
+};
+
 /**
  * Format date to DD/MM/YYYY format
  * @param {string} dateString - Date string
@@ -314,21 +1302,18 @@ export const formatDate = (dateString) => {
 // ===== RECEIPT NUMBER GENERATION =====
 
 /**
- * Generate receipt number in RCT-YYMM-HHMM format
- * Uses current timestamp to ensure uniqueness
+ * Generate a receipt number for a given sequence using the configured numbering pattern
+ * See utils/receiptNumbering.js for the pattern tokens and per-series counters
  * 
- * @param {number} sequenceNumber - The sequence number (not used in new format, kept for compatibility)
- * @returns {string} Formatted receipt number (e.g., "RCT-2509-1650")
+ * @param {number} sequenceNumber - The sequence number within the series
+ * @param {string} series - Numbering series prefix from the issuer profile (defaults to "RCT")
+ * @param {string} propertyCode - Property code for patterns using {PROP} (optional)
+ * @returns {string} Formatted receipt number (e.g., "RCT/2025-26/0001")
  * 
  * @example
- * generateReceiptNumber(0) // Returns "RCT-2509-1650" (current date/time)
- */
-export const generateReceiptNumber = (sequenceNumber) => {
-  const now = new Date();
-  const year = now.getFullYear().toString().slice(-2); // Last 2 digits of year
-  const month = (now.getMonth() + 1).toString().padStart(2, '0'); // Month (01-12)
-  const hours = now.getHours().toString().padStart(2, '0'); // Hours (00-23)
-  const minutes = now.getMinutes().toString().padStart(2, '0'); // Minutes (00-59)
-  return `RCT-${year}${month}-${hours}${minutes}`;
+ * generateReceiptNumber(1) // Returns "RCT/2025-26/0001" with the default pattern
+ * generateReceiptNumber(12, 'ABC') // Returns "ABC/2025-26/0012"
+ */
+export const generateReceiptNumber = (sequenceNumber, series = 'RCT', propertyCode = '') => {
+  return formatReceiptNumber(loadNumberingSettings(), { series, propertyCode, date: new Date() }, sequenceNumber);
 };
-
@@ -0,0 +1,149 @@
+/**
+ * Property Register Utilities for ReceiptlyPlus
+ *
+ * Properties (a building or house with an address) and their rental units
+ * (flat/shop number, residential or commercial) are stored in the
+ * `rental_properties` localStorage array. Tenants are assigned to units so
+ * receipts can print the rented premises address and history can be
+ * grouped by property.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { loadCollection, upsertRecord, removeRecord, createId } from './storage';
+
+export const PROPERTIES_STORAGE_KEY = 'rental_properties';
+
+export const UNIT_TYPES = ['Residential', 'Commercial'];
+
+/**
+ * Blank property record used by the property editor
+ */
+export const emptyProperty = {
+  id: '',
+  name: '',
+  code: '',
+  address: '',
+  units: []
+};
+
+/**
+ * Create a blank unit for a property
+ *
+ * @returns {Object} Unit record with a new id
+ */
+export const createUnit = () => ({
+  id: createId(),
+  unitNumber: '',
+  type: 'Residential'
+});
+
+// ===== STORAGE =====
+
+/**
+ * Load all properties, sorted by name
+ *
+ * @returns {Array<Object>} Stored property records
+ */
+export const loadProperties = () => {
+  return loadCollection(PROPERTIES_STORAGE_KEY).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Add a new property or update an existing one
+ * Units without a unit number are dropped
+ *
+ * @param {Object} property - Property record (a new id is assigned if missing)
+ * @returns {Object} The saved property record
+ */
+export const saveProperty = (property) => {
+  const saved = {
+    ...emptyProperty,
+    ...property,
+    id: property.id || createId(),
+    name: property.name.trim(),
+    code: (property.code || '').trim().toUpperCase(),
+    units: (property.units || [])
+      .filter(unit => unit.unitNumber.trim())
+      .map(unit => ({ ...unit, unitNumber: unit.unitNumber.trim() }))
+  };
+  upsertRecord(PROPERTIES_STORAGE_KEY, saved);
+  return saved;
+};
+
+/**
+ * Delete a property and its units
+ *
+ * @param {string} id - Id of the property to delete
+ */
+export const deleteProperty = (id) => {
+  removeRecord(PROPERTIES_STORAGE_KEY, id);
+};
+
+// ===== LOOKUP =====
+
+/**
+ * List every unit across all properties, for unit pickers
+ *
+ * @param {Array<Object>} properties - Property records
+ * @returns {Array<Object>} Entries of { property, unit, label }
+ *
+ * @example
+ * listUnits(loadProperties()) // Returns [{ property, unit, label: "Green Park — Flat 302" }, ...]
+ */
+export const listUnits = (properties) => {
+  return properties.flatMap(property =>
+    property.units.map(unit => ({
+      property,
+      unit,
+      label: `${property.name} — ${unit.unitNumber}`
+    }))
+  );
+};
+
+/**
+ * Find a property and unit by their ids
+ *
+ * @param {Array<Object>} properties - Property records
+ * @param {string} unitId - Id of the unit
+ * @returns {Object|undefined} Entry of { property, unit, label }
+ */
+export const findUnit = (properties, unitId) => {
+  return listUnits(properties).find(entry => entry.unit.id === unitId);
+};
+
+/**
+ * Build the rented premises address printed on receipts
+ *
+ * @param {Object} property - Property record
+ * @param {Object} unit - Unit record
+ * @returns {string} Premises address (e.g., "Flat 302, Green Park, 12 MG Road, Pune")
+ */
+export const getPremisesAddress = (property, unit) => {
+  return [unit.unitNumber, property.name, property.address]
+    .map(part => (part || '').replace(/\s*\n\s*/g, ', ').trim())
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Build the receipt form fields for a rented unit
+ *
+ * @param {Array<Object>} properties - Property records
+ * @param {string} unitId - Id of the unit (empty to clear the premises)
+ * @returns {Object} Partial form data (propertyId, unitId, premisesAddress, unitType)
+ */
+export const getUnitFormDefaults = (properties, unitId) => {
+  const entry = findUnit(properties, unitId);
+  if (!entry) {
+    return { propertyId: '', unitId: '', premisesAddress: '', unitType: '' };
+  }
+
+  return {
+    propertyId: entry.property.id,
+    unitId: entry.unit.id,
+    premisesAddress: getPremisesAddress(entry.property, entry.unit),
+    unitType: entry.unit.type
+  };
+};
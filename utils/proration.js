@@ -0,0 +1,100 @@
+/**
+ * Pro-rated Rent Utilities for ReceiptlyPlus
+ *
+ * A tenant moving in or out part-way through a month pays only for the days
+ * they occupy. The rent for a partial period is the monthly rent times the
+ * days occupied over the days in the month, worked out month by month when
+ * the period crosses a month end. Days can be counted two ways:
+ * - Actual days: the month's own length (28 to 31 days)
+ * - 30-day month: every month counts as 30 days, counted the 30/360 way:
+ *   the 31st and the last day of February count as day 30
+ *
+ * A pro-rated receipt keeps `prorated`, `prorationMethod` and `monthlyRent`
+ * so the working can be printed on it and re-printed from history.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { parseStoredDate } from './receiptHistory';
+import { getMonthSpan, MAX_RECEIPT_MONTHS } from './multiMonth';
+
+export const DEFAULT_PRORATION_METHOD = 'actual';
+
+export const PRORATION_METHODS = [
+  { value: 'actual', label: 'Actual days in the month' },
+  { value: '30day', label: '30-day month' }
+];
+
+/**
+ * Get the day of the month a date counts as in a 30-day month
+ *
+ * @param {Date} date - Date to count
+ * @returns {number} Day of the month (the 31st and the last day of February count as 30)
+ */
+const getThirtyDayDate = (date) => {
+  const isLastDayOfFebruary = date.getMonth() === 1 && new Date(date.getFullYear(), 2, 0).getDate() === date.getDate();
+  return isLastDayOfFebruary ? 30 : Math.min(date.getDate(), 30);
+};
+
+/**
+ * Work out the pro-rated rent for a period
+ *
+ * @param {string|number} monthlyRent - Rent per month
+ * @param {string} durationFrom - Period start (YYYY-MM-DD or DD/MM/YYYY)
+ * @param {string} durationTo - Period end (YYYY-MM-DD or DD/MM/YYYY)
+ * @param {string} method - Day count, 'actual' or '30day'
+ * @returns {Object|null} { months, total } with each month { key, label, days, basis, amount }
+ *   (amounts as strings), or null if the rent or period is missing
+ *
+ * @example
+ * calculateProration('31000', '2026-01-12', '2026-01-31', 'actual')
+ * // Returns { months: [{ key: '2026-01', label: 'Jan-2026', days: 20, basis: 31, amount: '20000' }], total: '20000' }
+ *
+ * calculateProration('30000', '2026-02-12', '2026-02-28', '30day')
+ * // Returns { months: [{ key: '2026-02', label: 'Feb-2026', days: 19, basis: 30, amount: '19000' }], total: '19000' }
+ */
+export const calculateProration = (monthlyRent, durationFrom, durationTo, method = DEFAULT_PRORATION_METHOD) => {
+  const rent = splitAmount(monthlyRent);
+  const start = parseStoredDate(durationFrom);
+  const end = parseStoredDate(durationTo);
+  if (!rent || !start || !end || start > end) return null;
+
+  const rentPaise = rent.rupees * 100 + rent.paise;
+  let totalPaise = 0;
+  const months = getMonthSpan(durationFrom, durationTo).map((month, index) => {
+    const monthStart = new Date(start.getFullYear(), start.getMonth() + index, 1);
+    const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+    const from = index === 0 ? start : monthStart;
+    const to = end < monthEnd ? end : monthEnd;
+
+    const basis = method === '30day' ? 30 : monthEnd.getDate();
+    const days = method === '30day'
+      ? getThirtyDayDate(to) - getThirtyDayDate(from) + 1
+      : to.getDate() - from.getDate() + 1;
+
+    const amountPaise = Math.round(rentPaise * days / basis);
+    totalPaise += amountPaise;
+    return { ...month, days, basis, amount: String(amountPaise / 100) };
+  });
+
+  return { months, total: String(totalPaise / 100) };
+};
+
+/**
+ * Check the rent and period of a pro-rated receipt
+ *
+ * @param {Object} formData - Receipt form data (monthlyRent, durationFrom, durationTo)
+ * @returns {string} Error message, or empty string if the receipt is valid
+ */
+export const validateProration = (formData) => {
+  const rent = splitAmount(formData.monthlyRent);
+  if (!rent || rent.rupees + rent.paise === 0) {
+    return 'Please fill in the rent per month to pro-rate.';
+  }
+  if (getMonthSpan(formData.durationFrom, formData.durationTo).length > MAX_RECEIPT_MONTHS) {
+    return `A pro-rated period can cover at most ${MAX_RECEIPT_MONTHS} months.`;
+  }
+  return '';
+};
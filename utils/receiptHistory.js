@@ -0,0 +1,188 @@
+/**
+ * Receipt History Utilities for ReceiptlyPlus
+ *
+ * Every generated receipt is stored in the `rental_receipts` localStorage
+ * array. This module reads and writes that array and provides the search
+ * and filter logic used by the receipt history browser.
+ *
+ * Key Features:
+ * - Loading and saving stored receipt records
+ * - Voided receipts (a bounced cheque) stay listed but are left out of totals
+ * - Search by tenant name, receipt number or reference number
+ * - Filtering by transaction date range, payment mode, term, property and receipt type
+ * - Grouping receipts by property
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { loadCollection, saveCollection, upsertRecord } from './storage';
+import { getStoredReceiptType } from './receiptTypes';
+
+export const RECEIPTS_STORAGE_KEY = 'rental_receipts';
+
+// ===== STORAGE =====
+
+/**
+ * Load all stored receipts from localStorage
+ *
+ * @returns {Array<Object>} Stored receipt records (empty array if none or unreadable)
+ */
+export const loadReceipts = () => loadCollection(RECEIPTS_STORAGE_KEY);
+
+/**
+ * Append a receipt record to the stored history
+ *
+ * @param {Object} receipt - The receipt record to store
+ * @returns {Array<Object>} The updated list of stored receipts
+ */
+export const saveReceipt = (receipt) => {
+  return saveCollection(RECEIPTS_STORAGE_KEY, [...loadReceipts(), receipt]);
+};
+
+/**
+ * Replace a stored receipt (matched by id) with an updated record
+ *
+ * @param {Object} receipt - The updated receipt record
+ * @returns {Array<Object>} The updated list of stored receipts
+ */
+export const updateReceipt = (receipt) => upsertRecord(RECEIPTS_STORAGE_KEY, receipt);
+
+/**
+ * Check whether a receipt has been voided (its cheque bounced)
+ *
+ * @param {Object} receipt - Receipt record
+ * @returns {boolean} True if the receipt no longer counts as money received
+ */
+export const isVoidReceipt = (receipt) => Boolean(receipt.voided);
+
+// ===== DATE HELPERS =====
+
+/**
+ * Parse a stored date into a local Date object
+ * Stored transaction dates are DD/MM/YYYY, period dates are YYYY-MM-DD
+ *
+ * @param {string} dateString - Date string in DD/MM/YYYY or YYYY-MM-DD format
+ * @returns {Date|null} Parsed date, or null if the value cannot be parsed
+ *
+ * @example
+ * parseStoredDate("09/02/2025") // Returns Date for 9-Feb-2025
+ * parseStoredDate("2025-02-09") // Returns Date for 9-Feb-2025
+ */
+export const parseStoredDate = (dateString) => {
+  if (!dateString) return null;
+
+  let date;
+  if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateString)) {
+    const [day, month, year] = dateString.split('/').map(Number);
+    date = new Date(year, month - 1, day);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    date = new Date(dateString + 'T00:00:00');
+  } else {
+    date = new Date(dateString);
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// ===== SEARCH AND FILTERS =====
+
+/**
+ * Filter stored receipts by search text, date range, payment mode, term, property and receipt type
+ * Results are returned newest first
+ *
+ * @param {Array<Object>} receipts - Stored receipt records
+ * @param {Object} filters - Filter criteria (empty values are ignored)
+ * @param {string} filters.search - Matches tenant name, receipt number or reference number
+ * @param {string} filters.dateFrom - Earliest transaction date (YYYY-MM-DD)
+ * @param {string} filters.dateTo - Latest transaction date (YYYY-MM-DD)
+ * @param {string} filters.paymentMode - Payment method (Cash/Cheque/etc.)
+ * @param {string} filters.term - Payment term (Weekly, Monthly, Quarterly, ...)
+ * @param {string} filters.propertyId - Property the receipt was issued for
+ * @param {string} filters.receiptType - Receipt type (rent/deposit/etc., or invoice for tax invoices)
+ * @returns {Array<Object>} Matching receipts
+ *
+ * @example
+ * filterReceipts(loadReceipts(), { search: 'john', paymentMode: 'Cash' })
+ */
+export const filterReceipts = (receipts, filters = {}) => {
+  const search = (filters.search || '').trim().toLowerCase();
+  const dateFrom = parseStoredDate(filters.dateFrom);
+  const dateTo = parseStoredDate(filters.dateTo);
+
+  return receipts
+    .filter(receipt => {
+      if (search) {
+        const haystack = [receipt.tenantName, receipt.receiptNumber, receipt.referenceNo]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+
+      if (filters.paymentMode) {
+        // A split receipt matches each of the modes it was paid with
+        const modes = receipt.payments && receipt.payments.length > 0
+          ? receipt.payments.map(payment => payment.mode)
+          : [receipt.paymentMode];
+        if (!modes.includes(filters.paymentMode)) return false;
+      }
+      if (filters.term && receipt.term !== filters.term) return false;
+      if (filters.propertyId && receipt.propertyId !== filters.propertyId) return false;
+      if (filters.receiptType && getStoredReceiptType(receipt).value !== filters.receiptType) return false;
+
+      if (dateFrom || dateTo) {
+        const transactionDate = parseStoredDate(receipt.dateOfTransaction);
+        if (!transactionDate) return false;
+        if (dateFrom && transactionDate < dateFrom) return false;
+        if (dateTo && transactionDate > dateTo) return false;
+      }
+
+      return true;
+    })
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+};
+
+// ===== GROUPING =====
+
+/**
+ * Group receipts by the property they were issued for
+ * Receipts without a property are collected under "Unassigned"; voided
+ * receipts are listed but left out of the group total
+ *
+ * @param {Array<Object>} receipts - Receipt records (already filtered/sorted)
+ * @param {Array<Object>} properties - Property records, used for group names
+ * @returns {Array<Object>} Groups of { propertyId, name, receipts, total }, sorted by name
+ *
+ * @example
+ * groupReceiptsByProperty(filterReceipts(loadReceipts()), loadProperties())
+ * // Returns [{ propertyId: 'p1', name: 'Green Park', receipts: [...], total: 75000 }, ...]
+ */
+export const groupReceiptsByProperty = (receipts, properties) => {
+  const groups = new Map();
+
+  receipts.forEach(receipt => {
+    const propertyId = receipt.propertyId || '';
+    if (!groups.has(propertyId)) {
+      const property = properties.find(item => item.id === propertyId);
+      groups.set(propertyId, {
+        propertyId,
+        name: property ? property.name : (propertyId ? 'Deleted property' : 'Unassigned'),
+        receipts: [],
+        total: 0
+      });
+    }
+
+    const group = groups.get(propertyId);
+    group.receipts.push(receipt);
+    if (!isVoidReceipt(receipt)) {
+      group.total += parseFloat(receipt.amount) || 0;
+    }
+  });
+
+  return [...groups.values()].sort((a, b) => {
+    if (!a.propertyId) return 1;
+    if (!b.propertyId) return -1;
+    return a.name.localeCompare(b.name);
+  });
+};
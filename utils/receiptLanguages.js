@@ -0,0 +1,420 @@
+/**
+ * Receipt Languages for ReceiptlyPlus
+ *
+ * Translations of everything printed on a receipt: the header labels, the
+ * receipt sentence (naming each payment of a split receipt), the cheque, UPI
+ * and bank details of a payment, the optional pro-ration, TDS and balance
+ * sentences, the "subject to realisation" and bounced-cheque notes, rent
+ * terms, payment modes and the usual charge names. A language is chosen per
+ * receipt in the form, and a tenant can have a preferred language that is
+ * picked up when the tenant is selected.
+ *
+ * Each language names the language its amount in words is written in;
+ * Marathi and Tamil fall back to English words until number words are
+ * available for them.
+ *
+ * The receipt sentence is worded per receipt type (see receiptTypes.js).
+ *
+ * Languages in non-Latin scripts carry a web font (bundled Noto fonts).
+ * jsPDF cannot shape Devanagari or Tamil (vowel signs and conjuncts), so
+ * those receipts are drawn by the browser and rasterised instead of being
+ * written as PDF text.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+export const DEFAULT_RECEIPT_LANGUAGE = 'en';
+
+export const RECEIPT_LANGUAGES = {
+  en: {
+    code: 'en',
+    name: 'English',
+    script: 'latin',
+    wordsLanguage: 'en',
+    conjunction: 'and',
+    fontFamily: '',
+    labels: {
+      receiptNumber: 'Receipt #:',
+      heading: 'Payment Receipt',
+      date: 'Date:',
+      signature: 'Signature',
+      revenueStamp: 'Revenue Stamp',
+      pan: 'PAN:',
+      description: 'Description',
+      amount: 'Amount',
+      total: 'Total'
+    },
+    terms: {},
+    paymentModes: {},
+    charges: {},
+    tdsText: (parts) => {
+      const reference = parts.tdsReference ? ` (challan/certificate: ${parts.tdsReference})` : '';
+      return `Of this, <strong>${parts.tdsAmount}</strong> was deducted as TDS under Section ${parts.tdsSection} at ${parts.tdsRate}%${reference} and <strong>${parts.netAmount}</strong> was received net.`;
+    },
+    balanceText: {
+      due: (amount) => `Balance due after this payment: <strong>${amount}</strong>.`,
+      credit: (amount) => `Advance credit after this payment: <strong>${amount}</strong>.`,
+      settled: () => 'No balance is due after this payment.'
+    },
+    chequeText: {
+      realisation: (parts) => `This receipt is subject to realisation of cheque No. ${parts.numbers}.`,
+      bounced: (parts) => `<strong>VOID</strong>: cheque No. ${parts.numbers} was returned unpaid${parts.date ? ` on ${parts.date}` : ''}${parts.reason ? ` (${parts.reason})` : ''}.`
+    },
+    prorationText: {
+      share: (share) => `${share.days}/${share.basis} days of ${share.month}`,
+      sentence: (parts) => `The rent is pro-rated from the monthly rent of <strong>${parts.monthlyRent}</strong> for ${parts.shares}${parts.isThirtyDay ? ', counting every month as 30 days' : ''}.`
+    },
+    referenceText: {
+      Cheque: (ref) => `No. ${ref.number}${ref.date ? ` dated ${ref.date}` : ''}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} branch` : ''}`,
+      'Bank Deposit': (ref) => `slip No. ${ref.number}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} branch` : ''}`,
+      'UPI Payment': (ref) => `UTR ${ref.number}${ref.payer ? ` from ${ref.payer}` : ''}`,
+      'Net Banking': (ref) => `UTR ${ref.number}`
+    },
+    tenderText: (tender) => (tender.isCash
+      ? `<strong>${tender.amount}</strong> via Cash`
+      : `<strong>${tender.amount}</strong> via ${tender.paymentMode}${tender.referenceNo ? ` (${tender.referenceNo})` : ''} on ${tender.transactionDate}`),
+    receiptText: (parts) => {
+      // Custom periods are printed without a term word
+      const term = parts.term ? `${parts.term} ` : '';
+      const premises = parts.premisesAddress ? ` for the premises at <strong>${parts.premisesAddress}</strong>` : '';
+      const period = parts.monthList
+        ? ` for the months of ${parts.monthList}`
+        : parts.hasPeriod ? ` for the period <strong>${parts.durationFrom}</strong> to <strong>${parts.durationTo}</strong>` : '';
+      const payment = parts.tenders
+        ? `paid ${parts.tenders}`
+        : parts.isCash
+          ? 'paid via Cash'
+          : `paid via ${parts.paymentMode}${parts.referenceNo ? ` (${parts.referenceNo})` : ''} on ${parts.transactionDate}`;
+      const amount = `<strong>${parts.amount}</strong> (<strong>${parts.amountInWords}</strong>)`;
+
+      if (parts.receiptType === 'refund') {
+        return `This is to acknowledge the refund of ${amount} to <strong>${parts.tenantName}</strong> from the security deposit${premises}, ${payment}.`;
+      }
+      if (parts.receiptType === 'adjustment') {
+        return `This is to acknowledge that ${amount} from the security deposit of <strong>${parts.tenantName}</strong> has been adjusted towards ${term}rent${premises}${period}.`;
+      }
+
+      const purpose = {
+        rent: `towards ${term}rent${parts.hasCharges ? ' and other charges' : ''}`,
+        advance: `as advance ${term}rent`,
+        maintenance: `towards ${term}maintenance charges`,
+        deposit: 'as security deposit',
+        token: 'as token amount for booking'
+      }[parts.receiptType];
+      return `This is to acknowledge the receipt of ${amount} from <strong>${parts.tenantName}</strong> ${purpose}${premises}${period}, ${payment}.`;
+    }
+  },
+  hi: {
+    code: 'hi',
+    name: 'हिन्दी (Hindi)',
+    script: 'devanagari',
+    wordsLanguage: 'hi',
+    conjunction: 'और',
+    fontFamily: '"Noto Sans Devanagari", Arial, sans-serif',
+    labels: {
+      receiptNumber: 'रसीद संख्या:',
+      heading: 'भुगतान रसीद',
+      date: 'दिनांक:',
+      signature: 'हस्ताक्षर',
+      revenueStamp: 'रसीदी टिकट',
+      pan: 'पैन:',
+      description: 'विवरण',
+      amount: 'राशि',
+      total: 'कुल'
+    },
+    terms: { Weekly: 'साप्ताहिक', Monthly: 'मासिक', Quarterly: 'त्रैमासिक', 'Half-yearly': 'अर्धवार्षिक', Yearly: 'वार्षिक' },
+    paymentModes: {
+      Cash: 'नकद',
+      Cheque: 'चेक',
+      'Bank Deposit': 'बैंक जमा',
+      'UPI Payment': 'UPI भुगतान',
+      'Net Banking': 'नेट बैंकिंग'
+    },
+    charges: {
+      Rent: 'किराया',
+      'Society Maintenance': 'सोसायटी रखरखाव',
+      Electricity: 'बिजली',
+      Water: 'पानी',
+      Parking: 'पार्किंग',
+      Internet: 'इंटरनेट'
+    },
+    tdsText: (parts) => {
+      const reference = parts.tdsReference ? ` (चालान/प्रमाणपत्र: ${parts.tdsReference})` : '';
+      return `इसमें से <strong>${parts.tdsAmount}</strong> धारा ${parts.tdsSection} के अंतर्गत ${parts.tdsRate}% की दर से TDS के रूप में काटे गए${reference} तथा शुद्ध <strong>${parts.netAmount}</strong> प्राप्त हुए।`;
+    },
+    balanceText: {
+      due: (amount) => `इस भुगतान के बाद शेष देय राशि: <strong>${amount}</strong>।`,
+      credit: (amount) => `इस भुगतान के बाद अग्रिम जमा राशि: <strong>${amount}</strong>।`,
+      settled: () => 'इस भुगतान के बाद कोई राशि बकाया नहीं है।'
+    },
+    chequeText: {
+      realisation: (parts) => `यह रसीद चेक क्रमांक ${parts.numbers} के भुगतान होने के अधीन है।`,
+      bounced: (parts) => `<strong>रद्द</strong>: चेक क्रमांक ${parts.numbers}${parts.date ? ` ${parts.date} को` : ''} बिना भुगतान लौटा दिया गया${parts.reason ? ` (${parts.reason})` : ''}।`
+    },
+    prorationText: {
+      share: (share) => `${share.month} के ${share.basis} में से ${share.days} दिन`,
+      sentence: (parts) => `किराया <strong>${parts.monthlyRent}</strong> मासिक किराये के आधार पर ${parts.shares} के लिए आनुपातिक रूप से लिया गया है${parts.isThirtyDay ? ' (हर महीना 30 दिन का मानकर)' : ''}।`
+    },
+    referenceText: {
+      Cheque: (ref) => `क्रमांक ${ref.number}${ref.date ? `, दिनांक ${ref.date}` : ''}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, शाखा ${ref.branch}` : ''}`,
+      'Bank Deposit': (ref) => `जमा पर्ची क्रमांक ${ref.number}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, शाखा ${ref.branch}` : ''}`,
+      'UPI Payment': (ref) => `UTR ${ref.number}${ref.payer ? `, ${ref.payer} से` : ''}`,
+      'Net Banking': (ref) => `UTR ${ref.number}`
+    },
+    tenderText: (tender) => (tender.isCash
+      ? `<strong>${tender.amount}</strong> नकद`
+      : `<strong>${tender.amount}</strong> ${tender.transactionDate} को ${tender.paymentMode}${tender.referenceNo ? ` (${tender.referenceNo})` : ''} द्वारा`),
+    receiptText: (parts) => {
+      const term = parts.term ? `${parts.term} ` : '';
+      const premises = parts.premisesAddress ? ` परिसर <strong>${parts.premisesAddress}</strong> के लिए` : '';
+      const period = parts.monthList
+        ? ` ${parts.monthList} महीनों के`
+        : parts.hasPeriod ? ` <strong>${parts.durationFrom}</strong> से <strong>${parts.durationTo}</strong> तक की अवधि के` : '';
+      const payment = parts.tenders
+        ? parts.tenders
+        : parts.isCash
+          ? 'नकद'
+          : `${parts.transactionDate} को ${parts.paymentMode}${parts.referenceNo ? ` (${parts.referenceNo})` : ''} द्वारा`;
+      const amount = `<strong>${parts.amount}</strong> (<strong>${parts.amountInWords}</strong>)`;
+
+      if (parts.receiptType === 'refund') {
+        return `यह प्रमाणित किया जाता है कि <strong>${parts.tenantName}</strong> को${premises} सुरक्षा जमा राशि में से ${amount} ${payment} वापस किए गए।`;
+      }
+      if (parts.receiptType === 'adjustment') {
+        return `यह प्रमाणित किया जाता है कि <strong>${parts.tenantName}</strong> की सुरक्षा जमा राशि में से ${amount}${premises}${period} ${term}किराये में समायोजित किए गए।`;
+      }
+
+      const purpose = {
+        rent: `${term}किराये${parts.hasCharges ? ' एवं अन्य शुल्कों' : ''}`,
+        advance: `अग्रिम ${term}किराये`,
+        maintenance: `${term}रखरखाव शुल्क`,
+        deposit: 'सुरक्षा जमा राशि',
+        token: 'टोकन (बुकिंग) राशि'
+      }[parts.receiptType];
+      return `यह प्रमाणित किया जाता है कि <strong>${parts.tenantName}</strong> से ${amount} की राशि${premises}${period} ${purpose} के रूप में ${payment} प्राप्त हुई।`;
+    }
+  },
+  mr: {
+    code: 'mr',
+    name: 'मराठी (Marathi)',
+    script: 'devanagari',
+    wordsLanguage: 'en',
+    conjunction: 'आणि',
+    fontFamily: '"Noto Sans Devanagari", Arial, sans-serif',
+    labels: {
+      receiptNumber: 'पावती क्र.:',
+      heading: 'भाडे पावती',
+      date: 'दिनांक:',
+      signature: 'स्वाक्षरी',
+      revenueStamp: 'महसूल मुद्रांक',
+      pan: 'पॅन:',
+      description: 'तपशील',
+      amount: 'रक्कम',
+      total: 'एकूण'
+    },
+    terms: { Weekly: 'साप्ताहिक', Monthly: 'मासिक', Quarterly: 'त्रैमासिक', 'Half-yearly': 'सहामाही', Yearly: 'वार्षिक' },
+    paymentModes: {
+      Cash: 'रोख',
+      Cheque: 'धनादेश',
+      'Bank Deposit': 'बँक जमा',
+      'UPI Payment': 'UPI पेमेंट',
+      'Net Banking': 'नेट बँकिंग'
+    },
+    charges: {
+      Rent: 'भाडे',
+      'Society Maintenance': 'सोसायटी देखभाल',
+      Electricity: 'वीज',
+      Water: 'पाणी',
+      Parking: 'पार्किंग',
+      Internet: 'इंटरनेट'
+    },
+    tdsText: (parts) => {
+      const reference = parts.tdsReference ? ` (चलन/प्रमाणपत्र: ${parts.tdsReference})` : '';
+      return `यापैकी <strong>${parts.tdsAmount}</strong> कलम ${parts.tdsSection} अंतर्गत ${parts.tdsRate}% दराने TDS म्हणून कापले गेले${reference} व निव्वळ <strong>${parts.netAmount}</strong> मिळाले.`;
+    },
+    balanceText: {
+      due: (amount) => `या भरण्यानंतर थकबाकी: <strong>${amount}</strong>.`,
+      credit: (amount) => `या भरण्यानंतर आगाऊ जमा: <strong>${amount}</strong>.`,
+      settled: () => 'या भरण्यानंतर कोणतीही थकबाकी नाही.'
+    },
+    chequeText: {
+      realisation: (parts) => `ही पावती चेक क्रमांक ${parts.numbers} वटण्याच्या अधीन आहे.`,
+      bounced: (parts) => `<strong>रद्द</strong>: चेक क्रमांक ${parts.numbers}${parts.date ? ` ${parts.date} रोजी` : ''} न वटता परत आला${parts.reason ? ` (${parts.reason})` : ''}.`
+    },
+    prorationText: {
+      share: (share) => `${share.month} मधील ${share.basis} पैकी ${share.days} दिवस`,
+      sentence: (parts) => `भाडे <strong>${parts.monthlyRent}</strong> मासिक भाड्याच्या आधारे ${parts.shares} यासाठी प्रमाणानुसार आकारले आहे${parts.isThirtyDay ? ' (प्रत्येक महिना 30 दिवसांचा धरून)' : ''}.`
+    },
+    referenceText: {
+      Cheque: (ref) => `क्रमांक ${ref.number}${ref.date ? `, दिनांक ${ref.date}` : ''}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} शाखा` : ''}`,
+      'Bank Deposit': (ref) => `भरणा पावती क्रमांक ${ref.number}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} शाखा` : ''}`,
+      'UPI Payment': (ref) => `UTR ${ref.number}${ref.payer ? `, ${ref.payer} कडून` : ''}`,
+      'Net Banking': (ref) => `UTR ${ref.number}`
+    },
+    tenderText: (tender) => (tender.isCash
+      ? `<strong>${tender.amount}</strong> रोख स्वरूपात`
+      : `<strong>${tender.amount}</strong> ${tender.transactionDate} रोजी ${tender.paymentMode}${tender.referenceNo ? ` (${tender.referenceNo})` : ''} द्वारे`),
+    receiptText: (parts) => {
+      const term = parts.term ? `${parts.term} ` : '';
+      const premises = parts.premisesAddress ? ` <strong>${parts.premisesAddress}</strong> या जागेचे` : '';
+      const period = parts.monthList
+        ? ` ${parts.monthList} या महिन्यांचे`
+        : parts.hasPeriod ? ` <strong>${parts.durationFrom}</strong> ते <strong>${parts.durationTo}</strong> या कालावधीचे` : '';
+      const payment = parts.tenders
+        ? parts.tenders
+        : parts.isCash
+          ? 'रोख स्वरूपात'
+          : `${parts.transactionDate} रोजी ${parts.paymentMode}${parts.referenceNo ? ` (${parts.referenceNo})` : ''} द्वारे`;
+      const amount = `<strong>${parts.amount}</strong> (<strong>${parts.amountInWords}</strong>)`;
+
+      if (parts.receiptType === 'refund') {
+        return `<strong>${parts.tenantName}</strong> यांना${premises} सुरक्षा ठेवीपैकी ${amount} ${payment} परत करण्यात आले, याची पोच देण्यात येत आहे.`;
+      }
+      if (parts.receiptType === 'adjustment') {
+        return `<strong>${parts.tenantName}</strong> यांच्या सुरक्षा ठेवीपैकी ${amount}${premises}${period} ${term}भाड्यापोटी समायोजित करण्यात आले, याची पोच देण्यात येत आहे.`;
+      }
+
+      const purpose = {
+        rent: `${term}भाडे${parts.hasCharges ? ' व इतर शुल्क' : ''}`,
+        advance: `आगाऊ ${term}भाडे`,
+        maintenance: `${term}देखभाल शुल्क`,
+        deposit: 'सुरक्षा ठेव',
+        token: 'टोकन (बुकिंग) रक्कम'
+      }[parts.receiptType];
+      return `<strong>${parts.tenantName}</strong> यांच्याकडून${premises}${period} ${purpose} म्हणून ${amount} ${payment} मिळाले, याची पोच देण्यात येत आहे.`;
+    }
+  },
+  ta: {
+    code: 'ta',
+    name: 'தமிழ் (Tamil)',
+    script: 'tamil',
+    wordsLanguage: 'en',
+    conjunction: 'மற்றும்',
+    fontFamily: '"Noto Sans Tamil", Arial, sans-serif',
+    labels: {
+      receiptNumber: 'ரசீது எண்:',
+      heading: 'பணம் பெற்ற ரசீது',
+      date: 'தேதி:',
+      signature: 'கையொப்பம்',
+      revenueStamp: 'வருவாய் முத்திரை',
+      pan: 'PAN:',
+      description: 'விவரம்',
+      amount: 'தொகை',
+      total: 'மொத்தம்'
+    },
+    terms: { Weekly: 'வாராந்திர', Monthly: 'மாதாந்திர', Quarterly: 'காலாண்டு', 'Half-yearly': 'அரையாண்டு', Yearly: 'வருடாந்திர' },
+    paymentModes: {
+      Cash: 'ரொக்கம்',
+      Cheque: 'காசோலை',
+      'Bank Deposit': 'வங்கி வைப்பு',
+      'UPI Payment': 'UPI கட்டணம்',
+      'Net Banking': 'இணைய வங்கி'
+    },
+    charges: {
+      Rent: 'வாடகை',
+      'Society Maintenance': 'குடியிருப்பு பராமரிப்பு',
+      Electricity: 'மின்சாரம்',
+      Water: 'தண்ணீர்',
+      Parking: 'வாகன நிறுத்தம்',
+      Internet: 'இணையம்'
+    },
+    tdsText: (parts) => {
+      const reference = parts.tdsReference ? ` (சலான்/சான்றிதழ்: ${parts.tdsReference})` : '';
+      return `இதில் <strong>${parts.tdsAmount}</strong> பிரிவு ${parts.tdsSection} இன் கீழ் ${parts.tdsRate}% விகிதத்தில் TDS ஆகப் பிடித்தம் செய்யப்பட்டது${reference}; நிகரமாக <strong>${parts.netAmount}</strong> பெறப்பட்டது.`;
+    },
+    balanceText: {
+      due: (amount) => `இந்தத் தொகைக்குப் பிறகு நிலுவைத் தொகை: <strong>${amount}</strong>.`,
+      credit: (amount) => `இந்தத் தொகைக்குப் பிறகு முன்பணம்: <strong>${amount}</strong>.`,
+      settled: () => 'இந்தத் தொகைக்குப் பிறகு நிலுவை எதுவும் இல்லை.'
+    },
+    chequeText: {
+      realisation: (parts) => `இந்த ரசீது காசோலை எண் ${parts.numbers} பணமாக்கப்படுவதற்கு உட்பட்டது.`,
+      bounced: (parts) => `<strong>ரத்து</strong>: காசோலை எண் ${parts.numbers}${parts.date ? ` ${parts.date} அன்று` : ''} பணம் செலுத்தப்படாமல் திரும்பியது${parts.reason ? ` (${parts.reason})` : ''}.`
+    },
+    prorationText: {
+      share: (share) => `${share.month} இல் ${share.basis} நாட்களில் ${share.days} நாட்கள்`,
+      sentence: (parts) => `மாத வாடகை <strong>${parts.monthlyRent}</strong> அடிப்படையில் ${parts.shares} க்கு வாடகை விகிதாசாரமாகக் கணக்கிடப்பட்டது${parts.isThirtyDay ? ' (ஒவ்வொரு மாதமும் 30 நாட்களாகக் கொண்டு)' : ''}.`
+    },
+    referenceText: {
+      Cheque: (ref) => `எண் ${ref.number}${ref.date ? `, தேதி ${ref.date}` : ''}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} கிளை` : ''}`,
+      'Bank Deposit': (ref) => `செலுத்துச்சீட்டு எண் ${ref.number}${ref.bank ? `, ${ref.bank}` : ''}${ref.branch ? `, ${ref.branch} கிளை` : ''}`,
+      'UPI Payment': (ref) => `UTR ${ref.number}${ref.payer ? `, ${ref.payer} இலிருந்து` : ''}`,
+      'Net Banking': (ref) => `UTR ${ref.number}`
+    },
+    tenderText: (tender) => (tender.isCash
+      ? `<strong>${tender.amount}</strong> ரொக்கமாக`
+      : `<strong>${tender.amount}</strong> ${tender.transactionDate} அன்று ${tender.paymentMode}${tender.referenceNo ? ` (${tender.referenceNo})` : ''} மூலம்`),
+    receiptText: (parts) => {
+      const term = parts.term ? `${parts.term} ` : '';
+      const premises = parts.premisesAddress ? `<strong>${parts.premisesAddress}</strong> என்ற இடத்திற்கான ` : '';
+      const period = parts.monthList
+        ? `${parts.monthList} மாதங்களுக்கான `
+        : parts.hasPeriod ? `<strong>${parts.durationFrom}</strong> முதல் <strong>${parts.durationTo}</strong> வரையிலான காலத்திற்கான ` : '';
+      const payment = parts.tenders
+        ? parts.tenders
+        : parts.isCash
+          ? 'ரொக்கமாக'
+          : `${parts.transactionDate} அன்று ${parts.paymentMode}${parts.referenceNo ? ` (${parts.referenceNo})` : ''} மூலம்`;
+      const amount = `<strong>${parts.amount}</strong> (<strong>${parts.amountInWords}</strong>)`;
+
+      if (parts.receiptType === 'refund') {
+        return `${premises}பாதுகாப்பு வைப்புத் தொகையிலிருந்து ${amount} <strong>${parts.tenantName}</strong> அவர்களுக்கு ${payment} திருப்பி அளிக்கப்பட்டது என்பதை இதன் மூலம் ஒப்புக்கொள்கிறேன்.`;
+      }
+      if (parts.receiptType === 'adjustment') {
+        return `<strong>${parts.tenantName}</strong> அவர்களின் ${premises}பாதுகாப்பு வைப்புத் தொகையிலிருந்து ${amount} ${period}${term}வாடகைக்கு ஈடு செய்யப்பட்டது என்பதை இதன் மூலம் ஒப்புக்கொள்கிறேன்.`;
+      }
+
+      const purpose = {
+        rent: `${term}${parts.hasCharges ? 'வாடகை மற்றும் பிற கட்டணங்களாக' : 'வாடகையாக'}`,
+        advance: `முன்கூட்டிய ${term}வாடகையாக`,
+        maintenance: `${term}பராமரிப்புக் கட்டணமாக`,
+        deposit: 'பாதுகாப்பு வைப்புத் தொகையாக',
+        token: 'முன்பதிவுத் தொகையாக'
+      }[parts.receiptType];
+      return `<strong>${parts.tenantName}</strong> அவர்களிடமிருந்து ${premises}${period}${purpose} ${amount} ${payment} பெறப்பட்டது என்பதை இதன் மூலம் ஒப்புக்கொள்கிறேன்.`;
+    }
+  }
+};
+
+/**
+ * Look up a receipt language, falling back to English
+ *
+ * @param {string} code - Language code (e.g. "hi")
+ * @returns {Object} Language definition
+ */
+export const getReceiptLanguage = (code) => RECEIPT_LANGUAGES[code] || RECEIPT_LANGUAGES[DEFAULT_RECEIPT_LANGUAGE];
+
+/**
+ * Check whether a language can be written as PDF text by jsPDF
+ * Scripts that need glyph shaping are rendered through the browser instead
+ *
+ * @param {string} code - Language code
+ * @returns {boolean} True for Latin-script languages
+ */
+export const supportsVectorRendering = (code) => getReceiptLanguage(code).script === 'latin';
+
+/**
+ * Translate a rent term, payment mode or charge name, keeping the original if there is no translation
+ *
+ * @param {Object} language - Language definition
+ * @param {string} group - 'terms', 'paymentModes' or 'charges'
+ * @param {string} value - English value stored in the form (e.g. "Monthly")
+ * @returns {string} Translated value
+ */
+export const translateValue = (language, group, value) => language[group][value] || value;
+
+/**
+ * Join a list of items the way the language writes lists ("A, B and C")
+ *
+ * @param {Object} language - Language definition
+ * @param {Array<string>} items - Items to join
+ * @returns {string} Joined list
+ *
+ * @example
+ * formatList(getReceiptLanguage('en'), ['Jan-2026', 'Feb-2026', 'Mar-2026']) // Returns "Jan-2026, Feb-2026 and Mar-2026"
+ */
+export const formatList = (language, items) => {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} ${language.conjunction} ${items[items.length - 1]}`;
+};
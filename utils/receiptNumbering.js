@@ -0,0 +1,263 @@
+/**
+ * Receipt Numbering Engine for ReceiptlyPlus
+ *
+ * Builds gap-free sequential receipt numbers from a user-defined pattern.
+ * Each series (issuer profile prefix, plus the property code when the
+ * pattern uses it) keeps its own counter per financial year, so numbering
+ * restarts at 1 every April. Numbers are checked against stored receipts
+ * so a number is never issued twice.
+ *
+ * Pattern tokens:
+ * - {PREFIX}  Series prefix from the issuer profile (e.g. "RCT")
+ * - {FY}      Financial year (e.g. "2025-26")
+ * - {FYSHORT} Short financial year (e.g. "2526")
+ * - {PROP}    Property code from the property register
+ * - {SEQ}     Zero-padded sequence number (e.g. "0007")
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { loadReceipts } from './receiptHistory';
+import { DEFAULT_INVOICE_SERIES } from './issuerProfiles';
+
+export const NUMBERING_SETTINGS_KEY = 'rental_receipt_numbering';
+export const NUMBERING_COUNTERS_KEY = 'rental_receipt_counters';
+
+export const DEFAULT_NUMBERING_SETTINGS = {
+  pattern: '{PREFIX}/{FY}/{SEQ}',
+  sequencePadding: 4
+};
+
+// ===== SETTINGS =====
+
+/**
+ * Load the numbering format settings
+ *
+ * @returns {Object} Settings with pattern and sequencePadding
+ */
+export const loadNumberingSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(NUMBERING_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_NUMBERING_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Could not load numbering settings:', error);
+    return { ...DEFAULT_NUMBERING_SETTINGS };
+  }
+};
+
+/**
+ * Save the numbering format settings
+ *
+ * @param {Object} settings - Settings with pattern and sequencePadding
+ * @returns {Object} The saved settings
+ */
+export const saveNumberingSettings = (settings) => {
+  const saved = {
+    pattern: (settings.pattern || '').trim() || DEFAULT_NUMBERING_SETTINGS.pattern,
+    sequencePadding: Math.min(Math.max(parseInt(settings.sequencePadding) || 1, 1), 10)
+  };
+  localStorage.setItem(NUMBERING_SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+/**
+ * Check a pattern for problems that would break numbering
+ *
+ * @param {string} pattern - Numbering pattern
+ * @returns {string} Error message, or empty string if the pattern is usable
+ */
+export const validateNumberingPattern = (pattern) => {
+  if (!pattern || !pattern.trim()) return 'Numbering pattern is required.';
+  if (!pattern.includes('{SEQ}')) return 'Numbering pattern must contain {SEQ}.';
+
+  const unknown = (pattern.match(/\{[^}]*\}/g) || [])
+    .filter(token => !['{PREFIX}', '{FY}', '{FYSHORT}', '{PROP}', '{SEQ}'].includes(token));
+  if (unknown.length > 0) return `Unknown token(s) in pattern: ${unknown.join(', ')}`;
+
+  return '';
+};
+
+// ===== FINANCIAL YEAR =====
+
+/**
+ * Get the Indian financial year (April to March) for a date
+ *
+ * @param {Date} date - Date within the financial year
+ * @returns {Object} { startYear, label, short }
+ *
+ * @example
+ * getFinancialYear(new Date(2026, 2, 31)) // Returns { startYear: 2025, label: "2025-26", short: "2526" }
+ * getFinancialYear(new Date(2026, 3, 1))  // Returns { startYear: 2026, label: "2026-27", short: "2627" }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  const endYear = String(startYear + 1).slice(-2);
+  return {
+    startYear,
+    label: `${startYear}-${endYear}`,
+    short: `${String(startYear).slice(-2)}${endYear}`
+  };
+};
+
+// ===== NUMBER GENERATION =====
+
+/**
+ * Format a receipt number from the pattern
+ *
+ * @param {Object} settings - Numbering settings (pattern, sequencePadding)
+ * @param {Object} context - Numbering context
+ * @param {string} context.series - Series prefix
+ * @param {string} context.propertyCode - Property code (optional)
+ * @param {Date} context.date - Date that decides the financial year
+ * @param {number} sequence - Sequence number within the series
+ * @returns {string} Formatted receipt number
+ *
+ * @example
+ * formatReceiptNumber({ pattern: '{PREFIX}/{FY}/{PROP}/{SEQ}', sequencePadding: 4 },
+ *   { series: 'RCT', propertyCode: 'GP', date: new Date(2025, 8, 1) }, 7)
+ * // Returns "RCT/2025-26/GP/0007"
+ */
+export const formatReceiptNumber = (settings, context, sequence) => {
+  const financialYear = getFinancialYear(context.date);
+  return settings.pattern
+    .replace(/\{PREFIX\}/g, context.series || '')
+    .replace(/\{FY\}/g, financialYear.label)
+    .replace(/\{FYSHORT\}/g, financialYear.short)
+    .replace(/\{PROP\}/g, context.propertyCode || '')
+    .replace(/\{SEQ\}/g, String(sequence).padStart(settings.sequencePadding, '0'))
+    // Collapse separators left behind by empty tokens (e.g. no property code)
+    .replace(/([-/_.])\1+/g, '$1')
+    .replace(/^[-/_.]+|[-/_.]+$/g, '');
+};
+
+/**
+ * Build the counter key for a series in a financial year
+ * The property code is part of the series only when the pattern uses it
+ *
+ * @param {Object} settings - Numbering settings
+ * @param {Object} context - Numbering context (series, propertyCode, date)
+ * @returns {string} Counter key (e.g. "RCT|GP|2025")
+ */
+const getCounterKey = (settings, context) => {
+  const propertyCode = settings.pattern.includes('{PROP}') ? (context.propertyCode || '') : '';
+  return [context.series || '', propertyCode, getFinancialYear(context.date).startYear].join('|');
+};
+
+/**
+ * Load the per-series counters
+ *
+ * @returns {Object} Map of counter key to last issued sequence
+ */
+const loadCounters = () => {
+  try {
+    return JSON.parse(localStorage.getItem(NUMBERING_COUNTERS_KEY) || '{}');
+  } catch (error) {
+    console.warn('Could not load receipt counters:', error);
+    return {};
+  }
+};
+
+/**
+ * Check whether a receipt number was already issued
+ *
+ * @param {string} receiptNumber - Receipt number to check
+ * @param {Array<Object>} receipts - Stored receipts (defaults to receipt history)
+ * @returns {boolean} True if a stored receipt uses this number
+ */
+export const isReceiptNumberTaken = (receiptNumber, receipts = loadReceipts()) => {
+  return receipts.some(receipt => receipt.receiptNumber === receiptNumber);
+};
+
+/**
+ * Work out the next receipt number for a series without consuming it
+ * Skips any number already used by a stored receipt
+ *
+ * @param {Object} context - Numbering context (series, propertyCode, date)
+ * @param {Object} settings - Numbering settings (defaults to the saved settings)
+ * @returns {Object} { receiptNumber, sequence, counterKey }
+ *
+ * @example
+ * getNextReceiptNumber({ series: 'RCT', date: new Date() })
+ * // Returns { receiptNumber: "RCT/2025-26/0008", sequence: 8, counterKey: "RCT||2025" }
+ */
+export const getNextReceiptNumber = (context, settings = loadNumberingSettings()) => {
+  const fullContext = { date: new Date(), ...context };
+  const counterKey = getCounterKey(settings, fullContext);
+  const receipts = loadReceipts();
+
+  let sequence = (loadCounters()[counterKey] || 0) + 1;
+  let receiptNumber = formatReceiptNumber(settings, fullContext, sequence);
+  while (isReceiptNumberTaken(receiptNumber, receipts)) {
+    sequence += 1;
+    receiptNumber = formatReceiptNumber(settings, fullContext, sequence);
+  }
+
+  return { receiptNumber, sequence, counterKey };
+};
+
+/**
+ * Work out the next few receipt numbers of a series without consuming them
+ * Used to preview a batch of receipts; skips numbers already used
+ *
+ * @param {Object} context - Numbering context (series, propertyCode, date)
+ * @param {number} count - How many numbers are needed
+ * @param {Object} settings - Numbering settings (defaults to the saved settings)
+ * @returns {Array<Object>} { receiptNumber, sequence, counterKey } for each number, in order
+ */
+export const getNextReceiptNumbers = (context, count, settings = loadNumberingSettings()) => {
+  const fullContext = { date: new Date(), ...context };
+  const counterKey = getCounterKey(settings, fullContext);
+  const receipts = loadReceipts();
+  const issued = [];
+
+  let sequence = loadCounters()[counterKey] || 0;
+  while (issued.length < count) {
+    sequence += 1;
+    const receiptNumber = formatReceiptNumber(settings, fullContext, sequence);
+    if (!isReceiptNumberTaken(receiptNumber, receipts)) {
+      issued.push({ receiptNumber, sequence, counterKey });
+    }
+  }
+  return issued;
+};
+
+/**
+ * Record that a receipt number has been issued
+ * Call this only once the receipt is actually saved, so numbering stays gap-free
+ *
+ * @param {Object} issued - Result of getNextReceiptNumber
+ */
+export const commitReceiptNumber = (issued) => {
+  const counters = loadCounters();
+  counters[issued.counterKey] = Math.max(counters[issued.counterKey] || 0, issued.sequence);
+  localStorage.setItem(NUMBERING_COUNTERS_KEY, JSON.stringify(counters));
+};
+
+/**
+ * Reset all series counters (used when clearing stored data)
+ */
+export const resetReceiptCounters = () => {
+  localStorage.removeItem(NUMBERING_COUNTERS_KEY);
+};
+
+/**
+ * Build the numbering context for the current form
+ *
+ * Tax invoices are numbered in the invoice series, rent receipts in the receipt series
+ *
+ * @param {Object} formData - Receipt form data (documentType, receiptSeries, invoiceSeries, propertyId)
+ * @param {Array<Object>} properties - Property records, for the property code
+ * @param {Date} date - Date that decides the financial year (defaults to today)
+ * @returns {Object} Numbering context (series, propertyCode, date)
+ */
+export const getNumberingContext = (formData, properties, date = new Date()) => {
+  const property = properties.find(item => item.id === formData.propertyId);
+  return {
+    series: formData.documentType === 'invoice'
+      ? (formData.invoiceSeries || DEFAULT_INVOICE_SERIES)
+      : formData.receiptSeries,
+    propertyCode: property ? property.code : '',
+    date
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * Receipt Types for ReceiptlyPlus
+ *
+ * Not every receipt is for rent. Each receipt type decides which fields the
+ * form asks for and how the receipt sentence is worded (see the receiptText
+ * of each receipt language):
+ * - hasPeriod: the receipt covers a rent period (duration and term)
+ * - isPayment: money changed hands, so a payment mode applies; a deposit
+ *   adjustment only moves money from the deposit to rent
+ * - countsAsRent: the amount is applied to the tenant ledger
+ * - allowsCharges: itemised charges can be added
+ * - allowsTds: the tenant may deduct TDS from the payment (see tds.js)
+ *
+ * Receipts stored before receipt types existed are rent receipts. GST tax
+ * invoices (documentType 'invoice', see gst.js) bill rent rather than
+ * acknowledge a payment, so they are kept apart as INVOICE_TYPE.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_CURRENCY } from './currency';
+
+export const DEFAULT_RECEIPT_TYPE = 'rent';
+
+export const RECEIPT_TYPES = [
+  { value: 'rent', label: 'Rent', hasPeriod: true, isPayment: true, countsAsRent: true, allowsCharges: true, allowsTds: true },
+  { value: 'advance', label: 'Advance Rent', hasPeriod: true, isPayment: true, countsAsRent: true, allowsCharges: false, allowsTds: true },
+  { value: 'maintenance', label: 'Maintenance', hasPeriod: true, isPayment: true, countsAsRent: false, allowsCharges: false, allowsTds: false },
+  { value: 'deposit', label: 'Security Deposit', hasPeriod: false, isPayment: true, countsAsRent: false, allowsCharges: false, allowsTds: false },
+  { value: 'refund', label: 'Deposit Refund', hasPeriod: false, isPayment: true, countsAsRent: false, allowsCharges: false, allowsTds: false },
+  { value: 'adjustment', label: 'Deposit Adjusted to Rent', hasPeriod: true, isPayment: false, countsAsRent: true, allowsCharges: false, allowsTds: false },
+  { value: 'token', label: 'Token / Booking Amount', hasPeriod: false, isPayment: true, countsAsRent: false, allowsCharges: false, allowsTds: false }
+];
+
+export const INVOICE_TYPE = { value: 'invoice', label: 'Tax Invoice', hasPeriod: true, isPayment: false, countsAsRent: false, allowsCharges: true, allowsTds: false };
+
+/**
+ * Look up a receipt type, falling back to rent
+ *
+ * @param {string} value - Receipt type value (e.g. "deposit")
+ * @returns {Object} Receipt type definition
+ */
+export const getReceiptType = (value) => {
+  return RECEIPT_TYPES.find(type => type.value === value) || RECEIPT_TYPES[0];
+};
+
+/**
+ * Get the type of a stored receipt record, treating tax invoices as their own type
+ *
+ * @param {Object} receipt - Receipt record (documentType, receiptType)
+ * @returns {Object} Receipt type definition (INVOICE_TYPE for tax invoices)
+ */
+export const getStoredReceiptType = (receipt) => {
+  return receipt.documentType === 'invoice' ? INVOICE_TYPE : getReceiptType(receipt.receiptType);
+};
+
+/**
+ * Add up receipt amounts per receipt type (and currency)
+ *
+ * @param {Array<Object>} receipts - Receipt records
+ * @returns {Array<Object>} { type, currency, count, total } entries in RECEIPT_TYPES order, tax invoices last
+ *
+ * @example
+ * getReceiptTypeTotals(receipts)
+ * // Returns [{ type: { value: 'rent', ... }, currency: 'INR', count: 12, total: 300000 }, ...]
+ */
+export const getReceiptTypeTotals = (receipts) => {
+  const totals = new Map();
+
+  receipts.forEach(receipt => {
+    const type = getStoredReceiptType(receipt);
+    const currency = receipt.currency || DEFAULT_CURRENCY;
+    const key = `${type.value}|${currency}`;
+    if (!totals.has(key)) {
+      totals.set(key, { type, currency, count: 0, total: 0 });
+    }
+
+    const entry = totals.get(key);
+    entry.count += 1;
+    entry.total = Math.round((entry.total + (parseFloat(receipt.amount) || 0)) * 100) / 100;
+  });
+
+  const order = [...RECEIPT_TYPES, INVOICE_TYPE];
+  return [...totals.values()].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+};
@@ -0,0 +1,184 @@
+/**
+ * Rent Term Utilities for ReceiptlyPlus
+ *
+ * A rent term says how often rent falls due: weekly, monthly, quarterly,
+ * half-yearly or yearly. A custom term has no fixed length; its period is
+ * entered by hand. The fixed terms work out their own rent periods, which
+ * are used for the receipt period defaults, the tenant ledger and bulk
+ * generation.
+ *
+ * The default period of a receipt is, in order of preference:
+ * - The period following on from the tenant's last receipt (starting the
+ *   day after the last receipt's period ended)
+ * - The latest period that has ended, counted in whole terms from the
+ *   tenant's rent start date, so a yearly lease that started on 15 June
+ *   runs from 15 June to 14 June (lease anniversary years)
+ * - Otherwise the last complete period up to the end of the previous month
+ *   (the previous month, the quarter ending last month, ...), or the
+ *   previous Monday-to-Sunday week for weekly rent
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { parseStoredDate, isVoidReceipt } from './receiptHistory';
+import { getStoredReceiptType } from './receiptTypes';
+
+export const DEFAULT_RENT_TERM = 'Monthly';
+export const CUSTOM_TERM = 'Custom';
+
+// Length of one rent period for each term (in days or calendar months)
+export const RENT_TERMS = [
+  { value: 'Weekly', label: 'Weekly', days: 7 },
+  { value: 'Monthly', label: 'Monthly', months: 1 },
+  { value: 'Quarterly', label: 'Quarterly', months: 3 },
+  { value: 'Half-yearly', label: 'Half-yearly', months: 6 },
+  { value: 'Yearly', label: 'Yearly', months: 12 },
+  { value: CUSTOM_TERM, label: 'Custom' }
+];
+
+// Terms with a fixed period length (tenants, the ledger and bulk generation need one)
+export const FIXED_RENT_TERMS = RENT_TERMS.filter(term => term.value !== CUSTOM_TERM);
+
+// Guard against runaway loops from a mistyped rent start date
+const MAX_PERIODS = 5000;
+
+/**
+ * Look up a rent term
+ *
+ * @param {string} value - Term value (e.g. "Quarterly")
+ * @returns {Object} Term definition (Monthly for unknown values)
+ */
+export const getRentTerm = (value) => {
+  return RENT_TERMS.find(term => term.value === value) || RENT_TERMS.find(term => term.value === DEFAULT_RENT_TERM);
+};
+
+/**
+ * Format a date as YYYY-MM-DD (the form's date input format)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const toInputDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Add months to a date, keeping the day of month where possible
+ * (31 Jan + 1 month is 28/29 Feb, not 3 Mar)
+ *
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+export const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+/**
+ * Move a date on by a number of rent periods
+ * Always count from the same anchor date (rather than adding one period at a
+ * time) so month-end start dates do not drift
+ *
+ * @param {Date} date - Anchor date
+ * @param {string} term - Rent term (a custom term counts as monthly)
+ * @param {number} count - Number of periods
+ * @returns {Date} New date
+ *
+ * @example
+ * addTermPeriods(new Date(2025, 0, 31), 'Quarterly', 1) // Returns 30-Apr-2025
+ * addTermPeriods(new Date(2025, 0, 31), 'Weekly', 2)    // Returns 14-Feb-2025
+ */
+export const addTermPeriods = (date, term, count) => {
+  const rentTerm = getRentTerm(term);
+  if (rentTerm.days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + rentTerm.days * count);
+  }
+  return addMonths(date, (rentTerm.months || 1) * count);
+};
+
+/**
+ * Work out one rent period from its start date
+ *
+ * @param {Date} start - First day of the period
+ * @param {string} term - Rent term
+ * @returns {Object} { durationFrom, durationTo } as YYYY-MM-DD strings
+ */
+const getPeriodFrom = (start, term) => {
+  const nextStart = addTermPeriods(start, term, 1);
+  return {
+    durationFrom: toInputDate(start),
+    durationTo: toInputDate(new Date(nextStart.getFullYear(), nextStart.getMonth(), nextStart.getDate() - 1))
+  };
+};
+
+/**
+ * Find the day the tenant's most recent receipted rent period ended
+ *
+ * @param {Array<Object>} receipts - Stored receipts
+ * @param {string} tenantName - Tenant name (matched ignoring case)
+ * @returns {Date|null} Latest period end, or null if the tenant has no receipts with a period
+ *   (voided receipts are skipped, so the period of a bounced cheque is offered again)
+ */
+export const getLastPeriodEnd = (receipts, tenantName) => {
+  const name = (tenantName || '').trim().toLowerCase();
+  if (!name) return null;
+
+  return receipts
+    .filter(receipt => (receipt.tenantName || '').trim().toLowerCase() === name && !isVoidReceipt(receipt))
+    .filter(receipt => getStoredReceiptType(receipt).hasPeriod)
+    .map(receipt => parseStoredDate(receipt.durationTo))
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+};
+
+/**
+ * Work out the default rent period of a receipt for a term
+ *
+ * @param {string} term - Rent term
+ * @param {Object} options - What the period can follow on from
+ * @param {Date} options.lastPeriodEnd - End of the tenant's last receipted period (see getLastPeriodEnd)
+ * @param {string} options.rentStartDate - Tenant's rent (lease) start date
+ * @param {Date} today - Today's date (defaults to now)
+ * @returns {Object|null} { durationFrom, durationTo } as YYYY-MM-DD strings, or null for a custom term
+ *
+ * @example
+ * // Today 19-Oct-2026, no tenant history
+ * getDefaultPeriod('Quarterly', {}) // Returns { durationFrom: '2026-07-01', durationTo: '2026-09-30' }
+ * // Lease started 15-Jun-2024
+ * getDefaultPeriod('Yearly', { rentStartDate: '2024-06-15' }) // Returns { durationFrom: '2025-06-15', durationTo: '2026-06-14' }
+ */
+export const getDefaultPeriod = (term, { lastPeriodEnd, rentStartDate } = {}, today = new Date()) => {
+  const rentTerm = getRentTerm(term);
+  if (rentTerm.value === CUSTOM_TERM) return null;
+
+  // Follow on from the tenant's last receipt
+  if (lastPeriodEnd) {
+    const start = new Date(lastPeriodEnd.getFullYear(), lastPeriodEnd.getMonth(), lastPeriodEnd.getDate() + 1);
+    return getPeriodFrom(start, term);
+  }
+
+  // Latest period that has ended, counted from the rent start date
+  const anchor = parseStoredDate(rentStartDate);
+  if (anchor) {
+    let index = 0;
+    while (index < MAX_PERIODS && addTermPeriods(anchor, term, index + 2) <= today) {
+      index += 1;
+    }
+    return getPeriodFrom(addTermPeriods(anchor, term, index), term);
+  }
+
+  // Previous Monday-to-Sunday week
+  if (rentTerm.days) {
+    const daysSinceMonday = (today.getDay() + 6) % 7;
+    return getPeriodFrom(new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysSinceMonday - 7), term);
+  }
+
+  // Whole months ending with the previous month
+  return getPeriodFrom(new Date(today.getFullYear(), today.getMonth() - rentTerm.months, 1), term);
+};
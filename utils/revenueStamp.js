@@ -0,0 +1,84 @@
+/**
+ * Revenue Stamp Utilities for ReceiptlyPlus
+ *
+ * Under the Indian Stamp Act a receipt for more than ₹5,000 paid in cash
+ * needs a ₹1 revenue stamp affixed and signed across. Receipts that need
+ * one get an empty stamp box next to the signature (`revenueStamp` on the
+ * stored receipt, so re-downloads keep it).
+ *
+ * The threshold can be changed and the box turned off altogether; the
+ * setting is stored in localStorage.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { getStoredReceiptType } from './receiptTypes';
+import { DEFAULT_CURRENCY } from './currency';
+import { getAmountReceived, getBilledPayments, getPaymentsTotal } from './payments';
+
+export const REVENUE_STAMP_SETTINGS_KEY = 'rental_receipt_revenue_stamp';
+
+export const DEFAULT_REVENUE_STAMP_SETTINGS = {
+  enabled: true,
+  threshold: '5000'
+};
+
+/**
+ * Load the revenue stamp settings
+ *
+ * @returns {Object} Settings { enabled, threshold } merged over the defaults
+ */
+export const loadRevenueStampSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REVENUE_STAMP_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_REVENUE_STAMP_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Could not load revenue stamp settings:', error);
+    return { ...DEFAULT_REVENUE_STAMP_SETTINGS };
+  }
+};
+
+/**
+ * Save the revenue stamp settings
+ *
+ * @param {Object} settings - Settings { enabled, threshold }
+ * @returns {Object} The saved settings
+ */
+export const saveRevenueStampSettings = (settings) => {
+  const saved = {
+    enabled: Boolean(settings.enabled),
+    threshold: String(settings.threshold ?? '').trim()
+  };
+  localStorage.setItem(REVENUE_STAMP_SETTINGS_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+/**
+ * Check whether a receipt needs a revenue stamp box
+ *
+ * @param {Object} formData - Receipt form data (amount, paymentMode, payments, currency, receiptType, documentType, tdsAmount)
+ * @param {Object} settings - Revenue stamp settings
+ * @returns {boolean} True for rupee cash payments above the threshold (the amount received, after TDS)
+ *
+ * @example
+ * needsRevenueStamp({ amount: '12000', paymentMode: 'Cash' }, { enabled: true, threshold: '5000' }) // Returns true
+ * needsRevenueStamp({ amount: '12000', paymentMode: 'UPI Payment' }, { enabled: true, threshold: '5000' }) // Returns false
+ */
+export const needsRevenueStamp = (formData, settings) => {
+  if (!settings.enabled) return false;
+  if (!getStoredReceiptType(formData).isPayment) return false;
+  if ((formData.currency || DEFAULT_CURRENCY) !== 'INR') return false;
+
+  // Of a receipt paid in several parts only the cash part counts; TDS is never paid in cash
+  const payments = getBilledPayments(formData.payments);
+  const cashAmount = payments.length > 0
+    ? getPaymentsTotal(payments.filter(payment => payment.mode === 'Cash'))
+    : formData.paymentMode === 'Cash' ? getAmountReceived(formData) : '';
+
+  const amount = splitAmount(cashAmount);
+  const threshold = splitAmount(settings.threshold);
+  if (!amount) return false;
+  return amount.rupees * 100 + amount.paise > (threshold ? threshold.rupees * 100 + threshold.paise : 0);
+};
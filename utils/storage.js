@@ -0,0 +1,75 @@
+/**
+ * Local Storage Utilities for ReceiptlyPlus
+ *
+ * Small helpers for persisting lists of records (receipts, tenants, ...)
+ * as JSON arrays in localStorage.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Load a stored list of records from localStorage
+ *
+ * @param {string} key - localStorage key holding a JSON array
+ * @returns {Array<Object>} Stored records (empty array if none or unreadable)
+ */
+export const loadCollection = (key) => {
+  try {
+    const items = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    console.warn(`Could not load stored data for ${key}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Persist a list of records to localStorage
+ *
+ * @param {string} key - localStorage key
+ * @param {Array<Object>} items - Records to store
+ * @returns {Array<Object>} The stored records
+ */
+export const saveCollection = (key, items) => {
+  localStorage.setItem(key, JSON.stringify(items));
+  return items;
+};
+
+/**
+ * Insert a record, or replace the stored record with the same id
+ *
+ * @param {string} key - localStorage key
+ * @param {Object} item - Record with an `id` property
+ * @returns {Array<Object>} The updated list of records
+ */
+export const upsertRecord = (key, item) => {
+  const items = loadCollection(key);
+  const index = items.findIndex(existing => existing.id === item.id);
+  if (index >= 0) {
+    items[index] = item;
+  } else {
+    items.push(item);
+  }
+  return saveCollection(key, items);
+};
+
+/**
+ * Remove the record with the given id
+ *
+ * @param {string} key - localStorage key
+ * @param {string} id - Id of the record to remove
+ * @returns {Array<Object>} The updated list of records
+ */
+export const removeRecord = (key, id) => {
+  return saveCollection(key, loadCollection(key).filter(item => item.id !== id));
+};
+
+/**
+ * Create a reasonably unique id for a new record
+ *
+ * @returns {string} Id based on the current time and a random suffix
+ */
+export const createId = () => {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+};
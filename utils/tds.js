@@ -0,0 +1,144 @@
+/**
+ * TDS Utilities for ReceiptlyPlus
+ *
+ * Tenants paying large rents deduct tax at source (TDS) and pay it to the
+ * government, so the landlord receives less than the gross rent but still
+ * acknowledges the full amount. A receipt with TDS records the section, the
+ * rate, the amount deducted and the challan/certificate reference
+ * (`tdsSection`, `tdsRate`, `tdsAmount`, `tdsReference`); the receipt amount
+ * stays the gross rent.
+ *
+ * Sections:
+ * - 194-IB: individuals/HUFs not under tax audit, rent above ₹50,000 a month,
+ *   certificate in Form 16C
+ * - 194-I: other tenants (companies, firms, audited businesses),
+ *   certificate in Form 16A
+ *
+ * Default rates are the current ones for buildings; the rate can be edited
+ * on each receipt.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { splitAmount } from './numberToWords';
+import { parseStoredDate } from './receiptHistory';
+import { getFinancialYear } from './receiptNumbering';
+
+export const TDS_SECTIONS = [
+  { value: '194-IB', label: 'Section 194-IB (individual / HUF tenant)', defaultRate: '2', certificate: 'Form 16C' },
+  { value: '194-I', label: 'Section 194-I (company / business tenant)', defaultRate: '10', certificate: 'Form 16A' }
+];
+
+/**
+ * Look up a TDS section, falling back to 194-IB
+ *
+ * @param {string} value - Section (e.g. "194-I")
+ * @returns {Object} Section definition
+ */
+export const getTdsSection = (value) => {
+  return TDS_SECTIONS.find(section => section.value === value) || TDS_SECTIONS[0];
+};
+
+/**
+ * Convert an amount to whole paise so sums stay exact
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 if not a valid amount)
+ */
+const toPaise = (amount) => {
+  const parts = splitAmount(amount);
+  return parts ? parts.rupees * 100 + parts.paise : 0;
+};
+
+/**
+ * Work out the TDS on a gross amount, rounded to the nearest rupee
+ *
+ * @param {string} grossAmount - Gross rent
+ * @param {string} rate - TDS rate in percent
+ * @returns {string} TDS amount (empty string if either value is missing)
+ *
+ * @example
+ * calculateTds('60000', '2') // Returns "1200"
+ */
+export const calculateTds = (grossAmount, rate) => {
+  const gross = toPaise(grossAmount);
+  const percent = parseFloat(rate);
+  if (!gross || !(percent > 0)) return '';
+  return String(Math.round((gross * percent) / 100 / 100));
+};
+
+/**
+ * Get the amount actually received after TDS
+ *
+ * @param {string} grossAmount - Gross rent
+ * @param {string} tdsAmount - TDS deducted
+ * @returns {string} Net amount received
+ */
+export const getNetAmount = (grossAmount, tdsAmount) => {
+  return String((toPaise(grossAmount) - toPaise(tdsAmount)) / 100);
+};
+
+/**
+ * Check the TDS details entered on a receipt
+ *
+ * @param {Object} formData - Receipt form data (tdsApplicable, tdsRate, tdsAmount)
+ * @param {string} grossAmount - Gross rent
+ * @returns {string} Error message, or empty string if the details are valid
+ */
+export const validateTds = (formData, grossAmount) => {
+  if (!formData.tdsApplicable) return '';
+
+  const rate = parseFloat(formData.tdsRate);
+  if (!(rate > 0 && rate < 100)) {
+    return 'Please fill in a TDS rate between 0 and 100%.';
+  }
+
+  const tds = toPaise(formData.tdsAmount);
+  if (!tds) {
+    return 'Please fill in the TDS amount deducted.';
+  }
+  if (tds >= toPaise(grossAmount)) {
+    return 'Please fill in a TDS amount less than the gross rent.';
+  }
+  return '';
+};
+
+/**
+ * Add up TDS per financial year (of the transaction date) for reconciling
+ * with the TDS certificates (Form 16C / 16A)
+ *
+ * @param {Array<Object>} receipts - Stored receipts (receipts without TDS are skipped)
+ * @returns {Array<Object>} { financialYear, gross, tds, net, receipts } entries, latest year first
+ *
+ * @example
+ * getTdsByFinancialYear(loadReceipts())
+ * // Returns [{ financialYear: '2025-26', gross: 720000, tds: 14400, net: 705600, receipts: [...] }]
+ */
+export const getTdsByFinancialYear = (receipts) => {
+  const years = new Map();
+
+  receipts
+    .filter(receipt => receipt.tdsApplicable && toPaise(receipt.tdsAmount) > 0)
+    .forEach(receipt => {
+      const date = parseStoredDate(receipt.dateOfTransaction) || parseStoredDate(receipt.receiptDate) || new Date();
+      const { label } = getFinancialYear(date);
+      if (!years.has(label)) {
+        years.set(label, { financialYear: label, gross: 0, tds: 0, receipts: [] });
+      }
+
+      const year = years.get(label);
+      year.gross += toPaise(receipt.amount);
+      year.tds += toPaise(receipt.tdsAmount);
+      year.receipts.push(receipt);
+    });
+
+  return [...years.values()]
+    .sort((a, b) => b.financialYear.localeCompare(a.financialYear))
+    .map(year => ({
+      ...year,
+      gross: year.gross / 100,
+      tds: year.tds / 100,
+      net: (year.gross - year.tds) / 100
+    }));
+};
@@ -0,0 +1,131 @@
+/**
+ * Tenant Directory Utilities for ReceiptlyPlus
+ *
+ * Tenants are stored in the `rental_tenants` localStorage array so their
+ * usual receipt details (agreed rent, term, payment mode, reference prefix,
+ * receipt language) can be prefilled instead of retyped for every receipt.
+ * The rent start date and opening arrears feed the tenant ledger
+ * (see tenantLedger.js); a GSTIN is printed on tax invoices.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { loadCollection, upsertRecord, removeRecord, createId } from './storage';
+
+export const TENANTS_STORAGE_KEY = 'rental_tenants';
+
+/**
+ * Blank tenant record used by the tenant editor
+ */
+export const emptyTenant = {
+  id: '',
+  name: '',
+  contact: '',
+  unit: '',
+  unitId: '',
+  agreedRent: '',
+  term: 'Monthly',
+  paymentMode: 'Cash',
+  referencePrefix: '',
+  language: '',
+  rentStartDate: '',
+  openingBalance: '',
+  gstin: ''
+};
+
+// ===== STORAGE =====
+
+/**
+ * Load all tenants, sorted by name
+ *
+ * @returns {Array<Object>} Stored tenant records
+ */
+export const loadTenants = () => {
+  return loadCollection(TENANTS_STORAGE_KEY).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Add a new tenant or update an existing one
+ *
+ * @param {Object} tenant - Tenant record (a new id is assigned if missing)
+ * @returns {Object} The saved tenant record
+ */
+export const saveTenant = (tenant) => {
+  const saved = {
+    ...emptyTenant,
+    ...tenant,
+    id: tenant.id || createId(),
+    name: tenant.name.trim(),
+    gstin: (tenant.gstin || '').trim().toUpperCase()
+  };
+  upsertRecord(TENANTS_STORAGE_KEY, saved);
+  return saved;
+};
+
+/**
+ * Delete a tenant from the directory
+ *
+ * @param {string} id - Id of the tenant to delete
+ */
+export const deleteTenant = (id) => {
+  removeRecord(TENANTS_STORAGE_KEY, id);
+};
+
+// ===== LOOKUP =====
+
+/**
+ * Find tenants whose name, unit or contact contains the query
+ *
+ * @param {Array<Object>} tenants - Tenant records
+ * @param {string} query - Text typed into the tenant field
+ * @returns {Array<Object>} Matching tenants (names starting with the query first)
+ *
+ * @example
+ * searchTenants(loadTenants(), 'jo') // Returns tenants like "John Doe"
+ */
+export const searchTenants = (tenants, query) => {
+  const text = (query || '').trim().toLowerCase();
+  if (!text) return tenants;
+
+  const matches = tenants.filter(tenant =>
+    [tenant.name, tenant.unit, tenant.contact].some(value => (value || '').toLowerCase().includes(text))
+  );
+  const startsWith = (tenant) => tenant.name.toLowerCase().startsWith(text);
+  return [...matches.filter(startsWith), ...matches.filter(tenant => !startsWith(tenant))];
+};
+
+/**
+ * Find a tenant by exact (case-insensitive) name
+ *
+ * @param {Array<Object>} tenants - Tenant records
+ * @param {string} name - Tenant name
+ * @returns {Object|undefined} The matching tenant
+ */
+export const findTenantByName = (tenants, name) => {
+  const text = (name || '').trim().toLowerCase();
+  return tenants.find(tenant => tenant.name.toLowerCase() === text);
+};
+
+/**
+ * Build the receipt form fields prefilled from a tenant's defaults
+ * Empty tenant values are left out so they do not overwrite the form.
+ * The tenant's rented unit (tenant.unitId) is resolved to premises details by the form.
+ *
+ * @param {Object} tenant - Tenant record
+ * @returns {Object} Partial form data (tenantName, amount, term, paymentMode, referenceNo, language, tenantGstin)
+ *
+ * @example
+ * getTenantFormDefaults({ name: 'John Doe', agreedRent: '25000', term: 'Monthly', paymentMode: 'UPI Payment', referencePrefix: 'UPI-' })
+ * // Returns { tenantName: 'John Doe', amount: '25000', term: 'Monthly', paymentMode: 'UPI Payment', referenceNo: 'UPI-' }
+ */
+export const getTenantFormDefaults = (tenant) => {
+  const defaults = { tenantName: tenant.name };
+  if (tenant.agreedRent) defaults.amount = String(tenant.agreedRent);
+  if (tenant.term) defaults.term = tenant.term;
+  if (tenant.paymentMode) defaults.paymentMode = tenant.paymentMode;
+  if (tenant.referencePrefix) defaults.referenceNo = tenant.referencePrefix;
+  if (tenant.language) defaults.language = tenant.language;
+  if (tenant.gstin) defaults.tenantGstin = tenant.gstin;
+  return defaults;
+};
@@ -0,0 +1,164 @@
+/**
+ * Tenant Ledger Utilities for ReceiptlyPlus
+ *
+ * Works out what each tenant owes. From the tenant's rent start date, every
+ * rent period (per the tenant's term) is expected to bring in the agreed
+ * rent. Any opening arrears come first. Rent received on stored receipts is
+ * applied to the oldest unpaid period first, so partial payments leave a
+ * period part-paid, unpaid amounts carry forward as arrears and
+ * overpayments become advance credit. A voided receipt (its cheque bounced)
+ * brings in nothing, so the rent it covered falls due again.
+ *
+ * The ledger is derived from the tenant directory and the receipt history
+ * every time; nothing extra is stored.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+import { parseStoredDate, isVoidReceipt } from './receiptHistory';
+import { getBilledLineItems, getLineItemsTotal } from './lineItems';
+import { splitAmount } from './numberToWords';
+import { getStoredReceiptType } from './receiptTypes';
+import { addTermPeriods } from './rentTerms';
+
+// Guard against runaway ledgers from a mistyped start date
+const MAX_PERIODS = 600;
+
+/**
+ * Convert an amount to whole paise so sums stay exact
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 if not a valid amount)
+ */
+const toPaise = (amount) => {
+  const parts = splitAmount(amount);
+  return parts ? parts.rupees * 100 + parts.paise : 0;
+};
+
+/**
+ * Format a date for ledger period labels
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date like "5 Apr 2025"
+ */
+const formatLedgerDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * Check whether a tenant has the details needed for a ledger
+ *
+ * @param {Object} tenant - Tenant record
+ * @returns {boolean} True if the tenant has an agreed rent and a rent start date
+ */
+export const hasLedger = (tenant) => {
+  return Boolean(tenant && toPaise(tenant.agreedRent) > 0 && parseStoredDate(tenant.rentStartDate));
+};
+
+/**
+ * Get the rent part of a receipt
+ * For itemised receipts only the "Rent" lines count towards the ledger, and
+ * receipts that are not for rent (deposits, maintenance, ...) and tax
+ * invoices, which bill rent rather than record it being paid, count nothing
+ *
+ * @param {Object} receipt - Receipt record or form data
+ * @returns {string} Rent amount received
+ */
+export const getRentPaid = (receipt) => {
+  if (!getStoredReceiptType(receipt).countsAsRent) return '0';
+  const items = getBilledLineItems(receipt.lineItems);
+  if (items.length === 0) return receipt.amount || '0';
+  return getLineItemsTotal(items.filter(item => item.description.trim().toLowerCase() === 'rent'));
+};
+
+/**
+ * Build the ledger for one tenant
+ *
+ * @param {Object} tenant - Tenant record (agreedRent, term, rentStartDate, openingBalance)
+ * @param {Array<Object>} receipts - Stored receipts (only this tenant's are used)
+ * @param {Date} asOf - Periods starting after this date are not yet due (defaults to today)
+ * @returns {Object} { periods, totalExpected, totalPaid, balanceDue, advanceCredit } with amounts in rupees;
+ *   each period is { label, expected, paid, due, status } with status 'Paid', 'Partial' or 'Due'
+ *
+ * @example
+ * buildTenantLedger({ name: 'John', agreedRent: '10000', term: 'Monthly', rentStartDate: '2025-04-01' }, receipts, new Date(2025, 5, 15))
+ * // With 25,000 received: April and May paid, June part-paid
+ * // Returns { periods: [...3 periods], totalExpected: 30000, totalPaid: 25000, balanceDue: 5000, advanceCredit: 0 }
+ */
+export const buildTenantLedger = (tenant, receipts, asOf = new Date()) => {
+  const periods = [];
+
+  const openingBalance = toPaise(tenant.openingBalance);
+  if (openingBalance > 0) {
+    periods.push({ label: 'Opening arrears', expected: openingBalance });
+  }
+
+  const start = parseStoredDate(tenant.rentStartDate);
+  const rent = toPaise(tenant.agreedRent);
+  if (start && rent > 0) {
+    for (let index = 0; index < MAX_PERIODS; index++) {
+      const from = addTermPeriods(start, tenant.term, index);
+      if (from > asOf) break;
+      const to = addTermPeriods(start, tenant.term, index + 1);
+      to.setDate(to.getDate() - 1);
+      periods.push({ label: `${formatLedgerDate(from)} – ${formatLedgerDate(to)}`, expected: rent });
+    }
+  }
+
+  const tenantName = (tenant.name || '').trim().toLowerCase();
+  const totalPaid = receipts
+    .filter(receipt => (receipt.tenantName || '').trim().toLowerCase() === tenantName && !isVoidReceipt(receipt))
+    .reduce((sum, receipt) => sum + toPaise(getRentPaid(receipt)), 0);
+
+  // Apply everything received to the oldest periods first
+  let available = totalPaid;
+  const ledgerPeriods = periods.map(period => {
+    const paid = Math.min(available, period.expected);
+    available -= paid;
+    return {
+      label: period.label,
+      expected: period.expected / 100,
+      paid: paid / 100,
+      due: (period.expected - paid) / 100,
+      status: paid === period.expected ? 'Paid' : paid > 0 ? 'Partial' : 'Due'
+    };
+  });
+
+  const totalExpected = periods.reduce((sum, period) => sum + period.expected, 0);
+  const balance = totalExpected - totalPaid;
+
+  return {
+    periods: ledgerPeriods,
+    totalExpected: totalExpected / 100,
+    totalPaid: totalPaid / 100,
+    balanceDue: Math.max(balance, 0) / 100,
+    advanceCredit: Math.max(-balance, 0) / 100
+  };
+};
+
+/**
+ * Work out the tenant's balance once a new payment is received
+ *
+ * @param {Object} tenant - Tenant record
+ * @param {Array<Object>} receipts - Stored receipts (not including the new one)
+ * @param {Object} payment - The new receipt's form data
+ * @returns {number} Balance in rupees; positive is due, negative is advance credit
+ */
+export const getBalanceAfterPayment = (tenant, receipts, payment) => {
+  const ledger = buildTenantLedger(tenant, receipts);
+  const balance = toPaise(ledger.balanceDue) - toPaise(ledger.advanceCredit) - toPaise(getRentPaid(payment));
+  return balance / 100;
+};
+
+/**
+ * Summarise the balance of every tenant that has a ledger
+ *
+ * @param {Array<Object>} tenants - Tenant records
+ * @param {Array<Object>} receipts - Stored receipts
+ * @returns {Array<Object>} { tenant, ledger } entries, tenants furthest behind first
+ */
+export const summariseTenantBalances = (tenants, receipts) => {
+  return tenants
+    .filter(hasLedger)
+    .map(tenant => ({ tenant, ledger: buildTenantLedger(tenant, receipts) }))
+    .sort((a, b) => (b.ledger.balanceDue - b.ledger.advanceCredit) - (a.ledger.balanceDue - a.ledger.advanceCredit));
+};
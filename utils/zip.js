@@ -0,0 +1,115 @@
+/**
+ * ZIP Utilities for ReceiptlyPlus
+ *
+ * Writes ZIP archives of already-generated files (e.g. one PDF per receipt)
+ * in the browser. Files are stored without compression: PDFs are already
+ * compressed, so deflating them again saves little and would need a
+ * compression library.
+ *
+ * @author ReceiptlyPlus Development Team
+ * @version 1.0.0
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320), as used by the ZIP format
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Work out the CRC-32 checksum of some bytes
+ *
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (data) => {
+  let crc = 0xFFFFFFFF;
+  for (let index = 0; index < data.length; index++) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to the MS-DOS time and date fields used in ZIP headers
+ *
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date } as 16-bit values
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive from a list of files
+ *
+ * @param {Array<Object>} files - Files { name, data } with data as a Uint8Array
+ * @param {Date} modified - Modification date for every entry (defaults to now)
+ * @returns {Blob} ZIP archive
+ *
+ * @example
+ * createZip([{ name: 'receipt-RCT-2025-26-0001.pdf', data: new Uint8Array(pdf.output('arraybuffer')) }])
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const dosTime = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  let centralSize = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored (no compression)
+    local.setUint16(10, dosTime.time, true);
+    local.setUint16(12, dosTime.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime.time, true);
+    central.setUint16(14, dosTime.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+    centralSize += 46 + name.length;
+  });
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};